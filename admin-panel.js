@@ -1,4 +1,8 @@
 // admin-panel.js - Complete Admin Dashboard for MMS Safety
+import { mmsDB } from './database-service.js';
+import { mmsUsers } from './user-management.js';
+import { mmsBackup } from './backup-service.js';
+
 class AdminPanel {
   constructor() {
     this.migrationInProgress = false;
@@ -9,10 +13,14 @@ class AdminPanel {
       nextBackup: null,
       autoBackup: true
     };
+    this.initialized = false;
     this.init();
   }
 
+  // Runs on load and again from auth-system after sign-in
   init() {
+    if (this.initialized) return;
+    
     console.log('⚙️ Admin Panel Initializing...');
     
     // Check if user is admin
@@ -21,6 +29,8 @@ class AdminPanel {
       return;
     }
     
+    this.initialized = true;
+    
     // Setup migration button if needed
     this.setupMigrationUI();
     
@@ -55,7 +65,8 @@ class AdminPanel {
     // Check for localStorage data
     const hasLocalData = this.checkLocalStorageData();
     
-    if (hasLocalData) {
+    // An interrupted or unfinalized run also needs attention
+    if (hasLocalData || mmsDB.getMigrationCheckpoint()) {
       this.showMigrationAlert();
     }
   }
@@ -149,7 +160,12 @@ class AdminPanel {
       return;
     }
     
-    if (!confirm(`⚠️ DATA MIGRATION\n\nThis will move ALL local safety data to cloud storage.\n\n✅ Benefits:\n• Secure cloud backup\n• Multi-device access\n• Team collaboration\n\n❌ Local data will be cleared after migration.\n\nContinue?`)) {
+    const checkpoint = mmsDB.getMigrationCheckpoint();
+    const prompt = checkpoint
+      ? `⚠️ UNFINISHED MIGRATION\n\nMigration ${checkpoint.run_id} (started ${new Date(checkpoint.started_at).toLocaleString()}) did not finish.\n\nIt will resume where it stopped - records already copied are not duplicated.\n\nContinue?`
+      : `⚠️ DATA MIGRATION\n\nThis will move ALL local safety data to cloud storage.\n\n✅ Benefits:\n• Secure cloud backup\n• Multi-device access\n• Team collaboration\n\nYou can review a verification report before local data is cleared.\n\nContinue?`;
+    
+    if (!confirm(prompt)) {
       return;
     }
     
@@ -158,97 +174,165 @@ class AdminPanel {
     // Show migration modal
     this.showMigrationModal();
     
-    try {
-      // Simulate migration process
-      let migratedCount = 0;
-      const migrationSteps = [
-        { name: 'Incidents', count: 0 },
-        { name: 'Employee Records', count: 0 },
-        { name: 'PPE Items', count: 0 },
-        { name: 'Training Records', count: 0 },
-        { name: 'Audits', count: 0 },
-        { name: 'Contractors', count: 0 },
-        { name: 'Standards', count: 0 }
-      ];
+    const plan = mmsDB.getMigrationPlan();
+    const totals = Object.fromEntries(plan.map(m => [m.localStorageKey, mmsDB.readLegacyItems(m.localStorageKey).length]));
+    const grandTotal = Object.values(totals).reduce((sum, count) => sum + count, 0) || 1;
+    const done = { ...(checkpoint?.progress || {}) };
+    
+    const updateProgress = ({ key, done: keyDone, total }) => {
+      done[key] = keyDone;
+      const copied = Object.values(done).reduce((sum, count) => sum + count, 0);
       
-      // Update progress
-      const updateProgress = (stepIndex, message) => {
-        const progressBar = document.getElementById('migrationProgress');
-        const statusElement = document.getElementById('migrationStatus');
-        
-        if (progressBar) {
-          const progress = ((stepIndex + 1) / migrationSteps.length) * 90;
-          progressBar.style.width = `${progress}%`;
-        }
-        
-        if (statusElement) {
-          statusElement.textContent = message;
-        }
-      };
+      const progressBar = document.getElementById('migrationProgress');
+      const statusElement = document.getElementById('migrationStatus');
       
-      // Simulate migration steps
-      for (let i = 0; i < migrationSteps.length; i++) {
-        const step = migrationSteps[i];
-        updateProgress(i, `Migrating ${step.name}...`);
-        
-        // Simulate API call delay
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        
-        // Simulate data count
-        step.count = Math.floor(Math.random() * 50) + 10;
-        migratedCount += step.count;
-        
-        updateProgress(i, `Migrated ${step.count} ${step.name}`);
+      if (progressBar) {
+        progressBar.style.width = `${Math.min(90, (copied / grandTotal) * 90)}%`;
       }
       
-      // Complete migration
-      updateProgress(migrationSteps.length - 1, 'Finalizing migration...');
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      
-      // Clear localStorage
-      this.clearLocalStorageData();
+      if (statusElement) {
+        statusElement.textContent = `Migrated ${keyDone} of ${total} from ${key}`;
+      }
+    };
+    
+    try {
+      const result = await mmsDB.migrateLocalData({ finalize: false, onProgress: updateProgress });
       
-      // Hide modal and show success
       this.hideMigrationModal();
-      this.showSuccessMessage(migratedCount);
       
-      // Log migration
-      this.logAdminAction('data_migration_complete', {
-        records_migrated: migratedCount,
-        migration_time: new Date().toISOString()
-      });
+      if (result.verification?.success) {
+        this.showMigrationReport(result.verification);
+      } else if (result.success) {
+        // Nothing was stored locally
+        this.removeMigrationAlert();
+        this.showToast(result.message, 'info');
+      } else {
+        this.showErrorMessage(this.escapeHtml(result.error || 'Migration failed'));
+      }
       
     } catch (error) {
       console.error('Migration failed:', error);
       this.hideMigrationModal();
-      this.showErrorMessage(error.message || 'Migration failed');
-      
-      // Log failure
-      this.logAdminAction('data_migration_failed', {
-        error: error.message,
-        time: new Date().toISOString()
-      });
+      this.showErrorMessage(this.escapeHtml(error.message || 'Migration failed'));
     } finally {
       this.migrationInProgress = false;
     }
   }
 
-  clearLocalStorageData() {
-    const keys = [
-      'mmsIncidents',
-      'mmsHealthRecords', 
-      'mmsPPEItems',
-      'mmsTraining',
-      'mmsAudits',
-      'mmsContractors',
-      'mmsStandards'
-    ];
+  // Per-collection counts and checksums; local data is only cleared from here
+  showMigrationReport(verification) {
+    document.getElementById('migrationReportModal')?.remove();
+    
+    const cell = 'padding: 0.5rem; border-bottom: 1px solid var(--border);';
+    const listIds = (label, ids) => ids.length
+      ? `<br><small style="color: var(--error);">${label}: ${ids.slice(0, 5).map(id => this.escapeHtml(id)).join(', ')}${ids.length > 5 ? ` +${ids.length - 5} more` : ''}</small>`
+      : '';
+    
+    const modal = document.createElement('div');
+    modal.id = 'migrationReportModal';
+    modal.className = 'modal';
+    modal.innerHTML = `
+      <div class="modal-content" style="max-width: 800px;">
+        <button class="close-modal" onclick="document.getElementById('migrationReportModal').remove()">×</button>
+        <div class="modal-header">
+          <h2>Migration Verification</h2>
+          <p>Run ${this.escapeHtml(verification.run_id)} · ${verification.ok
+            ? '✅ Every collection matches the local data'
+            : '⚠️ Differences found - run the migration again to resume, or roll back'}</p>
+        </div>
+        
+        <div style="background: white; border: 1px solid var(--border); border-radius: 8px; overflow: auto; max-height: 360px; margin-bottom: 1.5rem;">
+          <table style="width: 100%; border-collapse: collapse; font-size: 0.9rem;">
+            <thead>
+              <tr style="background: var(--background); text-align: left;">
+                <th style="${cell}">Local data</th>
+                <th style="${cell}">Collection</th>
+                <th style="${cell}">Local</th>
+                <th style="${cell}">Migrated</th>
+                <th style="${cell}">Checksum</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${verification.report.map(entry => `
+                <tr>
+                  <td style="${cell}">
+                    ${entry.key}
+                    ${listIds('Missing', entry.missing)}
+                    ${listIds('Changed', entry.changed)}
+                    ${listIds('Extra', entry.extra)}
+                  </td>
+                  <td style="${cell}">${entry.collection}</td>
+                  <td style="${cell}">${entry.local_count}</td>
+                  <td style="${cell}">${entry.migrated_count}</td>
+                  <td style="${cell}" title="${entry.migrated_checksum}">
+                    ${entry.ok ? '✅' : '❌'} <code>${entry.migrated_checksum.slice(0, 12)}</code>
+                  </td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+        
+        <div class="action-buttons">
+          <button class="btn btn-outline" onclick="document.getElementById('migrationReportModal').remove()">Close</button>
+          <button class="btn btn-danger" onclick="adminPanel.rollbackMigration()">Roll Back</button>
+          ${verification.ok ? '<button class="btn btn-primary" onclick="adminPanel.finalizeMigration()">Finalize & Clear Local Data</button>' : ''}
+        </div>
+      </div>
+    `;
+    
+    document.body.appendChild(modal);
+    modal.style.display = 'block';
+  }
+
+  async finalizeMigration() {
+    if (!confirm('Clear the local copy of the migrated data?\n\nThe cloud copy will be the only copy.')) {
+      return;
+    }
+    
+    const result = await mmsDB.finalizeMigration();
+    
+    if (!result.success) {
+      alert(`Could not finalize: ${result.error}`);
+      if (result.verification?.success) this.showMigrationReport(result.verification);
+      return;
+    }
+    
+    document.getElementById('migrationReportModal')?.remove();
+    this.showSuccessMessage(result.verification.report.reduce((sum, entry) => sum + entry.migrated_count, 0));
     
-    keys.forEach(key => {
-      localStorage.removeItem(key);
+    this.logAdminAction('data_migration_complete', {
+      run_id: result.run_id,
+      migration_time: new Date().toISOString()
     });
+  }
+
+  async rollbackMigration() {
+    if (!confirm('Remove every document copied by this migration?\n\nDocuments edited since they were copied are kept. Local data is kept, so the migration can be run again.')) {
+      return;
+    }
+    
+    if (!await window.mmsMFA.requireStepUp('Roll back data migration')) {
+      return;
+    }
+    
+    const result = await mmsDB.rollbackMigration();
+    
+    if (!result.success) {
+      alert(`Rollback failed: ${result.error}`);
+      return;
+    }
+    
+    document.getElementById('migrationReportModal')?.remove();
+    if (result.kept.length > 0) {
+      const listed = result.kept.slice(0, 10).map(entry => `• ${entry.collection}/${entry.id}`).join('\n');
+      const more = result.kept.length > 10 ? `\n…and ${result.kept.length - 10} more` : '';
+      alert(`Migration rolled back: ${result.total} document(s) removed.\n\n${result.kept.length} document(s) were edited after the migration and have been kept:\n${listed}${more}\n\nRemove those records from the local data before running the migration again, or it will overwrite the edits.`);
+    } else {
+      this.showToast(`Migration rolled back: ${result.total} document(s) removed`, 'success');
+    }
     
-    console.log('🗑️ Cleared localStorage data');
+    this.logAdminAction('data_migration_rolled_back', { run_id: result.run_id, removed: result.removed });
   }
 
   showMigrationModal() {
@@ -409,6 +493,10 @@ class AdminPanel {
       return;
     }
     
+    if (!await window.mmsMFA.requireStepUp('Manage users')) {
+      return;
+    }
+    
     // Show user management modal
     this.showUserManagementModal();
   }
@@ -419,29 +507,35 @@ class AdminPanel {
     modal.id = 'userManagementModal';
     modal.className = 'modal';
     modal.innerHTML = `
-      <div class="modal-content" style="max-width: 800px;">
+      <div class="modal-content" style="max-width: 900px;">
         <button class="close-modal" onclick="document.getElementById('userManagementModal').remove()">×</button>
         <div class="modal-header">
           <h2>User Management</h2>
-          <p>Manage system users and permissions</p>
+          <p>Manage system users, roles and site access</p>
         </div>
         
         <div style="margin-bottom: 1.5rem;">
           <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 1rem;">
             <h3 style="color: var(--text);">System Users</h3>
-            <button onclick="adminPanel.addNewUser()" class="btn btn-success">
-              + Add User
-            </button>
+            <div style="display: flex; gap: 0.5rem;">
+              <button onclick="document.getElementById('userImportFile').click()" class="btn btn-outline">
+                Import CSV
+              </button>
+              <button onclick="adminPanel.addNewUser()" class="btn btn-success">
+                + Add User
+              </button>
+            </div>
+            <input type="file" id="userImportFile" accept=".csv,text/csv" style="display: none;">
           </div>
           
-          <div style="background: white; border: 1px solid var(--border); border-radius: 8px; overflow: hidden;">
+          <div style="background: white; border: 1px solid var(--border); border-radius: 8px; overflow: hidden; max-height: 500px; overflow-y: auto;">
             <table style="width: 100%; border-collapse: collapse;">
               <thead>
                 <tr style="background: var(--background);">
                   <th style="padding: 0.75rem; text-align: left; border-bottom: 2px solid var(--border);">Name</th>
                   <th style="padding: 0.75rem; text-align: left; border-bottom: 2px solid var(--border);">Email</th>
                   <th style="padding: 0.75rem; text-align: left; border-bottom: 2px solid var(--border);">Role</th>
-                  <th style="padding: 0.75rem; text-align: left; border-bottom: 2px solid var(--border);">Location</th>
+                  <th style="padding: 0.75rem; text-align: left; border-bottom: 2px solid var(--border);">Sites</th>
                   <th style="padding: 0.75rem; text-align: left; border-bottom: 2px solid var(--border);">Status</th>
                   <th style="padding: 0.75rem; text-align: left; border-bottom: 2px solid var(--border);">Actions</th>
                 </tr>
@@ -468,69 +562,22 @@ class AdminPanel {
     document.body.appendChild(modal);
     modal.style.display = 'block';
     
+    document.getElementById('userImportFile').addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (file) this.importUsers(file);
+    });
+    
     // Load users
     this.loadUsersForManagement();
   }
 
   async loadUsersForManagement() {
-    try {
-      // Simulate API call
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      
-      const users = [
-        { name: 'Admin User', email: 'admin@mms.com', role: 'admin', location: 'Cape Town HQ', status: 'Active' },
-        { name: 'Safety Officer', email: 'safety@mms.com', role: 'safety_officer', location: 'Impala Dar', status: 'Active' },
-        { name: 'Operations Manager', email: 'manager@mms.com', role: 'manager', location: 'WBCT Bulk Shed', status: 'Active' },
-        { name: 'John Smith', email: 'john.smith@mms.com', role: 'employee', location: 'Cape Town HQ', status: 'Active' },
-        { name: 'Sarah Johnson', email: 'sarah.j@mms.com', role: 'employee', location: 'AGL Durban', status: 'Inactive' }
-      ];
-      
-      const tableBody = document.getElementById('usersTableBody');
-      if (tableBody) {
-        tableBody.innerHTML = users.map(user => `
-          <tr style="border-bottom: 1px solid var(--border);">
-            <td style="padding: 0.75rem;">${user.name}</td>
-            <td style="padding: 0.75rem;">${user.email}</td>
-            <td style="padding: 0.75rem;">
-              <span style="
-                padding: 0.25rem 0.5rem;
-                border-radius: 4px;
-                font-size: 0.75rem;
-                font-weight: 500;
-                background: ${user.role === 'admin' ? '#fecaca' : 
-                           user.role === 'safety_officer' ? '#dbeafe' : 
-                           user.role === 'manager' ? '#dcfce7' : '#f1f5f9'};
-                color: ${user.role === 'admin' ? '#991b1b' : 
-                        user.role === 'safety_officer' ? '#1e40af' : 
-                        user.role === 'manager' ? '#166534' : '#64748b'};
-              ">
-                ${user.role}
-              </span>
-            </td>
-            <td style="padding: 0.75rem;">${user.location}</td>
-            <td style="padding: 0.75rem;">
-              <span style="
-                padding: 0.25rem 0.5rem;
-                border-radius: 4px;
-                font-size: 0.75rem;
-                font-weight: 500;
-                background: ${user.status === 'Active' ? '#dcfce7' : '#f1f5f9'};
-                color: ${user.status === 'Active' ? '#166534' : '#64748b'};
-              ">
-                ${user.status}
-              </span>
-            </td>
-            <td style="padding: 0.75rem;">
-              <button class="btn btn-sm btn-outline" onclick="adminPanel.editUser('${user.email}')">Edit</button>
-              <button class="btn btn-sm btn-danger" onclick="adminPanel.deleteUser('${user.email}')">Delete</button>
-            </td>
-          </tr>
-        `).join('');
-      }
-      
-    } catch (error) {
-      console.error('Failed to load users:', error);
-      const tableBody = document.getElementById('usersTableBody');
+    const tableBody = document.getElementById('usersTableBody');
+    const result = await mmsUsers.listUsers();
+    
+    if (!result.success) {
+      console.error('Failed to load users:', result.error);
       if (tableBody) {
         tableBody.innerHTML = `
           <tr>
@@ -540,31 +587,294 @@ class AdminPanel {
           </tr>
         `;
       }
+      return;
+    }
+    
+    this.users = result.data;
+    if (!tableBody) return;
+    
+    if (this.users.length === 0) {
+      tableBody.innerHTML = `
+        <tr>
+          <td colspan="6" style="padding: 2rem; text-align: center; color: var(--text-light);">
+            No users yet. Add one or import a CSV file.
+          </td>
+        </tr>
+      `;
+      return;
     }
+    
+    const roles = window.mmsAuth?.ROLES || {};
+    
+    tableBody.innerHTML = this.users.map(user => {
+      const role = roles[user.role] || roles.employee || { label: user.role, color: '#64748b' };
+      const active = (user.status || 'active') === 'active';
+      const sites = user.role === 'admin'
+        ? 'All sites'
+        : [user.role === 'regional_manager' && user.country ? `All ${user.country}` : null, ...(user.sites || [])]
+            .filter(Boolean).join(', ') || '—';
+      
+      return `
+        <tr style="border-bottom: 1px solid var(--border);">
+          <td style="padding: 0.75rem;">${this.escapeHtml(user.name || '—')}</td>
+          <td style="padding: 0.75rem;">${this.escapeHtml(user.email || '—')}</td>
+          <td style="padding: 0.75rem;">
+            <span style="
+              padding: 0.25rem 0.5rem;
+              border-radius: 4px;
+              font-size: 0.75rem;
+              font-weight: 500;
+              background: ${role.color}22;
+              color: ${role.color};
+            ">
+              ${this.escapeHtml(role.label)}
+            </span>
+          </td>
+          <td style="padding: 0.75rem; font-size: 0.85rem;">${this.escapeHtml(sites)}</td>
+          <td style="padding: 0.75rem;">
+            <span style="
+              padding: 0.25rem 0.5rem;
+              border-radius: 4px;
+              font-size: 0.75rem;
+              font-weight: 500;
+              background: ${active ? '#dcfce7' : '#f1f5f9'};
+              color: ${active ? '#166534' : '#64748b'};
+            ">
+              ${active ? 'Active' : 'Deactivated'}
+            </span>
+          </td>
+          <td style="padding: 0.75rem; white-space: nowrap;">
+            <button class="btn btn-sm btn-outline" onclick="adminPanel.editUser('${user.id}')">Edit</button>
+            ${active
+              ? `<button class="btn btn-sm btn-outline" onclick="adminPanel.resendInvite('${user.id}')">Invite</button>
+                 <button class="btn btn-sm btn-danger" onclick="adminPanel.deleteUser('${user.id}')">Deactivate</button>`
+              : `<button class="btn btn-sm btn-success" onclick="adminPanel.reactivateUser('${user.id}')">Reactivate</button>`}
+          </td>
+        </tr>
+      `;
+    }).join('');
   }
 
   addNewUser() {
-    alert('Add new user functionality would open here.\n\nIn production, this would:\n1. Show a form to enter user details\n2. Send invitation email\n3. Set initial permissions\n4. Log the action');
+    this.showUserForm(null);
   }
 
-  editUser(email) {
-    alert(`Edit user: ${email}\n\nIn production, this would:\n1. Load user details\n2. Show edit form\n3. Allow role/permission changes\n4. Update in database`);
+  editUser(uid) {
+    const user = this.users?.find(candidate => candidate.id === uid);
+    if (user) this.showUserForm(user);
   }
 
-  deleteUser(email) {
-    if (confirm(`Are you sure you want to delete user ${email}?\n\nThis action cannot be undone.`)) {
-      alert(`User ${email} would be deleted in production.\n\nThis would:\n1. Deactivate account\n2. Archive data\n3. Notify user\n4. Log the action`);
+  // Create/edit form with role and site assignment
+  async showUserForm(user) {
+    const roles = window.mmsAuth?.ROLES || {};
+    const locations = window.mmsDB?.MMS_LOCATIONS || [];
+    const countries = [...new Set(locations.map(site => site.country))];
+    const fieldStyle = 'width: 100%; padding: 0.5rem; border: 1px solid var(--border); border-radius: 6px;';
+    const isNew = !user;
+    
+    const form = document.createElement('div');
+    form.id = 'userFormModal';
+    form.className = 'modal';
+    form.innerHTML = `
+      <div class="modal-content" style="max-width: 640px;">
+        <button class="close-modal" onclick="document.getElementById('userFormModal').remove()">×</button>
+        <div class="modal-header">
+          <h2>${isNew ? 'Add User' : 'Edit User'}</h2>
+          <p>${isNew ? 'The user is emailed a link to set their password.' : this.escapeHtml(user.email || '')}</p>
+        </div>
+        
+        <form id="userForm" style="display: grid; gap: 0.75rem;">
+          <label>Name
+            <input name="name" required style="${fieldStyle}" value="${this.escapeHtml(user?.name || '').replace(/"/g, '&quot;')}">
+          </label>
+          ${isNew ? `
+          <label>Email
+            <input name="email" type="email" required style="${fieldStyle}">
+          </label>` : ''}
+          <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 0.75rem;">
+            <label>Role
+              <select name="role" style="${fieldStyle}">
+                ${Object.entries(roles).filter(([key]) => key !== 'guest').map(([key, role]) => `
+                  <option value="${key}" ${(user?.role || 'employee') === key ? 'selected' : ''}>${this.escapeHtml(role.label)}</option>
+                `).join('')}
+              </select>
+            </label>
+            <label>Country
+              <select name="country" style="${fieldStyle}">
+                <option value="">—</option>
+                ${countries.map(country => `
+                  <option value="${country}" ${user?.country === country ? 'selected' : ''}>${country}</option>
+                `).join('')}
+              </select>
+            </label>
+            <label>Department
+              <input name="department" style="${fieldStyle}" value="${this.escapeHtml(user?.department || '').replace(/"/g, '&quot;')}">
+            </label>
+            <label>Linked employee
+              <select name="employee_id" id="userEmployeeLink" style="${fieldStyle}">
+                <option value="">Not linked</option>
+              </select>
+            </label>
+          </div>
+          
+          <fieldset style="border: 1px solid var(--border); border-radius: 6px; padding: 0.75rem;">
+            <legend style="padding: 0 0.25rem;">Assigned sites</legend>
+            ${countries.map(country => `
+              <div style="margin-bottom: 0.5rem;">
+                <strong style="font-size: 0.85rem;">${country}</strong>
+                <div style="display: flex; flex-wrap: wrap; gap: 0.25rem 1rem;">
+                  ${locations.filter(site => site.country === country).map(site => `
+                    <label style="font-size: 0.85rem;">
+                      <input type="checkbox" name="sites" value="${site.code}" ${(user?.sites || []).includes(site.code) ? 'checked' : ''}>
+                      ${site.name}
+                    </label>
+                  `).join('')}
+                </div>
+              </div>
+            `).join('')}
+            <small style="color: var(--text-light);">Admins see every site; regional managers every site in their country.</small>
+          </fieldset>
+          
+          <div id="userFormError" style="color: var(--error); display: none;"></div>
+          
+          <div class="action-buttons">
+            <button type="button" class="btn btn-outline" onclick="document.getElementById('userFormModal').remove()">Cancel</button>
+            <button type="submit" class="btn btn-primary">${isNew ? 'Create & Invite' : 'Save Changes'}</button>
+          </div>
+        </form>
+      </div>
+    `;
+    
+    document.body.appendChild(form);
+    form.style.display = 'block';
+    
+    const employeeSelect = document.getElementById('userEmployeeLink');
+    mmsUsers.listEmployeeOptions().then(employees => {
+      employees.forEach(employee => {
+        const option = document.createElement('option');
+        option.value = employee.id;
+        option.textContent = employee.location ? `${employee.name} (${employee.location})` : employee.name;
+        option.selected = employee.id === user?.employee_id;
+        employeeSelect.appendChild(option);
+      });
+    });
+    
+    document.getElementById('userForm').addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const formData = new FormData(e.target);
+      const input = {
+        name: formData.get('name'),
+        role: formData.get('role'),
+        country: formData.get('country'),
+        department: formData.get('department'),
+        employee_id: formData.get('employee_id'),
+        sites: formData.getAll('sites')
+      };
+      
+      const result = isNew
+        ? await mmsUsers.createUser({ ...input, email: formData.get('email') })
+        : await mmsUsers.updateUser(user.id, input);
+      
+      if (!result.success) {
+        const errorBox = document.getElementById('userFormError');
+        errorBox.textContent = result.error;
+        errorBox.style.display = 'block';
+        return;
+      }
       
-      // Log admin action
-      this.logAdminAction('user_deleted', { email: email });
+      form.remove();
+      if (result.warning) {
+        alert(`User created: ${input.name}\n\n⚠️ ${result.warning}`);
+      } else {
+        this.showToast(isNew ? `User created and invited: ${input.name}` : 'User updated');
+      }
+      this.loadUsersForManagement();
+    });
+  }
+
+  // Users are deactivated rather than deleted
+  async deleteUser(uid) {
+    const user = this.users?.find(candidate => candidate.id === uid);
+    if (!user) return;
+    
+    if (!confirm(`Deactivate ${user.email}?\n\nThey will no longer be able to sign in or access any data. Their records and audit history are kept, and the account can be reactivated.`)) {
+      return;
+    }
+    
+    const result = await mmsUsers.deactivateUser(uid);
+    if (!result.success) {
+      alert(`Could not deactivate user: ${result.error}`);
+      return;
     }
+    
+    this.showToast(`${user.email} deactivated`);
+    this.loadUsersForManagement();
   }
 
-  exportUserList() {
-    alert('User list exported successfully!\n\nIn production, this would download a CSV/Excel file with all user details.');
+  async reactivateUser(uid) {
+    const result = await mmsUsers.reactivateUser(uid);
+    if (!result.success) {
+      alert(`Could not reactivate user: ${result.error}`);
+      return;
+    }
+    
+    this.showToast('User reactivated');
+    this.loadUsersForManagement();
+  }
+
+  async resendInvite(uid) {
+    const result = await mmsUsers.resendInvite(uid);
+    if (result.success) {
+      this.showToast(result.message);
+    } else {
+      alert(`Could not send invitation: ${result.error}`);
+    }
+  }
+
+  async importUsers(file) {
+    const text = await file.text();
+    const result = await mmsUsers.importUsersFromCsv(text);
+    const created = result.created || [];
+    const failed = result.failed || [];
+    
+    const failures = failed.slice(0, 10).map(row => `• Line ${row.line} (${row.email || 'no email'}): ${row.error}`).join('\n');
+    const more = failed.length > 10 ? `\n…and ${failed.length - 10} more` : '';
+    const warnings = (result.warnings || []).slice(0, 10).map(row => `• Line ${row.line} (${row.email}): ${row.warning}`).join('\n');
+    
+    if (result.success && warnings) {
+      alert(`✅ Imported ${created.length} user(s), with warnings:\n\n${warnings}`);
+    } else if (result.success) {
+      alert(`✅ Imported ${created.length} user(s). Each has been emailed an invitation.`);
+    } else {
+      alert(`${result.error}${created.length ? `\n\nCreated: ${created.length}` : ''}${failures ? `\n\n${failures}${more}` : ''}`);
+    }
+    
+    if (created.length > 0) {
+      this.loadUsersForManagement();
+    }
+  }
+
+  async exportUserList() {
+    const result = await mmsUsers.listUsers();
+    if (!result.success) {
+      alert(`Export failed: ${result.error}`);
+      return;
+    }
+    
+    const blob = new Blob([mmsUsers.toCsv(result.data)], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `mms-users-${new Date().toISOString().split('T')[0]}.csv`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+    
+    window.mmsAuditLogger?.logDataAccess('users', 'all', 'export');
     
     // Log admin action
-    this.logAdminAction('user_list_exported', {});
+    this.logAdminAction('user_list_exported', { count: result.data.length });
   }
 
   async viewAuditLogs() {
@@ -593,18 +903,38 @@ class AdminPanel {
           <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 1rem;">
             <h3 style="color: var(--text);">Recent Activity</h3>
             <div style="display: flex; gap: 0.5rem;">
-              <select id="auditLogFilter" style="padding: 0.5rem; border: 1px solid var(--border); border-radius: 6px;">
-                <option value="all">All Actions</option>
-                <option value="login">Logins</option>
-                <option value="data_change">Data Changes</option>
-                <option value="export">Exports</option>
-                <option value="admin">Admin Actions</option>
-              </select>
               <button onclick="adminPanel.refreshAuditLogs()" class="btn btn-outline">Refresh</button>
-              <button onclick="adminPanel.exportAuditLogs()" class="btn btn-primary">Export Logs</button>
+              <button onclick="adminPanel.exportAuditLogs('csv')" class="btn btn-primary">Export CSV</button>
+              <button onclick="adminPanel.exportAuditLogs('json')" class="btn btn-outline">Export JSON</button>
             </div>
           </div>
           
+          <form id="auditLogFilters" style="display: grid; grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); gap: 0.5rem; margin-bottom: 1rem;">
+            <input type="date" name="startDate" title="From" style="padding: 0.5rem; border: 1px solid var(--border); border-radius: 6px;">
+            <input type="date" name="endDate" title="To" style="padding: 0.5rem; border: 1px solid var(--border); border-radius: 6px;">
+            <select name="level" style="padding: 0.5rem; border: 1px solid var(--border); border-radius: 6px;">
+              <option value="">All Levels</option>
+              <option value="0">Emergency</option>
+              <option value="1">Critical and above</option>
+              <option value="2">High and above</option>
+              <option value="3">Medium and above</option>
+              <option value="4">Low and above</option>
+            </select>
+            <select name="category" style="padding: 0.5rem; border: 1px solid var(--border); border-radius: 6px;">
+              <option value="">All Categories</option>
+              <option value="authentication">Authentication</option>
+              <option value="data_access">Data Access</option>
+              <option value="data_modification">Data Changes</option>
+              <option value="security">Security</option>
+              <option value="compliance">Compliance</option>
+              <option value="incident">Incidents</option>
+              <option value="system">System</option>
+            </select>
+            <input type="email" name="userEmail" placeholder="User email" style="padding: 0.5rem; border: 1px solid var(--border); border-radius: 6px;">
+            <input type="search" name="text" placeholder="Search words..." title="Entries logged before audit search was added are not matched by words - filter them by date, user or action" style="padding: 0.5rem; border: 1px solid var(--border); border-radius: 6px;">
+            <button type="submit" class="btn btn-primary">Search</button>
+          </form>
+          
           <div style="background: white; border: 1px solid var(--border); border-radius: 8px; overflow: hidden; max-height: 500px; overflow-y: auto;">
             <table style="width: 100%; border-collapse: collapse;">
               <thead style="position: sticky; top: 0; background: white; z-index: 1;">
@@ -626,11 +956,15 @@ class AdminPanel {
               </tbody>
             </table>
           </div>
+          <div style="text-align: center; margin-top: 0.75rem;">
+            <button id="auditLogsMore" class="btn btn-outline" style="display: none;" onclick="adminPanel.loadAuditLogsForDisplay(true)">Load More</button>
+          </div>
         </div>
         
         <div class="action-buttons">
           <button class="btn btn-outline" onclick="document.getElementById('auditLogsModal').remove()">Close</button>
-          <button class="btn btn-danger" onclick="adminPanel.clearAuditLogs()">Clear Old Logs</button>
+          <button class="btn btn-outline" onclick="adminPanel.verifyAuditChain()">Verify Integrity</button>
+          <button class="btn btn-primary" onclick="adminPanel.archiveAuditLogs()">Archive Old Logs</button>
         </div>
       </div>
     `;
@@ -641,22 +975,42 @@ class AdminPanel {
     // Load audit logs
     this.loadAuditLogsForDisplay();
     
-    // Setup filter
-    document.getElementById('auditLogFilter')?.addEventListener('change', (e) => {
-      this.filterAuditLogs(e.target.value);
+    // Setup filters
+    document.getElementById('auditLogFilters')?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.loadAuditLogsForDisplay();
     });
   }
 
-  async loadAuditLogsForDisplay() {
-    try {
-      // Generate sample audit logs
-      this.auditLogs = this.generateSampleAuditLogs();
-      
-      this.displayAuditLogs(this.auditLogs);
-      
-    } catch (error) {
-      console.error('Failed to load audit logs:', error);
-      const tableBody = document.getElementById('auditLogsTableBody');
+  getAuditLogFilters() {
+    const form = document.getElementById('auditLogFilters');
+    if (!form) return {};
+    
+    const filters = {};
+    new FormData(form).forEach((value, key) => {
+      if (String(value).trim() !== '') filters[key] = String(value).trim();
+    });
+    return filters;
+  }
+
+  // Loads the first page for the current filters, or the next page when
+  // append is true
+  async loadAuditLogsForDisplay(append = false) {
+    const tableBody = document.getElementById('auditLogsTableBody');
+    const moreButton = document.getElementById('auditLogsMore');
+    
+    if (!append) {
+      this.auditLogs = [];
+      this.auditLogCursor = null;
+    }
+    
+    const result = await window.mmsDB.queryAuditLogs(this.getAuditLogFilters(), {
+      pageSize: 50,
+      cursor: this.auditLogCursor
+    });
+    
+    if (!result.success) {
+      console.error('Failed to load audit logs:', result.error);
       if (tableBody) {
         tableBody.innerHTML = `
           <tr>
@@ -666,51 +1020,42 @@ class AdminPanel {
           </tr>
         `;
       }
+      return;
     }
-  }
-
-  generateSampleAuditLogs() {
-    const actions = [
-      { type: 'login', description: 'User login', details: 'Successful authentication' },
-      { type: 'data_change', description: 'Incident reported', details: 'New safety incident created' },
-      { type: 'data_change', description: 'Training record updated', details: 'Training status changed' },
-      { type: 'export', description: 'Report exported', details: 'PDF report downloaded' },
-      { type: 'admin', description: 'User permission changed', details: 'Role updated from employee to manager' },
-      { type: 'admin', description: 'Data migration started', details: 'Local to cloud migration' },
-      { type: 'login', description: 'Failed login attempt', details: 'Invalid password' },
-      { type: 'export', description: 'Data backup created', details: 'System backup completed' }
-    ];
     
-    const users = ['admin@mms.com', 'safety@mms.com', 'manager@mms.com', 'employee@mms.com'];
-    const ips = ['192.168.1.100', '10.0.0.45', '172.16.0.23', '203.0.113.5'];
+    this.auditLogs = [...this.auditLogs, ...result.data];
+    this.auditLogCursor = result.cursor;
     
-    const logs = [];
-    const now = new Date();
+    this.displayAuditLogs(this.auditLogs);
     
-    for (let i = 0; i < 20; i++) {
-      const action = actions[Math.floor(Math.random() * actions.length)];
-      const user = users[Math.floor(Math.random() * users.length)];
-      const ip = ips[Math.floor(Math.random() * ips.length)];
-      const timestamp = new Date(now.getTime() - Math.random() * 7 * 24 * 60 * 60 * 1000);
-      
-      logs.push({
-        timestamp: timestamp.toISOString(),
-        user: user,
-        action: action.description,
-        details: action.details,
-        type: action.type,
-        ip: ip
-      });
+    if (moreButton) {
+      moreButton.style.display = result.hasMore ? 'inline-block' : 'none';
     }
-    
-    // Sort by timestamp (newest first)
-    return logs.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
   }
 
   displayAuditLogs(logs) {
     const tableBody = document.getElementById('auditLogsTableBody');
     if (!tableBody) return;
     
+    if (logs.length === 0) {
+      tableBody.innerHTML = `
+        <tr>
+          <td colspan="5" style="padding: 2rem; text-align: center; color: var(--text-light);">
+            No audit logs match these filters.
+          </td>
+        </tr>
+      `;
+      return;
+    }
+    
+    const categoryColors = {
+      authentication: ['#dbeafe', '#1e40af'],
+      data_access: ['#dcfce7', '#166534'],
+      data_modification: ['#fef3c7', '#92400e'],
+      security: ['#fee2e2', '#991b1b'],
+      incident: ['#ffedd5', '#9a3412']
+    };
+    
     tableBody.innerHTML = logs.map(log => {
       const date = new Date(log.timestamp);
       const formattedDate = date.toLocaleString('en-US', {
@@ -719,62 +1064,142 @@ class AdminPanel {
         hour: '2-digit',
         minute: '2-digit'
       });
+      const [background, color] = categoryColors[log.category] || ['#f3e8ff', '#7c3aed'];
       
       return `
         <tr style="border-bottom: 1px solid var(--border);">
           <td style="padding: 0.75rem; font-size: 0.85rem; color: var(--text-light);">${formattedDate}</td>
-          <td style="padding: 0.75rem; font-weight: 500;">${log.user}</td>
+          <td style="padding: 0.75rem; font-weight: 500;">${this.escapeHtml(log.user_email || 'unknown')}</td>
           <td style="padding: 0.75rem;">
             <span style="
               padding: 0.25rem 0.5rem;
               border-radius: 4px;
               font-size: 0.75rem;
               font-weight: 500;
-              background: ${log.type === 'login' ? '#dbeafe' : 
-                         log.type === 'data_change' ? '#fef3c7' : 
-                         log.type === 'export' ? '#dcfce7' : '#f3e8ff'};
-              color: ${log.type === 'login' ? '#1e40af' : 
-                      log.type === 'data_change' ? '#92400e' : 
-                      log.type === 'export' ? '#166534' : '#7c3aed'};
+              background: ${background};
+              color: ${color};
             ">
-              ${log.action}
+              ${this.escapeHtml(log.action)}
             </span>
           </td>
-          <td style="padding: 0.75rem; font-size: 0.9rem; color: var(--text);">${log.details}</td>
-          <td style="padding: 0.75rem; font-size: 0.85rem; color: var(--text-light); font-family: monospace;">${log.ip}</td>
+          <td style="padding: 0.75rem; font-size: 0.9rem; color: var(--text);">${this.escapeHtml(log.message || log.category || '')}</td>
+          <td style="padding: 0.75rem; font-size: 0.85rem; color: var(--text-light); font-family: monospace;">${this.escapeHtml(log.ip_address || 'unknown')}</td>
         </tr>
       `;
     }).join('');
   }
 
-  filterAuditLogs(filterType) {
-    let filteredLogs = this.auditLogs;
-    
-    if (filterType !== 'all') {
-      filteredLogs = this.auditLogs.filter(log => log.type === filterType);
-    }
-    
-    this.displayAuditLogs(filteredLogs);
-  }
-
   refreshAuditLogs() {
     this.loadAuditLogsForDisplay();
   }
 
-  exportAuditLogs() {
-    alert('Audit logs exported successfully!\n\nIn production, this would download a CSV file with all audit trail data.');
+  escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = String(value);
+    return div.innerHTML;
+  }
+
+  // Streams straight to disk where the browser supports it, otherwise
+  // collects the chunks into a download
+  async exportAuditLogs(format = 'csv') {
+    const filters = this.getAuditLogFilters();
+    const fileName = `mms-audit-logs-${new Date().toISOString().split('T')[0]}.${format}`;
+    const type = format === 'json' ? 'application/json' : 'text/csv';
+    let result;
+    
+    if (window.showSaveFilePicker) {
+      let handle;
+      try {
+        handle = await window.showSaveFilePicker({ suggestedName: fileName });
+      } catch {
+        return; // Save dialog cancelled
+      }
+      
+      const writable = await handle.createWritable();
+      result = await window.mmsDB.exportAuditLogs(filters, format, chunk => writable.write(chunk));
+      await writable.close();
+    } else {
+      const parts = [];
+      result = await window.mmsDB.exportAuditLogs(filters, format, chunk => { parts.push(chunk); });
+      
+      if (result.success) {
+        const url = URL.createObjectURL(new Blob(parts, { type }));
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+      }
+    }
+    
+    if (!result.success) {
+      alert(`Export failed: ${result.error}`);
+      return;
+    }
     
     // Log admin action
-    this.logAdminAction('audit_logs_exported', {});
+    this.logAdminAction('audit_logs_exported', { format, rows: result.rows });
   }
 
-  clearAuditLogs() {
-    if (confirm('Are you sure you want to clear audit logs older than 30 days?\n\nThis action cannot be undone.')) {
-      alert('Old audit logs cleared successfully!\n\nIn production, this would remove logs older than the retention period.');
-      
-      // Log admin action
-      this.logAdminAction('audit_logs_cleared', {});
+  async verifyAuditChain() {
+    const result = await window.mmsDB.verifyAuditChain();
+    
+    if (!result.success) {
+      alert(`Audit trail verification failed: ${result.error}`);
+      return;
+    }
+    
+    this.logAdminAction('audit_chain_verified', {
+      valid: result.valid,
+      checked: result.checked,
+      issues: result.issues.length
+    });
+    
+    if (result.valid) {
+      alert(`✅ Audit trail intact\n\n${result.checked} entries in ${result.chains} chain(s) checked. Every entry matches its hash and links to the one before it.`);
+      return;
+    }
+    
+    const shown = result.issues.slice(0, 10).map(issue => `• ${issue.message}`).join('\n');
+    const more = result.issues.length > 10 ? `\n…and ${result.issues.length - 10} more` : '';
+    alert(`🚨 Audit trail has been tampered with\n\n${result.issues.length} problem(s) found in ${result.checked} entries:\n\n${shown}${more}`);
+  }
+
+  // Old audit entries are moved to verifiable archive files, one per chain
+  async archiveAuditLogs() {
+    if (!await window.mmsMFA.requireStepUp('Archive audit logs')) {
+      return;
     }
+    
+    if (!confirm('Archive audit logs older than 30 days?\n\nThe entries are copied to fingerprinted archive files (one per site chain) and then removed from the live audit trail.')) {
+      return;
+    }
+    
+    const result = await window.mmsDB.archiveAuditLogs({ olderThanDays: 30 });
+    
+    if (!result.success) {
+      alert(`Archiving failed: ${result.error}`);
+      return;
+    }
+    
+    result.archives.forEach(archive => {
+      const blob = new Blob([JSON.stringify(archive, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `mms-audit-archive-${archive.chain}-${archive.from_sequence}-${archive.to_sequence}.json`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    });
+    
+    alert(result.message);
+    
+    // Log admin action
+    this.logAdminAction('audit_logs_archived', { archived: result.archived });
   }
 
   async backupData() {
@@ -783,108 +1208,288 @@ class AdminPanel {
       return;
     }
     
-    const confirmed = confirm('Create a complete system backup?\n\nThis will export all safety data to a secure backup file.');
-    
-    if (confirmed) {
-      // Show backup progress
-      const backupModal = document.createElement('div');
-      backupModal.style.cssText = `
-        position: fixed;
-        top: 0;
-        left: 0;
-        width: 100%;
-        height: 100%;
-        background: rgba(0,0,0,0.8);
-        display: flex;
-        align-items: center;
-        justify-content: center;
-        z-index: 10000;
-      `;
-      
-      backupModal.innerHTML = `
-        <div style="background: white; padding: 2rem; border-radius: 15px; text-align: center; max-width: 400px; width: 90%;">
-          <div style="font-size: 3rem; margin-bottom: 1rem;">💾</div>
-          <h3 style="color: #1e293b; margin-bottom: 0.5rem;">Creating Backup</h3>
-          <p style="color: #64748b; margin-bottom: 1.5rem;">Please wait while we secure your data...</p>
-          <div style="width: 100%; height: 6px; background: #e2e8f0; border-radius: 3px; overflow: hidden; margin-bottom: 1rem;">
-            <div id="backupProgress" style="width: 0%; height: 100%; background: #3b82f6; border-radius: 3px; transition: width 0.5s ease;"></div>
-          </div>
+    if (!await window.mmsMFA.requireStepUp('System backup')) {
+      return;
+    }
+    
+    const inputStyle = window.mmsMFA.inputStyle();
+    const options = await window.mmsMFA.openDialog({
+      title: '💾 System Backup',
+      body: `
+        <p style="color: #64748b; margin: 0 0 1rem;">
+          Exports every collection and a manifest of stored files. Set a passphrase to encrypt the backup file - it can't be restored without it.
+        </p>
+        <input type="password" data-field="passphrase" placeholder="Passphrase (optional)" autocomplete="new-password" style="${inputStyle} margin-bottom: 0.75rem;">
+        <input type="password" data-field="confirm" placeholder="Confirm passphrase" autocomplete="new-password" style="${inputStyle} margin-bottom: 0.75rem;">
+        <label style="display: flex; gap: 0.5rem; align-items: center; color: #334155;">
+          <input type="checkbox" data-field="store" checked>
+          Keep a copy in cloud storage
+        </label>
+      `,
+      submitLabel: 'Create Backup',
+      onSubmit: async (fields) => {
+        if (fields.passphrase !== fields.confirm) {
+          return { success: false, error: 'Passphrases do not match' };
+        }
+        if (fields.passphrase && fields.passphrase.length < 12) {
+          return { success: false, error: 'Use at least 12 characters for the passphrase' };
+        }
+        return { success: true, value: fields };
+      }
+    });
+    
+    if (!options) return;
+    
+    // Show backup progress
+    const backupModal = document.createElement('div');
+    backupModal.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      background: rgba(0,0,0,0.8);
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      z-index: 10000;
+    `;
+    
+    backupModal.innerHTML = `
+      <div style="background: white; padding: 2rem; border-radius: 15px; text-align: center; max-width: 400px; width: 90%;">
+        <div style="font-size: 3rem; margin-bottom: 1rem;">💾</div>
+        <h3 style="color: #1e293b; margin-bottom: 0.5rem;">Creating Backup</h3>
+        <p id="backupStage" style="color: #64748b; margin-bottom: 1.5rem;">Please wait while we secure your data...</p>
+        <div style="width: 100%; height: 6px; background: #e2e8f0; border-radius: 3px; overflow: hidden; margin-bottom: 1rem;">
+          <div id="backupProgress" style="width: 0%; height: 100%; background: #3b82f6; border-radius: 3px; transition: width 0.5s ease;"></div>
         </div>
-      `;
-      
-      document.body.appendChild(backupModal);
-      
-      // Simulate backup process
-      try {
-        for (let i = 0; i <= 100; i += 10) {
-          await new Promise(resolve => setTimeout(resolve, 300));
-          const progressBar = document.getElementById('backupProgress');
-          if (progressBar) {
-            progressBar.style.width = `${i}%`;
-          }
+      </div>
+    `;
+    
+    document.body.appendChild(backupModal);
+    
+    const result = await mmsBackup.runBackup({
+      passphrase: options.passphrase || null,
+      store: options.store,
+      onProgress: ({ stage, name, done, total }) => {
+        const progressBar = document.getElementById('backupProgress');
+        const stageText = document.getElementById('backupStage');
+        if (progressBar) progressBar.style.width = `${Math.round((done / total) * 100)}%`;
+        if (stageText && name) {
+          stageText.textContent = stage === 'storage' ? `Listing files in ${name}...` : `Exporting ${name}...`;
         }
-        
-        backupModal.remove();
-        
-        // Create and download backup file
-        this.createBackupFile();
-        
-        // Update backup status
-        this.backupStatus.lastBackup = new Date().toISOString();
-        this.updateBackupStatus();
-        
-        // Show success message
-        this.showToast('Backup created successfully!', 'success');
-        
-        // Log admin action
-        this.logAdminAction('system_backup_created', {});
-        
-      } catch (error) {
-        backupModal.remove();
-        alert('Backup failed: ' + error.message);
-        
-        // Log failure
-        this.logAdminAction('system_backup_failed', { error: error.message });
       }
+    });
+    
+    backupModal.remove();
+    
+    if (!result.success) {
+      alert('Backup failed: ' + result.error);
+      
+      // Log failure
+      this.logAdminAction('system_backup_failed', { error: result.error });
+      return;
     }
-  }
-
-  createBackupFile() {
-    // Gather all data
-    const backupData = {
-      metadata: {
-        backupDate: new Date().toISOString(),
-        system: 'MMS Safety Management',
-        version: '1.0.0',
-        createdBy: window.mmsAuth?.getUserInfo()?.email || 'admin'
-      },
-      data: {
-        incidents: JSON.parse(localStorage.getItem('mmsIncidents') || '[]'),
-        healthRecords: JSON.parse(localStorage.getItem('mmsHealthRecords') || '[]'),
-        ppeItems: JSON.parse(localStorage.getItem('mmsPPEItems') || '[]'),
-        training: JSON.parse(localStorage.getItem('mmsTraining') || '[]'),
-        audits: JSON.parse(localStorage.getItem('mmsAudits') || '[]'),
-        contractors: JSON.parse(localStorage.getItem('mmsContractors') || '[]'),
-        standards: JSON.parse(localStorage.getItem('mmsStandards') || '[]'),
-        settings: JSON.parse(localStorage.getItem('mmsSettings') || '{}')
-      }
-    };
     
-    // Convert to JSON
-    const backupJSON = JSON.stringify(backupData, null, 2);
+    // Create and download backup file
+    this.createBackupFile(result.fileContents, Boolean(options.passphrase));
     
-    // Create download link
-    const blob = new Blob([backupJSON], { type: 'application/json' });
+    // Update backup status
+    this.backupStatus.lastBackup = result.archive.created_at;
+    this.updateBackupStatus();
+    document.getElementById('backupReminder')?.remove();
+    
+    const records = Object.values(result.archive.counts).reduce((sum, count) => sum + count, 0);
+    const missing = Object.keys(result.archive.collection_errors || {});
+    if (missing.length > 0) {
+      this.showToast(`Backup created: ${records} records, but ${missing.length} collection(s) could not be read: ${missing.join(', ')}`, 'error');
+    } else {
+      this.showToast(`Backup created: ${records} records${result.stored ? ', copy saved to cloud' : ''}`, 'success');
+    }
+    
+    // Log admin action
+    this.logAdminAction('system_backup_created', { records, encrypted: Boolean(options.passphrase) });
+  }
+
+  createBackupFile(fileContents, encrypted) {
+    const blob = new Blob([fileContents], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `mms-safety-backup-${new Date().toISOString().split('T')[0]}.json`;
+    a.download = `mms-safety-backup-${new Date().toISOString().split('T')[0]}${encrypted ? '.encrypted' : ''}.json`;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
     URL.revokeObjectURL(url);
   }
 
+  // Restore: pick a file or stored backup, review the dry-run diff, then
+  // restore the selected collections
+  async restoreBackup() {
+    if (!this.checkAdminAccess()) {
+      alert('Only administrators can restore backups.');
+      return;
+    }
+    
+    if (!await window.mmsMFA.requireStepUp('Restore from backup')) {
+      return;
+    }
+    
+    let storedBackups = [];
+    try {
+      storedBackups = await mmsBackup.listStoredBackups();
+    } catch (error) {
+      console.warn('⚠️ Could not list stored backups:', error);
+    }
+    
+    const fieldStyle = 'padding: 0.5rem; border: 1px solid var(--border); border-radius: 6px;';
+    const modal = document.createElement('div');
+    modal.id = 'restoreModal';
+    modal.className = 'modal';
+    modal.innerHTML = `
+      <div class="modal-content" style="max-width: 800px;">
+        <button class="close-modal" onclick="document.getElementById('restoreModal').remove()">×</button>
+        <div class="modal-header">
+          <h2>Restore from Backup</h2>
+          <p>Records in the backup are created or overwritten. Nothing is deleted.</p>
+        </div>
+        
+        <div style="display: grid; gap: 0.75rem; margin-bottom: 1.5rem;">
+          <label>Backup file
+            <input type="file" id="restoreFile" accept=".json,application/json" style="${fieldStyle} width: 100%;">
+          </label>
+          <label>…or a stored backup
+            <select id="restoreStored" style="${fieldStyle} width: 100%;">
+              <option value="">—</option>
+              ${storedBackups.map(backup => `
+                <option value="${backup.storage_path}">
+                  ${new Date(backup.created_at).toLocaleString()} · ${backup.trigger}${backup.encrypted ? ' · 🔒' : ''} · ${this.escapeHtml(backup.created_by)}
+                </option>
+              `).join('')}
+            </select>
+          </label>
+          <label>Passphrase (encrypted backups only)
+            <input type="password" id="restorePassphrase" autocomplete="off" style="${fieldStyle} width: 100%;">
+          </label>
+          <div>
+            <button class="btn btn-primary" onclick="adminPanel.compareBackup()">Load & Compare</button>
+          </div>
+        </div>
+        
+        <div id="restoreDiff"></div>
+        
+        <div class="action-buttons">
+          <button class="btn btn-outline" onclick="document.getElementById('restoreModal').remove()">Close</button>
+          <button class="btn btn-danger" id="restoreApply" style="display: none;" onclick="adminPanel.applyRestore()">Restore Selected</button>
+        </div>
+      </div>
+    `;
+    
+    document.body.appendChild(modal);
+    modal.style.display = 'block';
+  }
+
+  async compareBackup() {
+    const diffContainer = document.getElementById('restoreDiff');
+    const applyButton = document.getElementById('restoreApply');
+    const file = document.getElementById('restoreFile').files[0];
+    const storedPath = document.getElementById('restoreStored').value;
+    const passphrase = document.getElementById('restorePassphrase').value;
+    
+    applyButton.style.display = 'none';
+    this.restoreArchive = null;
+    diffContainer.innerHTML = '<p style="color: var(--text-light);">Reading backup and comparing with the database...</p>';
+    
+    try {
+      const text = file ? await file.text() : storedPath ? await mmsBackup.downloadStoredBackup(storedPath) : null;
+      if (!text) {
+        diffContainer.innerHTML = '<p style="color: var(--error);">Choose a backup file or a stored backup.</p>';
+        return;
+      }
+      
+      const archive = await mmsBackup.readArchive(text, passphrase || null);
+      const diff = await mmsBackup.diffArchive(archive);
+      this.restoreArchive = archive;
+      
+      const cell = 'padding: 0.5rem; border-bottom: 1px solid var(--border);';
+      diffContainer.innerHTML = `
+        <p style="margin-bottom: 0.75rem;">
+          Backup from <strong>${new Date(archive.created_at).toLocaleString()}</strong> by ${this.escapeHtml(archive.created_by)} · fingerprint verified ✅
+        </p>
+        <div style="background: white; border: 1px solid var(--border); border-radius: 8px; overflow: auto; max-height: 360px;">
+          <table style="width: 100%; border-collapse: collapse; font-size: 0.9rem;">
+            <thead>
+              <tr style="background: var(--background); text-align: left;">
+                <th style="${cell}"></th>
+                <th style="${cell}">Collection</th>
+                <th style="${cell}">New</th>
+                <th style="${cell}">Changed</th>
+                <th style="${cell}">Same</th>
+                <th style="${cell}">Only in database</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${Object.entries(diff).map(([name, entry]) => `
+                <tr>
+                  <td style="${cell}">
+                    <input type="checkbox" name="restoreCollection" value="${name}"
+                      ${entry.restorable ? '' : 'disabled'}
+                      ${entry.restorable && (entry.create.length || entry.update.length) ? 'checked' : ''}>
+                  </td>
+                  <td style="${cell}">
+                    ${name}
+                    ${entry.restorable ? '' : '<br><small style="color: var(--text-light);">Append-only - export only</small>'}
+                    ${entry.skipped.length ? `<br><small style="color: var(--text-light);">${entry.skipped.length} existing record(s) kept</small>` : ''}
+                  </td>
+                  <td style="${cell}">${entry.create.length}</td>
+                  <td style="${cell}">${entry.update.length}</td>
+                  <td style="${cell}">${entry.unchanged}</td>
+                  <td style="${cell}">${entry.only_in_database}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+      `;
+      
+      applyButton.style.display = 'inline-block';
+      
+    } catch (error) {
+      diffContainer.innerHTML = `<p style="color: var(--error);">${this.escapeHtml(error.message)}</p>`;
+    }
+  }
+
+  async applyRestore() {
+    if (!this.restoreArchive) return;
+    
+    const collections = [...document.querySelectorAll('input[name="restoreCollection"]:checked')]
+      .map(input => input.value);
+    
+    if (collections.length === 0) {
+      alert('Select at least one collection to restore.');
+      return;
+    }
+    
+    if (!confirm(`Restore ${collections.join(', ')}?\n\nChanged records are overwritten with the backup version.`)) {
+      return;
+    }
+    
+    const result = await mmsBackup.restoreArchive(this.restoreArchive, collections);
+    
+    if (!result.success) {
+      alert(`Restore failed: ${result.error}`);
+      return;
+    }
+    
+    const written = Object.values(result.written).reduce((sum, count) => sum + count, 0);
+    document.getElementById('restoreModal')?.remove();
+    this.restoreArchive = null;
+    this.showToast(`Restore complete: ${written} record(s) written`, 'success');
+    
+    // Log admin action
+    this.logAdminAction('system_restored', { collections, written });
+  }
+
   async loadSystemStats() {
     try {
       // Simulate loading system statistics
@@ -909,27 +1514,31 @@ class AdminPanel {
   }
 
   setupBackupSchedule() {
-    // Setup automatic backup reminder
-    const now = new Date();
-    const nextBackup = new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000); // 7 days from now
-    this.backupStatus.nextBackup = nextBackup.toISOString();
-    
-    // Check if backup is due
+    // Check now, then hourly while the app stays open
     this.checkBackupDue();
+    setInterval(() => this.checkBackupDue(), 60 * 60 * 1000);
   }
 
-  checkBackupDue() {
-    const lastBackup = this.backupStatus.lastBackup;
-    if (!lastBackup) {
-      // Never backed up
-      this.showBackupReminder();
-      return;
-    }
-    
-    const lastBackupDate = new Date(lastBackup);
-    const daysSinceBackup = Math.floor((new Date() - lastBackupDate) / (1000 * 60 * 60 * 24));
-    
-    if (daysSinceBackup >= 7) {
+  // Performs the backup when it's due; the reminder is only a fallback for
+  // when the scheduled run fails
+  async checkBackupDue() {
+    try {
+      const result = await mmsBackup.runScheduledBackupIfDue();
+      
+      if (result.due && !result.success) {
+        console.error('❌ Scheduled backup failed:', result.error);
+        this.showBackupReminder();
+        return;
+      }
+      
+      this.backupStatus.lastBackup = result.due ? result.archive.created_at : result.lastBackup;
+      this.updateBackupStatus();
+      
+      if (result.due) {
+        this.showToast('Scheduled backup saved to cloud storage', 'success');
+      }
+    } catch (error) {
+      console.error('❌ Backup schedule check failed:', error);
       this.showBackupReminder();
     }
   }
@@ -937,6 +1546,7 @@ class AdminPanel {
   showBackupReminder() {
     // Only show to admins
     if (!this.checkAdminAccess()) return;
+    if (document.getElementById('backupReminder')) return;
     
     const reminder = document.createElement('div');
     reminder.id = 'backupReminder';
@@ -982,6 +1592,11 @@ class AdminPanel {
   }
 
   updateBackupStatus() {
+    if (this.backupStatus.lastBackup) {
+      const intervalMs = mmsBackup.getScheduleDays() * 24 * 60 * 60 * 1000;
+      this.backupStatus.nextBackup = new Date(new Date(this.backupStatus.lastBackup).getTime() + intervalMs).toISOString();
+    }
+    
     // Update UI with backup status
     console.log('Backup status updated:', this.backupStatus);
   }
@@ -152,6 +152,30 @@ class MMSAuditLogger {
     });
   }
 
+  // Account lockout, password expiry and password changes
+  async logPasswordEvent(action, details = {}) {
+    const levels = {
+      account_locked: this.AUDIT_LEVELS.HIGH,
+      login_blocked_locked: this.AUDIT_LEVELS.HIGH,
+      password_change_failed: this.AUDIT_LEVELS.MEDIUM,
+      password_change_rejected: this.AUDIT_LEVELS.MEDIUM,
+      password_history_failed: this.AUDIT_LEVELS.MEDIUM,
+      password_changed: this.AUDIT_LEVELS.MEDIUM,
+      password_expired: this.AUDIT_LEVELS.MEDIUM
+    };
+    
+    return this.log({
+      level: levels[action] ?? this.AUDIT_LEVELS.INFO,
+      category: this.AUDIT_CATEGORIES.AUTHENTICATION,
+      action: action,
+      message: `Password policy: ${action.replace(/_/g, ' ')}`,
+      details: {
+        event_time: new Date().toISOString(),
+        ...details
+      }
+    });
+  }
+
   async logDataAccess(collection, documentId, action) {
     return this.log({
       level: this.AUDIT_LEVELS.LOW,
@@ -337,7 +361,11 @@ class MMSAuditLogger {
     
     try {
       for (const log of logs) {
-        await window.mmsDB.logAction('audit_log', log);
+        await window.mmsDB.logAction(log.action, log, {
+          level: log.level,
+          category: log.category,
+          message: log.message
+        });
       }
       return true;
     } catch (error) {
@@ -412,6 +440,17 @@ class MMSAuditLogger {
       logs: []
     };
     
+    // Admins report on the stored audit trail; otherwise only this
+    // browser's unsent buffer is available
+    if (window.mmsDB && window.mmsAuth?.hasPermission('canAccessAuditLogs')) {
+      report.source = 'server';
+      report.logs = await this.fetchServerLogs(options);
+      report.summary = this.summarizeLogs(report.logs);
+      return report;
+    }
+    
+    report.source = 'local';
+    
     // Filter logs based on options
     let filteredLogs = [...this.localLogBuffer];
     
@@ -438,16 +477,7 @@ class MMSAuditLogger {
     }
     
     // Generate summary
-    report.summary = {
-      total_logs: filteredLogs.length,
-      by_level: this.groupBy(filteredLogs, 'level'),
-      by_category: this.groupBy(filteredLogs, 'category'),
-      by_user: this.groupBy(filteredLogs, 'user_email'),
-      time_range: {
-        earliest: filteredLogs[0]?.timestamp,
-        latest: filteredLogs[filteredLogs.length - 1]?.timestamp
-      }
-    };
+    report.summary = this.summarizeLogs(filteredLogs);
     
     // Add logs (limited for performance)
     report.logs = filteredLogs.slice(-options.limit || 100);
@@ -455,6 +485,39 @@ class MMSAuditLogger {
     return report;
   }
 
+  // Oldest-first entries from audit_logs matching the report options
+  async fetchServerLogs(options = {}) {
+    const maxLogs = options.limit || 100;
+    const logs = [];
+    let cursor = null;
+    
+    do {
+      const page = await window.mmsDB.queryAuditLogs(options, {
+        pageSize: Math.min(maxLogs - logs.length, 500),
+        cursor
+      });
+      if (!page.success) throw new Error(page.error);
+      
+      logs.push(...page.data);
+      cursor = page.hasMore ? page.cursor : null;
+    } while (cursor && logs.length < maxLogs);
+    
+    return logs.reverse();
+  }
+
+  summarizeLogs(logs) {
+    return {
+      total_logs: logs.length,
+      by_level: this.groupBy(logs, 'level'),
+      by_category: this.groupBy(logs, 'category'),
+      by_user: this.groupBy(logs, 'user_email'),
+      time_range: {
+        earliest: logs[0]?.timestamp,
+        latest: logs[logs.length - 1]?.timestamp
+      }
+    };
+  }
+
   groupBy(array, key) {
     return array.reduce((groups, item) => {
       const value = item[key];
@@ -466,6 +529,7 @@ class MMSAuditLogger {
 
 // Initialize and export
 const mmsAuditLogger = new MMSAuditLogger();
+window.mmsAuditLogger = mmsAuditLogger;
 
 // Global logging functions
 window.logSecurityEvent = async (event, details) => {
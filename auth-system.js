@@ -1,17 +1,71 @@
 // Production Authentication System - MMS Safety
-import { auth, analytics } from './firebase-config.js';
+import { auth, db, analytics } from './firebase-config.js';
 import { 
   signInWithEmailAndPassword,
   signOut,
-  onAuthStateChanged
+  onAuthStateChanged,
+  updatePassword
 } from "https://www.gstatic.com/firebasejs/9.22.0/firebase-auth.js";
+import {
+  doc,
+  getDoc
+} from "https://www.gstatic.com/firebasejs/9.22.0/firebase-firestore.js";
+import { mmsMFA } from './mfa-service.js';
+import { mmsSecurity } from './security-policy.js';
+import { mmsEncryption } from './encryption-service.js';
 
 class MMSAuthSystem {
   constructor() {
     this.currentUser = null;
     this.userRole = 'guest';
     this.userLocation = 'unknown';
+    this.userSites = [];
+    this.userProfile = null;
     this.permissionFlags = {};
+    
+    this.USERS_COLLECTION = 'users';
+    
+    // Firebase error codes that count towards the lockout threshold
+    this.CREDENTIAL_ERRORS = [
+      'auth/wrong-password',
+      'auth/user-not-found',
+      'auth/invalid-login-credentials',
+      'auth/invalid-credential'
+    ];
+    
+    // Role hierarchy: a role sees UI marked data-permission="<role>" for
+    // its own level and every level below it.
+    // siteScope limits which MMS locations the role's data queries cover:
+    //   all      - every location
+    //   country  - every location in the user's country, plus assigned sites
+    //   assigned - only the site codes assigned to the user
+    this.ROLES = {
+      admin: { level: 5, label: '👑 Administrator', color: '#dc2626', siteScope: 'all' },
+      safety_officer: { level: 4, label: '🛡️ Safety Officer', color: '#3b82f6', siteScope: 'assigned' },
+      regional_manager: { level: 3, label: '🌍 Regional Manager', color: '#8b5cf6', siteScope: 'country' },
+      manager: { level: 2, label: '📊 Manager', color: '#10b981', siteScope: 'assigned' },
+      employee: { level: 1, label: '👤 Employee', color: '#6b7280', siteScope: 'assigned' },
+      guest: { level: 0, label: '👥 Guest', color: '#94a3b8', siteScope: 'assigned' }
+    };
+    
+    // Permission matrix - which roles hold each permission flag.
+    // Keep in sync with the role checks in firebase-security-rules.txt.
+    this.PERMISSION_MATRIX = {
+      canReportIncidents: ['admin', 'safety_officer', 'regional_manager', 'manager', 'employee'],
+      canEditIncidents: ['admin', 'safety_officer', 'regional_manager', 'manager'],
+      canDeleteRecords: ['admin', 'safety_officer'],
+      canViewHealthRecords: ['admin', 'safety_officer', 'regional_manager', 'manager'],
+      canManageEmployees: ['admin', 'safety_officer'],
+      canManageUsers: ['admin'],
+      canMigrateData: ['admin'],
+      canAccessAuditLogs: ['admin'],
+      canBackupSystem: ['admin'],
+      canExportData: ['admin', 'safety_officer', 'regional_manager', 'manager'],
+      canViewReports: ['admin', 'safety_officer', 'regional_manager', 'manager'],
+      canManageStandards: ['admin', 'safety_officer'],
+      canManageEncryptionKeys: ['admin']
+    };
+    
     this.init();
   }
 
@@ -19,16 +73,47 @@ class MMSAuthSystem {
     console.log('🔐 MMS Auth System Initializing...');
     
     // Track auth state changes
-    onAuthStateChanged(auth, (user) => {
+    onAuthStateChanged(auth, async (user) => {
       if (user) {
         this.currentUser = user;
-        this.analyzeUserProfile(user);
+        const allowed = await this.loadUserProfile(user);
+        if (!allowed) {
+          await this.logout();
+          return;
+        }
+        
+        // Roles that require a second factor must have one enrolled;
+        // Firebase checks the code itself at sign-in
+        const verified = await mmsMFA.completeSignIn(user, this.userRole);
+        if (!verified) {
+          console.warn(`⛔ Two-factor enrolment not completed for ${user.email}`);
+          await this.logout();
+          return;
+        }
+        
+        // Expired passwords must be changed before entering the app
+        const expiry = await mmsSecurity.getPasswordExpiry(user);
+        if (expiry.expired) {
+          window.mmsAuditLogger?.logPasswordEvent('password_expired', { email: user.email, changed_at: expiry.changedAt });
+          const changed = await this.showChangePasswordDialog({ mandatory: true });
+          if (!changed) {
+            await this.logout();
+            return;
+          }
+        }
+        
         console.log(`✅ Authenticated: ${user.email}`);
         this.showApplication();
         this.trackLogin('success');
       } else {
         this.currentUser = null;
         this.userRole = 'guest';
+        this.userLocation = 'unknown';
+        this.userSites = [];
+        this.userProfile = null;
+        this.setPermissionFlags();
+        mmsMFA.clearSession();
+        mmsEncryption.lock();
         console.log('⚠️ User logged out');
         this.showLogin();
         this.trackLogin('logout');
@@ -36,55 +121,75 @@ class MMSAuthSystem {
     });
   }
 
-  analyzeUserProfile(user) {
-    const email = user.email.toLowerCase();
-    
-    // Extract role from email
-    if (email.includes('admin') || email.includes('administrator')) {
-      this.userRole = 'admin';
-    } else if (email.includes('safety') || email.includes('officer')) {
-      this.userRole = 'safety_officer';
-    } else if (email.includes('manager') || email.includes('supervisor')) {
-      this.userRole = 'manager';
-    } else if (email.includes('employee') || email.includes('staff')) {
-      this.userRole = 'employee';
-    } else {
-      this.userRole = 'employee'; // Default role
+  // Role and sites come from the ID token's custom claims (set server-side
+  // with the Admin SDK, and what the security rules check) with the
+  // users/{uid} profile document filling in anything the claims don't carry.
+  // Resolves false if the account must not sign in.
+  async loadUserProfile(user) {
+    let claims = {};
+    let profile = {};
+    
+    try {
+      const tokenResult = await user.getIdTokenResult();
+      claims = tokenResult.claims || {};
+    } catch (error) {
+      console.warn('⚠️ Could not read token claims:', error);
     }
     
-    // Extract location from email
-    if (email.includes('za') || email.includes('southafrica') || email.includes('sa')) {
-      this.userLocation = 'South Africa';
-    } else if (email.includes('tz') || email.includes('tanzania')) {
-      this.userLocation = 'Tanzania';
-    } else if (email.includes('zm') || email.includes('zambia')) {
-      this.userLocation = 'Zambia';
-    } else if (email.includes('na') || email.includes('namibia')) {
-      this.userLocation = 'Namibia';
-    } else {
-      this.userLocation = 'Unknown';
+    try {
+      const snapshot = await getDoc(doc(db, this.USERS_COLLECTION, user.uid));
+      if (snapshot.exists()) {
+        profile = snapshot.data();
+      } else {
+        console.warn(`⚠️ No user profile for ${user.email} - using least-privilege defaults`);
+      }
+    } catch (error) {
+      // Without the profile we can't tell the real role or whether the
+      // account is deactivated, so don't guess
+      console.error('❌ Could not load user profile:', error);
+      window.showError?.('Your user profile could not be loaded. Check your connection and sign in again.');
+      return false;
     }
     
-    // Set permission flags
+    if (profile.status === 'disabled' || profile.status === 'deactivated') {
+      console.warn(`⛔ Account ${user.email} is ${profile.status}`);
+      window.showError?.('This account has been deactivated. Contact your administrator.');
+      return false;
+    }
+    
+    const role = claims.role || profile.role;
+    this.userRole = this.ROLES[role] ? role : 'employee';
+    this.userSites = claims.sites || profile.sites || [];
+    this.userLocation = claims.country || profile.country || 'Unknown';
+    this.userProfile = {
+      name: profile.name || user.displayName || user.email,
+      department: profile.department || '',
+      employee_id: profile.employee_id || null,
+      status: profile.status || 'active'
+    };
+    
     this.setPermissionFlags();
     
-    console.log(`📍 User ${email} identified as ${this.userRole} from ${this.userLocation}`);
+    // Keep this user's role directory entry (used to address approvers) current
+    window.mmsDB?.syncDirectoryEntry(user.uid, {
+      role: claims.role || profile.role,
+      sites: this.userSites,
+      country: claims.country || profile.country,
+      status: this.userProfile.status
+    });
+    
+    console.log(`📍 User ${user.email} loaded as ${this.userRole} (${this.userLocation}, sites: ${this.userSites.join(', ') || 'none'})`);
+    return true;
   }
 
+  // Flags come from PERMISSION_MATRIX for the current role only - the
+  // security rules check roles, so per-user exceptions would show UI whose
+  // writes are rejected (or hide UI the rules still allow)
   setPermissionFlags() {
-    this.permissionFlags = {
-      canReportIncidents: ['admin', 'safety_officer', 'manager', 'employee'].includes(this.userRole),
-      canEditIncidents: ['admin', 'safety_officer', 'manager'].includes(this.userRole),
-      canDeleteRecords: ['admin', 'safety_officer'].includes(this.userRole),
-      canViewHealthRecords: ['admin', 'safety_officer', 'manager'].includes(this.userRole),
-      canManageUsers: this.userRole === 'admin',
-      canMigrateData: this.userRole === 'admin',
-      canAccessAuditLogs: this.userRole === 'admin',
-      canBackupSystem: this.userRole === 'admin',
-      canExportData: ['admin', 'safety_officer', 'manager'].includes(this.userRole),
-      canViewReports: ['admin', 'safety_officer', 'manager'].includes(this.userRole),
-      canManageStandards: ['admin', 'safety_officer'].includes(this.userRole)
-    };
+    this.permissionFlags = Object.entries(this.PERMISSION_MATRIX).reduce((flags, [permission, roles]) => {
+      flags[permission] = roles.includes(this.userRole);
+      return flags;
+    }, {});
   }
 
   async login(email, password) {
@@ -100,9 +205,33 @@ class MMSAuthSystem {
         throw new Error('VALIDATION: Password too short');
       }
       
-      // Firebase authentication
-      const userCredential = await signInWithEmailAndPassword(auth, email, password);
+      const lockout = await mmsSecurity.getLockoutStatus(email);
+      if (lockout.locked) {
+        window.mmsAuditLogger?.logPasswordEvent('login_blocked_locked', { email: email, locked_until: lockout.lockedUntil });
+        return {
+          success: false,
+          error: `Account locked after too many failed attempts. Try again in ${lockout.minutesRemaining} minute(s).`,
+          code: 'mms/account-locked'
+        };
+      }
       
+      // Firebase authentication - accounts with an authenticator enrolled
+      // are paused until the code is entered
+      let userCredential;
+      try {
+        userCredential = await signInWithEmailAndPassword(auth, email, password);
+      } catch (error) {
+        if (error.code !== 'auth/multi-factor-auth-required') throw error;
+        
+        userCredential = await mmsMFA.resolveSignIn(error);
+        if (!userCredential) {
+          window.mmsAuditLogger?.logLogin(false, { email: email, reason: 'mfa_not_verified' });
+          return { success: false, error: 'Two-factor verification was not completed', code: 'mms/mfa-not-verified' };
+        }
+      }
+      
+      await mmsSecurity.clearFailedAttempts(email);
+      window.mmsAuditLogger?.logLogin(true, { email: email });
       console.log(`🎯 Login successful: ${userCredential.user.email}`);
       
       return {
@@ -128,16 +257,152 @@ class MMSAuthSystem {
         'VALIDATION: Password too short': 'Password must be at least 6 characters'
       };
       
+      let message = errorMap[error.code] || errorMap[error.message] || 'Login failed. Check credentials.';
+      
+      if (this.CREDENTIAL_ERRORS.includes(error.code)) {
+        const status = await mmsSecurity.recordFailedAttempt(email);
+        window.mmsAuditLogger?.logLogin(false, { email: email, reason: error.code, attempts: status.attempts });
+        
+        if (status.locked) {
+          window.mmsAuditLogger?.logPasswordEvent('account_locked', { email: email, locked_until: status.lockedUntil });
+          message = `Too many failed attempts. Account locked for ${mmsSecurity.policies.password.lockoutMinutes} minutes.`;
+        } else if (status.remaining <= 2) {
+          message += ` ${status.remaining} attempt(s) left before lockout.`;
+        }
+      } else if (error.code) {
+        window.mmsAuditLogger?.logLogin(false, { email: email, reason: error.code });
+      }
+      
       return {
         success: false,
-        error: errorMap[error.code] || errorMap[error.message] || 'Login failed. Check credentials.',
+        error: message,
         code: error.code
       };
     }
   }
 
+  // Change the signed-in user's password. The new password must satisfy
+  // the security policy and not match any of the last historySize passwords.
+  // code: authenticator code, needed when the account has a factor enrolled
+  async changePassword(currentPassword, newPassword, code) {
+    const user = auth.currentUser;
+    if (!user) {
+      return { success: false, error: 'Not signed in' };
+    }
+    
+    const validation = mmsSecurity.validatePassword(newPassword);
+    if (!validation.valid) {
+      window.mmsAuditLogger?.logPasswordEvent('password_change_rejected', { reason: 'policy', issues: validation.issues });
+      return { success: false, error: validation.issues.join('. ') };
+    }
+    
+    if (newPassword === currentPassword) {
+      return { success: false, error: 'New password must be different from the current one' };
+    }
+    
+    try {
+      await mmsMFA.reauthenticate(user, currentPassword, code);
+    } catch (error) {
+      window.mmsAuditLogger?.logPasswordEvent('password_change_failed', { reason: error.code });
+      return { success: false, error: mmsMFA.describeError(error) };
+    }
+    
+    const history = await mmsSecurity.checkPasswordHistory(user.uid, newPassword);
+    if (history.error) {
+      window.mmsAuditLogger?.logPasswordEvent('password_change_rejected', { reason: 'history_unavailable' });
+      return { success: false, error: history.error };
+    }
+    if (!history.unused) {
+      window.mmsAuditLogger?.logPasswordEvent('password_change_rejected', { reason: 'history' });
+      return {
+        success: false,
+        error: `You can't reuse any of your last ${mmsSecurity.policies.password.historySize} passwords`
+      };
+    }
+    
+    try {
+      await updatePassword(user, newPassword);
+    } catch (error) {
+      console.error('❌ Password change failed:', error);
+      window.mmsAuditLogger?.logPasswordEvent('password_change_failed', { reason: error.code || error.message });
+      return { success: false, error: 'Failed to change password. Please try again.' };
+    }
+    
+    mmsSecurity.logSecurityEvent('password_change', { user: user.email });
+    window.mmsAuditLogger?.logPasswordEvent('password_changed', { email: user.email });
+    console.log(`🔒 Password changed for ${user.email}`);
+    
+    // The new password is already active at this point, so a failed history
+    // write is reported alongside the success rather than as a failure
+    try {
+      await mmsSecurity.addPasswordHistory(user.uid, newPassword);
+    } catch (error) {
+      console.error('❌ Failed to record password history:', error);
+      window.mmsAuditLogger?.logPasswordEvent('password_history_failed', { email: user.email, reason: error.code || error.message });
+      return {
+        success: true,
+        message: 'Password changed successfully',
+        warning: 'Your password was changed, but it could not be added to your password history. ' +
+          'You may be asked to change it again at your next sign-in.'
+      };
+    }
+    
+    return { success: true, message: 'Password changed successfully' };
+  }
+
+  // Resolves true once the password has been changed.
+  // mandatory: shown for an expired password, cancelling signs out.
+  async showChangePasswordDialog({ mandatory = false } = {}) {
+    const policy = mmsSecurity.policies.password;
+    
+    const changed = await mmsMFA.openDialog({
+      title: mandatory ? '🔒 Password Expired' : '🔒 Change Password',
+      body: `
+        <p style="color: #64748b; margin-bottom: 1rem;">
+          ${mandatory ? `Your password is more than ${policy.expiryDays} days old and must be changed. ` : ''}
+          Use at least ${policy.minLength} characters with upper and lower case letters, a number and a symbol.
+          You can't reuse your last ${policy.historySize} passwords.
+        </p>
+        <label style="display: block; font-weight: 600; margin-bottom: 0.5rem;">Current password</label>
+        <input type="password" data-field="current" autocomplete="current-password" style="${mmsMFA.inputStyle()}">
+        ${mmsMFA.codeField(!!auth.currentUser && !!mmsMFA.getEnrolledFactor(auth.currentUser))}
+        <label style="display: block; font-weight: 600; margin: 1rem 0 0.5rem;">New password</label>
+        <input type="password" data-field="password" autocomplete="new-password" style="${mmsMFA.inputStyle()}">
+        <div style="height: 6px; background: #e2e8f0; border-radius: 3px; margin-top: 0.5rem; overflow: hidden;">
+          <div data-strength style="width: 0%; height: 100%; background: #ef4444; transition: width 0.3s;"></div>
+        </div>
+        <label style="display: block; font-weight: 600; margin: 1rem 0 0.5rem;">Confirm new password</label>
+        <input type="password" data-field="confirm" autocomplete="new-password" style="${mmsMFA.inputStyle()}">
+      `,
+      submitLabel: 'Change Password',
+      cancelLabel: mandatory ? 'Sign Out' : 'Cancel',
+      onOpen: (dialog) => {
+        const strengthBar = dialog.querySelector('[data-strength]');
+        dialog.querySelector('[data-field="password"]').addEventListener('input', (event) => {
+          const score = mmsSecurity.calculatePasswordStrength(event.target.value);
+          strengthBar.style.width = `${score}%`;
+          strengthBar.style.background = score >= 70 ? '#10b981' : score >= 40 ? '#f59e0b' : '#ef4444';
+        });
+      },
+      onSubmit: async (fields) => {
+        if (fields.password !== fields.confirm) {
+          return { success: false, error: 'New passwords do not match' };
+        }
+        
+        const result = await this.changePassword(fields.current, fields.password, fields.code);
+        if (result.warning) {
+          alert(`⚠️ ${result.warning}`);
+        }
+        return result.success ? { success: true, value: true } : result;
+      }
+    });
+    
+    return !!changed;
+  }
+
   async logout() {
     try {
+      window.mmsAuditLogger?.logLogout();
       await signOut(auth);
       console.log('🚪 User logged out successfully');
       return { success: true, message: 'Logged out successfully' };
@@ -183,6 +448,22 @@ class MMSAuthSystem {
     
     // Update UI with user info
     this.updateUserInterface();
+    
+    // The admin panel loads before sign-in, so start it once the role is known
+    window.adminPanel?.init();
+    window.correctiveActions?.startOverdueMonitor();
+    window.investigationApprovals?.startApprovalMonitor();
+    window.regulatoryReporting?.startDeadlineMonitor();
+    window.safetyKPIs?.renderDashboardPanel();
+    window.safetyReports?.restoreFromURL();
+    window.reportScheduler?.startScheduler();
+    
+    // Audit entries queued while offline or signed out
+    window.mmsDB?.flushAuditQueue();
+    
+    if (this.hasPermission('canMigrateData')) {
+      window.mmsDB?.buildEmployeeDirectory();
+    }
   }
 
   updateUserInterface() {
@@ -196,15 +477,7 @@ class MMSAuthSystem {
     // Update role display with badge
     const roleElement = document.getElementById('currentUserRole');
     if (roleElement) {
-      const roleNames = {
-        'admin': '👑 Administrator',
-        'safety_officer': '🛡️ Safety Officer', 
-        'manager': '📊 Manager',
-        'employee': '👤 Employee',
-        'guest': '👥 Guest'
-      };
-      
-      const roleText = roleNames[this.userRole] || '👤 User';
+      const roleText = this.ROLES[this.userRole]?.label || '👤 User';
       const locationText = this.userLocation !== 'Unknown' ? ` • ${this.userLocation}` : '';
       roleElement.textContent = `${roleText}${locationText}`;
       roleElement.style.fontWeight = '600';
@@ -219,14 +492,7 @@ class MMSAuthSystem {
   }
 
   getRoleColor(role) {
-    const colors = {
-      'admin': '#dc2626',
-      'safety_officer': '#3b82f6', 
-      'manager': '#10b981',
-      'employee': '#6b7280',
-      'guest': '#94a3b8'
-    };
-    return colors[role] || '#6b7280';
+    return this.ROLES[role]?.color || '#6b7280';
   }
 
   applyRolePermissions() {
@@ -239,52 +505,20 @@ class MMSAuthSystem {
       el.classList.add('permission-hidden');
     });
     
-    // Show elements based on role
-    switch(this.userRole) {
-      case 'admin':
-        // Admin sees everything
-        document.querySelectorAll('[data-permission="admin"], [data-permission="safety_officer"], [data-permission="manager"], [data-permission="employee"]')
-          .forEach(el => {
-            el.style.display = 'block';
-            el.classList.remove('permission-hidden');
-          });
-        break;
-        
-      case 'safety_officer':
-        // Safety officers see their content + manager + employee
-        document.querySelectorAll('[data-permission="safety_officer"], [data-permission="manager"], [data-permission="employee"]')
-          .forEach(el => {
-            el.style.display = 'block';
-            el.classList.remove('permission-hidden');
-          });
-        break;
-        
-      case 'manager':
-        // Managers see their content + employee
-        document.querySelectorAll('[data-permission="manager"], [data-permission="employee"]')
-          .forEach(el => {
-            el.style.display = 'block';
-            el.classList.remove('permission-hidden');
-          });
-        break;
-        
-      case 'employee':
-        // Employees see only their content
-        document.querySelectorAll('[data-permission="employee"]')
-          .forEach(el => {
-            el.style.display = 'block';
-            el.classList.remove('permission-hidden');
-          });
-        break;
-        
-      default:
-        // Guest sees nothing special
-        document.querySelectorAll('[data-permission="guest"]')
-          .forEach(el => {
-            el.style.display = 'block';
-            el.classList.remove('permission-hidden');
-          });
-    }
+    // Show elements for this role and every role below it in the hierarchy.
+    // Guests only see guest content.
+    const userLevel = this.ROLES[this.userRole]?.level || 0;
+    allPermissionElements.forEach(el => {
+      const requiredRole = this.ROLES[el.dataset.permission];
+      const visible = this.userRole === 'guest'
+        ? el.dataset.permission === 'guest'
+        : requiredRole && requiredRole.level > 0 && requiredRole.level <= userLevel;
+      
+      if (visible) {
+        el.style.display = 'block';
+        el.classList.remove('permission-hidden');
+      }
+    });
     
     // Also update feature permissions (disable/enable buttons)
     this.updateFeaturePermissions();
@@ -324,22 +558,33 @@ class MMSAuthSystem {
       }
     });
     
-    // Show/hide admin controls
-    const adminControls = document.querySelectorAll('[data-permission="admin"]');
-    adminControls.forEach(control => {
-      if (this.userRole !== 'admin') {
-        control.style.display = 'none';
+    // Elements can also require a specific flag: data-requires="canManageUsers"
+    document.querySelectorAll('[data-requires]').forEach(el => {
+      if (!this.hasPermission(el.dataset.requires)) {
+        el.style.display = 'none';
+        el.classList.add('permission-hidden');
       }
     });
   }
 
   updateLocationData() {
-    // Highlight current location in dropdowns
+    // Only offer the locations this user can access in location dropdowns
+    const allowed = window.mmsDB?.getAllowedLocations?.() ?? null;
     const locationSelects = document.querySelectorAll('select[data-location]');
     locationSelects.forEach(select => {
-      // Could pre-select user's location in future
-      console.log(`📍 User location: ${this.userLocation}`);
+      select.querySelectorAll('option').forEach(option => {
+        if (!option.value) return;
+        const visible = !allowed || allowed.includes(option.value);
+        option.hidden = !visible;
+        option.disabled = !visible;
+      });
+      
+      if (allowed && allowed.length === 1) {
+        select.value = allowed[0];
+      }
     });
+    
+    console.log(`📍 User location: ${this.userLocation}`);
   }
 
   trackLogin(status) {
@@ -359,6 +604,21 @@ class MMSAuthSystem {
     return this.permissionFlags[permissionName] || false;
   }
 
+  // Which locations this user's data access covers (see ROLES siteScope).
+  // Signed-out sessions get an empty scope.
+  getSiteScope() {
+    if (!this.currentUser) {
+      return { all: false, country: null, sites: [] };
+    }
+    
+    const scope = this.ROLES[this.userRole]?.siteScope || 'assigned';
+    return {
+      all: scope === 'all',
+      country: scope === 'country' ? this.userLocation : null,
+      sites: this.userSites
+    };
+  }
+
   // Get user info for other modules
   getUserInfo() {
     return {
@@ -366,6 +626,9 @@ class MMSAuthSystem {
       uid: this.currentUser?.uid,
       role: this.userRole,
       location: this.userLocation,
+      sites: this.userSites,
+      siteScope: this.getSiteScope(),
+      profile: this.userProfile,
       permissions: this.permissionFlags
     };
   }
@@ -461,6 +724,17 @@ window.showError = function(message) {
   }
 };
 
+window.showChangePassword = async function() {
+  if (!mmsAuth.currentUser) {
+    alert('Please login first.');
+    return;
+  }
+  
+  if (await mmsAuth.showChangePasswordDialog()) {
+    alert('✅ Password changed successfully.');
+  }
+};
+
 // Logout handler
 window.handleMMSLogout = async function() {
   if (confirm('Are you sure you want to logout?')) {
@@ -1,18 +1,47 @@
 // MMS Safety - Background Sync & Offline Support
 // Queue and sync data when offline
+// Requires offline-queue-db.js (IndexedDB queue storage) and
+// sync-conflict-resolver.js to be loaded first
 
 class BackgroundSyncManager {
   constructor() {
     this.syncSupported = 'serviceWorker' in navigator && 'SyncManager' in window;
+    this.queueDB = window.mmsOfflineQueueDB;
+    // In-memory snapshot of the IndexedDB queue for status display
     this.offlineQueue = [];
+    this.deadLetterCount = 0;
+    this.retryTimer = null;
     this.isOnline = navigator.onLine;
     this.syncTags = {
       INCIDENTS: 'sync-incidents',
       TRAINING: 'sync-training',
       EMPLOYEES: 'sync-employees',
-      AUDITS: 'sync-audits'
+      AUDITS: 'sync-audits',
+      PPE: 'sync-ppe',
+      FILES: 'sync-files'
     };
     
+    // Queue item type -> sync tag (must match SYNC_TAG_TYPES in sw.js)
+    this.typeSyncTags = {
+      incident_report: this.syncTags.INCIDENTS,
+      training_record: this.syncTags.TRAINING,
+      employee_update: this.syncTags.EMPLOYEES,
+      audit_record: this.syncTags.AUDITS,
+      ppe_issuance: this.syncTags.PPE,
+      file_upload: this.syncTags.FILES
+    };
+    
+    // Types with no Firestore write behind them yet; queueing them would
+    // only ever end in the dead-letter store
+    this.unsupportedTypes = ['training_record', 'audit_record', 'ppe_issuance'];
+    
+    // Types whose data can hold employee health fields. Those fields are
+    // encrypted before they reach IndexedDB (queued data, base snapshots and
+    // parked conflicts alike) and only decrypted in memory to sync or resolve.
+    this.encryptedTypes = ['employee_update'];
+    
+    this.isProcessing = false;
+    
     this.init();
   }
 
@@ -20,7 +49,7 @@ class BackgroundSyncManager {
     console.log('🔄 Initializing background sync manager...');
     
     // Load existing queue from storage
-    this.loadOfflineQueue();
+    this.ready = this.loadOfflineQueue().then(() => this.checkPendingSyncs());
     
     // Monitor online/offline status
     window.addEventListener('online', () => this.handleOnline());
@@ -31,14 +60,13 @@ class BackgroundSyncManager {
       this.setupSyncEventListeners();
     }
     
-    // Check for pending syncs
-    this.checkPendingSyncs();
   }
 
   async loadOfflineQueue() {
     try {
-      const savedQueue = localStorage.getItem('mmsOfflineQueue');
-      this.offlineQueue = savedQueue ? JSON.parse(savedQueue) : [];
+      // Queues saved by older versions lived in localStorage
+      await this.queueDB.migrateFromLocalStorage();
+      await this.refreshQueue();
       
       console.log(`📋 Loaded ${this.offlineQueue.length} items from offline queue`);
       
@@ -52,35 +80,49 @@ class BackgroundSyncManager {
     }
   }
 
-  saveOfflineQueue() {
+  async refreshQueue() {
     try {
-      localStorage.setItem('mmsOfflineQueue', JSON.stringify(this.offlineQueue));
+      const items = await this.queueDB.getAll();
+      this.offlineQueue = items.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+      this.deadLetterCount = await this.queueDB.countDeadLetters();
     } catch (error) {
-      console.error('❌ Failed to save offline queue:', error);
+      console.error('❌ Failed to read offline queue:', error);
     }
+    return this.offlineQueue;
+  }
+
+  getSyncTagForType(type) {
+    return this.typeSyncTags[type] || null;
   }
 
   async queueForSync(data, type, options = {}) {
-    const queueItem = {
+    if (!this.typeSyncTags[type] || this.unsupportedTypes.includes(type)) {
+      throw new Error(`Offline sync is not available for ${type}`);
+    }
+    
+    const recordId = options.metadata?.record_id || data.employee_id;
+    
+    // File/Blob values in data are stored as blobs alongside the item
+    const queueItem = await this.queueDB.add({
       id: `sync-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
       type: type,
-      data: data,
+      data: await this.sealFields(type, data, recordId),
       timestamp: new Date().toISOString(),
       attempts: 0,
-      maxAttempts: options.maxAttempts || 3,
+      maxAttempts: options.maxAttempts || 5,
       priority: options.priority || 'normal',
       metadata: options.metadata || {}
-    };
+    });
 
-    // Add to queue
-    this.offlineQueue.push(queueItem);
-    this.saveOfflineQueue();
+    await this.refreshQueue();
+    this.updateSyncStatus();
     
     console.log(`📝 Queued ${type} for sync (ID: ${queueItem.id})`);
     
     // Register for background sync if supported
-    if (this.syncSupported && this.isOnline) {
-      await this.registerBackgroundSync(type);
+    const syncTag = this.getSyncTagForType(type);
+    if (this.syncSupported && syncTag) {
+      await this.registerBackgroundSync(syncTag);
     }
     
     // Show user feedback
@@ -91,6 +133,58 @@ class BackgroundSyncManager {
     return queueItem.id;
   }
 
+  // Queue an offline edit of an existing record. The fields being changed are
+  // snapshotted together with the record's version so the sync can detect
+  // whether someone else changed them in the meantime.
+  async queueRecordUpdate(type, record, changes, options = {}) {
+    const recordId = record.id || record.employee_id;
+    const baseData = Object.keys(changes).reduce((acc, field) => {
+      acc[field] = record[field];
+      return acc;
+    }, {});
+    
+    return this.queueForSync(changes, type, {
+      ...options,
+      metadata: {
+        ...(options.metadata || {}),
+        record_id: recordId,
+        base_version: record.version || 0,
+        base_data: await this.sealFields(type, window.mmsConflictResolver.normalize(baseData), recordId)
+      }
+    });
+  }
+
+  // Encrypts the sensitive fields of values for encryptedTypes (throws if
+  // the data keys aren't available, so nothing is queued unprotected)
+  async sealFields(type, values, recordId) {
+    if (!this.encryptedTypes.includes(type) || !values) return values;
+    return window.mmsDB.protectEmployeeFields(values, recordId);
+  }
+
+  async openFields(type, values) {
+    if (!this.encryptedTypes.includes(type) || !values) return values;
+    return window.mmsEncryption.autoDecryptSensitiveFields(values);
+  }
+
+  // Conflict values side by side, opened or sealed field by field
+  async transformConflict(type, conflict, transform) {
+    const sides = {};
+    for (const side of ['base', 'local', 'server']) {
+      sides[side] = await transform(type, Object.fromEntries(conflict.conflicts.map(c => [c.field, c[side]])), conflict.record_id);
+    }
+    
+    return {
+      ...conflict,
+      merged: await transform(type, conflict.merged, conflict.record_id),
+      conflicts: conflict.conflicts.map(c => ({
+        field: c.field,
+        base: sides.base[c.field],
+        local: sides.local[c.field],
+        server: sides.server[c.field]
+      }))
+    };
+  }
+
   async registerBackgroundSync(tag) {
     try {
       const registration = await navigator.serviceWorker.ready;
@@ -110,6 +204,22 @@ class BackgroundSyncManager {
     }
   }
 
+  // Make sure every tag with queued items has a sync registered, e.g. after
+  // the browser was closed before the last sync fired
+  async checkPendingSyncs() {
+    if (!this.syncSupported || this.offlineQueue.length === 0) return;
+    
+    const pendingTags = new Set(
+      this.offlineQueue
+        .map(item => this.getSyncTagForType(item.type))
+        .filter(Boolean)
+    );
+    
+    for (const tag of pendingTags) {
+      await this.registerBackgroundSync(tag);
+    }
+  }
+
   setupSyncEventListeners() {
     // Listen for sync events from service worker
     navigator.serviceWorker.addEventListener('message', async (event) => {
@@ -120,9 +230,60 @@ class BackgroundSyncManager {
       if (event.data && event.data.type === 'SYNC_FAILED') {
         await this.handleSyncFailed(event.data);
       }
+      
+      // Service worker asks an open window to replay queued items, since
+      // only the page has the Firebase SDK and the signed-in user
+      if (event.data && event.data.type === 'REPLAY_SYNC_ITEMS' && event.ports[0]) {
+        try {
+          const result = await this.replayQueueItems(event.data.itemIds || []);
+          event.ports[0].postMessage(result);
+        } catch (error) {
+          event.ports[0].postMessage({ error: error.message });
+        }
+      }
     });
   }
 
+  async replayQueueItems(itemIds) {
+    const succeeded = [];
+    const failed = [];
+    
+    for (const itemId of itemIds) {
+      // Items still backing off are left for the page's retry timer
+      const queued = await this.queueDB.get(itemId);
+      if (queued && !this.queueDB.isSyncable(queued)) continue;
+      
+      const item = await this.queueDB.claim(itemId);
+      
+      if (!item) {
+        // Gone means another context already synced it; otherwise it is
+        // being processed elsewhere right now
+        if (!(await this.queueDB.get(itemId))) {
+          succeeded.push(itemId);
+        }
+        continue;
+      }
+      
+      const result = await this.syncClaimedItem(item);
+      
+      if (result.success) {
+        succeeded.push(itemId);
+      } else {
+        failed.push({ id: itemId, error: result.error });
+      }
+    }
+    
+    await this.refreshQueue();
+    this.updateSyncStatus();
+    this.scheduleNextRetry();
+    
+    if (succeeded.length > 0) {
+      this.showSyncSuccessNotification(succeeded.length);
+    }
+    
+    return { succeeded, failed };
+  }
+
   async handleSyncCompleted(syncData) {
     console.log(`✅ Background sync completed: ${syncData.tag}`);
     
@@ -140,12 +301,46 @@ class BackgroundSyncManager {
       case this.syncTags.AUDITS:
         await this.processAuditSync();
         break;
+      case this.syncTags.PPE:
+      case this.syncTags.FILES:
+        await this.processTagSync(syncData.tag);
+        break;
     }
     
     // Update UI
     this.updateSyncStatus();
   }
 
+  // Pick up anything for this tag that was queued while the worker was replaying
+  async processTagSync(tag) {
+    if (!this.isOnline) return;
+    
+    const queue = await this.refreshQueue();
+    const pendingIds = queue
+      .filter(item => this.getSyncTagForType(item.type) === tag)
+      .map(item => item.id);
+    
+    if (pendingIds.length > 0) {
+      await this.replayQueueItems(pendingIds);
+    }
+  }
+
+  async processIncidentSync() {
+    await this.processTagSync(this.syncTags.INCIDENTS);
+  }
+
+  async processTrainingSync() {
+    await this.processTagSync(this.syncTags.TRAINING);
+  }
+
+  async processEmployeeSync() {
+    await this.processTagSync(this.syncTags.EMPLOYEES);
+  }
+
+  async processAuditSync() {
+    await this.processTagSync(this.syncTags.AUDITS);
+  }
+
   async handleSyncFailed(syncData) {
     console.error(`❌ Background sync failed: ${syncData.tag}`, syncData.error);
     
@@ -163,14 +358,24 @@ class BackgroundSyncManager {
   }
 
   async processOfflineQueue() {
-    if (this.offlineQueue.length === 0 || !this.isOnline) {
+    if (this.offlineQueue.length === 0 || !this.isOnline || this.isProcessing) {
       return;
     }
+    
+    this.isProcessing = true;
+    try {
+      await this.processPendingItems();
+    } finally {
+      this.isProcessing = false;
+    }
+  }
 
-    console.log(`🔄 Processing offline queue (${this.offlineQueue.length} items)`);
+  async processPendingItems() {
+    const queue = await this.refreshQueue();
+    console.log(`🔄 Processing offline queue (${queue.length} items)`);
     
     // Sort by priority and timestamp
-    this.offlineQueue.sort((a, b) => {
+    const ordered = [...queue].sort((a, b) => {
       const priorityOrder = { high: 0, normal: 1, low: 2 };
       return priorityOrder[a.priority] - priorityOrder[b.priority] || 
              new Date(a.timestamp) - new Date(b.timestamp);
@@ -179,39 +384,27 @@ class BackgroundSyncManager {
     const successfulItems = [];
     const failedItems = [];
 
-    // Process each item
-    for (const item of [...this.offlineQueue]) {
-      try {
-        const success = await this.processQueueItem(item);
-        
-        if (success) {
-          successfulItems.push(item);
-          this.removeFromQueue(item.id);
-        } else {
-          item.attempts++;
-          
-          if (item.attempts >= item.maxAttempts) {
-            console.error(`🚨 Max attempts reached for item ${item.id}`);
-            failedItems.push(item);
-            this.removeFromQueue(item.id);
-          }
-        }
-      } catch (error) {
-        console.error(`❌ Error processing queue item ${item.id}:`, error);
-        item.attempts++;
-        
-        if (item.attempts >= item.maxAttempts) {
-          failedItems.push(item);
-          this.removeFromQueue(item.id);
-        }
+    // Process each item that is not backing off or waiting on a conflict
+    for (const queued of ordered.filter(item => this.queueDB.isSyncable(item))) {
+      // Skip items another tab or the service worker replay is handling
+      const item = await this.queueDB.claim(queued.id);
+      if (!item) continue;
+      
+      const result = await this.syncClaimedItem(item);
+      
+      if (result.success) {
+        successfulItems.push(item);
+      } else if (result.deadLettered) {
+        failedItems.push(result.item);
       }
       
       // Small delay between items to avoid overwhelming server
       await new Promise(resolve => setTimeout(resolve, 100));
     }
 
-    // Save updated queue
-    this.saveOfflineQueue();
+    await this.refreshQueue();
+    this.updateSyncStatus();
+    this.scheduleNextRetry();
     
     // Show results
     if (successfulItems.length > 0) {
@@ -225,37 +418,230 @@ class BackgroundSyncManager {
     console.log(`✅ Sync completed: ${successfulItems.length} successful, ${failedItems.length} failed`);
   }
 
-  async processQueueItem(item) {
-    console.log(`🔄 Processing ${item.type}: ${item.id}`);
+  // Sync an item already claimed via queueDB.claim(): remove it on success,
+  // otherwise record the error and schedule a backed-off retry, or move it to
+  // the dead-letter store once its attempts are used up
+  async syncClaimedItem(item) {
+    let error = null;
     
     try {
-      switch(item.type) {
-        case 'incident_report':
-          return await this.syncIncidentReport(item);
-          
-        case 'training_record':
-          return await this.syncTrainingRecord(item);
-          
-        case 'employee_update':
-          return await this.syncEmployeeUpdate(item);
-          
-        case 'audit_record':
-          return await this.syncAuditRecord(item);
-          
-        case 'ppe_issuance':
-          return await this.syncPPEIssuance(item);
-          
-        case 'file_upload':
-          return await this.syncFileUpload(item);
-          
-        default:
-          console.warn(`⚠️ Unknown sync type: ${item.type}`);
-          return false;
+      const result = await this.processQueueItem(item);
+      
+      if (result && result.conflict) {
+        return await this.markConflict(item, result);
       }
-    } catch (error) {
-      console.error(`❌ Failed to process ${item.type}:`, error);
+      
+      if (result) {
+        await this.removeFromQueue(item.id);
+        return { success: true };
+      }
+      error = `Failed to sync ${item.type}`;
+    } catch (err) {
+      console.error(`❌ Failed to process ${item.type}:`, err);
+      error = err.message;
+    }
+    
+    const attempts = (item.attempts || 0) + 1;
+    
+    if (attempts >= item.maxAttempts) {
+      console.error(`🚨 Max attempts reached for item ${item.id}, moving to dead-letter store`);
+      await this.queueDB.update(item.id, { attempts: attempts, last_attempt_at: new Date().toISOString() });
+      const deadLetter = await this.queueDB.moveToDeadLetter(item.id, error);
+      return { success: false, error: error, item: deadLetter, deadLettered: true };
+    }
+    
+    const delay = this.queueDB.getBackoffDelay(attempts);
+    const updated = await this.queueDB.update(item.id, {
+      attempts: attempts,
+      status: this.queueDB.STATUS.FAILED,
+      last_error: error,
+      last_attempt_at: new Date().toISOString(),
+      next_attempt_at: new Date(Date.now() + delay).toISOString(),
+      claimed_at: null
+    });
+    
+    console.log(`⏳ Retrying ${item.id} in ${Math.round(delay / 1000)}s (attempt ${attempts + 1}/${item.maxAttempts})`);
+    
+    return { success: false, error: error, item: updated };
+  }
+
+  // Park an item whose changes clash with newer server data until the user
+  // resolves it; it is not retried automatically and uses no attempts
+  async markConflict(item, conflict) {
+    const resolver = window.mmsConflictResolver;
+    const sealed = await this.transformConflict(item.type, {
+      ...conflict,
+      conflicts: conflict.conflicts.map(c => ({
+        field: c.field,
+        base: resolver.normalize(c.base),
+        local: resolver.normalize(c.local),
+        server: resolver.normalize(c.server)
+      }))
+    }, this.sealFields.bind(this));
+    
+    const updated = await this.queueDB.update(item.id, {
+      status: this.queueDB.STATUS.CONFLICT,
+      claimed_at: null,
+      next_attempt_at: null,
+      last_error: `${conflict.conflicts.length} field(s) changed on the server since this edit`,
+      conflict: {
+        record_id: conflict.record_id,
+        server_version: conflict.server_version,
+        server_updated_by: conflict.server_updated_by || null,
+        merged: sealed.merged,
+        conflicts: sealed.conflicts,
+        detected_at: new Date().toISOString()
+      }
+    });
+    
+    console.warn(`⚠️ Sync conflict on ${item.type} ${conflict.record_id}:`, conflict.conflicts.map(c => c.field));
+    showToast('⚠️ Some offline changes clash with newer edits - open Sync Status to review', 'warning', 6000);
+    
+    return { success: false, conflict: true, error: updated?.last_error, item: updated };
+  }
+
+  // Conflict-aware write of a queued edit (see queueRecordUpdate). Fields only
+  // this device changed are merged automatically; returns a conflict
+  // description when both sides changed the same field.
+  async syncRecordUpdate(item, writeUpdate) {
+    const recordId = item.metadata.record_id;
+    const baseData = await this.openFields(item.type, item.metadata.base_data || {});
+    const changes = await this.openFields(item.type, item.data);
+    
+    const result = await writeUpdate(recordId, changes, item.metadata.base_version);
+    if (result.success) return true;
+    if (!result.conflict) {
+      throw new Error(result.error || `Failed to update ${recordId}`);
+    }
+    
+    const server = result.current;
+    const analysis = window.mmsConflictResolver.analyze(baseData, changes, server);
+    
+    if (analysis.conflicts.length > 0) {
+      return {
+        conflict: true,
+        record_id: recordId,
+        server_version: server.version,
+        server_updated_by: server.updated_by,
+        merged: analysis.merged,
+        conflicts: analysis.conflicts
+      };
+    }
+    
+    // Nothing of ours left to write - the server already has it
+    if (Object.keys(analysis.merged).length === 0) return true;
+    
+    const merged = await writeUpdate(recordId, analysis.merged, server.version);
+    if (merged.success) {
+      console.log(`🔀 Auto-merged offline edit into ${recordId} (kept server values for: ${analysis.keptServer.join(', ') || 'none'})`);
+      return true;
+    }
+    
+    // Changed yet again while merging - back off and try the merge later
+    throw new Error(merged.error || `Failed to merge changes into ${recordId}`);
+  }
+
+  async resolveConflict(itemId) {
+    const item = await this.queueDB.get(itemId);
+    if (!item || item.status !== this.queueDB.STATUS.CONFLICT) {
+      showToast('This conflict has already been resolved', 'info');
       return false;
     }
+    
+    const resolver = window.mmsConflictResolver;
+    const conflict = await this.transformConflict(item.type, item.conflict, this.openFields.bind(this));
+    
+    const choices = await resolver.showResolutionDialog({
+      title: `Resolve conflict: ${item.type.replace(/_/g, ' ')} ${conflict.record_id}`,
+      conflicts: conflict.conflicts,
+      serverUpdatedBy: conflict.server_updated_by
+    });
+    if (!choices) return false;
+    
+    const resolvedData = await this.sealFields(item.type, resolver.applyResolution(conflict, choices), conflict.record_id);
+    
+    // Kept every server value - nothing left to send
+    if (Object.keys(resolvedData).length === 0) {
+      await this.removeFromQueue(itemId);
+      await this.refreshQueue();
+      this.updateSyncStatus();
+      await this.renderConflictList();
+      showToast('✅ Kept the server version', 'success');
+      return true;
+    }
+    
+    // Rebase the edit on the server version it was compared against
+    const serverValues = item.conflict.conflicts.reduce((acc, c) => {
+      acc[c.field] = c.server;
+      return acc;
+    }, {});
+    
+    await this.queueDB.update(itemId, current => ({
+      data: resolvedData,
+      metadata: {
+        ...current.metadata,
+        base_version: conflict.server_version,
+        base_data: { ...(current.metadata.base_data || {}), ...serverValues }
+      },
+      status: this.queueDB.STATUS.PENDING,
+      attempts: 0,
+      next_attempt_at: null,
+      last_error: null,
+      conflict: null,
+      resolved_at: new Date().toISOString()
+    }));
+    
+    console.log(`🔀 Conflict resolved for ${itemId}:`, choices);
+    
+    await this.refreshQueue();
+    this.updateSyncStatus();
+    await this.renderConflictList();
+    
+    if (this.isOnline) {
+      await this.processOfflineQueue();
+    }
+    return true;
+  }
+
+  // Wake up when the earliest backed-off item becomes due
+  scheduleNextRetry() {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    
+    const nextRetry = this.queueDB.getNextRetryTime(this.offlineQueue);
+    if (nextRetry === null) return;
+    
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.processOfflineQueue();
+    }, Math.max(0, nextRetry - Date.now()));
+  }
+
+  async processQueueItem(item) {
+    console.log(`🔄 Processing ${item.type}: ${item.id}`);
+    
+    switch(item.type) {
+      case 'incident_report':
+        return await this.syncIncidentReport(item);
+        
+      case 'training_record':
+        return await this.syncTrainingRecord(item);
+        
+      case 'employee_update':
+        return await this.syncEmployeeUpdate(item);
+        
+      case 'audit_record':
+        return await this.syncAuditRecord(item);
+        
+      case 'ppe_issuance':
+        return await this.syncPPEIssuance(item);
+        
+      case 'file_upload':
+        return await this.syncFileUpload(item);
+        
+      default:
+        throw new Error(`Unknown sync type: ${item.type}`);
+    }
   }
 
   async syncIncidentReport(item) {
@@ -263,6 +649,13 @@ class BackgroundSyncManager {
       throw new Error('Database service not available');
     }
     
+    // Offline edit of an existing incident
+    if (item.metadata?.record_id) {
+      return this.syncRecordUpdate(item, (id, changes, expectedVersion) =>
+        window.mmsDB.updateIncident(id, changes, { expectedVersion })
+      );
+    }
+    
     const result = await window.mmsDB.createIncident(item.data);
     
     if (result.success) {
@@ -283,40 +676,60 @@ class BackgroundSyncManager {
   }
 
   async syncTrainingRecord(item) {
-    // Implement training record sync
-    console.log('Syncing training record:', item.data);
-    return true; // Placeholder
+    // Nothing writes these to Firestore yet - fail so the item ends up in the
+    // dead-letter store instead of being removed as synced
+    throw new Error('Training records cannot be synced from the offline queue yet');
   }
 
   async syncEmployeeUpdate(item) {
-    // Implement employee update sync
-    console.log('Syncing employee update:', item.data);
-    return true; // Placeholder
+    if (!window.mmsDB) {
+      throw new Error('Database service not available');
+    }
+    
+    // Offline edit of an existing employee
+    if (item.metadata?.record_id) {
+      return this.syncRecordUpdate(item, (id, changes, expectedVersion) =>
+        window.mmsDB.updateEmployee(id, changes, { expectedVersion })
+      );
+    }
+    
+    const result = await window.mmsDB.saveEmployee(item.data, {
+      expectedVersion: item.metadata?.expected_version
+    });
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to sync employee');
+    }
+    return true;
   }
 
   async syncAuditRecord(item) {
-    // Implement audit record sync
-    console.log('Syncing audit record:', item.data);
-    return true; // Placeholder
+    throw new Error('Audit records cannot be synced from the offline queue yet');
   }
 
   async syncPPEIssuance(item) {
-    // Implement PPE issuance sync
-    console.log('Syncing PPE issuance:', item.data);
-    return true; // Placeholder
+    throw new Error('PPE issuances cannot be synced from the offline queue yet');
   }
 
+  // Queued with data { file, context, referenceId }; the File itself lives
+  // in the IndexedDB files store until it is uploaded
   async syncFileUpload(item) {
-    // Implement file upload sync
-    console.log('Syncing file upload:', item.data);
-    return true; // Placeholder
+    if (!window.mmsDB) {
+      throw new Error('Database service not available');
+    }
+    
+    const data = await this.queueDB.hydrate(item);
+    const result = await window.mmsDB.uploadFile(data.file, data.context, data.referenceId);
+    
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to upload file');
+    }
+    
+    return true;
   }
 
-  removeFromQueue(itemId) {
-    const index = this.offlineQueue.findIndex(item => item.id === itemId);
-    if (index !== -1) {
-      this.offlineQueue.splice(index, 1);
-    }
+  async removeFromQueue(itemId) {
+    await this.queueDB.remove(itemId);
+    this.offlineQueue = this.offlineQueue.filter(item => item.id !== itemId);
   }
 
   handleOnline() {
@@ -370,8 +783,17 @@ class BackgroundSyncManager {
     const statusElement = document.getElementById('syncStatus');
     if (statusElement) {
       const pendingCount = this.offlineQueue.length;
+      const conflictCount = this.offlineQueue.filter(item => item.status === this.queueDB.STATUS.CONFLICT).length;
       
-      if (pendingCount === 0) {
+      if (conflictCount > 0) {
+        statusElement.innerHTML = `<span style="color: #f59e0b; cursor: pointer;">🔀 ${conflictCount} conflict${conflictCount !== 1 ? 's' : ''}</span>`;
+        statusElement.title = 'Offline changes clash with newer edits - click to review';
+        statusElement.onclick = () => this.showSyncInspector();
+      } else if (this.deadLetterCount > 0) {
+        statusElement.innerHTML = `<span style="color: #ef4444; cursor: pointer;">⚠️ ${this.deadLetterCount} failed</span>`;
+        statusElement.title = `${this.deadLetterCount} items could not be synced - click to review`;
+        statusElement.onclick = () => this.showSyncInspector();
+      } else if (pendingCount === 0) {
         statusElement.innerHTML = '<span style="color: #10b981;">✅ Synced</span>';
         statusElement.title = 'All data is synchronized';
       } else if (this.isOnline) {
@@ -403,19 +825,256 @@ class BackgroundSyncManager {
     if (failedItems.length > 0) {
       console.error('🚨 Permanent sync failures:', failedItems);
       
-      const errorList = failedItems.map(item => 
-        `${item.type} (${new Date(item.timestamp).toLocaleTimeString()})`
-      ).join('\n');
-      
       showToast(
         `❌ ${failedItems.length} items failed to sync after multiple attempts. ` +
-        'Please report to IT.',
+        'They have been kept - open Sync Status to retry or export them.',
         'error',
-        5000
+        6000
       );
     }
   }
 
+  // ==================== FAILED ITEM INSPECTOR ====================
+
+  async showSyncInspector() {
+    document.getElementById('syncInspectorModal')?.remove();
+    
+    const modal = document.createElement('div');
+    modal.id = 'syncInspectorModal';
+    modal.className = 'modal';
+    modal.innerHTML = `
+      <div class="modal-content" style="max-width: 900px;">
+        <button class="close-modal" onclick="document.getElementById('syncInspectorModal').remove()">×</button>
+        <div class="modal-header">
+          <h2>Sync Issues</h2>
+          <p>Offline changes that need a decision or could not be saved after repeated attempts. Nothing here has been lost.</p>
+        </div>
+        
+        <div id="syncConflictList"></div>
+        
+        <div id="syncInspectorList">
+          <div style="padding: 2rem; text-align: center; color: var(--text-light);">Loading failed items...</div>
+        </div>
+        
+        <div class="action-buttons">
+          <button class="btn btn-outline" onclick="document.getElementById('syncInspectorModal').remove()">Close</button>
+          <button class="btn btn-primary" onclick="backgroundSync.exportAllDeadLetters()">Export All</button>
+        </div>
+      </div>
+    `;
+    
+    document.body.appendChild(modal);
+    modal.style.display = 'block';
+    
+    await this.renderConflictList();
+    await this.renderDeadLetterList();
+  }
+
+  async renderConflictList() {
+    const container = document.getElementById('syncConflictList');
+    if (!container) return;
+    
+    const items = await this.queueDB.getByStatus(this.queueDB.STATUS.CONFLICT);
+    
+    if (items.length === 0) {
+      container.innerHTML = '';
+      return;
+    }
+    
+    container.innerHTML = `
+      <h3 style="color: var(--text); margin-bottom: 0.75rem;">Needs Your Decision</h3>
+      ${items.map(item => `
+        <div style="border: 1px solid #f59e0b; border-radius: 8px; padding: 1rem; margin-bottom: 1rem; background: #fffbeb;">
+          <div style="display: flex; justify-content: space-between; align-items: center; gap: 1rem;">
+            <div>
+              <strong>${this.escapeHtml(item.type)} · ${this.escapeHtml(item.conflict.record_id)}</strong>
+              <div style="font-size: 0.85rem; color: var(--text-light);">
+                Conflicting fields: ${item.conflict.conflicts.map(c => this.escapeHtml(c.field)).join(', ')}
+              </div>
+            </div>
+            <button class="btn btn-primary" onclick="backgroundSync.resolveConflict('${item.id}')">Resolve</button>
+          </div>
+        </div>
+      `).join('')}
+      <h3 style="color: var(--text); margin: 1.5rem 0 0.75rem;">Failed Items</h3>
+    `;
+  }
+
+  async renderDeadLetterList() {
+    const container = document.getElementById('syncInspectorList');
+    if (!container) return;
+    
+    const items = await this.queueDB.getDeadLetters();
+    
+    if (items.length === 0) {
+      container.innerHTML = `
+        <div style="padding: 2rem; text-align: center; color: var(--text-light);">
+          ✅ No failed items - everything has synced
+        </div>
+      `;
+      return;
+    }
+    
+    container.innerHTML = items.map(item => `
+      <div style="border: 1px solid var(--border); border-radius: 8px; padding: 1rem; margin-bottom: 1rem; background: white;">
+        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 0.5rem;">
+          <strong>${this.escapeHtml(item.type)}</strong>
+          <span style="font-size: 0.8rem; color: var(--text-light);">
+            Queued ${new Date(item.timestamp).toLocaleString()} · ${item.attempts} attempts
+          </span>
+        </div>
+        <div style="background: #fef2f2; color: #991b1b; padding: 0.5rem; border-radius: 6px; font-size: 0.85rem; margin-bottom: 0.5rem;">
+          ${this.escapeHtml(item.last_error || 'Unknown error')}
+        </div>
+        ${Object.keys(item.files || {}).length > 0 ? `
+          <div style="font-size: 0.8rem; color: var(--text-light); margin-bottom: 0.5rem;">
+            📎 Attached files kept: ${Object.keys(item.files).map(field => this.escapeHtml(field)).join(', ')}
+          </div>
+        ` : ''}
+        <textarea id="deadLetterData-${item.id}" rows="6" spellcheck="false"
+          style="width: 100%; font-family: monospace; font-size: 0.8rem; padding: 0.5rem; border: 1px solid var(--border); border-radius: 6px;">${this.escapeHtml(JSON.stringify(item.data, null, 2))}</textarea>
+        <div style="display: flex; gap: 0.5rem; justify-content: flex-end; margin-top: 0.5rem;">
+          <button class="btn btn-outline" onclick="backgroundSync.discardDeadLetter('${item.id}')">Discard</button>
+          <button class="btn btn-outline" onclick="backgroundSync.exportDeadLetter('${item.id}')">Export</button>
+          <button class="btn btn-primary" onclick="backgroundSync.retryDeadLetter('${item.id}')">Save &amp; Retry</button>
+        </div>
+      </div>
+    `).join('');
+  }
+
+  // Requeue with the (possibly edited) payload from the inspector
+  async retryDeadLetter(itemId) {
+    const textarea = document.getElementById(`deadLetterData-${itemId}`);
+    let editedData;
+    
+    if (textarea) {
+      try {
+        editedData = JSON.parse(textarea.value);
+      } catch (error) {
+        showToast(`Invalid JSON: ${error.message}`, 'error');
+        return false;
+      }
+    }
+    
+    const item = await this.queueDB.requeueDeadLetter(itemId, editedData);
+    if (!item) {
+      showToast('Item no longer exists', 'error');
+      return false;
+    }
+    
+    console.log(`🔁 Requeued failed item ${itemId}`);
+    
+    await this.refreshQueue();
+    this.updateSyncStatus();
+    await this.renderDeadLetterList();
+    
+    const syncTag = this.getSyncTagForType(item.type);
+    if (this.syncSupported && syncTag) {
+      await this.registerBackgroundSync(syncTag);
+    }
+    
+    if (this.isOnline) {
+      showToast('🔄 Retrying item...', 'info');
+      await this.processOfflineQueue();
+    } else {
+      showToast('Item will sync when you are back online', 'info');
+    }
+    
+    return true;
+  }
+
+  async discardDeadLetter(itemId) {
+    const item = await this.queueDB.getDeadLetter(itemId);
+    if (!item) return false;
+    
+    const confirmDiscard = confirm(
+      `Permanently discard this ${item.type}?\n\n` +
+      'The data will be deleted from this device. Export it first if you may need it.'
+    );
+    if (!confirmDiscard) return false;
+    
+    await this.queueDB.discardDeadLetter(itemId);
+    
+    if (window.logDataModification) {
+      window.logDataModification('offline_queue', itemId, 'discard', {
+        type: item.type,
+        queued_at: item.timestamp,
+        last_error: item.last_error
+      });
+    }
+    
+    await this.refreshQueue();
+    this.updateSyncStatus();
+    await this.renderDeadLetterList();
+    showToast('🗑️ Failed item discarded', 'info');
+    return true;
+  }
+
+  async exportDeadLetter(itemId) {
+    const item = await this.queueDB.getDeadLetter(itemId);
+    if (!item) return;
+    
+    const exported = await this.serializeDeadLetter(item);
+    this.downloadJSON([exported], `mms-failed-sync-${item.type}-${itemId}.json`);
+  }
+
+  async exportAllDeadLetters() {
+    const items = await this.queueDB.getDeadLetters();
+    if (items.length === 0) {
+      showToast('No failed items to export', 'info');
+      return;
+    }
+    
+    const exported = await Promise.all(items.map(item => this.serializeDeadLetter(item)));
+    this.downloadJSON(exported, `mms-failed-sync-${new Date().toISOString().split('T')[0]}.json`);
+  }
+
+  // Inline any stored file blobs as data URLs so the export is self-contained
+  async serializeDeadLetter(item) {
+    const files = {};
+    
+    for (const [field, fileId] of Object.entries(item.files || {})) {
+      const file = await this.queueDB.getFile(fileId);
+      if (file) {
+        files[field] = {
+          name: file.name,
+          type: file.type,
+          size: file.size,
+          data_url: await this.blobToDataURL(file.blob)
+        };
+      }
+    }
+    
+    return { ...item, files: files };
+  }
+
+  blobToDataURL(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  downloadJSON(data, fileName) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = String(value);
+    return div.innerHTML;
+  }
+
   getQueueStats() {
     return {
       total: this.offlineQueue.length,
@@ -429,11 +1088,15 @@ class BackgroundSyncManager {
       }, {}),
       oldest: this.offlineQueue.length > 0 
         ? new Date(this.offlineQueue[0].timestamp) 
-        : null
+        : null,
+      failed: this.deadLetterCount,
+      conflicts: this.offlineQueue.filter(item => item.status === this.queueDB.STATUS.CONFLICT).length
     };
   }
 
   async forceSync() {
+    await this.ready;
+    
     if (!this.isOnline) {
       showToast('Cannot sync - you are offline', 'error');
       return false;
@@ -456,7 +1119,9 @@ class BackgroundSyncManager {
     return true;
   }
 
-  clearQueue() {
+  async clearQueue() {
+    await this.refreshQueue();
+    
     const confirmClear = confirm(
       'Clear all pending sync items?\n\n' +
       `This will remove ${this.offlineQueue.length} items waiting to sync.\n` +
@@ -464,8 +1129,8 @@ class BackgroundSyncManager {
     );
     
     if (confirmClear) {
+      await this.queueDB.clear();
       this.offlineQueue = [];
-      this.saveOfflineQueue();
       this.updateSyncStatus();
       showToast('🗑️ Sync queue cleared', 'info');
     }
@@ -522,7 +1187,9 @@ window.showSyncStatus = function() {
   
   let message = `📊 Sync Status:\n\n`;
   message += `• Online: ${backgroundSync.isOnline ? '✅ Yes' : '❌ No'}\n`;
-  message += `• Pending items: ${stats.total}\n\n`;
+  message += `• Pending items: ${stats.total}\n`;
+  message += `• Failed items: ${stats.failed}\n`;
+  message += `• Conflicts to resolve: ${stats.conflicts}\n\n`;
   
   if (stats.total > 0) {
     message += `By type:\n`;
@@ -543,7 +1210,19 @@ window.showSyncStatus = function() {
     message += `✅ All data is synchronized`;
   }
   
+  if (stats.failed > 0 || stats.conflicts > 0) {
+    message += `\n\n⚠️ Some items need your attention - opening the review panel`;
+  }
+  
   alert(message);
+  
+  if (stats.failed > 0 || stats.conflicts > 0) {
+    backgroundSync.showSyncInspector();
+  }
+};
+
+window.showSyncInspector = function() {
+  backgroundSync.showSyncInspector();
 };
 
 window.clearSyncQueue = function() {
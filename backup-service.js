@@ -0,0 +1,555 @@
+// MMS Backup Service - full Firestore backup, restore and scheduled backups
+// Archives hold every collection in MMSDatabaseService.COLLECTIONS (plus
+// users, investigations, MFA enrolments, password history and the wrapped
+// encryption keys, without which encrypted health fields can't be read
+// back) and a manifest of the files in Storage.
+// File contents stay in Storage; the manifest records what should be there.
+import { db, storage } from './firebase-config.js';
+import {
+  collection,
+  doc,
+  getDocs,
+  setDoc,
+  query,
+  orderBy,
+  limit,
+  startAfter,
+  documentId,
+  writeBatch,
+  serverTimestamp,
+  Timestamp,
+  GeoPoint,
+  DocumentReference,
+  Bytes
+} from "https://www.gstatic.com/firebasejs/9.22.0/firebase-firestore.js";
+import {
+  ref,
+  listAll,
+  getMetadata,
+  uploadBytes,
+  getBlob
+} from "https://www.gstatic.com/firebasejs/9.22.0/firebase-storage.js";
+import { mmsDB } from './database-service.js';
+import { mmsEncryption } from './encryption-service.js';
+
+class MMSBackupService {
+  constructor() {
+    this.FORMAT = 'mms-safety-backup';
+    this.FORMAT_VERSION = 1;
+    this.BACKUPS_COLLECTION = 'backups';
+    this.STORAGE_PREFIXES = ['mms_safety', 'safety_docs'];
+    this.BACKUP_STORAGE_PATH = 'mms_safety/backups';
+    this.PAGE_SIZE = 500;
+    this.BATCH_SIZE = 400;
+
+    // Passphrase-encrypted archives
+    this.KDF_ITERATIONS = 600000;
+    this.IV_LENGTH = 12;
+
+    // The audit chain and report history can only be appended to (see
+    // firebase-security-rules.txt), and restoring the outbox would resend
+    // mail, so these are exported but never written back from the browser
+    this.RESTORE_EXCLUDED = ['audit_logs', 'audit_chain', 'audit_archives', 'report_history', 'report_outbox'];
+
+    // Per-recipient notifications are transient and only their recipient
+    // can read them
+    this.BACKUP_EXCLUDED = ['notifications'];
+
+    // Existing documents here are never overwritten: an older key document
+    // would drop key versions that newer records are encrypted with, and
+    // password history entries are immutable
+    this.CREATE_ONLY = ['encryption_keys', 'password_history'];
+
+    // Collections outside MMSDatabaseService.COLLECTIONS that belong in a
+    // backup. Second factors live in Firebase Auth, not Firestore.
+    this.EXTRA_COLLECTIONS = ['users', 'investigations', 'password_history'];
+
+    // Settings → Backup Frequency
+    this.FREQUENCY_DAYS = { daily: 1, weekly: 7, monthly: 30 };
+
+    console.log('💾 MMS Backup Service Initialized');
+  }
+
+  getBackupCollections() {
+    return [...new Set([
+      ...Object.values(mmsDB.COLLECTIONS),
+      ...this.EXTRA_COLLECTIONS,
+      mmsEncryption.KEYS_COLLECTION
+    ])].filter(name => !this.BACKUP_EXCLUDED.includes(name));
+  }
+
+  requireBackupPermission() {
+    if (!window.mmsAuth?.hasPermission('canBackupSystem')) {
+      throw new Error('Only administrators can back up or restore the system');
+    }
+  }
+
+  // ==================== SERIALISATION ====================
+
+  // Firestore types become tagged JSON so a restore writes back the same types
+  encodeValue(value) {
+    if (value instanceof Timestamp) {
+      return { __type: 'timestamp', seconds: value.seconds, nanoseconds: value.nanoseconds };
+    }
+    if (value instanceof GeoPoint) {
+      return { __type: 'geopoint', latitude: value.latitude, longitude: value.longitude };
+    }
+    if (value instanceof DocumentReference) {
+      return { __type: 'reference', path: value.path };
+    }
+    if (value instanceof Bytes) {
+      return { __type: 'bytes', base64: value.toBase64() };
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.encodeValue(item));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.encodeValue(item)]));
+    }
+    return value;
+  }
+
+  decodeValue(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.decodeValue(item));
+    }
+    if (value && typeof value === 'object') {
+      switch (value.__type) {
+        case 'timestamp': return new Timestamp(value.seconds, value.nanoseconds);
+        case 'geopoint': return new GeoPoint(value.latitude, value.longitude);
+        case 'reference': return doc(db, value.path);
+        case 'bytes': return Bytes.fromBase64String(value.base64);
+        default:
+          return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.decodeValue(item)]));
+      }
+    }
+    return value;
+  }
+
+  // ==================== EXPORT ====================
+
+  async exportCollection(name) {
+    const records = [];
+    let cursor = null;
+
+    while (true) {
+      const constraints = [orderBy(documentId()), limit(this.PAGE_SIZE)];
+      if (cursor) constraints.push(startAfter(cursor));
+
+      const snapshot = await getDocs(query(collection(db, name), ...constraints));
+      snapshot.docs.forEach(record => {
+        records.push({ id: record.id, data: this.encodeValue(record.data()) });
+      });
+
+      if (snapshot.docs.length < this.PAGE_SIZE) break;
+      cursor = snapshot.docs[snapshot.docs.length - 1];
+    }
+
+    return records;
+  }
+
+  async buildStorageManifest(prefix) {
+    const files = [];
+    const pending = [ref(storage, prefix)];
+
+    while (pending.length > 0) {
+      const listing = await listAll(pending.shift());
+      pending.push(...listing.prefixes);
+
+      for (const item of listing.items) {
+        const metadata = await getMetadata(item);
+        files.push({
+          path: metadata.fullPath,
+          size: metadata.size,
+          content_type: metadata.contentType || null,
+          md5_hash: metadata.md5Hash || null,
+          updated: metadata.updated
+        });
+      }
+    }
+
+    return files;
+  }
+
+  // Returns the archive object. onProgress receives { stage, name, done, total }.
+  async createBackup(options = {}) {
+    this.requireBackupPermission();
+
+    const onProgress = options.onProgress || (() => {});
+    const collections = this.getBackupCollections();
+    const total = collections.length + this.STORAGE_PREFIXES.length;
+    let done = 0;
+
+    const archive = {
+      format: this.FORMAT,
+      format_version: this.FORMAT_VERSION,
+      company: mmsDB.COMPANY_ID,
+      created_at: new Date().toISOString(),
+      created_by: window.mmsAuth?.currentUser?.email || 'unknown',
+      trigger: options.trigger || 'manual',
+      counts: {},
+      collections: {},
+      collection_errors: {},
+      storage_manifests: {}
+    };
+
+    // A collection that can't be read is reported rather than failing the
+    // whole backup; it's left out of the archive so a restore skips it
+    for (const name of collections) {
+      onProgress({ stage: 'collections', name, done, total });
+      try {
+        archive.collections[name] = await this.exportCollection(name);
+        archive.counts[name] = archive.collections[name].length;
+      } catch (error) {
+        console.error(`❌ Could not back up ${name}:`, error);
+        archive.collection_errors[name] = error.message;
+      }
+      done++;
+    }
+
+    for (const prefix of this.STORAGE_PREFIXES) {
+      onProgress({ stage: 'storage', name: prefix, done, total });
+      try {
+        archive.storage_manifests[prefix] = await this.buildStorageManifest(prefix);
+      } catch (error) {
+        console.warn(`⚠️ Could not list storage under ${prefix}:`, error);
+        archive.storage_manifests[prefix] = { error: error.message };
+      }
+      done++;
+    }
+
+    const { fingerprint } = await mmsEncryption.generateDataFingerprint(archive.collections);
+    archive.fingerprint = fingerprint;
+
+    onProgress({ stage: 'done', name: null, done: total, total });
+    return archive;
+  }
+
+  // ==================== ENCRYPTION ====================
+
+  async deriveArchiveKey(passphrase, salt, iterations) {
+    const keyMaterial = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(passphrase),
+      'PBKDF2',
+      false,
+      ['deriveKey']
+    );
+
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt: salt, iterations: iterations, hash: 'SHA-256' },
+      keyMaterial,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  // The envelope keeps the format fields readable so a file can be
+  // identified (and its passphrase asked for) before it's decrypted
+  async encryptArchive(archive, passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(this.IV_LENGTH));
+    const key = await this.deriveArchiveKey(passphrase, salt, this.KDF_ITERATIONS);
+    const aad = new TextEncoder().encode(`${this.FORMAT}:${this.FORMAT_VERSION}`);
+
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv: iv, additionalData: aad },
+      key,
+      new TextEncoder().encode(JSON.stringify(archive))
+    );
+
+    return {
+      format: this.FORMAT,
+      format_version: this.FORMAT_VERSION,
+      created_at: archive.created_at,
+      encrypted: true,
+      kdf: { algorithm: 'PBKDF2-SHA256', iterations: this.KDF_ITERATIONS, salt: mmsEncryption.toBase64(salt) },
+      cipher: 'AES-256-GCM',
+      iv: mmsEncryption.toBase64(iv),
+      ciphertext: mmsEncryption.toBase64(ciphertext)
+    };
+  }
+
+  async decryptArchive(envelope, passphrase) {
+    const key = await this.deriveArchiveKey(
+      passphrase,
+      mmsEncryption.fromBase64(envelope.kdf.salt),
+      envelope.kdf.iterations
+    );
+    const aad = new TextEncoder().encode(`${envelope.format}:${envelope.format_version}`);
+
+    try {
+      const plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: mmsEncryption.fromBase64(envelope.iv), additionalData: aad },
+        key,
+        mmsEncryption.fromBase64(envelope.ciphertext)
+      );
+      return JSON.parse(new TextDecoder().decode(plaintext));
+    } catch {
+      throw new Error('Wrong passphrase or damaged backup file');
+    }
+  }
+
+  // Parses (and if needed decrypts) a backup file and checks its fingerprint
+  async readArchive(text, passphrase = null) {
+    let archive;
+    try {
+      archive = JSON.parse(text);
+    } catch {
+      throw new Error('Not a valid backup file');
+    }
+
+    if (archive.format !== this.FORMAT) {
+      throw new Error('Not an MMS Safety backup file');
+    }
+    if (archive.format_version > this.FORMAT_VERSION) {
+      throw new Error(`Backup format v${archive.format_version} is newer than this app supports`);
+    }
+
+    if (archive.encrypted) {
+      if (!passphrase) {
+        throw new Error('This backup is encrypted - enter its passphrase');
+      }
+      archive = await this.decryptArchive(archive, passphrase);
+    }
+
+    const { fingerprint } = await mmsEncryption.generateDataFingerprint(archive.collections);
+    if (fingerprint !== archive.fingerprint) {
+      throw new Error('Backup contents do not match their fingerprint - the file has been altered or damaged');
+    }
+
+    return archive;
+  }
+
+  isEncryptedFile(text) {
+    try {
+      return JSON.parse(text).encrypted === true;
+    } catch {
+      return false;
+    }
+  }
+
+  // ==================== RESTORE ====================
+
+  // Dry run: compares each selected collection in the archive with the
+  // database. Restore never deletes, so records only in the database are
+  // reported but left alone.
+  async diffArchive(archive, collections = Object.keys(archive.collections)) {
+    this.requireBackupPermission();
+
+    const diff = {};
+
+    for (const name of collections) {
+      const backupRecords = archive.collections[name] || [];
+      const current = new Map((await this.exportCollection(name)).map(record => [record.id, record.data]));
+      const backupIds = new Set(backupRecords.map(record => record.id));
+
+      const entry = {
+        restorable: !this.RESTORE_EXCLUDED.includes(name),
+        create: [],
+        update: [],
+        unchanged: 0,
+        skipped: [],
+        only_in_database: [...current.keys()].filter(id => !backupIds.has(id)).length
+      };
+
+      for (const record of backupRecords) {
+        if (!this.isRestorableRecord(name)) {
+          entry.skipped.push(record.id);
+        } else if (!current.has(record.id)) {
+          entry.create.push(record.id);
+        } else if (mmsEncryption.canonicalize(current.get(record.id)) === mmsEncryption.canonicalize(record.data)) {
+          entry.unchanged++;
+        } else if (this.CREATE_ONLY.includes(name)) {
+          entry.skipped.push(record.id);
+        } else {
+          entry.update.push(record.id);
+        }
+      }
+
+      diff[name] = entry;
+    }
+
+    return diff;
+  }
+
+  // Older archives carry in-app MFA enrolments, which Identity Platform
+  // factors replaced; those are never written back
+  isRestorableRecord(name) {
+    return name !== 'mfa_enrollments';
+  }
+
+  async restoreArchive(archive, collections, options = {}) {
+    try {
+      this.requireBackupPermission();
+
+      const selected = collections.filter(name => !this.RESTORE_EXCLUDED.includes(name));
+      const diff = await this.diffArchive(archive, selected);
+
+      if (options.dryRun) {
+        return { success: true, dryRun: true, diff };
+      }
+
+      let batch = writeBatch(db);
+      let pending = 0;
+      const written = {};
+
+      for (const name of selected) {
+        const ids = new Set([...diff[name].create, ...diff[name].update]);
+        written[name] = 0;
+
+        for (const record of archive.collections[name] || []) {
+          if (!ids.has(record.id)) continue;
+
+          batch.set(doc(db, name, record.id), this.decodeValue(record.data));
+          written[name]++;
+          pending++;
+
+          if (pending >= this.BATCH_SIZE) {
+            await batch.commit();
+            batch = writeBatch(db);
+            pending = 0;
+          }
+        }
+      }
+
+      if (pending > 0) {
+        await batch.commit();
+      }
+
+      await mmsDB.logAction('backup_restored', {
+        backup_created_at: archive.created_at,
+        backup_fingerprint: archive.fingerprint,
+        collections: selected,
+        written: written
+      }, { level: 2, category: 'system', message: 'System restored from backup' });
+
+      console.log('✅ Restore complete:', written);
+      return { success: true, written, diff };
+
+    } catch (error) {
+      console.error('❌ Restore failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // ==================== STORED BACKUPS ====================
+
+  // Uploads an archive to Storage and records it in the backups collection,
+  // which is also what the schedule checks
+  async storeBackup(archive, fileContents, encrypted) {
+    const backupId = mmsDB.generateId('BKP');
+    const storagePath = `${this.BACKUP_STORAGE_PATH}/${backupId}.json`;
+    const blob = new Blob([fileContents], { type: 'application/json' });
+
+    await uploadBytes(ref(storage, storagePath), blob);
+
+    const record = {
+      backup_id: backupId,
+      created_at: archive.created_at,
+      created_by: archive.created_by,
+      trigger: archive.trigger,
+      counts: archive.counts,
+      collection_errors: archive.collection_errors,
+      fingerprint: archive.fingerprint,
+      encrypted: encrypted,
+      size: blob.size,
+      storage_path: storagePath,
+      stored_at: serverTimestamp()
+    };
+    await setDoc(doc(db, this.BACKUPS_COLLECTION, backupId), record);
+
+    return record;
+  }
+
+  async listStoredBackups(max = 20) {
+    const snapshot = await getDocs(query(
+      collection(db, this.BACKUPS_COLLECTION),
+      orderBy('created_at', 'desc'),
+      limit(max)
+    ));
+    return snapshot.docs.map(record => ({ id: record.id, ...record.data() }));
+  }
+
+  async downloadStoredBackup(storagePath) {
+    const blob = await getBlob(ref(storage, storagePath));
+    return blob.text();
+  }
+
+  // Full backup → optional passphrase encryption → optional Storage copy.
+  // Returns the file contents so the caller can also offer a download.
+  async runBackup(options = {}) {
+    try {
+      const archive = await this.createBackup(options);
+      const encrypted = Boolean(options.passphrase);
+      const fileContents = JSON.stringify(
+        encrypted ? await this.encryptArchive(archive, options.passphrase) : archive
+      );
+
+      const stored = options.store !== false
+        ? await this.storeBackup(archive, fileContents, encrypted)
+        : null;
+
+      await mmsDB.logAction('system_backup_created', {
+        trigger: archive.trigger,
+        counts: archive.counts,
+        collection_errors: archive.collection_errors,
+        fingerprint: archive.fingerprint,
+        encrypted: encrypted,
+        storage_path: stored?.storage_path || null
+      }, { level: 3, category: 'system', message: 'System backup created' });
+
+      return { success: true, archive, fileContents, stored };
+
+    } catch (error) {
+      console.error('❌ Backup failed:', error);
+      await mmsDB.logAction('system_backup_failed', { error: error.message }, { level: 2, category: 'system' });
+      return { success: false, error: error.message };
+    }
+  }
+
+  // ==================== SCHEDULE ====================
+
+  getScheduleDays() {
+    try {
+      const settings = JSON.parse(localStorage.getItem('mmsSettings') || '{}');
+      return this.FREQUENCY_DAYS[settings.backupFrequency] || this.FREQUENCY_DAYS.weekly;
+    } catch {
+      return this.FREQUENCY_DAYS.weekly;
+    }
+  }
+
+  async getLastBackup() {
+    const [latest] = await this.listStoredBackups(1);
+    return latest || null;
+  }
+
+  // Runs a stored backup when the last one is older than the configured
+  // frequency. Scheduled archives aren't passphrase-encrypted (nobody is
+  // there to type it); health fields inside are still field-encrypted and
+  // the Storage path is admin-only.
+  async runScheduledBackupIfDue() {
+    if (!window.mmsAuth?.hasPermission('canBackupSystem')) {
+      return { success: false, skipped: true };
+    }
+
+    const last = await this.getLastBackup();
+    const intervalMs = this.getScheduleDays() * 24 * 60 * 60 * 1000;
+    const due = !last || Date.now() - new Date(last.created_at).getTime() >= intervalMs;
+
+    if (!due) {
+      return { success: true, due: false, lastBackup: last.created_at };
+    }
+
+    console.log('💾 Scheduled backup is due - running now');
+    const result = await this.runBackup({ trigger: 'scheduled', store: true });
+    return { ...result, due: true };
+  }
+}
+
+// Initialize and export
+const mmsBackup = new MMSBackupService();
+window.mmsBackup = mmsBackup;
+
+export { mmsBackup };
@@ -13,6 +13,7 @@ import {
   deleteDoc,
   writeBatch
 } from "https://www.gstatic.com/firebasejs/9.22.0/firebase-firestore.js";
+import { mmsDB } from './database-service.js';
 
 class ComplianceManager {
   constructor() {
@@ -181,7 +182,7 @@ class ComplianceManager {
     const results = {
       incidents_cleaned: 0,
       employees_cleaned: 0,
-      logs_cleaned: 0,
+      logs_archived: 0,
       errors: []
     };
     
@@ -193,11 +194,12 @@ class ComplianceManager {
         results.incidents_cleaned = oldIncidents.length;
       }
       
-      // Clean old audit logs (> 5 years)
-      const oldLogs = await this.findExpiredRecords('audit_logs', this.RETENTION_PERIODS.AUDIT_LOGS);
-      if (oldLogs.length > 0) {
-        await this.deleteRecords(oldLogs, 'audit_logs');
-        results.logs_cleaned = oldLogs.length;
+      // Archive old audit logs (> 5 years) out of the live audit chains
+      const archive = await mmsDB.archiveAuditLogs({ olderThanDays: this.RETENTION_PERIODS.AUDIT_LOGS });
+      if (archive.success) {
+        results.logs_archived = archive.archived;
+      } else {
+        results.errors.push(`Audit log archival: ${archive.error}`);
       }
       
       // Log retention activity
@@ -550,7 +552,7 @@ window.requestMyData = async function() {
 };
 
 window.runComplianceCheck = async function() {
-  if (!window.mmsAuth?.userRole === 'admin') {
+  if (window.mmsAuth?.userRole !== 'admin') {
     alert('Admin access required.');
     return;
   }
@@ -573,7 +575,7 @@ window.runComplianceCheck = async function() {
       `✅ Compliance check complete!\n\n` +
       `Records cleaned:\n` +
       `• Incidents: ${result.incidents_cleaned}\n` +
-      `• Audit logs: ${result.logs_cleaned}\n` +
+      `• Audit logs archived: ${result.logs_archived}\n` +
       `• Employees: ${result.employees_cleaned}\n\n` +
       `Next check scheduled automatically.`
     );
@@ -0,0 +1,780 @@
+// Corrective & Preventive Action (CAPA) Tracking - MMS Safety
+import { db } from './firebase-config.js';
+import { mmsDB } from './database-service.js';
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  setDoc,
+  updateDoc,
+  query,
+  where,
+  arrayUnion,
+  serverTimestamp,
+  Timestamp
+} from "https://www.gstatic.com/firebasejs/9.22.0/firebase-firestore.js";
+
+class CorrectiveActionTracker {
+  constructor() {
+    this.COLLECTION = mmsDB.COLLECTIONS.CORRECTIVE_ACTIONS;
+
+    this.STATUSES = {
+      OPEN: 'Open',
+      IN_PROGRESS: 'In Progress',
+      AWAITING_VERIFICATION: 'Awaiting Verification',
+      CLOSED: 'Closed',
+      CANCELLED: 'Cancelled'
+    };
+
+    // Allowed status changes. Awaiting Verification → In Progress is the
+    // "not effective" outcome of the verification step.
+    this.TRANSITIONS = {
+      'Open': ['In Progress', 'Awaiting Verification', 'Closed', 'Cancelled'],
+      'In Progress': ['Awaiting Verification', 'Closed', 'Cancelled'],
+      'Awaiting Verification': ['Closed', 'In Progress'],
+      'Closed': [],
+      'Cancelled': []
+    };
+
+    this.OPEN_STATUSES = ['Open', 'In Progress'];
+    this.PRIORITIES = ['Low', 'Medium', 'High', 'Critical'];
+
+    // Days past the due date at which an open action is escalated, and the
+    // roles (at the action's site) it is then shown to under "My Actions"
+    this.ESCALATION_LEVELS = [
+      { level: 1, afterDays: 1, label: 'Owner reminded', roles: [] },
+      { level: 2, afterDays: 7, label: 'Site management', roles: ['manager', 'regional_manager'] },
+      { level: 3, afterDays: 14, label: 'Safety officer', roles: ['manager', 'regional_manager', 'safety_officer', 'admin'] }
+    ];
+
+    this.monitorTimer = null;
+
+    console.log('🛠️ Corrective Action Tracker Initialized');
+  }
+
+  currentEmail() {
+    return window.mmsAuth?.currentUser?.email || 'unknown';
+  }
+
+  // ==================== ACTION LIFECYCLE ====================
+
+  async createAction(actionData) {
+    try {
+      if (!window.mmsAuth?.hasPermission('canEditIncidents')) {
+        return { success: false, error: 'You do not have permission to assign corrective actions' };
+      }
+
+      const description = (actionData.description || '').trim();
+      const ownerEmail = (actionData.owner_email || '').trim().toLowerCase();
+      const dueDate = new Date(actionData.due_date);
+
+      if (!description) return { success: false, error: 'Describe the action to be taken' };
+      if (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(ownerEmail)) return { success: false, error: 'Enter the owner\'s email address' };
+      if (isNaN(dueDate)) return { success: false, error: 'Enter a due date' };
+      if (!actionData.location || !mmsDB.canAccessLocation(actionData.location)) {
+        return { success: false, error: 'Choose a site you have access to' };
+      }
+
+      const actionId = mmsDB.generateId('CA');
+      const priority = this.PRIORITIES.includes(actionData.priority) ? actionData.priority : 'Medium';
+
+      const action = {
+        description: description,
+        action_type: actionData.action_type === 'Preventive' ? 'Preventive' : 'Corrective',
+        investigation_id: actionData.investigation_id || null,
+        incident_id: actionData.incident_id || null,
+        root_cause_id: actionData.root_cause_id || null,
+        location: actionData.location,
+        department: actionData.department || '',
+
+        owner_email: ownerEmail,
+        owner_name: actionData.owner_name || '',
+        priority: priority,
+        due_date: Timestamp.fromDate(dueDate),
+        status: this.STATUSES.OPEN,
+
+        // Verification of effectiveness, by someone other than the owner
+        verification_required: actionData.verification_required !== false,
+        verification_method: actionData.verification_method || '',
+        verification: null,
+
+        completed_at: null,
+        completed_by: null,
+        completion_notes: '',
+        reopened_count: 0,
+
+        escalation_level: 0,
+        escalated_roles: [],
+        escalated_at: null,
+
+        status_history: [this.historyEntry(this.STATUSES.OPEN, 'Action assigned')],
+        notes: actionData.notes || '',
+
+        company: mmsDB.COMPANY_ID,
+        created_by: this.currentEmail(),
+        created_at: serverTimestamp(),
+        updated_at: serverTimestamp()
+      };
+
+      await setDoc(doc(db, this.COLLECTION, actionId), action);
+
+      await mmsDB.logAction('corrective_action_created', {
+        action_id: actionId,
+        investigation_id: action.investigation_id,
+        owner: ownerEmail,
+        priority: priority,
+        due_date: dueDate.toISOString()
+      }, { level: 3, category: 'incident' });
+
+      console.log(`✅ Corrective action created: ${actionId}`);
+      return { success: true, action_id: actionId, data: { id: actionId, ...action } };
+
+    } catch (error) {
+      console.error('❌ Failed to create corrective action:', error);
+      return { success: false, error: 'Failed to create corrective action', details: error.message };
+    }
+  }
+
+  // status_history lives in an array, where serverTimestamp() isn't allowed
+  historyEntry(status, note = '') {
+    return {
+      status: status,
+      at: new Date().toISOString(),
+      by: this.currentEmail(),
+      note: note
+    };
+  }
+
+  canManage(action) {
+    return !!window.mmsAuth?.hasPermission('canEditIncidents') && mmsDB.canAccessLocation(action.location);
+  }
+
+  isOwner(action) {
+    return action.owner_email === this.currentEmail().toLowerCase();
+  }
+
+  async changeStatus(actionId, newStatus, note = '', extra = {}) {
+    try {
+      const actionRef = doc(db, this.COLLECTION, actionId);
+      const snapshot = await getDoc(actionRef);
+
+      if (!snapshot.exists()) {
+        return { success: false, error: 'Corrective action not found' };
+      }
+
+      const action = snapshot.data();
+
+      if (!(this.TRANSITIONS[action.status] || []).includes(newStatus)) {
+        return { success: false, error: `An action that is ${action.status} cannot be moved to ${newStatus}` };
+      }
+
+      // Owners work the action; closing, cancelling and verifying are for
+      // site management (mirrored in firebase-security-rules.txt). Actions
+      // without a verification step close as soon as the owner completes them.
+      const ownerStatuses = [this.STATUSES.IN_PROGRESS, this.STATUSES.AWAITING_VERIFICATION];
+      if (!action.verification_required && this.OPEN_STATUSES.includes(action.status)) {
+        ownerStatuses.push(this.STATUSES.CLOSED);
+      }
+      if (!this.canManage(action) && !(this.isOwner(action) && ownerStatuses.includes(newStatus))) {
+        return { success: false, error: 'You do not have permission to change this action' };
+      }
+
+      await updateDoc(actionRef, {
+        ...extra,
+        status: newStatus,
+        status_history: arrayUnion(this.historyEntry(newStatus, note)),
+        updated_at: serverTimestamp()
+      });
+
+      await mmsDB.logAction('corrective_action_status_changed', {
+        action_id: actionId,
+        from: action.status,
+        to: newStatus,
+        note: note
+      }, { level: 3, category: 'incident' });
+
+      return { success: true, action_id: actionId, status: newStatus };
+
+    } catch (error) {
+      console.error('❌ Failed to update corrective action:', error);
+      return { success: false, error: 'Failed to update corrective action', details: error.message };
+    }
+  }
+
+  startAction(actionId) {
+    return this.changeStatus(actionId, this.STATUSES.IN_PROGRESS, 'Work started');
+  }
+
+  // Goes to verification unless the action was created without that step
+  async completeAction(actionId, notes = '') {
+    const result = await this.getAction(actionId);
+    if (!result.success) return result;
+
+    const nextStatus = result.data.verification_required
+      ? this.STATUSES.AWAITING_VERIFICATION
+      : this.STATUSES.CLOSED;
+
+    return this.changeStatus(actionId, nextStatus, notes || 'Action completed', {
+      completed_at: serverTimestamp(),
+      completed_by: this.currentEmail(),
+      completion_notes: notes,
+      escalated_roles: []
+    });
+  }
+
+  // Effective → Closed. Not effective → back to In Progress with a new due
+  // date, so the action is worked again and re-verified.
+  async verifyEffectiveness(actionId, { effective, notes = '', newDueDate = null }) {
+    const result = await this.getAction(actionId);
+    if (!result.success) return result;
+
+    const action = result.data;
+    const me = this.currentEmail().toLowerCase();
+
+    if (action.owner_email === me || action.completed_by?.toLowerCase() === me) {
+      return { success: false, error: 'Effectiveness must be verified by someone other than the person who did the work' };
+    }
+
+    const verification = {
+      effective: !!effective,
+      notes: notes,
+      verified_by: this.currentEmail(),
+      verified_at: new Date().toISOString()
+    };
+
+    if (effective) {
+      return this.changeStatus(actionId, this.STATUSES.CLOSED, `Verified effective${notes ? `: ${notes}` : ''}`, {
+        verification: verification
+      });
+    }
+
+    const dueDate = newDueDate ? new Date(newDueDate) : null;
+    if (!dueDate || isNaN(dueDate)) {
+      return { success: false, error: 'Set a new due date for the reopened action' };
+    }
+
+    return this.changeStatus(actionId, this.STATUSES.IN_PROGRESS, `Not effective${notes ? `: ${notes}` : ''}`, {
+      verification: verification,
+      due_date: Timestamp.fromDate(dueDate),
+      completed_at: null,
+      completed_by: null,
+      reopened_count: (action.reopened_count || 0) + 1,
+      escalation_level: 0,
+      escalated_roles: [],
+      escalated_at: null
+    });
+  }
+
+  cancelAction(actionId, reason) {
+    if (!reason) {
+      return Promise.resolve({ success: false, error: 'Give a reason for cancelling the action' });
+    }
+    return this.changeStatus(actionId, this.STATUSES.CANCELLED, reason, { escalated_roles: [] });
+  }
+
+  // ==================== QUERIES ====================
+
+  toAction(snapshot) {
+    const data = snapshot.data();
+    return {
+      id: snapshot.id,
+      ...data,
+      due: data.due_date?.toDate?.() || null
+    };
+  }
+
+  async getAction(actionId) {
+    try {
+      const snapshot = await getDoc(doc(db, this.COLLECTION, actionId));
+      if (!snapshot.exists()) {
+        return { success: false, error: 'Corrective action not found' };
+      }
+      return { success: true, data: this.toAction(snapshot) };
+    } catch (error) {
+      console.error('❌ Failed to get corrective action:', error);
+      return { success: false, error: 'Failed to load corrective action' };
+    }
+  }
+
+  // filters: location, status, investigationId, startDate/endDate (due date)
+  async getActions(filters = {}) {
+    try {
+      let q = query(collection(db, this.COLLECTION), where('company', '==', mmsDB.COMPANY_ID));
+
+      if (filters.investigationId) {
+        q = query(q, where('investigation_id', '==', filters.investigationId));
+      }
+
+      const docs = await mmsDB.getScopedDocs(q, filters.location);
+      if (!docs) return { success: true, data: [] };
+
+      let actions = docs.map(record => this.toAction(record));
+
+      // Status and due date are filtered here: Firestore allows only one
+      // `in` filter per query and site scoping already uses it
+      if (filters.status) {
+        const statuses = [].concat(filters.status);
+        actions = actions.filter(action => statuses.includes(action.status));
+      }
+      if (filters.startDate) {
+        const start = new Date(filters.startDate);
+        actions = actions.filter(action => action.due && action.due >= start);
+      }
+      if (filters.endDate) {
+        const end = new Date(`${filters.endDate}T23:59:59.999`);
+        actions = actions.filter(action => action.due && action.due <= end);
+      }
+
+      return { success: true, data: this.sortByDue(actions) };
+
+    } catch (error) {
+      console.error('❌ Failed to get corrective actions:', error);
+      return { success: false, error: 'Failed to load corrective actions', data: [] };
+    }
+  }
+
+  getActionsForInvestigation(investigationId) {
+    return this.getActions({ investigationId });
+  }
+
+  // Actions the current user owns, plus open actions escalated to their role
+  // at one of their sites
+  async getMyActions() {
+    try {
+      const email = this.currentEmail().toLowerCase();
+      const role = window.mmsAuth?.userRole;
+
+      const owned = await getDocs(query(
+        collection(db, this.COLLECTION),
+        where('owner_email', '==', email)
+      ));
+
+      let escalated = [];
+      const escalationDocs = role
+        ? await mmsDB.getScopedDocs(
+            query(collection(db, this.COLLECTION), where('escalated_roles', 'array-contains', role))
+          )
+        : null;
+
+      if (escalationDocs) {
+        escalated = escalationDocs
+          .map(record => this.toAction(record))
+          .filter(action => action.owner_email !== email && this.OPEN_STATUSES.includes(action.status));
+      }
+
+      return {
+        success: true,
+        data: {
+          owned: this.sortByDue(owned.docs.map(record => this.toAction(record))),
+          escalated: this.sortByDue(escalated)
+        }
+      };
+
+    } catch (error) {
+      console.error('❌ Failed to get my actions:', error);
+      return { success: false, error: 'Failed to load your actions', data: { owned: [], escalated: [] } };
+    }
+  }
+
+  sortByDue(actions) {
+    return actions.sort((a, b) => (a.due?.getTime() ?? Infinity) - (b.due?.getTime() ?? Infinity));
+  }
+
+  isOverdue(action, now = new Date()) {
+    return this.OPEN_STATUSES.includes(action.status) && !!action.due && action.due < now;
+  }
+
+  daysOverdue(action, now = new Date()) {
+    if (!this.isOverdue(action, now)) return 0;
+    return Math.floor((now - action.due) / (24 * 60 * 60 * 1000));
+  }
+
+  // Share of the actions due in the period that have been completed
+  // (awaiting verification or closed). rate is null when nothing was due.
+  async getCompletionStats(filters = {}) {
+    const result = await this.getActions({
+      location: filters.location,
+      startDate: filters.startDate,
+      endDate: filters.endDate
+    });
+
+    if (!result.success) return { ...result, rate: null };
+
+    const due = result.data.filter(action => action.status !== this.STATUSES.CANCELLED);
+    const completed = due.filter(action =>
+      [this.STATUSES.AWAITING_VERIFICATION, this.STATUSES.CLOSED].includes(action.status));
+    const onTime = completed.filter(action => {
+      const completedAt = action.completed_at?.toDate?.();
+      return completedAt && action.due && completedAt <= action.due;
+    });
+
+    return {
+      success: true,
+      total: due.length,
+      completed: completed.length,
+      verified: due.filter(action => action.status === this.STATUSES.CLOSED).length,
+      overdue: due.filter(action => this.isOverdue(action)).length,
+      rate: due.length ? completed.length / due.length : null,
+      on_time_rate: completed.length ? onTime.length / completed.length : null
+    };
+  }
+
+  // ==================== OVERDUE ESCALATION ====================
+
+  getEscalationLevel(action, now = new Date()) {
+    const days = this.daysOverdue(action, now);
+    if (!this.isOverdue(action, now)) return null;
+
+    return [...this.ESCALATION_LEVELS].reverse().find(level => days >= level.afterDays) || null;
+  }
+
+  // Raises the escalation level of overdue actions at the user's sites.
+  // Only ever moves up, so repeated runs from several browsers are harmless.
+  async escalateOverdueActions() {
+    if (!window.mmsAuth?.hasPermission('canEditIncidents')) {
+      return { success: true, escalated: 0 };
+    }
+
+    const result = await this.getActions({ status: this.OPEN_STATUSES });
+    if (!result.success) return { success: false, error: result.error };
+
+    let escalated = 0;
+
+    for (const action of result.data) {
+      const level = this.getEscalationLevel(action);
+      if (!level || level.level <= (action.escalation_level || 0)) continue;
+
+      try {
+        await updateDoc(doc(db, this.COLLECTION, action.id), {
+          escalation_level: level.level,
+          escalated_roles: level.roles,
+          escalated_at: serverTimestamp(),
+          status_history: arrayUnion(this.historyEntry(action.status,
+            `Escalated: ${level.label} (${this.daysOverdue(action)} days overdue)`)),
+          updated_at: serverTimestamp()
+        });
+
+        await mmsDB.logAction('corrective_action_escalated', {
+          action_id: action.id,
+          level: level.level,
+          days_overdue: this.daysOverdue(action),
+          owner: action.owner_email
+        }, { level: 2, category: 'incident' });
+
+        escalated++;
+      } catch (error) {
+        console.error(`❌ Failed to escalate ${action.id}:`, error);
+      }
+    }
+
+    if (escalated > 0) {
+      console.log(`⏰ Escalated ${escalated} overdue corrective action(s)`);
+    }
+
+    return { success: true, escalated };
+  }
+
+  // Runs after sign-in: escalate, then remind the user of their own overdue
+  // actions and any escalated to them. Repeats hourly while the app is open.
+  startOverdueMonitor() {
+    if (this.monitorTimer) return;
+
+    const check = async () => {
+      await this.escalateOverdueActions();
+
+      const mine = await this.getMyActions();
+      if (!mine.success) return;
+
+      const overdue = mine.data.owned.filter(action => this.isOverdue(action)).length;
+      const escalated = mine.data.escalated.length;
+
+      if (overdue + escalated > 0) {
+        const message = [
+          overdue ? `${overdue} of your corrective actions overdue` : '',
+          escalated ? `${escalated} escalated to you` : ''
+        ].filter(Boolean).join(', ');
+
+        window.safetyNotifications?.sendSafetyAlert('⏰ Corrective Actions Overdue', message, {
+          tag: 'capa-overdue'
+        });
+        this.updateNavBadge(overdue + escalated);
+      }
+    };
+
+    check();
+    this.monitorTimer = setInterval(check, 60 * 60 * 1000);
+  }
+
+  updateNavBadge(count) {
+    const badge = document.getElementById('myActionsBadge');
+    if (!badge) return;
+    badge.textContent = count;
+    badge.style.display = count > 0 ? 'inline-block' : 'none';
+  }
+
+  // ==================== MY ACTIONS VIEW ====================
+
+  escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value ?? '';
+    return div.innerHTML;
+  }
+
+  getStatusColor(status) {
+    const colors = {
+      'Open': '#3b82f6',
+      'In Progress': '#f59e0b',
+      'Awaiting Verification': '#8b5cf6',
+      'Closed': '#10b981',
+      'Cancelled': '#6b7280'
+    };
+    return colors[status] || '#6b7280';
+  }
+
+  async renderMyActions(containerId = 'correctiveActionsContent') {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    container.innerHTML = '<p style="color: var(--text-light); padding: 1rem;">Loading your actions...</p>';
+
+    const mine = await this.getMyActions();
+    const canAssign = window.mmsAuth?.hasPermission('canEditIncidents');
+    const verifyQueue = canAssign
+      ? await this.getActions({ status: this.STATUSES.AWAITING_VERIFICATION })
+      : { data: [] };
+
+    if (!mine.success) {
+      container.innerHTML = `<p style="color: var(--error); padding: 1rem;">${this.escapeHtml(mine.error)}</p>`;
+      return;
+    }
+
+    const owned = mine.data.owned.filter(action => !['Closed', 'Cancelled'].includes(action.status));
+    const toVerify = verifyQueue.data.filter(action => !this.isOwner(action));
+    this.updateNavBadge(owned.filter(action => this.isOverdue(action)).length + mine.data.escalated.length);
+
+    container.innerHTML = `
+      ${canAssign ? `
+        <div style="display: flex; justify-content: flex-end; margin-bottom: 1rem;">
+          <button class="btn btn-primary" onclick="correctiveActions.showActionForm()">➕ New Action</button>
+        </div>
+      ` : ''}
+      ${this.renderActionTable('Assigned to me', owned, 'You have no open corrective actions.')}
+      ${mine.data.escalated.length ? this.renderActionTable('⏰ Escalated to me', mine.data.escalated, '') : ''}
+      ${canAssign ? this.renderActionTable('Awaiting my verification', toVerify, 'Nothing is waiting for verification.') : ''}
+    `;
+  }
+
+  renderActionTable(title, actions, emptyText) {
+    const cell = 'padding: 0.75rem; border-bottom: 1px solid var(--border); text-align: left;';
+
+    return `
+      <h3 style="margin: 1.5rem 0 0.75rem; color: var(--text);">${title} (${actions.length})</h3>
+      ${actions.length === 0 ? `<p style="color: var(--text-light);">${emptyText}</p>` : `
+        <div style="overflow-x: auto; border: 1px solid var(--border); border-radius: 8px;">
+          <table style="width: 100%; border-collapse: collapse; font-size: 0.9rem;">
+            <thead>
+              <tr style="background: var(--background);">
+                <th style="${cell}">Action</th>
+                <th style="${cell}">Site</th>
+                <th style="${cell}">Owner</th>
+                <th style="${cell}">Priority</th>
+                <th style="${cell}">Due</th>
+                <th style="${cell}">Status</th>
+                <th style="${cell}"></th>
+              </tr>
+            </thead>
+            <tbody>
+              ${actions.map(action => {
+                const overdueDays = this.daysOverdue(action);
+                return `
+                  <tr>
+                    <td style="${cell}">
+                      <strong>${this.escapeHtml(action.id)}</strong><br>
+                      ${this.escapeHtml(action.description)}
+                      ${action.investigation_id ? `<br><small style="color: var(--text-light);">Investigation ${this.escapeHtml(action.investigation_id)}</small>` : ''}
+                    </td>
+                    <td style="${cell}">${this.escapeHtml(action.location)}</td>
+                    <td style="${cell}">${this.escapeHtml(action.owner_name || action.owner_email)}</td>
+                    <td style="${cell}">${this.escapeHtml(action.priority)}</td>
+                    <td style="${cell} ${this.isOverdue(action) ? 'color: var(--error); font-weight: 600;' : ''}">
+                      ${action.due ? action.due.toLocaleDateString() : '—'}
+                      ${this.isOverdue(action) ? `<br><small>${overdueDays} day(s) overdue</small>` : ''}
+                    </td>
+                    <td style="${cell}">
+                      <span style="background: ${this.getStatusColor(action.status)}; color: white; padding: 0.2rem 0.6rem; border-radius: 12px; font-size: 0.8rem; white-space: nowrap;">
+                        ${action.status}
+                      </span>
+                    </td>
+                    <td style="${cell} white-space: nowrap;">${this.renderActionButtons(action)}</td>
+                  </tr>
+                `;
+              }).join('')}
+            </tbody>
+          </table>
+        </div>
+      `}
+    `;
+  }
+
+  renderActionButtons(action) {
+    const buttons = [];
+    const button = (label, handler) =>
+      `<button class="btn btn-outline" style="padding: 0.3rem 0.6rem; font-size: 0.8rem;" onclick="correctiveActions.${handler}('${action.id}')">${label}</button>`;
+
+    const worker = this.isOwner(action) || this.canManage(action);
+
+    if (action.status === 'Open' && worker) buttons.push(button('Start', 'handleStart'));
+    if (this.OPEN_STATUSES.includes(action.status) && worker) buttons.push(button('Complete', 'handleComplete'));
+    if (action.status === 'Awaiting Verification' && this.canManage(action) && !this.isOwner(action)) {
+      buttons.push(button('Verify', 'handleVerify'));
+    }
+    buttons.push(button('History', 'showHistory'));
+
+    return buttons.join(' ');
+  }
+
+  async afterChange(result, successMessage) {
+    if (!result.success) {
+      alert(`❌ ${result.error}`);
+      return;
+    }
+    window.showToast?.('Corrective Actions', successMessage, 'success');
+    await this.renderMyActions();
+  }
+
+  async handleStart(actionId) {
+    this.afterChange(await this.startAction(actionId), 'Action started');
+  }
+
+  async handleComplete(actionId) {
+    const notes = await window.mmsMFA.openDialog({
+      title: '✅ Complete Corrective Action',
+      body: `
+        <label style="display: block; font-weight: 600; margin-bottom: 0.5rem;">What was done?</label>
+        <textarea data-field="notes" rows="4" style="width: 100%; padding: 0.75rem; border: 1px solid #e2e8f0; border-radius: 8px;"></textarea>
+      `,
+      submitLabel: 'Mark Complete',
+      onSubmit: async (fields) => fields.notes
+        ? { success: true, value: fields.notes }
+        : { success: false, error: 'Describe the work that was done' }
+    });
+
+    if (!notes) return;
+    this.afterChange(await this.completeAction(actionId, notes), 'Action completed');
+  }
+
+  async handleVerify(actionId) {
+    const inputStyle = 'width: 100%; padding: 0.75rem; border: 1px solid #e2e8f0; border-radius: 8px;';
+    const result = await window.mmsMFA.openDialog({
+      title: '🔎 Verify Effectiveness',
+      body: `
+        <p style="color: #64748b; margin-bottom: 1rem;">Has the action stopped the problem from recurring?</p>
+        <label style="display: block; font-weight: 600; margin-bottom: 0.5rem;">Outcome</label>
+        <select data-field="outcome" style="${inputStyle}">
+          <option value="effective">Effective - close the action</option>
+          <option value="not_effective">Not effective - reopen it</option>
+        </select>
+        <label style="display: block; font-weight: 600; margin: 1rem 0 0.5rem;">Evidence / notes</label>
+        <textarea data-field="notes" rows="3" style="${inputStyle}"></textarea>
+        <label style="display: block; font-weight: 600; margin: 1rem 0 0.5rem;">New due date (if reopened)</label>
+        <input type="date" data-field="newDueDate" style="${inputStyle}">
+      `,
+      submitLabel: 'Record Verification',
+      onSubmit: async (fields) => {
+        const outcome = await this.verifyEffectiveness(actionId, {
+          effective: fields.outcome === 'effective',
+          notes: fields.notes,
+          newDueDate: fields.newDueDate || null
+        });
+        return outcome.success ? { success: true, value: outcome } : outcome;
+      }
+    });
+
+    if (result) this.afterChange(result, `Action ${result.status === 'Closed' ? 'closed' : 'reopened'}`);
+  }
+
+  async showHistory(actionId) {
+    const result = await this.getAction(actionId);
+    if (!result.success) {
+      alert(`❌ ${result.error}`);
+      return;
+    }
+
+    const action = result.data;
+    await window.mmsMFA.openDialog({
+      title: `📜 ${this.escapeHtml(action.id)}`,
+      body: `
+        <p style="margin-bottom: 1rem;">${this.escapeHtml(action.description)}</p>
+        ${(action.status_history || []).map(entry => `
+          <div style="border-left: 3px solid ${this.getStatusColor(entry.status)}; padding: 0.25rem 0 0.25rem 0.75rem; margin-bottom: 0.75rem;">
+            <strong>${this.escapeHtml(entry.status)}</strong> · ${new Date(entry.at).toLocaleString()}<br>
+            <small style="color: #64748b;">${this.escapeHtml(entry.by)}${entry.note ? ` - ${this.escapeHtml(entry.note)}` : ''}</small>
+          </div>
+        `).join('')}
+      `,
+      submitLabel: 'Close',
+      cancelLabel: null,
+      onSubmit: async () => ({ success: true, value: true })
+    });
+  }
+
+  async showActionForm(defaults = {}) {
+    const inputStyle = 'width: 100%; padding: 0.75rem; border: 1px solid #e2e8f0; border-radius: 8px; margin-bottom: 1rem;';
+    const label = (text) => `<label style="display: block; font-weight: 600; margin-bottom: 0.5rem;">${text}</label>`;
+    const locations = mmsDB.MMS_LOCATIONS.filter(site => mmsDB.canAccessLocation(site.name));
+
+    const result = await window.mmsMFA.openDialog({
+      title: '🛠️ New Corrective Action',
+      body: `
+        ${label('Action')}
+        <textarea data-field="description" rows="3" style="${inputStyle}">${this.escapeHtml(defaults.description || '')}</textarea>
+        ${label('Type')}
+        <select data-field="action_type" style="${inputStyle}">
+          <option>Corrective</option>
+          <option>Preventive</option>
+        </select>
+        ${label('Owner email')}
+        <input type="email" data-field="owner_email" style="${inputStyle}">
+        ${label('Site')}
+        <select data-field="location" style="${inputStyle}">
+          ${locations.map(site => `<option ${site.name === defaults.location ? 'selected' : ''}>${site.name}</option>`).join('')}
+        </select>
+        ${label('Priority')}
+        <select data-field="priority" style="${inputStyle}">
+          ${this.PRIORITIES.map(priority => `<option ${priority === 'Medium' ? 'selected' : ''}>${priority}</option>`).join('')}
+        </select>
+        ${label('Due date')}
+        <input type="date" data-field="due_date" style="${inputStyle}">
+        ${label('How will effectiveness be verified?')}
+        <input type="text" data-field="verification_method" style="${inputStyle}" placeholder="e.g. Re-audit the area after 30 days">
+        <label style="display: flex; gap: 0.5rem; align-items: center;">
+          <input type="checkbox" data-field="verification_required" checked> Requires verification of effectiveness
+        </label>
+      `,
+      submitLabel: 'Assign Action',
+      onSubmit: async (fields) => {
+        const created = await this.createAction({
+          ...fields,
+          investigation_id: defaults.investigation_id,
+          incident_id: defaults.incident_id,
+          root_cause_id: defaults.root_cause_id
+        });
+        return created.success ? { success: true, value: created } : created;
+      }
+    });
+
+    if (result) this.afterChange(result, `Action ${result.action_id} assigned`);
+    return result;
+  }
+}
+
+// Create global instance
+const correctiveActions = new CorrectiveActionTracker();
+
+// Make tracker globally available
+window.correctiveActions = correctiveActions;
+
+export { correctiveActions };
+
+console.log('✅ Corrective Action Tracker Ready');
@@ -13,7 +13,10 @@ import {
   orderBy,
   serverTimestamp,
   limit,
+  startAfter,
   writeBatch,
+  runTransaction,
+  increment,
   Timestamp
 } from "https://www.gstatic.com/firebasejs/9.22.0/firebase-firestore.js";
 import {
@@ -22,6 +25,7 @@ import {
   getDownloadURL,
   deleteObject
 } from "https://www.gstatic.com/firebasejs/9.22.0/firebase-storage.js";
+import { mmsEncryption } from './encryption-service.js';
 
 class MMSDatabaseService {
   constructor() {
@@ -38,9 +42,60 @@ class MMSDatabaseService {
       CONTRACTORS: 'contractors',
       STANDARDS: 'safety_standards',
       LOGS: 'audit_logs',
-      LOCATIONS: 'locations'
+      LOCATIONS: 'locations',
+      MIGRATIONS: 'system_migrations',
+      AUDIT_CHAIN: 'audit_chain',
+      AUDIT_ARCHIVES: 'audit_archives',
+      CORRECTIVE_ACTIONS: 'corrective_actions',
+      MAN_HOURS: 'man_hours',
+      REPORT_SCHEDULES: 'report_schedules',
+      REPORT_HISTORY: 'report_history',
+      REPORT_OUTBOX: 'report_outbox',
+      USER_DIRECTORY: 'user_directory',
+      EMPLOYEE_DIRECTORY: 'employee_directory',
+      NOTIFICATIONS: 'notifications'
     };
     
+    // previous_hash of the first entry in each audit chain
+    this.AUDIT_GENESIS_HASH = '0'.repeat(64);
+    // The audit trail is one chain per site, so writers at different sites
+    // don't contend for the same head; entries with no site go here
+    this.AUDIT_DEFAULT_CHAIN = 'company';
+    this.AUDIT_PAGE_SIZE = 500;
+    
+    // Audit entries that couldn't be appended (offline, or the head
+    // transaction failed) wait here in order until they can be
+    this.AUDIT_QUEUE_KEY = 'mms_pending_audit_entries';
+    this.AUDIT_RETRY_MS = 30 * 1000;
+    this.auditRetryTimer = null;
+    this.auditFlush = null;
+    
+    // localStorage → Firestore migration
+    this.LOCAL_MIGRATION_ID = 'local_data_migration';
+    this.MIGRATION_CHECKPOINT_KEY = 'mms_migration_checkpoint';
+    this.MIGRATION_BATCH_SIZE = 400;
+    // Written by migrateLocalData() over the legacy record, so left out when
+    // comparing a migrated document with its local original
+    this.MIGRATION_FIELDS = ['migrated_from', 'migrated_at', 'migrated_by', 'migration_run', 'legacy_key',
+      'legacy_checksum', 'original_local_id', 'company', 'updated_at', 'version'];
+    
+    // Most values Firestore accepts in one `in` filter
+    this.SITE_FILTER_LIMIT = 10;
+    
+    // Non-sensitive employee fields mirrored to employee_directory
+    this.EMPLOYEE_DIRECTORY_FIELDS = ['employee_id', 'name', 'department', 'position', 'location', 'employment_status'];
+    
+    // Collections whose records carry a `location` site name and are
+    // restricted to the user's sites (mirrored in firebase-security-rules.txt)
+    this.SITE_SCOPED_COLLECTIONS = [
+      this.COLLECTIONS.INCIDENTS,
+      this.COLLECTIONS.EMPLOYEES,
+      this.COLLECTIONS.EMPLOYEE_DIRECTORY,
+      this.COLLECTIONS.TRAINING,
+      this.COLLECTIONS.CORRECTIVE_ACTIONS,
+      this.COLLECTIONS.MAN_HOURS
+    ];
+    
     // MMS Locations
     this.MMS_LOCATIONS = [
       { code: 'CT', name: 'Cape Town HQ', country: 'South Africa' },
@@ -62,6 +117,8 @@ class MMSDatabaseService {
       { code: 'PKM', name: 'Polytra Kapiri Mposhi', country: 'Zambia' }
     ];
     
+    window.addEventListener('online', () => this.flushAuditQueue());
+    
     console.log('📦 MMS Database Service Initialized');
   }
 
@@ -73,35 +130,775 @@ class MMSDatabaseService {
     return `${prefix}-${timestamp}-${random}`;
   }
 
-  async logAction(action, details = {}) {
+  // options: level / category / message, as set by MMSAuditLogger; plain
+  // service actions are logged as INFO in the system category
+  async logAction(action, details = {}, options = {}) {
     try {
-      const logId = this.generateId('LOG');
       const user = window.mmsAuth?.currentUser;
       
       const logData = {
         action: action,
+        level: options.level ?? 5,
+        category: options.category || 'system',
+        message: options.message || '',
         user_id: user?.uid || 'unknown',
         user_email: user?.email || 'unknown',
         user_role: window.mmsAuth?.userRole || 'guest',
         user_location: window.mmsAuth?.userLocation || 'unknown',
-        timestamp: serverTimestamp(),
+        timestamp: new Date().toISOString(),
         details: details,
         company: this.COMPANY_ID,
+        chain: this.getAuditChainId(),
         ip_address: await this.getClientIP()
       };
+      logData.search_terms = this.buildAuditSearchTerms(action, logData.user_email, logData.message, details);
+      
+      // While older entries are waiting, queue behind them to keep the chain in order
+      if (!navigator.onLine || this.getPendingAuditEntries().some(entry => this.canSubmitAuditEntry(entry))) {
+        this.queueAuditEntry(logData);
+        this.flushAuditQueue();
+        return false;
+      }
       
-      await setDoc(doc(db, this.COLLECTIONS.LOGS, logId), logData);
-      return true;
+      try {
+        await this.appendAuditEntry(logData);
+        return true;
+      } catch (error) {
+        console.error(`❌ Audit entry ${action} could not be appended - queued for retry:`, error);
+        this.queueAuditEntry(logData);
+        window.showToast?.('Audit Trail Delayed', 'An audit entry could not be recorded yet and will be retried', 'warning');
+        this.scheduleAuditRetry();
+        return false;
+      }
     } catch (error) {
       console.error('Failed to log action:', error);
       return false;
     }
   }
 
+  // ==================== AUDIT TRAIL ====================
+  
+  // audit_logs is an append-only hash chain per site. Entry N of chain C is
+  // stored as audit_logs/C_N with previous_hash = entry_hash of C_N-1, and
+  // audit_chain/C holds the chain's latest sequence and hash. Appends run in
+  // a transaction on that head so concurrent writers can't fork the chain;
+  // the security rules check the entry and the new head agree and that the
+  // entry is attributed to the account writing it. recorded_at is
+  // server-set and unhashed.
+  async appendAuditEntry(entry) {
+    // Round-trip through JSON so the stored entry is exactly what was hashed
+    const content = JSON.parse(JSON.stringify(entry));
+    const chain = content.chain || this.AUDIT_DEFAULT_CHAIN;
+    const headRef = doc(db, this.COLLECTIONS.AUDIT_CHAIN, chain);
+    
+    return runTransaction(db, async (transaction) => {
+      const head = await transaction.get(headRef);
+      const sequence = (head.exists() ? head.data().sequence : 0) + 1;
+      
+      const chained = {
+        ...content,
+        chain: chain,
+        submitted_by: window.mmsAuth?.currentUser?.uid || 'unknown',
+        sequence: sequence,
+        previous_hash: head.exists() ? head.data().hash : this.AUDIT_GENESIS_HASH
+      };
+      const { fingerprint } = await mmsEncryption.generateDataFingerprint(chained);
+      
+      transaction.set(doc(db, this.COLLECTIONS.LOGS, this.getAuditEntryId(chain, sequence)), {
+        ...chained,
+        entry_hash: fingerprint,
+        recorded_at: serverTimestamp()
+      });
+      // Merged so the archive markers on the head are kept
+      transaction.set(headRef, {
+        sequence: sequence,
+        hash: fingerprint,
+        updated_at: serverTimestamp()
+      }, { merge: true });
+      
+      return { chain, sequence, hash: fingerprint };
+    });
+  }
+
+  // The writer's first assigned site; roles without sites use the default chain
+  getAuditChainId() {
+    const site = window.mmsAuth?.userSites?.[0];
+    return site ? String(site).replace(/[^A-Za-z0-9-]/g, '-') : this.AUDIT_DEFAULT_CHAIN;
+  }
+
+  getAuditEntryId(chain, sequence) {
+    return `${chain}_${sequence}`;
+  }
+
+  // Entries can only be appended by the account they name, or by whoever
+  // signs in next if they were logged before anyone had signed in
+  canSubmitAuditEntry(entry) {
+    return entry.user_id === 'unknown' || entry.user_id === window.mmsAuth?.currentUser?.uid;
+  }
+
+  getPendingAuditEntries() {
+    try {
+      return JSON.parse(localStorage.getItem(this.AUDIT_QUEUE_KEY) || '[]');
+    } catch {
+      return [];
+    }
+  }
+
+  queueAuditEntry(entry) {
+    try {
+      localStorage.setItem(this.AUDIT_QUEUE_KEY, JSON.stringify([...this.getPendingAuditEntries(), entry]));
+    } catch (error) {
+      console.error(`🚨 Audit entry ${entry.action} lost - could not be queued:`, error);
+      window.showToast?.('Audit Trail Error', `The ${entry.action} audit entry could not be saved`, 'error');
+    }
+  }
+
+  scheduleAuditRetry() {
+    if (this.auditRetryTimer) return;
+    this.auditRetryTimer = setTimeout(() => {
+      this.auditRetryTimer = null;
+      this.flushAuditQueue();
+    }, this.AUDIT_RETRY_MS);
+  }
+
+  // Appends queued entries oldest first and stops at the first failure, so
+  // the chain keeps them in the order they happened. Entries another
+  // account logged on this device wait until that account signs in again.
+  async flushAuditQueue() {
+    if (this.auditFlush) return this.auditFlush;
+    
+    this.auditFlush = (async () => {
+      let appended = 0;
+      
+      while (navigator.onLine && window.mmsAuth?.currentUser) {
+        const index = this.getPendingAuditEntries().findIndex(entry => this.canSubmitAuditEntry(entry));
+        if (index === -1) break;
+        const entry = this.getPendingAuditEntries()[index];
+        
+        try {
+          await this.appendAuditEntry(entry);
+        } catch (error) {
+          console.error(`❌ Queued audit entry ${entry.action} still could not be appended:`, error);
+          this.scheduleAuditRetry();
+          break;
+        }
+        
+        // New entries are only ever added at the end, so index still points here
+        const remaining = this.getPendingAuditEntries();
+        remaining.splice(index, 1);
+        localStorage.setItem(this.AUDIT_QUEUE_KEY, JSON.stringify(remaining));
+        appended++;
+      }
+      
+      if (appended > 0) {
+        console.log(`🔗 Appended ${appended} queued audit entr${appended === 1 ? 'y' : 'ies'}`);
+      }
+      return appended;
+    })().finally(() => {
+      this.auditFlush = null;
+    });
+    
+    return this.auditFlush;
+  }
+
+  async computeAuditEntryHash(entry) {
+    const { entry_hash, recorded_at, ...content } = entry;
+    const { fingerprint } = await mmsEncryption.generateDataFingerprint(content);
+    return fingerprint;
+  }
+
+  // Walk every chain in sequence order and report missing sequence numbers,
+  // entries whose content no longer matches their hash, broken links and a
+  // head that points past the last entry (deleted tail). Archived entries
+  // are skipped; the head keeps the hash the remaining entries link to.
+  async verifyAuditChain() {
+    if (!window.mmsAuth?.hasPermission('canAccessAuditLogs')) {
+      return { success: false, error: 'Only administrators can verify the audit trail' };
+    }
+    
+    try {
+      console.log('🔗 Verifying audit chains...');
+      
+      const heads = await getDocs(collection(db, this.COLLECTIONS.AUDIT_CHAIN));
+      const issues = [];
+      let checked = 0;
+      
+      for (const head of heads.docs) {
+        const result = await this.verifyAuditChainShard(head.id, head.data());
+        issues.push(...result.issues);
+        checked += result.checked;
+      }
+      
+      console.log(issues.length === 0
+        ? `✅ Audit chains intact (${heads.size} chains, ${checked} entries)`
+        : `🚨 Audit chains have ${issues.length} problem(s)`);
+      
+      return {
+        success: true,
+        valid: issues.length === 0,
+        checked: checked,
+        chains: heads.size,
+        issues: issues,
+        verified_at: new Date().toISOString()
+      };
+      
+    } catch (error) {
+      console.error('❌ Audit chain verification failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async verifyAuditChainShard(chain, head) {
+    const issues = [];
+    const archivedThrough = head.archived_through || 0;
+    let expectedSequence = archivedThrough + 1;
+    let previousHash = head.archived_hash || this.AUDIT_GENESIS_HASH;
+    let checked = 0;
+    let cursor = null;
+    
+    while (true) {
+      const constraints = [
+        where('chain', '==', chain),
+        where('sequence', '>', archivedThrough),
+        orderBy('sequence'),
+        limit(this.AUDIT_PAGE_SIZE)
+      ];
+      if (cursor) constraints.push(startAfter(cursor));
+      
+      const snapshot = await getDocs(query(collection(db, this.COLLECTIONS.LOGS), ...constraints));
+      
+      for (const entryDoc of snapshot.docs) {
+        const entry = entryDoc.data();
+        const label = this.getAuditEntryId(chain, entry.sequence);
+        
+        if (entryDoc.id !== label) {
+          issues.push({
+            type: 'misplaced',
+            chain: chain,
+            sequence: entry.sequence,
+            message: `Entry stored as ${entryDoc.id} claims to be ${label}`
+          });
+        }
+        
+        if (entry.sequence > expectedSequence) {
+          issues.push({
+            type: 'gap',
+            chain: chain,
+            sequence: expectedSequence,
+            message: entry.sequence - expectedSequence === 1
+              ? `Entry ${this.getAuditEntryId(chain, expectedSequence)} is missing`
+              : `Entries ${this.getAuditEntryId(chain, expectedSequence)}-${entry.sequence - 1} are missing`
+          });
+        } else if (entry.previous_hash !== previousHash) {
+          issues.push({
+            type: 'broken_link',
+            chain: chain,
+            sequence: entry.sequence,
+            message: `Entry ${label} does not link to the entry before it`
+          });
+        }
+        
+        if (await this.computeAuditEntryHash(entry) !== entry.entry_hash) {
+          issues.push({
+            type: 'modified',
+            chain: chain,
+            sequence: entry.sequence,
+            message: `Entry ${label} was changed after it was written`
+          });
+        }
+        
+        expectedSequence = entry.sequence + 1;
+        previousHash = entry.entry_hash;
+        checked++;
+      }
+      
+      if (snapshot.docs.length < this.AUDIT_PAGE_SIZE) break;
+      cursor = snapshot.docs[snapshot.docs.length - 1];
+    }
+    
+    const headSequence = head.sequence || 0;
+    if (headSequence >= expectedSequence) {
+      issues.push({
+        type: 'gap',
+        chain: chain,
+        sequence: expectedSequence,
+        message: headSequence === expectedSequence
+          ? `Entry ${this.getAuditEntryId(chain, headSequence)} is missing from the end of the chain`
+          : `Entries ${this.getAuditEntryId(chain, expectedSequence)}-${headSequence} are missing from the end of the chain`
+      });
+    } else if (head.hash !== previousHash) {
+      issues.push({
+        type: 'head_mismatch',
+        chain: chain,
+        sequence: headSequence,
+        message: `Head of chain ${chain} does not match its last entry`
+      });
+    }
+    
+    return { checked, issues };
+  }
+
+  // Old entries are archived per chain: copied in sequence order to a JSON
+  // file in Storage with a fingerprinted record in audit_archives, then the
+  // chain head is marked as archived through the last copied entry and
+  // those entries are deleted (the rules only allow deleting entries at or
+  // before that mark). The archival itself is appended as an audit event.
+  // Each run continues from where the previous archive of a chain ended.
+  async archiveAuditLogs(options = {}) {
+    if (!window.mmsAuth?.hasPermission('canAccessAuditLogs')) {
+      return { success: false, error: 'Only administrators can archive audit logs' };
+    }
+    
+    try {
+      const olderThanDays = options.olderThanDays ?? 30;
+      const cutoff = new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000).toISOString();
+      
+      const heads = await getDocs(collection(db, this.COLLECTIONS.AUDIT_CHAIN));
+      const archives = [];
+      
+      for (const head of heads.docs) {
+        const archive = await this.archiveAuditChain(head.id, head.data(), cutoff);
+        if (archive) archives.push(archive);
+      }
+      
+      if (archives.length === 0) {
+        return { success: true, archived: 0, archives: [], message: `No audit entries older than ${olderThanDays} days to archive` };
+      }
+      
+      const archived = archives.reduce((total, archive) => total + archive.entry_count, 0);
+      await this.logAction('audit_logs_archived', {
+        archives: archives.map(({ entries, ...summary }) => summary)
+      });
+      
+      return {
+        success: true,
+        archived: archived,
+        archives: archives,
+        message: `Archived ${archived} audit entries from ${archives.length} chain(s)`
+      };
+      
+    } catch (error) {
+      console.error('❌ Audit log archival failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Resolves the archive written for one chain, or null if nothing was due
+  async archiveAuditChain(chain, head, cutoff) {
+    const archivedThrough = head.archived_through || 0;
+    
+    // Entries a previous run archived but couldn't finish deleting
+    await this.deleteArchivedAuditEntries(chain, archivedThrough);
+    
+    const entries = [];
+    let cursor = null;
+    let reachedCutoff = false;
+    
+    while (!reachedCutoff) {
+      const constraints = [
+        where('chain', '==', chain),
+        where('sequence', '>', archivedThrough),
+        orderBy('sequence'),
+        limit(this.AUDIT_PAGE_SIZE)
+      ];
+      if (cursor) constraints.push(startAfter(cursor));
+      
+      const snapshot = await getDocs(query(collection(db, this.COLLECTIONS.LOGS), ...constraints));
+      
+      for (const entryDoc of snapshot.docs) {
+        const entry = entryDoc.data();
+        if (entry.timestamp >= cutoff) {
+          reachedCutoff = true;
+          break;
+        }
+        const { recorded_at, ...content } = entry;
+        entries.push(content);
+      }
+      
+      if (snapshot.docs.length < this.AUDIT_PAGE_SIZE) break;
+      cursor = snapshot.docs[snapshot.docs.length - 1];
+    }
+    
+    if (entries.length === 0) return null;
+    
+    const archiveId = this.generateId('ARCH');
+    const first = entries[0];
+    const last = entries[entries.length - 1];
+    const { fingerprint } = await mmsEncryption.generateDataFingerprint(entries);
+    
+    const summary = {
+      archive_id: archiveId,
+      chain: chain,
+      from_sequence: first.sequence,
+      to_sequence: last.sequence,
+      entry_count: entries.length,
+      first_previous_hash: first.previous_hash,
+      last_entry_hash: last.entry_hash,
+      archive_fingerprint: fingerprint,
+      cutoff: cutoff,
+      created_by: window.mmsAuth?.currentUser?.email || 'unknown'
+    };
+    
+    const storagePath = `mms_safety/audit_archives/${archiveId}.json`;
+    await uploadBytes(
+      ref(storage, storagePath),
+      new Blob([JSON.stringify({ ...summary, created_at: new Date().toISOString(), entries: entries }, null, 2)], { type: 'application/json' })
+    );
+    
+    await setDoc(doc(db, this.COLLECTIONS.AUDIT_ARCHIVES, archiveId), {
+      ...summary,
+      storage_path: storagePath,
+      archived_at: serverTimestamp()
+    });
+    
+    await updateDoc(doc(db, this.COLLECTIONS.AUDIT_CHAIN, chain), {
+      archived_through: last.sequence,
+      archived_hash: last.entry_hash,
+      archive_id: archiveId,
+      updated_at: serverTimestamp()
+    });
+    
+    const deleted = await this.deleteArchivedAuditEntries(chain, last.sequence);
+    console.log(`📦 Archived audit entries ${this.getAuditEntryId(chain, first.sequence)}-${last.sequence} (${deleted} removed)`);
+    
+    return { ...summary, storage_path: storagePath, created_at: new Date().toISOString(), entries: entries };
+  }
+
+  async deleteArchivedAuditEntries(chain, throughSequence) {
+    let deleted = 0;
+    if (throughSequence < 1) return deleted;
+    
+    while (true) {
+      const snapshot = await getDocs(query(
+        collection(db, this.COLLECTIONS.LOGS),
+        where('chain', '==', chain),
+        where('sequence', '<=', throughSequence),
+        orderBy('sequence'),
+        limit(this.AUDIT_PAGE_SIZE)
+      ));
+      if (snapshot.empty) return deleted;
+      
+      const batch = writeBatch(db);
+      snapshot.docs.forEach(entryDoc => batch.delete(entryDoc.ref));
+      await batch.commit();
+      deleted += snapshot.size;
+    }
+  }
+
+  // ==================== AUDIT QUERIES ====================
+  
+  // Lower-case words from an entry's text. Firestore has no full-text search,
+  // so entries store these as search_terms and text queries match whole
+  // words with array-contains (emails also match on their parts).
+  buildAuditSearchTerms(...values) {
+    const terms = new Set();
+    const maxTerms = 100;
+    
+    const collect = (value) => {
+      if (value === null || value === undefined || terms.size >= maxTerms) return;
+      if (typeof value === 'object') {
+        Object.values(value).forEach(collect);
+        return;
+      }
+      
+      String(value).toLowerCase().split(/[^a-z0-9@._-]+/).forEach(word => {
+        [word, ...word.split(/[@._-]+/)]
+          .filter(term => term.length >= 2 && terms.size < maxTerms)
+          .forEach(term => terms.add(term));
+      });
+    };
+    
+    values.forEach(collect);
+    return [...terms];
+  }
+
+  // Newest-first page of audit_logs. Filters: startDate, endDate, level
+  // (this level and more severe), category, userId, userEmail, action, text.
+  // Pass the returned cursor back in to get the next page. Each filter needs
+  // its composite index (listed in firebase-security-rules.txt).
+  // Entries written before audit search existed have no search_terms and
+  // can't be rewritten, so text search never matches them; find those by
+  // date, user or action instead.
+  async queryAuditLogs(filters = {}, pageOptions = {}) {
+    if (!window.mmsAuth?.hasPermission('canAccessAuditLogs')) {
+      return { success: false, error: 'Only administrators can view audit logs', data: [] };
+    }
+    
+    try {
+      const pageSize = Math.min(pageOptions.pageSize || 50, 500);
+      const terms = filters.text ? this.buildAuditSearchTerms(filters.text) : [];
+      const constraints = [];
+      
+      if (filters.startDate) {
+        constraints.push(where('timestamp', '>=', new Date(filters.startDate).toISOString()));
+      }
+      if (filters.endDate) {
+        // A bare date includes the whole day
+        const end = /^\d{4}-\d{2}-\d{2}$/.test(filters.endDate)
+          ? `${filters.endDate}T23:59:59.999Z`
+          : new Date(filters.endDate).toISOString();
+        constraints.push(where('timestamp', '<=', end));
+      }
+      if (filters.level !== undefined && filters.level !== '') {
+        const levels = Array.from({ length: Number(filters.level) + 1 }, (_, level) => level);
+        constraints.push(where('level', 'in', levels));
+      }
+      if (filters.category) constraints.push(where('category', '==', filters.category));
+      if (filters.userId) constraints.push(where('user_id', '==', filters.userId));
+      if (filters.userEmail) constraints.push(where('user_email', '==', filters.userEmail.trim()));
+      if (filters.action) constraints.push(where('action', '==', filters.action));
+      
+      // One term goes to Firestore; the rest are checked on the page
+      if (terms.length > 0) constraints.push(where('search_terms', 'array-contains', terms[0]));
+      
+      constraints.push(orderBy('timestamp', 'desc'));
+      if (pageOptions.cursor) constraints.push(startAfter(pageOptions.cursor));
+      constraints.push(limit(pageSize));
+      
+      const snapshot = await getDocs(query(collection(db, this.COLLECTIONS.LOGS), ...constraints));
+      
+      const entries = snapshot.docs
+        .map(entryDoc => ({ id: entryDoc.id, ...entryDoc.data() }))
+        .filter(entry => terms.every(term => entry.search_terms?.includes(term)));
+      
+      return {
+        success: true,
+        data: entries,
+        cursor: snapshot.docs[snapshot.docs.length - 1] || null,
+        hasMore: snapshot.docs.length === pageSize
+      };
+      
+    } catch (error) {
+      console.error('❌ Audit log query failed:', error);
+      return { success: false, error: error.message, data: [] };
+    }
+  }
+
+  // Export every entry matching the filters as CSV or JSON. Rows are fetched
+  // and handed to write(chunk) a page at a time, so the caller can stream
+  // them to a file rather than build the whole export in memory.
+  async exportAuditLogs(filters = {}, format = 'csv', write) {
+    const columns = ['chain', 'sequence', 'timestamp', 'level', 'category', 'action', 'user_email',
+                     'user_role', 'user_location', 'ip_address', 'message', 'details', 'entry_hash'];
+    let rows = 0;
+    let cursor = null;
+    let hasMore = true;
+    
+    try {
+      await write(format === 'json' ? '[\n' : `${columns.join(',')}\n`);
+      
+      while (hasMore) {
+        const page = await this.queryAuditLogs(filters, { pageSize: 500, cursor });
+        if (!page.success) throw new Error(page.error);
+        
+        const chunk = page.data.map(entry => {
+          const { search_terms, recorded_at, ...exported } = entry;
+          
+          if (format === 'json') {
+            return `${rows++ === 0 ? '' : ',\n'}${JSON.stringify(exported)}`;
+          }
+          
+          rows++;
+          return columns.map(column => this.toCsvValue(
+            column === 'details' ? JSON.stringify(exported.details ?? {}) : exported[column]
+          )).join(',') + '\n';
+        }).join('');
+        
+        if (chunk) await write(chunk);
+        
+        cursor = page.cursor;
+        hasMore = page.hasMore;
+      }
+      
+      if (format === 'json') await write('\n]\n');
+      
+      await this.logAction('audit_logs_exported', { format, rows, filters });
+      return { success: true, rows };
+      
+    } catch (error) {
+      console.error('❌ Audit log export failed:', error);
+      return { success: false, error: error.message, rows };
+    }
+  }
+
+  // Quote for CSV, and neutralise values a spreadsheet would run as formulas
+  toCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // ==================== SITE ACCESS ====================
+  
+  // Location names the current user may access, or null when unrestricted.
+  // Records store the site name in `location`; access is granted by site
+  // code (token claim `sites`) or, for regional managers, by country.
+  getAllowedLocations() {
+    const scope = window.mmsAuth?.getSiteScope?.();
+    if (!scope) return [];
+    if (scope.all) return null;
+    
+    return this.MMS_LOCATIONS
+      .filter(site => scope.sites.includes(site.code) || site.country === scope.country)
+      .map(site => site.name);
+  }
+
+  canAccessLocation(location) {
+    const allowed = this.getAllowedLocations();
+    return !allowed || allowed.includes(location);
+  }
+
+  // Run a query constrained to the user's sites and return the matching
+  // documents. A specific requested location narrows it further. Firestore
+  // caps `in` filters at SITE_FILTER_LIMIT values, so larger site lists are
+  // queried in chunks and merged - callers re-apply any ordering or limit.
+  // Resolves null when nothing can match (a location outside the user's
+  // sites, or no sites assigned) so callers can skip the round trip - the
+  // security rules would reject the query anyway.
+  async getScopedDocs(q, requestedLocation) {
+    const allowed = this.getAllowedLocations();
+    
+    if (requestedLocation && requestedLocation !== 'All') {
+      if (allowed && !allowed.includes(requestedLocation)) {
+        console.warn(`⛔ No access to location: ${requestedLocation}`);
+        return null;
+      }
+      return (await getDocs(query(q, where('location', '==', requestedLocation)))).docs;
+    }
+    
+    if (!allowed) return (await getDocs(q)).docs;
+    if (allowed.length === 0) {
+      console.warn('⛔ No sites assigned to this user');
+      return null;
+    }
+    
+    const chunks = [];
+    for (let i = 0; i < allowed.length; i += this.SITE_FILTER_LIMIT) {
+      chunks.push(allowed.slice(i, i + this.SITE_FILTER_LIMIT));
+    }
+    const snapshots = await Promise.all(chunks.map(sites => getDocs(query(q, where('location', 'in', sites)))));
+    return snapshots.flatMap(snapshot => snapshot.docs);
+  }
+
+  // ==================== USER DIRECTORY & NOTIFICATIONS ====================
+
+  // user_directory/{uid} mirrors only role, sites, country and status from
+  // users/{uid} (which stays admin/owner-only) so workflows can address the
+  // people holding a role. The rules check each entry against the profile.
+  async syncDirectoryEntry(uid, profile) {
+    try {
+      await setDoc(doc(db, this.COLLECTIONS.USER_DIRECTORY, uid), {
+        company: this.COMPANY_ID,
+        role: profile.role || 'employee',
+        sites: profile.sites || [],
+        country: profile.country || '',
+        status: profile.status || 'active',
+        updated_at: serverTimestamp()
+      });
+      return { success: true };
+    } catch (error) {
+      console.warn(`⚠️ Could not update directory entry for ${uid}:`, error);
+      return { success: false, error: 'Failed to update user directory' };
+    }
+  }
+
+  // Active users holding one of `roles` whose sites cover `location`
+  async getUsersWithRoles(roles, location = null) {
+    const snapshot = await getDocs(query(
+      collection(db, this.COLLECTIONS.USER_DIRECTORY),
+      where('company', '==', this.COMPANY_ID),
+      where('role', 'in', roles),
+      where('status', '==', 'active')
+    ));
+    const site = this.MMS_LOCATIONS.find(item => item.name === location);
+
+    return snapshot.docs
+      .map(item => ({ uid: item.id, ...item.data() }))
+      .filter(entry => !site
+        || entry.role === 'admin'
+        || (entry.sites || []).includes(site.code)
+        || (entry.role === 'regional_manager' && entry.country === site.country));
+  }
+
+  // One notifications doc per recipient; the recipient's monitors pick
+  // them up and raise a safety alert
+  async sendNotifications(recipientUids, notification) {
+    const sender = window.mmsAuth?.currentUser;
+    const recipients = [...new Set(recipientUids)].filter(uid => uid !== sender?.uid);
+    if (recipients.length === 0) return { success: true, sent: 0 };
+
+    try {
+      const batch = writeBatch(db);
+      recipients.forEach(uid => {
+        batch.set(doc(collection(db, this.COLLECTIONS.NOTIFICATIONS)), {
+          company: this.COMPANY_ID,
+          recipient_uid: uid,
+          type: notification.type,
+          title: notification.title,
+          message: notification.message,
+          reference_id: notification.reference_id || null,
+          created_by: sender?.uid || null,
+          created_by_email: sender?.email || 'unknown',
+          created_at: serverTimestamp(),
+          read_at: null
+        });
+      });
+      await batch.commit();
+      return { success: true, sent: recipients.length };
+    } catch (error) {
+      console.error('❌ Failed to send notifications:', error);
+      return { success: false, error: 'Failed to send notifications' };
+    }
+  }
+
+  async getUnreadNotifications(type = null) {
+    const uid = window.mmsAuth?.currentUser?.uid;
+    if (!uid) return { success: true, data: [] };
+
+    try {
+      let q = query(
+        collection(db, this.COLLECTIONS.NOTIFICATIONS),
+        where('recipient_uid', '==', uid),
+        where('read_at', '==', null)
+      );
+      if (type) q = query(q, where('type', '==', type));
+
+      const snapshot = await getDocs(q);
+      return { success: true, data: snapshot.docs.map(item => ({ id: item.id, ...item.data() })) };
+    } catch (error) {
+      console.error('❌ Failed to load notifications:', error);
+      return { success: false, error: 'Failed to load notifications', data: [] };
+    }
+  }
+
+  async markNotificationsRead(notificationIds) {
+    if (notificationIds.length === 0) return { success: true };
+
+    try {
+      const batch = writeBatch(db);
+      notificationIds.forEach(id => {
+        batch.update(doc(db, this.COLLECTIONS.NOTIFICATIONS, id), { read_at: serverTimestamp() });
+      });
+      await batch.commit();
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Failed to mark notifications read:', error);
+      return { success: false, error: 'Failed to mark notifications read' };
+    }
+  }
+
   // ==================== INCIDENT MANAGEMENT ====================
   
   async createIncident(incidentData) {
     try {
+      if (!this.canAccessLocation(incidentData.location)) {
+        return {
+          success: false,
+          error: 'You can only report incidents for your assigned sites.'
+        };
+      }
+      
       const incidentId = this.generateId('INC');
       const user = window.mmsAuth?.currentUser;
       
@@ -127,6 +924,7 @@ class MMSDatabaseService {
         
         // Metadata
         status: 'Reported',
+        version: 1,
         created_at: serverTimestamp(),
         updated_at: serverTimestamp(),
         date_time: Timestamp.fromDate(new Date(incidentData.date || new Date())),
@@ -149,6 +947,9 @@ class MMSDatabaseService {
         closed_by: ''
       };
       
+      // Work out the statutory notifications and their deadlines up front
+      Object.assign(firestoreData, window.regulatoryReporting?.buildClassificationFields(firestoreData) || {});
+      
       // Save to Firestore
       await setDoc(doc(db, this.COLLECTIONS.INCIDENTS, incidentId), firestoreData);
       
@@ -190,14 +991,10 @@ class MMSDatabaseService {
     try {
       let q = collection(db, this.COLLECTIONS.INCIDENTS);
       
-      // Always filter by company
+      // Always filter by company; the user's sites are applied below
       q = query(q, where('company', '==', this.COMPANY_ID));
       
       // Apply user filters
-      if (filters.location && filters.location !== 'All') {
-        q = query(q, where('location', '==', filters.location));
-      }
-      
       if (filters.status && filters.status !== 'All') {
         q = query(q, where('status', '==', filters.status));
       }
@@ -210,24 +1007,32 @@ class MMSDatabaseService {
         q = query(q, where('severity', '==', filters.severity));
       }
       
-      // Date range filter
-      if (filters.startDate && filters.endDate) {
+      // Date range filter. Firestore needs the first orderBy on the range
+      // field, so ranged queries are ordered by date_time here and re-sorted
+      // by created_at below (see REQUIRED COMPOSITE INDEXES in
+      // firebase-security-rules.txt)
+      const hasDateRange = Boolean(filters.startDate && filters.endDate);
+      if (hasDateRange) {
         const start = Timestamp.fromDate(new Date(filters.startDate));
         const end = Timestamp.fromDate(new Date(filters.endDate));
-        q = query(q, where('date_time', '>=', start), where('date_time', '<=', end));
+        q = query(q, where('date_time', '>=', start), where('date_time', '<=', end), orderBy('date_time', 'desc'));
+      } else {
+        q = query(q, orderBy('created_at', 'desc'));
       }
       
-      // Order and limit
-      q = query(q, orderBy('created_at', 'desc'));
-      
+      // Limit      
       if (filters.limit && filters.limit > 0) {
         q = query(q, limit(filters.limit));
       }
       
-      const snapshot = await getDocs(q);
-      const incidents = [];
+      const docs = await this.getScopedDocs(q, filters.location);
+      if (!docs) {
+        return { success: true, data: [], count: 0, filters: filters, retrieved_at: new Date().toISOString() };
+      }
       
-      snapshot.forEach(doc => {
+      let incidents = [];
+      
+      docs.forEach(doc => {
         const data = doc.data();
         incidents.push({
           id: doc.id,
@@ -238,6 +1043,12 @@ class MMSDatabaseService {
         });
       });
       
+      // Ranged queries and multi-chunk site queries come back out of order
+      incidents.sort((a, b) => b.created_at.localeCompare(a.created_at));
+      if (filters.limit && filters.limit > 0) {
+        incidents = incidents.slice(0, filters.limit);
+      }
+      
       return {
         success: true,
         data: incidents,
@@ -257,7 +1068,13 @@ class MMSDatabaseService {
     }
   }
 
-  async updateIncident(incidentId, updates) {
+  async getIncident(incidentId) {
+    return this.getRecord(this.COLLECTIONS.INCIDENTS, incidentId);
+  }
+
+  // Every write bumps `version`. Pass options.expectedVersion (the version the
+  // edit was based on) to reject the write if someone else saved in between.
+  async updateIncident(incidentId, updates, options = {}) {
     try {
       const docRef = doc(db, this.COLLECTIONS.INCIDENTS, incidentId);
       const user = window.mmsAuth?.currentUser;
@@ -269,7 +1086,12 @@ class MMSDatabaseService {
         updated_by_id: user?.uid || 'unknown'
       };
       
-      await updateDoc(docRef, updateData);
+      if (options.expectedVersion !== undefined) {
+        const check = await this.updateIfVersionMatches(docRef, updateData, options.expectedVersion);
+        if (!check.success) return check;
+      } else {
+        await updateDoc(docRef, { ...updateData, version: increment(1) });
+      }
       
       await this.logAction('incident_updated', {
         incident_id: incidentId,
@@ -293,12 +1115,134 @@ class MMSDatabaseService {
     }
   }
 
+  // ==================== VERSIONING ====================
+  
+  async getRecord(collectionName, recordId) {
+    try {
+      const snapshot = await getDoc(doc(db, collectionName, recordId));
+      
+      if (!snapshot.exists()) {
+        return { success: false, notFound: true, error: 'Record not found' };
+      }
+      
+      const data = snapshot.data();
+      
+      if (this.SITE_SCOPED_COLLECTIONS.includes(collectionName) && !this.canAccessLocation(data.location)) {
+        return { success: false, forbidden: true, error: 'You do not have access to this location' };
+      }
+      
+      return {
+        success: true,
+        data: { id: snapshot.id, ...data, version: data.version || 0 }
+      };
+    } catch (error) {
+      console.error(`❌ Failed to get ${collectionName}/${recordId}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Optimistic concurrency check: write only if the stored version still
+  // matches, otherwise hand back the current server data for merging
+  async updateIfVersionMatches(docRef, updateData, expectedVersion) {
+    return runTransaction(db, async (transaction) => {
+      const snapshot = await transaction.get(docRef);
+      
+      if (!snapshot.exists()) {
+        return { success: false, notFound: true, error: 'Record no longer exists' };
+      }
+      
+      const current = snapshot.data();
+      const currentVersion = current.version || 0;
+      
+      if (currentVersion !== expectedVersion) {
+        return {
+          success: false,
+          conflict: true,
+          error: 'Record was changed by someone else',
+          current: { id: snapshot.id, ...current, version: currentVersion }
+        };
+      }
+      
+      transaction.update(docRef, { ...updateData, version: currentVersion + 1 });
+      return { success: true, version: currentVersion + 1 };
+    });
+  }
+
+  // Edit forms call these with the record exactly as they loaded it
+  // (getIncident()/getEmployee()), so its version guards the write. Offline
+  // edits, and edits that lost a race with another save, go through the sync
+  // queue, which merges untouched fields and asks the user about clashes.
+  async editIncident(record, changes) {
+    return this.editVersionedRecord('incident_report', record, changes,
+      (id, expectedVersion) => this.updateIncident(id, changes, { expectedVersion }));
+  }
+
+  async editEmployee(record, changes) {
+    return this.editVersionedRecord('employee_update', record, changes,
+      (id, expectedVersion) => this.updateEmployee(id, changes, { expectedVersion }));
+  }
+
+  async editVersionedRecord(type, record, changes, write) {
+    const sync = window.backgroundSync;
+    
+    try {
+      if (!navigator.onLine && sync) {
+        await sync.queueRecordUpdate(type, record, changes);
+        return {
+          success: true,
+          queued: true,
+          message: 'Offline - your changes will sync when the connection is back'
+        };
+      }
+      
+      const result = await write(record.id || record.employee_id, record.version || 0);
+      if (!result.conflict || !sync) return result;
+      
+      const itemId = await sync.queueRecordUpdate(type, record, changes, { priority: 'high' });
+      const replay = await sync.replayQueueItems([itemId]);
+      if (replay.succeeded.includes(itemId)) {
+        return { success: true, merged: true, message: 'Merged with changes saved in the meantime' };
+      }
+      
+      const queued = await sync.queueDB.get(itemId);
+      if (queued?.status !== sync.queueDB.STATUS.CONFLICT) {
+        return { success: true, queued: true, message: 'Your changes will be retried from the sync queue' };
+      }
+      
+      // Both sides changed the same fields - let the user pick now; if the
+      // dialog is dismissed the edit stays parked in Sync Status
+      const resolved = await sync.resolveConflict(itemId);
+      return resolved
+        ? { success: true, merged: true, message: 'Conflicting changes resolved' }
+        : { success: false, conflict: true, error: result.error };
+      
+    } catch (error) {
+      console.error(`❌ Failed to save ${type.replace(/_/g, ' ')}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
   // ==================== EMPLOYEE MANAGEMENT ====================
   
-  async saveEmployee(employeeData) {
+  async saveEmployee(employeeData, options = {}) {
+    const employeeId = employeeData.employee_id || this.generateId('EMP');
+    // A record loaded for editing carries the version it was read at
+    const expectedVersion = options.expectedVersion ?? employeeData.version;
     try {
-      const employeeId = employeeData.employee_id || this.generateId('EMP');
+      if (!this.canAccessLocation(employeeData.location)) {
+        return {
+          success: false,
+          error: 'You can only manage employees at your assigned sites.'
+        };
+      }
+      
+      // The versioned save below is a transaction, which needs the server
+      if (!navigator.onLine && window.backgroundSync) {
+        return await this.queueEmployeeSave({ ...employeeData, employee_id: employeeId }, expectedVersion);
+      }
+      
       const user = window.mmsAuth?.currentUser;
+      const docRef = doc(db, this.COLLECTIONS.EMPLOYEES, employeeId);
       
       const employeeRecord = {
         // Employee info
@@ -348,7 +1292,48 @@ class MMSDatabaseService {
         notes: employeeData.notes || ''
       };
       
-      await setDoc(doc(db, this.COLLECTIONS.EMPLOYEES, employeeId), employeeRecord);
+      let protectedRecord;
+      try {
+        protectedRecord = await this.protectEmployeeFields(employeeRecord, employeeId);
+      } catch (error) {
+        console.error('❌ Health data encryption failed:', error);
+        return {
+          success: false,
+          error: `Health data could not be encrypted: ${error.message}`
+        };
+      }
+      
+      // Saving over an existing record keeps its creation metadata and bumps
+      // its version; expectedVersion rejects stale overwrites
+      const saved = await runTransaction(db, async (transaction) => {
+        const snapshot = await transaction.get(docRef);
+        const existing = snapshot.exists() ? snapshot.data() : null;
+        const currentVersion = existing?.version || 0;
+        
+        if (expectedVersion !== undefined && currentVersion !== expectedVersion) {
+          return {
+            success: false,
+            conflict: true,
+            error: 'Employee record was changed by someone else',
+            current: { id: employeeId, ...existing, version: currentVersion }
+          };
+        }
+        
+        transaction.set(docRef, {
+          ...protectedRecord,
+          version: currentVersion + 1,
+          created_at: existing?.created_at || employeeRecord.created_at,
+          created_by: existing?.created_by || employeeRecord.created_by
+        });
+        transaction.set(doc(db, this.COLLECTIONS.EMPLOYEE_DIRECTORY, employeeId), this.getEmployeeDirectoryEntry(employeeRecord));
+        
+        return { success: true, version: currentVersion + 1 };
+      });
+      
+      if (saved.conflict) {
+        saved.current = await this.revealEmployeeFields(saved.current);
+      }
+      if (!saved.success) return saved;
       
       await this.logAction('employee_saved', {
         employee_id: employeeId,
@@ -359,10 +1344,14 @@ class MMSDatabaseService {
       return {
         success: true,
         id: employeeId,
+        version: saved.version,
         message: 'Employee record saved successfully'
       };
       
     } catch (error) {
+      if (error.code === 'unavailable' && window.backgroundSync) {
+        return this.queueEmployeeSave({ ...employeeData, employee_id: employeeId }, expectedVersion);
+      }
       console.error('❌ Failed to save employee:', error);
       return {
         success: false,
@@ -371,16 +1360,116 @@ class MMSDatabaseService {
     }
   }
 
-  async getEmployees(filters = {}) {
+  // Hand an employee save to the offline queue; background sync replays it
+  // through saveEmployee() once the connection is back. Health fields are
+  // encrypted before the record is queued.
+  async queueEmployeeSave(employeeData, expectedVersion) {
+    try {
+      await window.backgroundSync.queueForSync(employeeData, 'employee_update', {
+        priority: 'high',
+        metadata: { expected_version: expectedVersion }
+      });
+      return {
+        success: true,
+        queued: true,
+        id: employeeData.employee_id,
+        message: 'Offline - employee record will be saved when the connection is back'
+      };
+    } catch (error) {
+      console.error('❌ Failed to queue employee save:', error);
+      return {
+        success: false,
+        error: `Offline and the employee record could not be queued: ${error.message}`
+      };
+    }
+  }
+
+  // Roles without canViewHealthRecords get the directory projection, their
+  // own record included - they can't unlock the health fields anyway
+  async getEmployee(employeeId) {
+    const result = await this.getRecord(window.mmsAuth?.hasPermission('canViewHealthRecords')
+      ? this.COLLECTIONS.EMPLOYEES
+      : this.COLLECTIONS.EMPLOYEE_DIRECTORY, employeeId);
+    if (result.success) {
+      result.data = await this.revealEmployeeFields(result.data);
+    }
+    return result;
+  }
+
+  // Partial update of an existing employee (saveEmployee() rewrites the whole record)
+  async updateEmployee(employeeId, updates, options = {}) {
     try {
-      let q = collection(db, this.COLLECTIONS.EMPLOYEES);
+      const docRef = doc(db, this.COLLECTIONS.EMPLOYEES, employeeId);
+      const user = window.mmsAuth?.currentUser;
       
-      q = query(q, where('company', '==', this.COMPANY_ID));
+      let protectedUpdates;
+      try {
+        protectedUpdates = await this.protectEmployeeFields(updates, employeeId);
+      } catch (error) {
+        console.error('❌ Health data encryption failed:', error);
+        return {
+          success: false,
+          error: `Health data could not be encrypted: ${error.message}`
+        };
+      }
+      
+      const updateData = {
+        ...protectedUpdates,
+        updated_at: serverTimestamp(),
+        updated_by: user?.email || 'unknown',
+        updated_by_id: user?.uid || 'unknown'
+      };
+      
+      if (options.expectedVersion !== undefined) {
+        const check = await this.updateIfVersionMatches(docRef, updateData, options.expectedVersion);
+        if (check.conflict) {
+          check.current = await this.revealEmployeeFields(check.current);
+        }
+        if (!check.success) return check;
+      } else {
+        await updateDoc(docRef, { ...updateData, version: increment(1) });
+      }
       
-      if (filters.location && filters.location !== 'All') {
-        q = query(q, where('location', '==', filters.location));
+      const directoryUpdates = Object.fromEntries(Object.entries(updates)
+        .filter(([field]) => this.EMPLOYEE_DIRECTORY_FIELDS.includes(field)));
+      if (Object.keys(directoryUpdates).length > 0) {
+        await setDoc(doc(db, this.COLLECTIONS.EMPLOYEE_DIRECTORY, employeeId), {
+          ...directoryUpdates,
+          company: this.COMPANY_ID,
+          employee_id: employeeId,
+          updated_at: serverTimestamp()
+        }, { merge: true });
       }
       
+      await this.logAction('employee_updated', {
+        employee_id: employeeId,
+        updates: Object.keys(updates),
+        updated_by: user?.email
+      });
+      
+      return {
+        success: true,
+        message: 'Employee record updated successfully'
+      };
+      
+    } catch (error) {
+      console.error('❌ Failed to update employee:', error);
+      return {
+        success: false,
+        error: 'Failed to update employee record'
+      };
+    }
+  }
+
+  async getEmployees(filters = {}) {
+    try {
+      // Roles without canViewHealthRecords can only read the directory projection
+      let q = collection(db, window.mmsAuth?.hasPermission('canViewHealthRecords')
+        ? this.COLLECTIONS.EMPLOYEES
+        : this.COLLECTIONS.EMPLOYEE_DIRECTORY);
+      
+      q = query(q, where('company', '==', this.COMPANY_ID));
+      
       if (filters.department && filters.department !== 'All') {
         q = query(q, where('department', '==', filters.department));
       }
@@ -391,10 +1480,14 @@ class MMSDatabaseService {
       
       q = query(q, orderBy('name', 'asc'));
       
-      const snapshot = await getDocs(q);
+      const docs = await this.getScopedDocs(q, filters.location);
+      if (!docs) {
+        return { success: true, data: [], count: 0 };
+      }
+      
       const employees = [];
       
-      snapshot.forEach(doc => {
+      docs.forEach(doc => {
         const data = doc.data();
         employees.push({
           id: doc.id,
@@ -405,9 +1498,11 @@ class MMSDatabaseService {
         });
       });
       
+      employees.sort((a, b) => String(a.name).localeCompare(String(b.name)));
+      
       return {
         success: true,
-        data: employees,
+        data: await Promise.all(employees.map(employee => this.revealEmployeeFields(employee))),
         count: employees.length
       };
       
@@ -421,6 +1516,80 @@ class MMSDatabaseService {
     }
   }
 
+  // employee_directory/{id} holds only these fields so every role at a site
+  // can list its employees; employees/{id} is limited to health-record roles
+  getEmployeeDirectoryEntry(record) {
+    return {
+      ...Object.fromEntries(this.EMPLOYEE_DIRECTORY_FIELDS.map(field => [field, record[field] ?? ''])),
+      company: this.COMPANY_ID,
+      updated_at: serverTimestamp()
+    };
+  }
+
+  // One-time projection of employees saved before the directory existed;
+  // saveEmployee()/updateEmployee() keep it current afterwards
+  async buildEmployeeDirectory() {
+    if (!window.mmsAuth?.hasPermission('canMigrateData')) {
+      return { success: false, error: 'Only administrators can run data migrations' };
+    }
+    
+    try {
+      const markerRef = doc(db, this.COLLECTIONS.MIGRATIONS, 'employee_directory');
+      if ((await getDoc(markerRef)).exists()) {
+        return { success: true, indexed: 0, alreadyCompleted: true };
+      }
+      
+      const snapshot = await getDocs(query(
+        collection(db, this.COLLECTIONS.EMPLOYEES),
+        where('company', '==', this.COMPANY_ID)
+      ));
+      
+      for (let i = 0; i < snapshot.docs.length; i += this.MIGRATION_BATCH_SIZE) {
+        const batch = writeBatch(db);
+        snapshot.docs.slice(i, i + this.MIGRATION_BATCH_SIZE).forEach(record => {
+          batch.set(doc(db, this.COLLECTIONS.EMPLOYEE_DIRECTORY, record.id),
+            this.getEmployeeDirectoryEntry({ employee_id: record.id, ...record.data() }));
+        });
+        await batch.commit();
+      }
+      
+      await setDoc(markerRef, {
+        completed_at: serverTimestamp(),
+        completed_by: window.mmsAuth?.currentUser?.email || 'unknown',
+        records_indexed: snapshot.size
+      });
+      
+      console.log(`✅ Employee directory built (${snapshot.size} records)`);
+      return { success: true, indexed: snapshot.size };
+      
+    } catch (error) {
+      console.error('❌ Employee directory build failed:', error);
+      return { success: false, error: 'Employee directory build failed' };
+    }
+  }
+
+  // ==================== HEALTH DATA PROTECTION ====================
+  
+  // Sensitive fields are encrypted before every employee write
+  async protectEmployeeFields(record, employeeId) {
+    return mmsEncryption.autoEncryptSensitiveFields(record, `${this.COLLECTIONS.EMPLOYEES}/${employeeId}`);
+  }
+
+  // Decrypt for users with canViewHealthRecords, masked placeholders for
+  // everyone else (or if the keys can't be unlocked)
+  async revealEmployeeFields(record) {
+    if (!window.mmsAuth?.hasPermission('canViewHealthRecords')) {
+      return mmsEncryption.maskSensitiveFields(record);
+    }
+    
+    try {
+      return await mmsEncryption.autoDecryptSensitiveFields(record);
+    } catch (error) {
+      console.warn(`⚠️ Could not decrypt health data for ${record.id}:`, error.message);
+      return mmsEncryption.maskSensitiveFields(record);
+    }
+  }
+
   // ==================== FILE MANAGEMENT ====================
   
   async uploadFile(file, context, referenceId) {
@@ -496,92 +1665,493 @@ class MMSDatabaseService {
 
   // ==================== DATA MIGRATION ====================
   
-  async migrateLocalData() {
-    try {
-      console.log('🔄 Starting data migration from localStorage...');
-      
-      const migrationPlan = [
-        { localStorageKey: 'mmsIncidents', collection: this.COLLECTIONS.INCIDENTS },
-        { localStorageKey: 'mmsHealthRecords', collection: this.COLLECTIONS.EMPLOYEES },
-        { localStorageKey: 'mmsPPEItems', collection: this.COLLECTIONS.PPE },
-        { localStorageKey: 'mmsTraining', collection: this.COLLECTIONS.TRAINING },
-        { localStorageKey: 'mmsAudits', collection: this.COLLECTIONS.AUDITS },
-        { localStorageKey: 'mmsContractors', collection: this.COLLECTIONS.CONTRACTORS },
-        { localStorageKey: 'mmsStandards', collection: this.COLLECTIONS.STANDARDS }
-      ];
+  // Legacy localStorage keys and the collection each one migrates into
+  getMigrationPlan() {
+    return [
+      { localStorageKey: 'mmsIncidents', collection: this.COLLECTIONS.INCIDENTS },
+      { localStorageKey: 'mmsHealthRecords', collection: this.COLLECTIONS.EMPLOYEES },
+      { localStorageKey: 'mmsPPEItems', collection: this.COLLECTIONS.PPE },
+      { localStorageKey: 'mmsTraining', collection: this.COLLECTIONS.TRAINING },
+      { localStorageKey: 'mmsAudits', collection: this.COLLECTIONS.AUDITS },
+      { localStorageKey: 'mmsContractors', collection: this.COLLECTIONS.CONTRACTORS },
+      { localStorageKey: 'mmsStandards', collection: this.COLLECTIONS.STANDARDS }
+    ];
+  }
+
+  readLegacyItems(localStorageKey) {
+    try {
+      const items = JSON.parse(localStorage.getItem(localStorageKey) || '[]');
+      return Array.isArray(items) ? items : [];
+    } catch {
+      return [];
+    }
+  }
+
+  // The run in progress is tracked twice: system_migrations/local_data_migration
+  // (status, checked by the rules before a rollback may delete anything) and a
+  // localStorage checkpoint with how far each key has been copied
+  getMigrationCheckpoint() {
+    try {
+      return JSON.parse(localStorage.getItem(this.MIGRATION_CHECKPOINT_KEY) || 'null');
+    } catch {
+      return null;
+    }
+  }
+
+  saveMigrationCheckpoint(checkpoint) {
+    if (checkpoint) {
+      localStorage.setItem(this.MIGRATION_CHECKPOINT_KEY, JSON.stringify(checkpoint));
+    } else {
+      localStorage.removeItem(this.MIGRATION_CHECKPOINT_KEY);
+    }
+  }
+
+  async setMigrationStatus(runId, status, extra = {}) {
+    await setDoc(doc(db, this.COLLECTIONS.MIGRATIONS, this.LOCAL_MIGRATION_ID), {
+      run_id: runId,
+      status: status,
+      updated_at: serverTimestamp(),
+      updated_by: window.mmsAuth?.currentUser?.email || 'unknown',
+      ...extra
+    }, { merge: true });
+  }
+
+  // Same legacy record → same document ID on every run, so a repeated or
+  // resumed migration overwrites instead of duplicating. Records without an
+  // id are keyed by a hash of their content; repeated ids get their position.
+  async getLegacyDocIds(localStorageKey, items) {
+    const seen = new Map();
+    const ids = [];
+    
+    for (const item of items) {
+      const hasId = item.id !== undefined && item.id !== null && item.id !== '';
+      const source = hasId
+        ? String(item.id)
+        : (await mmsEncryption.generateDataFingerprint(item)).fingerprint.slice(0, 24);
+      const base = `LEGACY-${localStorageKey}-${source.replace(/[^A-Za-z0-9_-]/g, '_')}`;
+      const count = seen.get(base) || 0;
+      seen.set(base, count + 1);
+      ids.push(count === 0 ? base : `${base}-${count}`);
+    }
+    
+    return ids;
+  }
+
+  // Copies the legacy data in checkpointed batches, then verifies it. With
+  // options.finalize (default) a clean verification clears the local copy;
+  // otherwise the run waits for finalizeMigration() or rollbackMigration().
+  // onProgress receives { key, done, total }.
+  async migrateLocalData(options = {}) {
+    const finalize = options.finalize !== false;
+    const onProgress = options.onProgress || (() => {});
+    
+    try {
+      if (!window.mmsAuth?.hasPermission('canMigrateData')) {
+        return { success: false, error: 'Only administrators can run data migrations' };
+      }
       
-      let totalMigrated = 0;
-      const batch = writeBatch(db);
+      const plan = this.getMigrationPlan();
       const user = window.mmsAuth?.currentUser;
+      let checkpoint = this.getMigrationCheckpoint();
+      
+      if (!checkpoint) {
+        const totalLocal = plan.reduce((sum, m) => sum + this.readLegacyItems(m.localStorageKey).length, 0);
+        if (totalLocal === 0) {
+          return { success: true, migrated: 0, message: 'No local data found to migrate' };
+        }
+        
+        checkpoint = {
+          run_id: this.generateId('MIG'),
+          started_at: new Date().toISOString(),
+          started_by: user?.email || 'system',
+          progress: {}
+        };
+        this.saveMigrationCheckpoint(checkpoint);
+        await this.setMigrationStatus(checkpoint.run_id, 'in_progress', { started_at: checkpoint.started_at });
+        console.log(`🔄 Starting data migration ${checkpoint.run_id} from localStorage...`);
+      } else {
+        console.log(`🔄 Resuming data migration ${checkpoint.run_id}...`);
+      }
+      
+      let totalMigrated = 0;
       
-      for (const migration of migrationPlan) {
-        const localData = JSON.parse(localStorage.getItem(migration.localStorageKey) || '[]');
+      for (const migration of plan) {
+        const key = migration.localStorageKey;
+        const items = this.readLegacyItems(key);
+        const ids = await this.getLegacyDocIds(key, items);
+        const isEmployees = migration.collection === this.COLLECTIONS.EMPLOYEES;
+        // Employees also get their employee_directory entry in the same batch
+        const batchSize = isEmployees ? this.MIGRATION_BATCH_SIZE / 2 : this.MIGRATION_BATCH_SIZE;
+        let next = checkpoint.progress[key] || 0;
         
-        console.log(`📦 Found ${localData.length} ${migration.localStorageKey} to migrate`);
+        if (next < items.length) {
+          console.log(`📦 Migrating ${items.length - next} of ${items.length} ${key}`);
+        }
         
-        for (const item of localData) {
-          const docId = item.id || `${migration.localStorageKey}_${Date.now()}_${Math.random().toString(36).substr(2, 4)}`;
-          const docRef = doc(db, migration.collection, docId);
+        while (next < items.length) {
+          const chunkEnd = Math.min(next + batchSize, items.length);
+          const batch = writeBatch(db);
           
-          const migratedItem = {
-            ...item,
-            // Migration metadata
-            migrated_from: 'localStorage',
-            migrated_at: serverTimestamp(),
-            migrated_by: user?.email || 'system',
-            migration_batch: new Date().toISOString(),
-            original_local_id: item.id,
-            company: this.COMPANY_ID,
+          for (let i = next; i < chunkEnd; i++) {
+            const item = items[i];
+            const { fingerprint } = await mmsEncryption.generateDataFingerprint(item);
             
-            // Ensure timestamps
-            created_at: item.created_at || serverTimestamp(),
-            updated_at: serverTimestamp()
-          };
+            let migratedItem = {
+              ...item,
+              // Migration metadata
+              migrated_from: 'localStorage',
+              migrated_at: serverTimestamp(),
+              migrated_by: user?.email || 'system',
+              migration_run: checkpoint.run_id,
+              legacy_key: key,
+              legacy_checksum: fingerprint,
+              original_local_id: item.id ?? null,
+              company: this.COMPANY_ID,
+              version: 0,
+              
+              // Ensure timestamps
+              created_at: item.created_at || serverTimestamp(),
+              updated_at: serverTimestamp()
+            };
+            
+            if (isEmployees) {
+              migratedItem = await this.protectEmployeeFields(migratedItem, ids[i]);
+              // buildEmployeeDirectory() only runs once, so an employee migrated
+              // after it would otherwise never appear in the directory
+              batch.set(doc(db, this.COLLECTIONS.EMPLOYEE_DIRECTORY, ids[i]),
+                this.getEmployeeDirectoryEntry({ employee_id: ids[i], ...item }));
+            }
+            
+            batch.set(doc(db, migration.collection, ids[i]), migratedItem);
+          }
+          
+          await batch.commit();
           
-          batch.set(docRef, migratedItem);
-          totalMigrated++;
+          // Only advance once the batch is committed; a crash before this
+          // line re-writes the same documents on resume
+          totalMigrated += chunkEnd - next;
+          next = chunkEnd;
+          checkpoint.progress[key] = next;
+          this.saveMigrationCheckpoint(checkpoint);
+          onProgress({ key, done: next, total: items.length });
         }
       }
       
-      if (totalMigrated > 0) {
-        await batch.commit();
-        
-        // Clear localStorage after successful migration
-        migrationPlan.forEach(m => localStorage.removeItem(m.localStorageKey));
-        
-        console.log(`✅ Migration complete: ${totalMigrated} records migrated`);
-        
-        await this.logAction('data_migration_complete', {
-          records_migrated: totalMigrated,
-          migration_time: new Date().toISOString()
-        });
-        
+      await this.setMigrationStatus(checkpoint.run_id, 'migrated');
+      
+      const verification = await this.verifyMigration();
+      
+      await this.logAction('data_migration_complete', {
+        run_id: checkpoint.run_id,
+        records_migrated: totalMigrated,
+        verified: verification.success && verification.ok,
+        migration_time: new Date().toISOString()
+      });
+      
+      if (!verification.success || !verification.ok) {
         return {
-          success: true,
+          success: false,
           migrated: totalMigrated,
-          message: `Successfully migrated ${totalMigrated} records to cloud storage`,
-          timestamp: new Date().toISOString()
-        };
-        
-      } else {
-        return {
-          success: true,
-          migrated: 0,
-          message: 'No local data found to migrate'
+          verification: verification,
+          error: 'Migration verification found differences. Local data has been kept; review the report, then retry or roll back.'
         };
       }
       
+      if (finalize) {
+        const finalized = await this.finalizeMigration(verification);
+        if (!finalized.success) return { ...finalized, migrated: totalMigrated, verification };
+      }
+      
+      console.log(`✅ Migration ${checkpoint.run_id} complete: ${totalMigrated} records migrated`);
+      
+      return {
+        success: true,
+        run_id: checkpoint.run_id,
+        migrated: totalMigrated,
+        verification: verification,
+        finalized: finalize,
+        message: `Successfully migrated ${totalMigrated} records to cloud storage`,
+        timestamp: new Date().toISOString()
+      };
+      
     } catch (error) {
       console.error('❌ Migration failed:', error);
       
       await this.logAction('data_migration_failed', {
+        run_id: this.getMigrationCheckpoint()?.run_id || null,
         error: error.message,
         stack: error.stack
       });
       
       return {
         success: false,
-        error: 'Migration failed. Data remains in browser for safety.',
+        resumable: Boolean(this.getMigrationCheckpoint()),
+        error: 'Migration stopped. Data remains in browser - run it again to resume where it stopped.',
+        details: error.message
+      };
+    }
+  }
+
+  // What a migrated record is compared on: its legacy fields without the
+  // migration metadata. created_at is only legacy data if the local record
+  // had one; otherwise the migration filled in a server timestamp.
+  getLegacyComparable(record) {
+    const comparable = Object.fromEntries(Object.entries(record)
+      .filter(([field]) => !this.MIGRATION_FIELDS.includes(field)));
+    if (!comparable.created_at || typeof comparable.created_at.toDate === 'function') {
+      delete comparable.created_at;
+    }
+    return comparable;
+  }
+
+  // Checksum recomputed from what Firestore actually stored (decrypted for
+  // employees), or null if the document can't be read back
+  async getStoredLegacyChecksum(migration, record) {
+    try {
+      let data = record.data();
+      if (migration.collection === this.COLLECTIONS.EMPLOYEES) {
+        data = await mmsEncryption.autoDecryptSensitiveFields(data);
+      }
+      return (await mmsEncryption.generateDataFingerprint(this.getLegacyComparable(data))).fingerprint;
+    } catch (error) {
+      console.warn(`⚠️ Could not read back migrated ${record.id}:`, error);
+      return null;
+    }
+  }
+
+  // Per collection: local record count vs migrated documents, and a checksum
+  // over the sorted per-record checksums on each side. Stored checksums are
+  // recomputed from the documents' fields, not taken from legacy_checksum, so
+  // a mismatch means a record is missing, extra, stored differently, or
+  // changed locally since it was copied.
+  async verifyMigration() {
+    try {
+      const checkpoint = this.getMigrationCheckpoint();
+      if (!checkpoint) {
+        return { success: false, error: 'No migration run to verify' };
+      }
+      
+      const report = [];
+      
+      for (const migration of this.getMigrationPlan()) {
+        const items = this.readLegacyItems(migration.localStorageKey);
+        const ids = await this.getLegacyDocIds(migration.localStorageKey, items);
+        
+        const localChecksums = await Promise.all(items.map(async (item, i) => ({
+          id: ids[i],
+          checksum: (await mmsEncryption.generateDataFingerprint(this.getLegacyComparable(item))).fingerprint
+        })));
+        
+        const snapshot = await getDocs(query(
+          collection(db, migration.collection),
+          where('migration_run', '==', checkpoint.run_id),
+          where('legacy_key', '==', migration.localStorageKey)
+        ));
+        const remote = new Map();
+        for (const record of snapshot.docs) {
+          remote.set(record.id, await this.getStoredLegacyChecksum(migration, record));
+        }
+        
+        const missing = localChecksums.filter(entry => !remote.has(entry.id)).map(entry => entry.id);
+        const changed = localChecksums
+          .filter(entry => remote.has(entry.id) && remote.get(entry.id) !== entry.checksum)
+          .map(entry => entry.id);
+        const extra = [...remote.keys()].filter(id => !ids.includes(id));
+        
+        const collectionChecksum = async (checksums) =>
+          (await mmsEncryption.generateDataFingerprint([...checksums].sort())).fingerprint;
+        
+        const localChecksum = await collectionChecksum(localChecksums.map(entry => entry.checksum));
+        const remoteChecksum = await collectionChecksum([...remote.values()]);
+        
+        report.push({
+          key: migration.localStorageKey,
+          collection: migration.collection,
+          local_count: items.length,
+          migrated_count: remote.size,
+          local_checksum: localChecksum,
+          migrated_checksum: remoteChecksum,
+          missing: missing,
+          changed: changed,
+          extra: extra,
+          ok: items.length === remote.size && localChecksum === remoteChecksum
+        });
+      }
+      
+      const ok = report.every(entry => entry.ok);
+      await this.setMigrationStatus(checkpoint.run_id, ok ? 'verified' : 'migrated', { verified_ok: ok });
+      
+      return {
+        success: true,
+        run_id: checkpoint.run_id,
+        ok: ok,
+        report: report,
+        verified_at: new Date().toISOString()
+      };
+      
+    } catch (error) {
+      console.error('❌ Migration verification failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Clears the local copy once the cloud copy has verified
+  async finalizeMigration(verification = null) {
+    const checkpoint = this.getMigrationCheckpoint();
+    if (!checkpoint) {
+      return { success: false, error: 'No migration run to finalize' };
+    }
+    
+    const result = verification || await this.verifyMigration();
+    if (!result.success || !result.ok) {
+      return { success: false, error: 'Migration has not verified - local data kept', verification: result };
+    }
+    
+    this.getMigrationPlan().forEach(m => localStorage.removeItem(m.localStorageKey));
+    await this.setMigrationStatus(checkpoint.run_id, 'finalized', { finalized_at: serverTimestamp() });
+    this.saveMigrationCheckpoint(null);
+    
+    await this.logAction('data_migration_finalized', { run_id: checkpoint.run_id });
+    return { success: true, run_id: checkpoint.run_id, verification: result };
+  }
+
+  // A migrated document nobody has saved since: version still 0 and
+  // updated_at still the migration's own timestamp
+  isUneditedMigrationDoc(data) {
+    return (data.version || 0) === 0
+      && Boolean(data.updated_at?.isEqual?.(data.migrated_at));
+  }
+
+  // Deletes only the documents this run wrote (matched on migration_run) and
+  // nobody has edited since; edited ones are kept and listed. The local data
+  // is untouched, so the migration can be started again.
+  async rollbackMigration() {
+    try {
+      if (!window.mmsAuth?.hasPermission('canMigrateData')) {
+        return { success: false, error: 'Only administrators can roll back a migration' };
+      }
+      
+      const checkpoint = this.getMigrationCheckpoint();
+      if (!checkpoint) {
+        return { success: false, error: 'No unfinished migration to roll back' };
+      }
+      
+      const removed = {};
+      const kept = [];
+      
+      for (const migration of this.getMigrationPlan()) {
+        const snapshot = await getDocs(query(
+          collection(db, migration.collection),
+          where('migration_run', '==', checkpoint.run_id)
+        ));
+        
+        const isEmployees = migration.collection === this.COLLECTIONS.EMPLOYEES;
+        const batchSize = isEmployees ? this.MIGRATION_BATCH_SIZE / 2 : this.MIGRATION_BATCH_SIZE;
+        const unedited = snapshot.docs.filter(record => {
+          if (this.isUneditedMigrationDoc(record.data())) return true;
+          kept.push({ collection: migration.collection, id: record.id });
+          return false;
+        });
+        
+        for (let i = 0; i < unedited.length; i += batchSize) {
+          const batch = writeBatch(db);
+          unedited.slice(i, i + batchSize).forEach(record => {
+            batch.delete(record.ref);
+            if (isEmployees) {
+              batch.delete(doc(db, this.COLLECTIONS.EMPLOYEE_DIRECTORY, record.id));
+            }
+          });
+          await batch.commit();
+        }
+        
+        removed[migration.collection] = (removed[migration.collection] || 0) + unedited.length;
+      }
+      
+      await this.setMigrationStatus(checkpoint.run_id, 'rolled_back', { rolled_back_at: serverTimestamp() });
+      this.saveMigrationCheckpoint(null);
+      
+      const total = Object.values(removed).reduce((sum, count) => sum + count, 0);
+      await this.logAction('data_migration_rolled_back', { run_id: checkpoint.run_id, removed, kept: kept.length });
+      console.log(`↩️ Rolled back migration ${checkpoint.run_id}: ${total} documents removed, ${kept.length} edited kept`);
+      
+      return { success: true, run_id: checkpoint.run_id, removed, total, kept };
+      
+    } catch (error) {
+      console.error('❌ Migration rollback failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // One-time conversion of employee documents written before field-level
+  // encryption. Safe to re-run: already-encrypted fields are left alone.
+  async encryptExistingEmployeeRecords() {
+    try {
+      if (!window.mmsAuth?.hasPermission('canMigrateData')) {
+        return { success: false, error: 'Only administrators can run data migrations' };
+      }
+      
+      const markerRef = doc(db, this.COLLECTIONS.MIGRATIONS, 'employee_field_encryption');
+      const marker = await getDoc(markerRef);
+      if (marker.exists()) {
+        return { success: true, encrypted: 0, alreadyCompleted: true, message: 'Employee records are already encrypted' };
+      }
+      
+      console.log('🔐 Encrypting existing employee health data...');
+      
+      const snapshot = await getDocs(query(
+        collection(db, this.COLLECTIONS.EMPLOYEES),
+        where('company', '==', this.COMPANY_ID)
+      ));
+      
+      let batch = writeBatch(db);
+      let pending = 0;
+      let encrypted = 0;
+      
+      for (const record of snapshot.docs) {
+        const data = record.data();
+        if (!mmsEncryption.hasPlaintextSensitiveFields(data)) continue;
+        
+        const protectedData = await this.protectEmployeeFields(data, record.id);
+        const updates = {};
+        Object.keys(protectedData)
+          .filter(field => protectedData[field] !== data[field])
+          .forEach(field => { updates[field] = protectedData[field]; });
+        
+        batch.update(record.ref, { ...updates, version: increment(1), updated_at: serverTimestamp() });
+        pending++;
+        encrypted++;
+        
+        if (pending >= 400) {
+          await batch.commit();
+          batch = writeBatch(db);
+          pending = 0;
+        }
+      }
+      
+      if (pending > 0) {
+        await batch.commit();
+      }
+      
+      await setDoc(markerRef, {
+        completed_at: serverTimestamp(),
+        completed_by: window.mmsAuth?.currentUser?.email || 'unknown',
+        records_encrypted: encrypted
+      });
+      
+      await this.logAction('employee_fields_encrypted', { records_encrypted: encrypted });
+      console.log(`✅ Encrypted health data in ${encrypted} employee record(s)`);
+      
+      return {
+        success: true,
+        encrypted: encrypted,
+        message: `Encrypted health data in ${encrypted} employee record(s)`
+      };
+      
+    } catch (error) {
+      console.error('❌ Employee encryption migration failed:', error);
+      return {
+        success: false,
+        error: 'Encryption migration failed. Records already converted stay encrypted; run it again to finish.',
         details: error.message
       };
     }
@@ -658,10 +2228,14 @@ class MMSDatabaseService {
         q = query(q, limit(filters.limit));
       }
       
-      const snapshot = await getDocs(q);
+      const docs = await this.getScopedDocs(q, filters.location);
+      if (!docs) {
+        return { success: true, data: [] };
+      }
+      
       const records = [];
       
-      snapshot.forEach(doc => {
+      docs.slice(0, filters.limit || docs.length).forEach(doc => {
         records.push({
           id: doc.id,
           ...doc.data()
@@ -693,7 +2267,8 @@ window.migrateToCloud = async function() {
     '- Automatic backups\n' +
     '- Team collaboration\n' +
     '- Better security\n\n' +
-    '❌ Local data will be cleared after migration.\n\n' +
+    '❌ Local data will be cleared once the cloud copy has been verified.\n\n' +
+    (mmsDB.getMigrationCheckpoint() ? 'An interrupted migration will be resumed.\n\n' : '') +
     'Continue with migration?'
   );
   
@@ -733,7 +2308,7 @@ window.migrateToCloud = async function() {
         button.style.background = '';
       }, 3000);
       
-      alert(`Migration failed: ${result.error}\n\nData remains in browser for safety.`);
+      alert(`Migration failed: ${result.error}${result.details ? `\n(${result.details})` : ''}\n\nData remains in browser for safety.`);
     }
     
   } catch (error) {
@@ -746,4 +2321,6 @@ window.migrateToCloud = async function() {
 // Make database instance globally available
 window.mmsDB = mmsDB;
 
+export { mmsDB };
+
 console.log('✅ MMS Database Service Ready');
@@ -1,176 +1,532 @@
 // Encryption Service - MMS Safety System
 // Client-side encryption for sensitive data
+//
+// Key hierarchy:
+//  - Data encryption keys (DEKs): random AES-256-GCM keys, one per key
+//    version per tenant. Only ever stored wrapped, in encryption_keys/{tenant}.
+//  - Key encryption key (KEK): wraps the DEKs. Either derived from a tenant
+//    passphrase held by authorised staff, or supplied by a server-side key
+//    service registered with setKeyEncryptionKeyProvider().
+// Every encrypted package records the key_version it was sealed with, so
+// old data stays readable after rotateKey() until it is re-encrypted.
+import { db } from './firebase-config.js';
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  setDoc,
+  updateDoc,
+  query,
+  where,
+  writeBatch,
+  serverTimestamp
+} from "https://www.gstatic.com/firebasejs/9.22.0/firebase-firestore.js";
+import { mmsMFA } from './mfa-service.js';
 
 class MMSEncryptionService {
   constructor() {
-    this.ENCRYPTION_KEY = 'mms_safety_encryption_key_2024';
-    this.IV_LENGTH = 16;
+    this.TENANT_ID = 'mms_metal_management';
+    this.KEYS_COLLECTION = 'encryption_keys';
+    this.PACKAGE_VERSION = '2.0';
+    this.IV_LENGTH = 12;
     this.ALGORITHM = 'AES-GCM';
     this.KEY_LENGTH = 256;
-    
+    this.KEK_ITERATIONS = 600000;
+    this.REENCRYPT_BATCH_SIZE = 400;
+
+    // Collections scanned for encrypted fields during key rotation
+    this.ENCRYPTED_COLLECTIONS = ['employees'];
+
+    // Version 1.0 packages were sealed with this built-in passphrase. It is
+    // only used to read them so rotateKey() can re-encrypt under a real key.
+    this.LEGACY_KEY = 'mms_safety_encryption_key_2024';
+
+    this.keyDocument = null;
+    this.keyEncryptionKey = null;
+    this.dataKeys = new Map(); // key_version -> unwrapped CryptoKey
+    this.kekProvider = null;
+    this.unlocking = null;
+
+    // Fields encrypted at rest wherever they appear in a record
+    // (health data plus identifiers from ComplianceManager.SENSITIVE_FIELDS)
+    this.SENSITIVE_FIELDS = [
+      'blood_group', 'allergies', 'medical_conditions', 'medical_restrictions',
+      'medical_records', 'emergency_contact_phone', 'national_id',
+      'social_security', 'password', 'token', 'secret'
+    ];
+    this.MASKED_PLACEHOLDER = '🔒 Restricted';
+
     console.log('🔐 MMS Encryption Service Initialized');
   }
 
-  // Generate encryption key from password
-  async generateKeyFromPassword(password, salt) {
-    const encoder = new TextEncoder();
-    const keyMaterial = await window.crypto.subtle.importKey(
+  // ==================== KEY MANAGEMENT ====================
+
+  // provider(keyDocument) must resolve to an AES-GCM CryptoKey with
+  // wrapKey/unwrapKey usages, e.g. fetched from a KMS-backed endpoint
+  setKeyEncryptionKeyProvider(provider) {
+    this.kekProvider = provider;
+    this.lock();
+  }
+
+  // Forget every unwrapped key (called on logout)
+  lock() {
+    this.keyEncryptionKey = null;
+    this.keyDocument = null;
+    this.dataKeys.clear();
+  }
+
+  isUnlocked() {
+    return !!this.keyEncryptionKey;
+  }
+
+  async loadKeyDocument() {
+    const snapshot = await getDoc(doc(db, this.KEYS_COLLECTION, this.TENANT_ID));
+    this.keyDocument = snapshot.exists() ? snapshot.data() : null;
+    return this.keyDocument;
+  }
+
+  async deriveKeyEncryptionKey(passphrase, salt, iterations) {
+    const keyMaterial = await crypto.subtle.importKey(
       'raw',
-      encoder.encode(password),
+      new TextEncoder().encode(passphrase),
       'PBKDF2',
       false,
       ['deriveKey']
     );
 
-    return window.crypto.subtle.deriveKey(
-      {
-        name: 'PBKDF2',
-        salt: encoder.encode(salt),
-        iterations: 100000,
-        hash: 'SHA-256'
-      },
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt: this.fromBase64(salt), iterations: iterations, hash: 'SHA-256' },
       keyMaterial,
       { name: this.ALGORITHM, length: this.KEY_LENGTH },
       false,
+      ['wrapKey', 'unwrapKey']
+    );
+  }
+
+  async wrapDataKey(dataKey, kek) {
+    const iv = crypto.getRandomValues(new Uint8Array(this.IV_LENGTH));
+    const wrapped = await crypto.subtle.wrapKey('raw', dataKey, kek, { name: this.ALGORITHM, iv: iv });
+    return { wrapped_key: this.toBase64(wrapped), iv: this.toBase64(iv) };
+  }
+
+  async unwrapDataKey(entry, kek) {
+    return crypto.subtle.unwrapKey(
+      'raw',
+      this.fromBase64(entry.wrapped_key),
+      kek,
+      { name: this.ALGORITHM, iv: this.fromBase64(entry.iv) },
+      { name: this.ALGORITHM, length: this.KEY_LENGTH },
+      false,
       ['encrypt', 'decrypt']
     );
   }
 
-  // Encrypt sensitive data (employee health records, etc.)
-  async encryptSensitiveData(data, context = 'health_record') {
-    try {
-      if (!data || typeof data !== 'object') {
-        throw new Error('Invalid data for encryption');
+  async generateDataKey() {
+    return crypto.subtle.generateKey({ name: this.ALGORITHM, length: this.KEY_LENGTH }, true, ['encrypt', 'decrypt']);
+  }
+
+  // Obtain the KEK, prompting for the tenant passphrase if needed.
+  // Concurrent callers (e.g. decrypting a list of records) share one prompt.
+  async unlock() {
+    if (this.keyEncryptionKey) return true;
+
+    if (!this.unlocking) {
+      this.unlocking = this.obtainKeyEncryptionKey().finally(() => {
+        this.unlocking = null;
+      });
+    }
+    return this.unlocking;
+  }
+
+  async obtainKeyEncryptionKey() {
+    const keyDoc = this.keyDocument || await this.loadKeyDocument();
+    if (!keyDoc) {
+      throw new Error('Data encryption has not been set up. An administrator must create the tenant key.');
+    }
+
+    if (keyDoc.kek.source === 'server') {
+      if (!this.kekProvider) {
+        throw new Error('Key service unavailable - cannot unlock encrypted data');
       }
+      this.keyEncryptionKey = await this.kekProvider(keyDoc);
+      return true;
+    }
 
-      const textEncoder = new TextEncoder();
-      const dataString = JSON.stringify(data);
-      const dataBuffer = textEncoder.encode(dataString);
-      
-      // Generate IV (Initialization Vector)
-      const iv = window.crypto.getRandomValues(new Uint8Array(this.IV_LENGTH));
-      
-      // Get encryption key
-      const key = await this.generateKeyFromPassword(this.ENCRYPTION_KEY, context);
-      
-      // Encrypt
-      const encryptedBuffer = await window.crypto.subtle.encrypt(
-        {
-          name: this.ALGORITHM,
-          iv: iv
-        },
-        key,
-        dataBuffer
-      );
+    const activeEntry = keyDoc.versions[keyDoc.active_version];
+    const kek = await mmsMFA.openDialog({
+      title: '🔐 Unlock Health Records',
+      body: `
+        <p style="color: #64748b; margin-bottom: 1rem;">
+          Enter the data protection passphrase to read or save encrypted health information.
+        </p>
+        <input type="password" data-field="passphrase" autocomplete="off" style="${mmsMFA.inputStyle()}">
+      `,
+      submitLabel: 'Unlock',
+      maxAttempts: 5,
+      onSubmit: async (fields) => {
+        const candidate = await this.deriveKeyEncryptionKey(fields.passphrase, keyDoc.kek.salt, keyDoc.kek.iterations);
+        try {
+          // A wrong passphrase fails the GCM tag check on unwrap
+          this.dataKeys.set(keyDoc.active_version, await this.unwrapDataKey(activeEntry, candidate));
+          return { success: true, value: candidate };
+        } catch {
+          return { success: false, error: 'Incorrect passphrase' };
+        }
+      }
+    });
 
-      // Combine IV and encrypted data
-      const combined = new Uint8Array(iv.length + encryptedBuffer.byteLength);
-      combined.set(iv);
-      combined.set(new Uint8Array(encryptedBuffer), iv.length);
+    if (!kek) {
+      throw new Error('Encrypted data is locked');
+    }
 
-      // Convert to base64 for storage
-      const encryptedBase64 = btoa(String.fromCharCode(...combined));
-      
-      // Create metadata
-      const encryptedPackage = {
-        encrypted: true,
-        version: '1.0',
+    this.keyEncryptionKey = kek;
+    console.log('🔓 Data encryption keys unlocked');
+    return true;
+  }
+
+  async getDataKey(version) {
+    if (this.dataKeys.has(version)) {
+      return this.dataKeys.get(version);
+    }
+
+    await this.unlock();
+
+    let entry = this.keyDocument.versions[version];
+    if (!entry) {
+      // Another session may have rotated since we loaded the document
+      await this.loadKeyDocument();
+      entry = this.keyDocument.versions[version];
+    }
+    if (!entry) {
+      throw new Error(`Unknown encryption key version: ${version}`);
+    }
+
+    const dataKey = await this.unwrapDataKey(entry, this.keyEncryptionKey);
+    this.dataKeys.set(version, dataKey);
+    return dataKey;
+  }
+
+  async getActiveKeyVersion() {
+    const keyDoc = this.keyDocument || await this.loadKeyDocument();
+    if (!keyDoc) {
+      throw new Error('Data encryption has not been set up. An administrator must create the tenant key.');
+    }
+    return keyDoc.active_version;
+  }
+
+  // First-time setup. options: { source: 'passphrase', passphrase }
+  // or { source: 'server', keyId } with a provider registered.
+  async setupTenantKey(options) {
+    if (!window.mmsAuth?.hasPermission('canManageEncryptionKeys')) {
+      return { success: false, error: 'Only administrators can manage encryption keys' };
+    }
+
+    try {
+      if (await this.loadKeyDocument()) {
+        return { success: false, error: 'Encryption keys already exist for this tenant' };
+      }
+
+      let kek;
+      let kekInfo;
+      if (options.source === 'server') {
+        if (!this.kekProvider) throw new Error('No key service registered');
+        kekInfo = { source: 'server', key_id: options.keyId || 'default' };
+        kek = await this.kekProvider(kekInfo);
+      } else {
+        const salt = this.toBase64(crypto.getRandomValues(new Uint8Array(16)));
+        kekInfo = { source: 'passphrase', salt: salt, iterations: this.KEK_ITERATIONS };
+        kek = await this.deriveKeyEncryptionKey(options.passphrase, salt, this.KEK_ITERATIONS);
+      }
+
+      const dataKey = await this.generateDataKey();
+      const keyDoc = {
+        tenant: this.TENANT_ID,
         algorithm: this.ALGORITHM,
-        context: context,
-        timestamp: new Date().toISOString(),
-        data: encryptedBase64,
-        iv_length: iv.length
+        active_version: 1,
+        kek: kekInfo,
+        versions: {
+          1: {
+            ...await this.wrapDataKey(dataKey, kek),
+            status: 'active',
+            created_at: new Date().toISOString(),
+            created_by: window.mmsAuth?.currentUser?.email || 'unknown'
+          }
+        },
+        created_at: serverTimestamp(),
+        updated_at: serverTimestamp()
       };
 
-      console.log(`✅ Data encrypted for context: ${context}`);
-      return encryptedPackage;
+      await setDoc(doc(db, this.KEYS_COLLECTION, this.TENANT_ID), keyDoc);
 
+      this.keyDocument = keyDoc;
+      this.keyEncryptionKey = kek;
+      this.dataKeys.clear();
+
+      window.mmsAuditLogger?.logSecurityEvent('encryption_key_created', { tenant: this.TENANT_ID, kek_source: kekInfo.source });
+      console.log(`🔑 Tenant encryption key created (${kekInfo.source})`);
+
+      return { success: true, message: 'Encryption keys created' };
     } catch (error) {
-      console.error('❌ Encryption failed:', error);
-      // Fallback to simple obfuscation for safety
-      return this.obfuscateData(data, context);
+      console.error('❌ Failed to set up encryption keys:', error);
+      return { success: false, error: error.message };
     }
   }
 
-  // Decrypt data
-  async decryptSensitiveData(encryptedPackage) {
+  // New data key version becomes active; existing records are then
+  // re-encrypted under it and older versions marked retired
+  async rotateKey() {
+    if (!window.mmsAuth?.hasPermission('canManageEncryptionKeys')) {
+      return { success: false, error: 'Only administrators can rotate encryption keys' };
+    }
+
     try {
-      if (!encryptedPackage?.encrypted) {
-        return encryptedPackage; // Not encrypted
-      }
+      await this.loadKeyDocument();
+      await this.unlock();
 
-      const { data: encryptedBase64, context, iv_length } = encryptedPackage;
-      
-      // Convert from base64
-      const combined = new Uint8Array(
-        atob(encryptedBase64).split('').map(char => char.charCodeAt(0))
-      );
+      const previousVersion = this.keyDocument.active_version;
+      const newVersion = Math.max(...Object.keys(this.keyDocument.versions).map(Number)) + 1;
+      const dataKey = await this.generateDataKey();
 
-      // Extract IV and encrypted data
-      const iv = combined.slice(0, iv_length || this.IV_LENGTH);
-      const encryptedData = combined.slice(iv_length || this.IV_LENGTH);
-      
-      // Get decryption key
-      const key = await this.generateKeyFromPassword(this.ENCRYPTION_KEY, context);
-      
-      // Decrypt
-      const decryptedBuffer = await window.crypto.subtle.decrypt(
-        {
-          name: this.ALGORITHM,
-          iv: iv
+      await updateDoc(doc(db, this.KEYS_COLLECTION, this.TENANT_ID), {
+        [`versions.${newVersion}`]: {
+          ...await this.wrapDataKey(dataKey, this.keyEncryptionKey),
+          status: 'active',
+          created_at: new Date().toISOString(),
+          created_by: window.mmsAuth?.currentUser?.email || 'unknown'
         },
-        key,
-        encryptedData
-      );
+        [`versions.${previousVersion}.status`]: 'decrypt_only',
+        active_version: newVersion,
+        rotated_at: serverTimestamp(),
+        updated_at: serverTimestamp()
+      });
 
-      // Convert back to string
-      const textDecoder = new TextDecoder();
-      const decryptedString = textDecoder.decode(decryptedBuffer);
-      
-      return JSON.parse(decryptedString);
+      await this.loadKeyDocument();
+      console.log(`🔄 Encryption key rotated: v${previousVersion} → v${newVersion}`);
 
+      const result = await this.reencryptRecords();
+
+      if (result.failed === 0) {
+        const retired = {};
+        Object.keys(this.keyDocument.versions)
+          .filter(version => Number(version) !== newVersion)
+          .forEach(version => { retired[`versions.${version}.status`] = 'retired'; });
+        await updateDoc(doc(db, this.KEYS_COLLECTION, this.TENANT_ID), retired);
+      }
+
+      window.mmsAuditLogger?.logSecurityEvent('encryption_key_rotated', {
+        tenant: this.TENANT_ID,
+        from_version: previousVersion,
+        to_version: newVersion,
+        reencrypted: result.reencrypted,
+        failed: result.failed
+      });
+
+      return {
+        success: result.failed === 0,
+        version: newVersion,
+        ...result,
+        error: result.failed > 0 ? `${result.failed} record(s) could not be re-encrypted` : undefined
+      };
     } catch (error) {
-      console.error('❌ Decryption failed:', error);
-      
-      // Try to de-obfuscate if it was obfuscated
-      if (encryptedPackage.obfuscated) {
-        return this.deobfuscateData(encryptedPackage);
+      console.error('❌ Key rotation failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Re-seal every encrypted field not already on the active key version
+  async reencryptRecords() {
+    const activeVersion = await this.getActiveKeyVersion();
+    let reencrypted = 0;
+    let failed = 0;
+
+    for (const collectionName of this.ENCRYPTED_COLLECTIONS) {
+      const snapshot = await getDocs(query(
+        collection(db, collectionName),
+        where('company', '==', this.TENANT_ID)
+      ));
+
+      let batch = writeBatch(db);
+      let pending = [];
+
+      // Records only count as re-encrypted once their batch is committed; a
+      // failed commit counts the whole batch as failed, and either way the
+      // next records go into a fresh batch
+      const commitPending = async () => {
+        try {
+          await batch.commit();
+          reencrypted += pending.length;
+        } catch (error) {
+          failed += pending.length;
+          console.error(`❌ Could not commit re-encrypted ${collectionName} records:`, pending, error);
+        }
+        batch = writeBatch(db);
+        pending = [];
+      };
+
+      for (const record of snapshot.docs) {
+        try {
+          const updates = await this.reencryptFields(record.data(), activeVersion);
+          if (Object.keys(updates).length === 0) continue;
+
+          batch.update(record.ref, updates);
+          pending.push(record.id);
+        } catch (error) {
+          failed++;
+          console.error(`❌ Could not re-encrypt ${collectionName}/${record.id}:`, error);
+        }
+
+        if (pending.length >= this.REENCRYPT_BATCH_SIZE) {
+          await commitPending();
+        }
+      }
+
+      if (pending.length > 0) {
+        await commitPending();
       }
-      
-      throw new Error('Failed to decrypt data. It may be corrupted.');
     }
+
+    console.log(`🔄 Re-encrypted ${reencrypted} record(s), ${failed} failed`);
+    return { reencrypted, failed };
   }
 
-  // Fallback obfuscation (when crypto API fails)
-  obfuscateData(data, context) {
-    const dataString = JSON.stringify(data);
-    // Simple XOR obfuscation
-    const key = this.ENCRYPTION_KEY + context;
-    let obfuscated = '';
-    
-    for (let i = 0; i < dataString.length; i++) {
-      obfuscated += String.fromCharCode(
-        dataString.charCodeAt(i) ^ key.charCodeAt(i % key.length)
-      );
+  async reencryptFields(record, activeVersion) {
+    const updates = {};
+
+    for (const [field, value] of Object.entries(record)) {
+      if (!this.isEncryptedPackage(value) || value.key_version === activeVersion) continue;
+
+      const plain = await this.decryptSensitiveData(value);
+      updates[field] = await this.encryptSensitiveData(plain, value.context);
+    }
+
+    return updates;
+  }
+
+  // ==================== ENCRYPT / DECRYPT ====================
+
+  // Encrypt sensitive data (employee health records, etc.). Throws if the
+  // data can't be encrypted - sensitive data is never stored unprotected.
+  async encryptSensitiveData(data, context = 'health_record') {
+    if (!data || typeof data !== 'object') {
+      throw new Error('Invalid data for encryption');
     }
 
+    const keyVersion = await this.getActiveKeyVersion();
+    const key = await this.getDataKey(keyVersion);
+    return this.sealPackage(data, key, context, keyVersion);
+  }
+
+  // The envelope every encrypted value is stored in. `key` is a tenant data
+  // key (with its key_version) or another AES-GCM key, e.g. a per-user key.
+  async sealPackage(data, key, context, keyVersion = null) {
+    const iv = crypto.getRandomValues(new Uint8Array(this.IV_LENGTH));
+
+    const encryptedBuffer = await crypto.subtle.encrypt(
+      { name: this.ALGORITHM, iv: iv, additionalData: this.getAdditionalData(context) },
+      key,
+      new TextEncoder().encode(JSON.stringify(data))
+    );
+
+    // Combine IV and encrypted data
+    const combined = new Uint8Array(iv.length + encryptedBuffer.byteLength);
+    combined.set(iv);
+    combined.set(new Uint8Array(encryptedBuffer), iv.length);
+
     return {
-      obfuscated: true,
-      version: '1.0',
+      encrypted: true,
+      version: this.PACKAGE_VERSION,
+      algorithm: this.ALGORITHM,
+      tenant: this.TENANT_ID,
+      key_version: keyVersion,
       context: context,
       timestamp: new Date().toISOString(),
-      data: btoa(obfuscated),
-      warning: 'Fallback obfuscation used'
+      data: this.toBase64(combined),
+      iv_length: iv.length
     };
   }
 
-  deobfuscateData(obfuscatedPackage) {
+  async openPackage(encryptedPackage, key) {
+    const { data, context, iv_length } = encryptedPackage;
+    const combined = this.fromBase64(data);
+    const iv = combined.slice(0, iv_length || this.IV_LENGTH);
+
+    const decryptedBuffer = await crypto.subtle.decrypt(
+      { name: this.ALGORITHM, iv: iv, additionalData: this.getAdditionalData(context) },
+      key,
+      combined.slice(iv_length || this.IV_LENGTH)
+    );
+    return JSON.parse(new TextDecoder().decode(decryptedBuffer));
+  }
+
+  // Decrypt data
+  async decryptSensitiveData(encryptedPackage) {
+    if (encryptedPackage?.obfuscated) {
+      return this.deobfuscateLegacyData(encryptedPackage);
+    }
+
+    if (!encryptedPackage?.encrypted) {
+      return encryptedPackage; // Not encrypted
+    }
+
+    try {
+      if (encryptedPackage.key_version !== undefined) {
+        return await this.openPackage(encryptedPackage, await this.getDataKey(encryptedPackage.key_version));
+      }
+
+      // Legacy packages have no additional data
+      const { data, context, iv_length } = encryptedPackage;
+      const combined = this.fromBase64(data);
+      const iv = combined.slice(0, iv_length || this.IV_LENGTH);
+      const key = await this.deriveLegacyKey(context);
+
+      const decryptedBuffer = await crypto.subtle.decrypt(
+        { name: this.ALGORITHM, iv: iv },
+        key,
+        combined.slice(iv_length || this.IV_LENGTH)
+      );
+      return JSON.parse(new TextDecoder().decode(decryptedBuffer));
+
+    } catch (error) {
+      console.error('❌ Decryption failed:', error);
+      throw new Error('Failed to decrypt data. It may be corrupted or the key is unavailable.');
+    }
+  }
+
+  // Binds ciphertext to its tenant and context so it can't be moved
+  getAdditionalData(context) {
+    return new TextEncoder().encode(`${this.TENANT_ID}:${context}`);
+  }
+
+  // ==================== LEGACY (v1.0) PACKAGES ====================
+
+  async deriveLegacyKey(context) {
+    const encoder = new TextEncoder();
+    const keyMaterial = await crypto.subtle.importKey(
+      'raw',
+      encoder.encode(this.LEGACY_KEY),
+      'PBKDF2',
+      false,
+      ['deriveKey']
+    );
+
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt: encoder.encode(context), iterations: 100000, hash: 'SHA-256' },
+      keyMaterial,
+      { name: this.ALGORITHM, length: this.KEY_LENGTH },
+      false,
+      ['decrypt']
+    );
+  }
+
+  // Read-only support for data written by the old XOR fallback
+  deobfuscateLegacyData(obfuscatedPackage) {
     const { data: obfuscatedBase64, context } = obfuscatedPackage;
-    const key = this.ENCRYPTION_KEY + context;
-    
+    const key = this.LEGACY_KEY + context;
+
     const obfuscated = atob(obfuscatedBase64);
     let original = '';
-    
+
     for (let i = 0; i < obfuscated.length; i++) {
       original += String.fromCharCode(
         obfuscated.charCodeAt(i) ^ key.charCodeAt(i % key.length)
@@ -180,6 +536,21 @@ class MMSEncryptionService {
     return JSON.parse(original);
   }
 
+  // ==================== UTILITIES ====================
+
+  toBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  fromBase64(base64) {
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+  }
+
   // Hash sensitive identifiers (employee IDs, etc.)
   async hashIdentifier(identifier, salt = 'mms_safety_salt') {
     const encoder = new TextEncoder();
@@ -236,20 +607,20 @@ class MMSEncryptionService {
     return sensitivePatterns.some(pattern => pattern.test(dataString));
   }
 
-  // Auto-encrypt sensitive fields in an object
-  async autoEncryptSensitiveFields(obj) {
+  isEncryptedPackage(value) {
+    return !!value && typeof value === 'object' && (value.encrypted === true || value.obfuscated === true);
+  }
+
+  // Auto-encrypt sensitive fields in an object. scope ties each ciphertext
+  // to its record (e.g. 'employees/EMP-123') so it can't be copied to another.
+  async autoEncryptSensitiveFields(obj, scope = 'field') {
     const encrypted = { ...obj };
-    const sensitiveFields = [
-      'blood_group', 'allergies', 'medical_conditions',
-      'emergency_contact_phone', 'medical_restrictions',
-      'password', 'token', 'secret'
-    ];
 
-    for (const field of sensitiveFields) {
+    for (const field of this.SENSITIVE_FIELDS) {
       if (encrypted[field] && typeof encrypted[field] === 'string') {
         const encryptedValue = await this.encryptSensitiveData(
           { value: encrypted[field] },
-          `field_${field}`
+          `${scope}/${field}`
         );
         encrypted[field] = encryptedValue;
         encrypted[`${field}_encrypted`] = true;
@@ -259,9 +630,71 @@ class MMSEncryptionService {
     return encrypted;
   }
 
+  // Reverse of autoEncryptSensitiveFields
+  async autoDecryptSensitiveFields(obj) {
+    const decrypted = { ...obj };
+
+    for (const field of this.SENSITIVE_FIELDS) {
+      if (this.isEncryptedPackage(decrypted[field])) {
+        const { value } = await this.decryptSensitiveData(decrypted[field]);
+        decrypted[field] = value;
+      }
+      delete decrypted[`${field}_encrypted`];
+    }
+
+    return decrypted;
+  }
+
+  // Placeholder view for users who may not see the plaintext
+  maskSensitiveFields(obj) {
+    const masked = { ...obj };
+    let restricted = false;
+
+    for (const field of this.SENSITIVE_FIELDS) {
+      if (this.isEncryptedPackage(masked[field])) {
+        masked[field] = this.MASKED_PLACEHOLDER;
+        restricted = true;
+      }
+      delete masked[`${field}_encrypted`];
+    }
+
+    if (restricted) {
+      masked.sensitive_data_restricted = true;
+    }
+
+    return masked;
+  }
+
+  // True if any sensitive field is still stored in plaintext
+  hasPlaintextSensitiveFields(obj) {
+    return this.SENSITIVE_FIELDS.some(field => obj[field] && typeof obj[field] === 'string');
+  }
+
+  // Key-sorted JSON at every depth. A key list passed to JSON.stringify
+  // would also filter nested objects, leaving their fields out of the hash.
+  canonicalize(value) {
+    if (value && typeof value.toJSON === 'function') {
+      value = value.toJSON();
+    }
+    
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.canonicalize(item)).join(',')}]`;
+    }
+    
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value)
+        .filter(key => value[key] !== undefined)
+        .sort()
+        .map(key => `${JSON.stringify(key)}:${this.canonicalize(value[key])}`)
+        .join(',')}}`;
+    }
+    
+    return JSON.stringify(value) ?? 'null';
+  }
+
   // Generate audit-safe data fingerprint
   async generateDataFingerprint(data) {
-    const dataString = JSON.stringify(data, Object.keys(data).sort());
+    const dataString = this.canonicalize(data);
     const encoder = new TextEncoder();
     const dataBuffer = encoder.encode(dataString);
     
@@ -286,9 +719,80 @@ class MMSEncryptionService {
 const mmsEncryption = new MMSEncryptionService();
 window.mmsEncryption = mmsEncryption;
 
+// Admin: create the tenant key on first use, otherwise rotate it
+window.manageEncryptionKeys = async function() {
+  if (!window.mmsAuth?.hasPermission('canManageEncryptionKeys')) {
+    alert('Only administrators can manage encryption keys.');
+    return;
+  }
+
+  if (!await mmsMFA.requireStepUp('Manage encryption keys')) return;
+
+  const keyDoc = await mmsEncryption.loadKeyDocument();
+
+  if (!keyDoc) {
+    const passphrase = await mmsMFA.openDialog({
+      title: '🔐 Set Up Data Encryption',
+      body: `
+        <p style="color: #64748b; margin-bottom: 1rem;">
+          Choose a passphrase that protects the tenant's data keys. Staff who read health
+          records will need it. It cannot be recovered - store it in your password manager.
+        </p>
+        <label style="display: block; font-weight: 600; margin-bottom: 0.5rem;">Passphrase</label>
+        <input type="password" data-field="passphrase" autocomplete="new-password" style="${mmsMFA.inputStyle()}">
+        <label style="display: block; font-weight: 600; margin: 1rem 0 0.5rem;">Confirm passphrase</label>
+        <input type="password" data-field="confirm" autocomplete="new-password" style="${mmsMFA.inputStyle()}">
+      `,
+      submitLabel: 'Create Keys',
+      onSubmit: async (fields) => {
+        if (fields.passphrase.length < 16) {
+          return { success: false, error: 'Use at least 16 characters' };
+        }
+        if (fields.passphrase !== fields.confirm) {
+          return { success: false, error: 'Passphrases do not match' };
+        }
+        return { success: true, value: fields.passphrase };
+      }
+    });
+    if (!passphrase) return;
+
+    const result = await mmsEncryption.setupTenantKey({ source: 'passphrase', passphrase: passphrase });
+    if (!result.success) {
+      alert(`❌ ${result.error}`);
+      return;
+    }
+    
+    const migration = await window.mmsDB.encryptExistingEmployeeRecords();
+    alert(migration.success
+      ? `✅ Data encryption keys created. ${migration.message}.`
+      : `⚠️ Keys created, but existing records were not encrypted: ${migration.error}`);
+    return;
+  }
+
+  // Keys set up before field-level encryption: convert plaintext records first
+  const migration = await window.mmsDB.encryptExistingEmployeeRecords();
+  if (!migration.alreadyCompleted) {
+    alert(migration.success ? `✅ ${migration.message}.` : `❌ ${migration.error}`);
+    return;
+  }
+
+  const confirmed = confirm(
+    `Rotate the data encryption key (currently version ${keyDoc.active_version})?\n\n` +
+    'All encrypted records will be re-encrypted with the new key. Keep this tab open until it finishes.'
+  );
+  if (!confirmed) return;
+
+  const result = await mmsEncryption.rotateKey();
+  alert(result.success
+    ? `✅ Key rotated to version ${result.version}. ${result.reencrypted} record(s) re-encrypted.`
+    : `❌ Key rotation incomplete: ${result.error}`);
+};
+
 // Test encryption (development only)
 if (window.location.hostname.includes('localhost')) {
   setTimeout(async () => {
+    if (!mmsEncryption.isUnlocked()) return;
+
     console.log('🔐 Testing encryption service...');
     
     const testData = {
@@ -305,9 +809,11 @@ if (window.location.hostname.includes('localhost')) {
       console.log('✅ Decryption test passed:', decrypted.blood_group === 'O+');
       
     } catch (error) {
-      console.warn('⚠️ Encryption test failed (fallback used):', error.message);
+      console.warn('⚠️ Encryption test failed:', error.message);
     }
   }, 3000);
 }
 
+export { mmsEncryption };
+
 console.log('✅ MMS Encryption Service Ready');
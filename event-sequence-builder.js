@@ -0,0 +1,319 @@
+// Investigation Sequence of Events Builder - MMS Safety
+import { incidentInvestigator } from './incident-investigator.js';
+
+class EventSequenceBuilder {
+  constructor() {
+    this.investigationId = null;
+    this.investigation = null;
+    this.events = [];
+    this.dirty = false;
+
+    console.log('🕒 Event Sequence Builder Initialized');
+  }
+
+  // ==================== OPEN / SAVE ====================
+
+  async open(investigationId) {
+    const result = await incidentInvestigator.getInvestigationById(investigationId);
+
+    if (!result.success) {
+      alert(`❌ ${result.error}`);
+      return;
+    }
+
+    this.investigationId = investigationId;
+    this.investigation = result.data;
+    this.events = incidentInvestigator.normalizeEventSequence(result.data.event_sequence);
+    this.dirty = false;
+
+    this.renderModal();
+  }
+
+  async save() {
+    if (this.events.some(event => !event.action.trim())) {
+      alert('❌ Describe what happened for every event, or remove the empty ones');
+      return;
+    }
+
+    const result = await incidentInvestigator.saveEventSequence(this.investigationId, this.events);
+
+    if (!result.success) {
+      alert(`❌ ${result.error}`);
+      return;
+    }
+
+    this.dirty = false;
+    this.close(true);
+    window.showToast?.('Sequence of Events',
+      `Saved ${result.events} event(s)${result.gaps ? ` - ${result.gaps} gap(s) still to explain` : ''}`,
+      result.gaps || result.untimed || result.out_of_order ? 'warning' : 'success');
+  }
+
+  close(force = false) {
+    if (!force && this.dirty && !confirm('Discard unsaved changes to the sequence of events?')) {
+      return;
+    }
+    document.getElementById('eventSequenceModal')?.remove();
+    this.investigationId = null;
+    this.investigation = null;
+    this.events = [];
+  }
+
+  // ==================== RENDERING ====================
+
+  renderModal() {
+    document.getElementById('eventSequenceModal')?.remove();
+
+    const esc = incidentInvestigator.escapeHtml;
+    const modal = document.createElement('div');
+    modal.id = 'eventSequenceModal';
+    modal.className = 'modal';
+    modal.innerHTML = `
+      <div class="modal-content" style="max-width: 1100px;">
+        <button class="close-modal" onclick="eventSequenceBuilder.close()">×</button>
+        <div class="modal-header">
+          <h2>Sequence of Events</h2>
+          <p>${esc(this.investigation.id)} · ${esc(this.investigation.incident_type || '')} · ${esc(this.investigation.incident_location || '')}</p>
+        </div>
+        <div id="eventSequenceBody"></div>
+        <div class="action-buttons">
+          <button class="btn btn-outline" onclick="eventSequenceBuilder.close()">Cancel</button>
+          <button class="btn btn-primary" onclick="eventSequenceBuilder.save()">💾 Save Sequence</button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+    modal.style.display = 'block';
+
+    const body = modal.querySelector('#eventSequenceBody');
+    body.addEventListener('input', (event) => this.handleInput(event));
+    body.addEventListener('change', (event) => this.handleInput(event));
+    body.addEventListener('click', (event) => this.handleClick(event));
+
+    this.renderBody();
+  }
+
+  renderBody() {
+    const body = document.getElementById('eventSequenceBody');
+    if (!body) return;
+
+    const analysis = incidentInvestigator.analyseEventSequence(this.events);
+    const gapBefore = new Map(analysis.gaps.map(gap => [gap.before, gap]));
+
+    body.innerHTML = `
+      <div style="display: flex; justify-content: space-between; align-items: center; gap: 1rem; flex-wrap: wrap; margin-bottom: 1rem;">
+        <p style="color: var(--text-light); font-size: 0.9rem; margin: 0;">
+          ${this.events.length} event(s) ·
+          <span style="color: ${analysis.gaps.length ? 'var(--error)' : 'inherit'};">${analysis.gaps.length} gap(s) over ${incidentInvestigator.sequenceGapMinutes} min</span> ·
+          ${analysis.untimed} untimed · ${analysis.out_of_order} out of order
+        </p>
+        <div style="display: flex; gap: 0.5rem;">
+          <button class="btn btn-outline" data-action="sort" ${this.events.length < 2 ? 'disabled' : ''}>🔃 Sort by Time</button>
+          <button class="btn btn-outline" data-action="add">➕ Add Event</button>
+        </div>
+      </div>
+
+      ${this.events.length === 0
+        ? '<p style="color: var(--text-light);">No events yet. Start with the last normal state before the incident.</p>'
+        : this.events.map((event, index) => `
+          ${gapBefore.has(event.id) ? `
+            <div style="margin: 0 0 0.75rem 1.5rem; padding: 0.4rem 0.75rem; border-left: 3px dashed var(--error); color: var(--error); font-size: 0.85rem; font-weight: 600;">
+              ⚠️ ${incidentInvestigator.formatGap(gapBefore.get(event.id).minutes)} unaccounted for - what happened here?
+            </div>
+          ` : ''}
+          ${this.renderEvent(event, index, analysis.flags[event.id])}
+        `).join('')}
+
+      ${analysis.unlinked_stages.length && this.events.length ? `
+        <p style="color: var(--text-light); font-size: 0.85rem; margin-top: 1rem;">
+          Stages with no linked events: ${analysis.unlinked_stages.map(stage => incidentInvestigator.escapeHtml(stage)).join(', ')}
+        </p>
+      ` : ''}
+    `;
+  }
+
+  renderEvent(event, index, flags) {
+    const esc = incidentInvestigator.escapeHtml;
+    const fieldStyle = 'width: 100%; padding: 0.4rem; border: 1px solid var(--border); border-radius: 6px;';
+    const attributes = `data-event="${esc(event.id)}"`;
+    const border = flags.includes('out_of_order') ? 'var(--warning)' : flags.includes('untimed') ? 'var(--border)' : 'var(--secondary)';
+    // datetime-local wants local time without a zone
+    const local = event.occurred_at
+      ? new Date(new Date(event.occurred_at).getTime() - new Date(event.occurred_at).getTimezoneOffset() * 60000).toISOString().slice(0, 16)
+      : '';
+
+    return `
+      <div style="border: 1px solid var(--border); border-left: 4px solid ${border}; border-radius: 8px; padding: 0.75rem; margin-bottom: 0.75rem;">
+        <div style="display: grid; grid-template-columns: 40px 200px 1fr 1.5fr auto; gap: 0.75rem; align-items: start;">
+          <strong style="padding-top: 0.4rem;">${index + 1}.</strong>
+          <div>
+            <input type="datetime-local" ${attributes} data-field="occurred_at" value="${local}" style="${fieldStyle}">
+            <label style="font-size: 0.8rem; color: var(--text-light);">
+              <input type="checkbox" ${attributes} data-field="time_approximate" ${event.time_approximate ? 'checked' : ''}> Approximate
+            </label>
+            ${flags.includes('out_of_order') ? '<div style="color: var(--warning); font-size: 0.8rem;">⚠️ Earlier than the event above</div>' : ''}
+            ${flags.includes('untimed') ? '<div style="color: var(--text-light); font-size: 0.8rem;">No time yet</div>' : ''}
+          </div>
+          <input type="text" ${attributes} data-field="actor" value="${esc(event.actor)}" placeholder="Who (person, team, machine)" style="${fieldStyle}">
+          <textarea ${attributes} data-field="action" rows="2" placeholder="What happened" style="${fieldStyle}">${esc(event.action)}</textarea>
+          <div style="display: flex; gap: 0.25rem;">
+            <button class="btn btn-outline" data-action="up" ${attributes} ${index === 0 ? 'disabled' : ''} title="Move up">↑</button>
+            <button class="btn btn-outline" data-action="down" ${attributes} ${index === this.events.length - 1 ? 'disabled' : ''} title="Move down">↓</button>
+            <button class="btn btn-outline" data-action="remove" ${attributes} title="Remove">🗑️</button>
+          </div>
+        </div>
+        <div style="display: grid; grid-template-columns: 40px 200px 1fr 1.5fr; gap: 0.75rem; margin-top: 0.5rem;">
+          <span></span>
+          <select ${attributes} data-field="stage" style="${fieldStyle}">
+            <option value="">Stage…</option>
+            ${incidentInvestigator.investigationStages.map(stage => `
+              <option value="${esc(stage)}" ${event.stage === stage ? 'selected' : ''}>${esc(stage)}</option>
+            `).join('')}
+          </select>
+          <div>
+            <select ${attributes} data-field="evidence" style="${fieldStyle}">
+              ${this.renderEvidenceOptions(event.evidence)}
+            </select>
+            ${event.evidence?.type === 'url' ? `
+              <input type="url" ${attributes} data-field="evidence_url" value="${esc(event.evidence.url || '')}" placeholder="https://…" style="${fieldStyle} margin-top: 0.25rem;">
+            ` : ''}
+          </div>
+          <input type="text" ${attributes} data-field="notes" value="${esc(event.notes)}" placeholder="Notes (source, confidence)" style="${fieldStyle}">
+        </div>
+      </div>
+    `;
+  }
+
+  // Evidence can be a witness statement, a photo/recording attached to one,
+  // or any other link
+  getEvidenceChoices() {
+    const witnesses = this.investigation.witness_statements || [];
+
+    return [
+      ...witnesses.map(witness => ({
+        key: `witness:${witness.id}`,
+        label: `🗣️ Statement - ${witness.name}`,
+        evidence: { type: 'witness', ref: witness.id, url: null, label: `Witness statement: ${witness.name}` }
+      })),
+      ...witnesses.flatMap(witness => (witness.attachments || []).map(attachment => ({
+        key: `attachment:${attachment.id}`,
+        label: `${attachment.kind === 'audio' ? '🎙️' : '📷'} ${attachment.name} (${witness.name})`,
+        evidence: { type: 'attachment', ref: attachment.id, url: attachment.url, label: attachment.name }
+      })))
+    ];
+  }
+
+  renderEvidenceOptions(evidence) {
+    const esc = incidentInvestigator.escapeHtml;
+    const current = evidence ? (evidence.type === 'url' ? 'url' : `${evidence.type}:${evidence.ref}`) : '';
+
+    return `
+      <option value="" ${current === '' ? 'selected' : ''}>No evidence linked</option>
+      ${this.getEvidenceChoices().map(choice => `
+        <option value="${esc(choice.key)}" ${current === choice.key ? 'selected' : ''}>${esc(choice.label)}</option>
+      `).join('')}
+      <option value="url" ${current === 'url' ? 'selected' : ''}>🔗 Other link…</option>
+    `;
+  }
+
+  // ==================== EDITING ====================
+
+  findEvent(element) {
+    return this.events.find(event => event.id === element.dataset.event);
+  }
+
+  handleInput(event) {
+    const element = event.target;
+    if (!element.dataset.field || !element.dataset.event) return;
+
+    const item = this.findEvent(element);
+    if (!item) return;
+
+    this.dirty = true;
+
+    switch (element.dataset.field) {
+      case 'occurred_at':
+        item.occurred_at = element.value ? new Date(element.value).toISOString() : null;
+        // Re-render once the value is final so gap flags follow the edit
+        if (event.type === 'change') this.renderBody();
+        break;
+
+      case 'time_approximate':
+        item.time_approximate = element.checked;
+        break;
+
+      case 'stage':
+        item.stage = element.value || null;
+        if (event.type === 'change') this.renderBody();
+        break;
+
+      case 'evidence':
+        if (event.type !== 'change') return;
+        item.evidence = element.value === 'url'
+          ? { type: 'url', ref: null, url: '', label: '' }
+          : this.getEvidenceChoices().find(choice => choice.key === element.value)?.evidence || null;
+        this.renderBody();
+        break;
+
+      case 'evidence_url':
+        item.evidence = { type: 'url', ref: null, url: element.value.trim(), label: '' };
+        break;
+
+      default:
+        item[element.dataset.field] = element.value;
+    }
+  }
+
+  handleClick(event) {
+    const button = event.target.closest('[data-action]');
+    if (!button) return;
+
+    event.preventDefault();
+    const index = this.events.findIndex(item => item.id === button.dataset.event);
+
+    switch (button.dataset.action) {
+      case 'add': {
+        // Default the new event to just after the last timed one
+        const lastTimed = [...this.events].reverse().find(item => item.occurred_at);
+        this.events.push(incidentInvestigator.createSequenceEvent({
+          occurred_at: lastTimed ? new Date(new Date(lastTimed.occurred_at).getTime() + 60000) : null
+        }));
+        break;
+      }
+
+      case 'up':
+      case 'down': {
+        const target = button.dataset.action === 'up' ? index - 1 : index + 1;
+        if (index < 0 || target < 0 || target >= this.events.length) return;
+        [this.events[index], this.events[target]] = [this.events[target], this.events[index]];
+        break;
+      }
+
+      case 'remove':
+        if (this.events[index]?.action && !confirm('Remove this event?')) return;
+        this.events.splice(index, 1);
+        break;
+
+      case 'sort':
+        this.events = incidentInvestigator.sortEventSequence(this.events);
+        break;
+
+      default:
+        return;
+    }
+
+    this.dirty = true;
+    this.renderBody();
+  }
+}
+
+// Create global instance
+const eventSequenceBuilder = new EventSequenceBuilder();
+
+// Make builder globally available
+window.eventSequenceBuilder = eventSequenceBuilder;
+
+export { eventSequenceBuilder };
+
+console.log('✅ Event Sequence Builder Ready');
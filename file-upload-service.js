@@ -17,7 +17,8 @@ class SafetyFileUploadService {
                  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
                  'application/vnd.ms-excel', 
                  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
-      signatures: ['image/svg+xml']
+      signatures: ['image/svg+xml'],
+      audio: ['audio/webm', 'audio/ogg', 'audio/mpeg', 'audio/mp4', 'audio/x-m4a', 'audio/aac', 'audio/wav']
     };
     
     this.activeUploads = new Map();
@@ -37,7 +38,8 @@ class SafetyFileUploadService {
     const allAllowedTypes = [
       ...this.ALLOWED_TYPES.images,
       ...this.ALLOWED_TYPES.documents,
-      ...this.ALLOWED_TYPES.signatures
+      ...this.ALLOWED_TYPES.signatures,
+      ...this.ALLOWED_TYPES.audio
     ];
     
     if (!allAllowedTypes.includes(file.type)) {
@@ -389,11 +391,19 @@ class SafetyFileUploadService {
     return this.uploadMultipleFiles(files, 'incident_photos', incidentId, options);
   }
 
-  async uploadIncidentDocument(file, incidentId, documentType) {
+  async uploadIncidentDocument(file, incidentId, documentType, onProgress = null) {
+    // Witness signatures are canvas images; witness evidence is photos or
+    // voice recordings
+    const allowedTypesByDocument = {
+      witness_signature: [...this.ALLOWED_TYPES.images, ...this.ALLOWED_TYPES.signatures],
+      witness_evidence: [...this.ALLOWED_TYPES.images, ...this.ALLOWED_TYPES.audio]
+    };
+    
     const options = {
       maxSize: this.MAX_FILE_SIZE,
-      allowedTypes: [...this.ALLOWED_TYPES.documents, ...this.ALLOWED_TYPES.signatures],
-      showProgress: true
+      allowedTypes: allowedTypesByDocument[documentType] || [...this.ALLOWED_TYPES.documents, ...this.ALLOWED_TYPES.signatures],
+      showProgress: true,
+      onProgress: onProgress
     };
     
     return this.uploadFile(file, `incident_${documentType}`, incidentId, options);
@@ -579,4 +589,6 @@ window.handleFileUpload = async function(event, context, referenceId) {
   return results;
 };
 
+export { safetyFileUpload };
+
 console.log('✅ Safety File Upload Service Ready');
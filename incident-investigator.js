@@ -1,15 +1,23 @@
 // Incident Investigator Toolkit - MMS Safety
 import { db } from './firebase-config.js';
+import { correctiveActions } from './corrective-actions.js';
+import { mmsDB } from './database-service.js';
+import { safetyFileUpload } from './file-upload-service.js';
+import { mmsEncryption } from './encryption-service.js';
 import {
   collection,
   doc,
   getDoc,
+  getDocs,
+  setDoc,
   updateDoc,
+  arrayUnion,
+  increment,
+  runTransaction,
   query,
   where,
   orderBy,
-  serverTimestamp,
-  Timestamp
+  serverTimestamp
 } from "https://www.gstatic.com/firebasejs/9.22.0/firebase-firestore.js";
 
 class IncidentInvestigator {
@@ -24,6 +32,9 @@ class IncidentInvestigator {
       'Closure'
     ];
     
+    // Longer unexplained stretches in the sequence of events get flagged
+    this.sequenceGapMinutes = 30;
+    
     this.rootCauseCategories = [
       'Human Factors',
       'Equipment Failure',
@@ -34,6 +45,38 @@ class IncidentInvestigator {
       'Communication Breakdown'
     ];
     
+    // Fishbone bone sets. Causes confirmed on a 6M bone default to the
+    // rootCauseCategories entry below, so both sets count together on the
+    // reporting dashboard.
+    this.fishboneCategorySets = {
+      'MMS': this.rootCauseCategories,
+      '6M': [
+        'Manpower (People)',
+        'Methods (Process)',
+        'Machines (Equipment)',
+        'Materials',
+        'Measurements',
+        'Environment'
+      ]
+    };
+    
+    this.sixMCategoryMap = {
+      'Manpower (People)': 'Human Factors',
+      'Methods (Process)': 'Procedural Issues',
+      'Machines (Equipment)': 'Equipment Failure',
+      'Materials': 'Equipment Failure',
+      'Measurements': 'Management Systems',
+      'Environment': 'Environmental Conditions'
+    };
+    
+    // Sign-off steps an investigation template can require. Each step can be
+    // signed by any of its roles, never by the investigator themselves.
+    this.approvalSteps = {
+      supervisor: { label: 'Supervisor Review', roles: ['manager', 'regional_manager', 'admin'] },
+      safety_officer: { label: 'Safety Officer Approval', roles: ['safety_officer', 'admin'] },
+      management: { label: 'Management Sign-off', roles: ['regional_manager', 'admin'] }
+    };
+    
     this.investigationTemplates = {
       'Near Miss': this.getNearMissTemplate(),
       'First Aid': this.getFirstAidTemplate(),
@@ -45,6 +88,9 @@ class IncidentInvestigator {
 
   // ==================== INVESTIGATION TEMPLATES ====================
   
+  // approval_chain lists the keys of approvalSteps that must sign off, in
+  // order, before an investigation closes
+  
   getNearMissTemplate() {
     return {
       title: 'Near Miss Investigation',
@@ -79,7 +125,8 @@ class IncidentInvestigator {
             'What training required?'
           ]
         }
-      ]
+      ],
+      approval_chain: ['supervisor', 'safety_officer']
     };
   }
 
@@ -129,7 +176,8 @@ class IncidentInvestigator {
             'Follow-up schedule'
           ]
         }
-      ]
+      ],
+      approval_chain: ['supervisor', 'safety_officer', 'management']
     };
   }
 
@@ -157,7 +205,8 @@ class IncidentInvestigator {
             'Similar incidents previously?'
           ]
         }
-      ]
+      ],
+      approval_chain: ['supervisor', 'safety_officer']
     };
   }
 
@@ -185,7 +234,8 @@ class IncidentInvestigator {
             'Operating conditions'
           ]
         }
-      ]
+      ],
+      approval_chain: ['supervisor', 'safety_officer']
     };
   }
 
@@ -213,7 +263,8 @@ class IncidentInvestigator {
             'Regulatory notifications'
           ]
         }
-      ]
+      ],
+      approval_chain: ['supervisor', 'safety_officer']
     };
   }
 
@@ -271,7 +322,7 @@ class IncidentInvestigator {
         timeline_events: [
           {
             event: 'Investigation started',
-            timestamp: serverTimestamp(),
+            timestamp: new Date().toISOString(),
             by: investigatorEmail
           }
         ],
@@ -291,14 +342,15 @@ class IncidentInvestigator {
       const investigationId = `INV-${incidentId.split('-')[1] || Date.now()}`;
       const investigationRef = doc(db, 'investigations', investigationId);
       
-      await updateDoc(investigationRef, investigation);
+      await setDoc(investigationRef, investigation);
       
       // Update incident status
       await updateDoc(incidentRef, {
         investigation_status: 'Assigned',
         investigation_assigned_to: investigatorEmail,
         investigation_assigned_date: serverTimestamp(),
-        investigation_id: investigationId
+        investigation_id: investigationId,
+        version: increment(1)
       });
       
       console.log(`✅ Investigation started: ${investigationId}`);
@@ -344,7 +396,7 @@ class IncidentInvestigator {
           return {
             ...step,
             completed: true,
-            completion_date: serverTimestamp(),
+            completion_date: new Date().toISOString(),
             findings: findings.findings || '',
             evidence: findings.evidence || [],
             photos: findings.photos || []
@@ -369,7 +421,7 @@ class IncidentInvestigator {
           ...(investigation.timeline_events || []),
           {
             event: `Stage ${stageNumber} completed: ${updatedSteps.find(s => s.step === stageNumber)?.title}`,
-            timestamp: serverTimestamp(),
+            timestamp: new Date().toISOString(),
             by: window.mmsAuth?.currentUser?.email || 'unknown'
           }
         ]
@@ -382,7 +434,7 @@ class IncidentInvestigator {
         
         updates.timeline_events.push({
           event: 'All investigation stages completed',
-          timestamp: serverTimestamp(),
+          timestamp: new Date().toISOString(),
           by: window.mmsAuth?.currentUser?.email || 'unknown'
         });
       }
@@ -419,6 +471,10 @@ class IncidentInvestigator {
         throw new Error('Investigation not found');
       }
       
+      if (!this.rootCauseCategories.includes(rootCauseData.category)) {
+        return { success: false, error: `Root cause category must be one of: ${this.rootCauseCategories.join(', ')}` };
+      }
+      
       const rootCause = {
         id: `RC-${Date.now()}`,
         category: rootCauseData.category,
@@ -427,7 +483,7 @@ class IncidentInvestigator {
         contributing_factors: rootCauseData.contributing_factors || [],
         analysis_method: rootCauseData.analysis_method || '5 Whys',
         identified_by: window.mmsAuth?.currentUser?.email || 'unknown',
-        identified_date: serverTimestamp(),
+        identified_date: new Date().toISOString(),
         priority: rootCauseData.priority || 'Medium'
       };
       
@@ -436,18 +492,26 @@ class IncidentInvestigator {
       
       await updateDoc(investigationRef, {
         root_causes: [...currentRootCauses, rootCause],
+        root_cause_categories: arrayUnion(rootCause.category),
         last_updated: serverTimestamp(),
         
         timeline_events: [
           ...(investigation.timeline_events || []),
           {
             event: `Root cause identified: ${rootCauseData.category}`,
-            timestamp: serverTimestamp(),
+            timestamp: new Date().toISOString(),
             by: window.mmsAuth?.currentUser?.email || 'unknown'
           }
         ]
       });
       
+      await updateDoc(doc(db, 'incidents', investigation.incident_id), {
+        root_cause_categories: arrayUnion(rootCause.category),
+        updated_at: serverTimestamp(),
+        // Bumped so queued offline edits of the incident notice this change
+        version: increment(1)
+      });
+      
       console.log(`✅ Root cause added to investigation ${investigationId}`);
       
       return {
@@ -466,25 +530,10 @@ class IncidentInvestigator {
     }
   }
 
+  // Actions are tracked in the corrective_actions collection (see
+  // corrective-actions.js); the investigation keeps their IDs
   async addCorrectiveAction(investigationId, actionData) {
     try {
-      const action = {
-        id: `CA-${Date.now()}`,
-        description: actionData.description,
-        responsible_person: actionData.responsible_person,
-        department: actionData.department,
-        due_date: Timestamp.fromDate(new Date(actionData.due_date)),
-        priority: actionData.priority || 'Medium',
-        status: 'Pending',
-        created_by: window.mmsAuth?.currentUser?.email || 'unknown',
-        created_date: serverTimestamp(),
-        completion_date: null,
-        verification_required: actionData.verification_required || false,
-        verification_date: null,
-        verification_by: null,
-        notes: actionData.notes || ''
-      };
-      
       const investigationRef = doc(db, 'investigations', investigationId);
       const investigationSnap = await getDoc(investigationRef);
       
@@ -493,34 +542,46 @@ class IncidentInvestigator {
       }
       
       const investigation = investigationSnap.data();
-      const currentActions = investigation.corrective_actions || [];
+      
+      const result = await correctiveActions.createAction({
+        ...actionData,
+        owner_email: actionData.owner_email || actionData.responsible_person,
+        location: actionData.location || investigation.incident_location,
+        investigation_id: investigationId,
+        incident_id: investigation.incident_id
+      });
+      
+      if (!result.success) {
+        return result;
+      }
       
       await updateDoc(investigationRef, {
-        corrective_actions: [...currentActions, action],
+        corrective_action_ids: arrayUnion(result.action_id),
         last_updated: serverTimestamp(),
         
         timeline_events: [
           ...(investigation.timeline_events || []),
           {
             event: `Corrective action added: ${actionData.description.substring(0, 50)}...`,
-            timestamp: serverTimestamp(),
+            timestamp: new Date().toISOString(),
             by: window.mmsAuth?.currentUser?.email || 'unknown'
           }
         ]
       });
       
-      // Also add to incident
+      // Also link from the incident
       const incidentRef = doc(db, 'incidents', investigation.incident_id);
       await updateDoc(incidentRef, {
-        corrective_actions: [...(investigation.corrective_actions || []), action],
-        updated_at: serverTimestamp()
+        corrective_action_ids: arrayUnion(result.action_id),
+        updated_at: serverTimestamp(),
+        version: increment(1)
       });
       
       console.log(`✅ Corrective action added to investigation ${investigationId}`);
       
       return {
         success: true,
-        action_id: action.id,
+        action_id: result.action_id,
         investigation_id: investigationId,
         message: 'Corrective action added successfully'
       };
@@ -534,7 +595,64 @@ class IncidentInvestigator {
     }
   }
 
+  // Submits the investigation for sign-off along its template's approval
+  // chain. The investigation only closes once the last approver signs.
   async completeInvestigation(investigationId, summary) {
+    return this.submitForApproval(investigationId, summary);
+  }
+
+  // ==================== APPROVAL WORKFLOW ====================
+  
+  getApprovalChain(incidentType) {
+    const template = this.investigationTemplates[incidentType] || this.getNearMissTemplate();
+    
+    return template.approval_chain.map(key => ({
+      key,
+      label: this.approvalSteps[key].label,
+      roles: this.approvalSteps[key].roles
+    }));
+  }
+
+  getCurrentApprovalStep(investigation) {
+    const approval = investigation.approval;
+    if (!approval || approval.current_step === null || approval.current_step === undefined) return null;
+    return approval.chain[approval.current_step] || null;
+  }
+
+  // Why the current user can't sign the current step, or null if they can
+  getApprovalBlocker(investigation) {
+    const step = this.getCurrentApprovalStep(investigation);
+    const user = window.mmsAuth?.currentUser;
+    
+    if (investigation.status !== 'Pending Approval' || !step) return 'This investigation is not awaiting approval';
+    if (!step.roles.includes(window.mmsAuth?.userRole)) return `${step.label} must be signed by: ${step.roles.join(', ')}`;
+    if (user?.email === investigation.investigator) return 'Investigators cannot approve their own investigation';
+    
+    const signedThisRound = (investigation.approval.signatures || []).some(signature =>
+      signature.round === investigation.approval.round && signature.signer_email === user?.email);
+    if (signedThisRound) return 'You have already signed this investigation - another approver must sign the next step';
+    
+    return null;
+  }
+
+  // Fingerprint of what the approvers are signing off, so a signature can be
+  // checked against later edits
+  async getApprovalContentHash(investigation) {
+    const { fingerprint } = await mmsEncryption.generateDataFingerprint({
+      incident_id: investigation.incident_id,
+      executive_summary: investigation.executive_summary || '',
+      lessons_learned: investigation.lessons_learned || [],
+      recommendations: investigation.recommendations || [],
+      root_causes: investigation.root_causes || [],
+      confirmed_root_causes: investigation.confirmed_root_causes || [],
+      event_sequence: investigation.event_sequence || [],
+      witness_statements: (investigation.witness_statements || []).map(witness => witness.statement_hash || witness.id),
+      investigation_steps: (investigation.investigation_steps || []).map(step => ({ step: step.step, completed: step.completed, findings: step.findings || '' }))
+    });
+    return fingerprint;
+  }
+
+  async submitForApproval(investigationId, summary) {
     try {
       const investigationRef = doc(db, 'investigations', investigationId);
       const investigationSnap = await getDoc(investigationRef);
@@ -545,57 +663,510 @@ class IncidentInvestigator {
       
       const investigation = investigationSnap.data();
       
-      const updates = {
-        status: 'Completed',
-        investigation_completed: serverTimestamp(),
-        completed_by: window.mmsAuth?.currentUser?.email || 'unknown',
-        executive_summary: summary.executive_summary || '',
+      if (!['In Progress', 'Assigned', 'Ready for Review'].includes(investigation.status)) {
+        return { success: false, error: `An investigation that is ${investigation.status} cannot be submitted` };
+      }
+      if (!summary.executive_summary?.trim()) {
+        return { success: false, error: 'Write an executive summary before submitting' };
+      }
+      
+      const chain = this.getApprovalChain(investigation.incident_type);
+      const user = window.mmsAuth?.currentUser?.email || 'unknown';
+      const round = (investigation.approval?.round || 0) + 1;
+      
+      await updateDoc(investigationRef, {
+        status: 'Pending Approval',
+        executive_summary: summary.executive_summary.trim(),
         lessons_learned: summary.lessons_learned || [],
         recommendations: summary.recommendations || [],
-        closure_date: serverTimestamp(),
+        
+        approval: {
+          chain,
+          current_step: 0,
+          round,
+          submitted_by: user,
+          submitted_at: new Date().toISOString(),
+          signatures: investigation.approval?.signatures || []
+        },
+        approval_pending_roles: chain[0].roles,
         last_updated: serverTimestamp(),
         
         timeline_events: [
           ...(investigation.timeline_events || []),
           {
-            event: 'Investigation completed and closed',
-            timestamp: serverTimestamp(),
-            by: window.mmsAuth?.currentUser?.email || 'unknown'
+            event: `Submitted for approval${round > 1 ? ` (round ${round})` : ''} - awaiting ${chain[0].label}`,
+            timestamp: new Date().toISOString(),
+            by: user
           }
         ]
+      });
+      
+      await updateDoc(doc(db, 'incidents', investigation.incident_id), {
+        investigation_status: 'Pending Approval',
+        updated_at: serverTimestamp(),
+        version: increment(1)
+      });
+      
+      await this.notifyNextApprover(investigationId, investigation, chain[0]);
+      
+      console.log(`✅ Investigation ${investigationId} submitted for approval`);
+      
+      return {
+        success: true,
+        investigation_id: investigationId,
+        next_step: chain[0].label,
+        message: 'Investigation submitted for approval'
       };
       
-      await updateDoc(investigationRef, updates);
+    } catch (error) {
+      console.error('❌ Failed to submit investigation for approval:', error);
+      return {
+        success: false,
+        error: 'Failed to submit investigation for approval'
+      };
+    }
+  }
+
+  // decision: { approved, signer_name, comments, reopen_stage }
+  // The caller is responsible for re-authenticating the signer first.
+  async recordApprovalDecision(investigationId, decision) {
+    try {
+      if (!decision.signer_name?.trim()) {
+        return { success: false, error: 'Type your full name to sign' };
+      }
+      if (!decision.approved && !decision.comments?.trim()) {
+        return { success: false, error: 'Explain why the investigation is being rejected' };
+      }
       
-      // Update incident status
-      const incidentRef = doc(db, 'incidents', investigation.incident_id);
-      await updateDoc(incidentRef, {
-        investigation_status: 'Completed',
-        investigation_completed_date: serverTimestamp(),
-        status: 'Closed',
-        closed_by: window.mmsAuth?.currentUser?.email || 'unknown',
-        closure_date: serverTimestamp(),
-        updated_at: serverTimestamp()
+      const investigationRef = doc(db, 'investigations', investigationId);
+      const user = window.mmsAuth.currentUser;
+      
+      // Read and sign in one transaction so concurrent approvers can't both
+      // sign the same step or overwrite each other's signature
+      const signed = await runTransaction(db, async (transaction) => {
+        const investigationSnap = await transaction.get(investigationRef);
+        
+        if (!investigationSnap.exists()) {
+          throw new Error('Investigation not found');
+        }
+        
+        const investigation = investigationSnap.data();
+        const blocker = this.getApprovalBlocker(investigation);
+        if (blocker) return { error: blocker };
+        
+        const reopenStep = decision.approved
+          ? null
+          : (investigation.investigation_steps || []).find(step => step.step === Number(decision.reopen_stage));
+        if (!decision.approved && !reopenStep) {
+          return { error: 'Choose the stage that needs more work' };
+        }
+        
+        const approval = investigation.approval;
+        const step = approval.chain[approval.current_step];
+        
+        const signature = {
+          id: `SIG-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+          round: approval.round,
+          step_key: step.key,
+          step_label: step.label,
+          decision: decision.approved ? 'Approved' : 'Rejected',
+          comments: (decision.comments || '').trim(),
+          reopened_stage: reopenStep ? { step: reopenStep.step, title: reopenStep.title } : null,
+          signer_name: decision.signer_name.trim(),
+          signer_email: user.email,
+          signer_uid: user.uid,
+          signer_role: window.mmsAuth.userRole,
+          signed_at: new Date().toISOString(),
+          content_hash: await this.getApprovalContentHash(investigation)
+        };
+        signature.signature_hash = (await mmsEncryption.generateDataFingerprint(signature)).fingerprint;
+        
+        const nextIndex = approval.current_step + 1;
+        const nextStep = decision.approved ? approval.chain[nextIndex] || null : null;
+        const closing = decision.approved && !nextStep;
+        
+        const updates = {
+          approval: {
+            ...approval,
+            current_step: nextStep ? nextIndex : null,
+            signatures: [...(approval.signatures || []), signature]
+          },
+          approval_pending_roles: nextStep ? nextStep.roles : [],
+          last_updated: serverTimestamp(),
+        
+          timeline_events: [
+            ...(investigation.timeline_events || []),
+            {
+              event: decision.approved
+                ? `${step.label} approved by ${signature.signer_name}${nextStep ? ` - awaiting ${nextStep.label}` : ''}`
+                : `${step.label} rejected by ${signature.signer_name} - stage ${reopenStep.step} (${reopenStep.title}) reopened`,
+              timestamp: signature.signed_at,
+              by: user.email
+            }
+          ]
+        };
+        
+        if (!decision.approved) {
+          // Send the investigation back to the rejected stage
+          const steps = investigation.investigation_steps.map(item => item.step === reopenStep.step
+            ? { ...item, completed: false, completion_date: null, rejection_comments: signature.comments }
+            : item);
+          const completedStages = steps.filter(item => item.completed).length;
+          
+          Object.assign(updates, {
+            status: 'In Progress',
+            investigation_steps: steps,
+            current_stage: reopenStep.step,
+            stages_completed: completedStages,
+            progress_percentage: Math.round((completedStages / investigation.total_stages) * 100),
+            investigation_completed: null
+          });
+        }
+        
+        if (closing) {
+          Object.assign(updates, {
+            status: 'Completed',
+            investigation_completed: serverTimestamp(),
+            completed_by: investigation.approval.submitted_by,
+            closure_date: serverTimestamp()
+          });
+          updates.timeline_events.push({
+            event: 'Investigation completed and closed',
+            timestamp: signature.signed_at,
+            by: user.email
+          });
+        }
+        
+        transaction.update(investigationRef, updates);
+        
+        transaction.update(doc(db, 'incidents', investigation.incident_id), closing
+          ? {
+              investigation_status: 'Completed',
+              investigation_completed_date: serverTimestamp(),
+              status: 'Closed',
+              closed_by: user.email,
+              closure_date: serverTimestamp(),
+              updated_at: serverTimestamp(),
+              version: increment(1)
+            }
+          : {
+              investigation_status: decision.approved ? 'Pending Approval' : 'In Progress',
+              updated_at: serverTimestamp(),
+              version: increment(1)
+            });
+        
+        return { investigation, approval, step, signature, nextStep, closing };
       });
       
-      console.log(`✅ Investigation ${investigationId} completed`);
+      if (signed.error) return { success: false, error: signed.error };
+      const { investigation, approval, step, signature, nextStep, closing } = signed;
+      
+      await mmsDB.logAction(decision.approved ? 'investigation_approved' : 'investigation_rejected', {
+        investigation_id: investigationId,
+        step: step.key,
+        round: approval.round,
+        signature_id: signature.id,
+        signature_hash: signature.signature_hash,
+        reopened_stage: signature.reopened_stage?.step || null
+      }, { level: 3, category: 'incident' });
+      
+      if (nextStep) {
+        await this.notifyNextApprover(investigationId, investigation, nextStep);
+      }
+      
+      console.log(`✅ ${step.label} ${signature.decision.toLowerCase()} for investigation ${investigationId}`);
       
       return {
         success: true,
         investigation_id: investigationId,
-        incident_id: investigation.incident_id,
-        message: 'Investigation completed successfully'
+        decision: signature.decision,
+        signature_id: signature.id,
+        next_step: nextStep?.label || null,
+        closed: closing
       };
       
     } catch (error) {
-      console.error('❌ Failed to complete investigation:', error);
+      console.error('❌ Failed to record approval decision:', error);
       return {
         success: false,
-        error: 'Failed to complete investigation'
+        error: 'Failed to record approval decision'
+      };
+    }
+  }
+
+  // true when the signature record and the content it signed are unchanged
+  async verifyApprovalSignature(signature, investigation = null) {
+    const { signature_hash: signatureHash, ...record } = signature;
+    const { fingerprint } = await mmsEncryption.generateDataFingerprint(record);
+    if (fingerprint !== signatureHash) return false;
+    if (!investigation) return true;
+    return signature.content_hash === await this.getApprovalContentHash(investigation);
+  }
+
+  // Sends a notification to every active user holding one of the step's
+  // roles at the incident's site; their approval monitor alerts them
+  async notifyNextApprover(investigationId, investigation, step) {
+    let sent = { success: false, sent: 0 };
+    try {
+      const approvers = await mmsDB.getUsersWithRoles(step.roles, investigation.incident_location);
+      sent = await mmsDB.sendNotifications(approvers.map(approver => approver.uid), {
+        type: 'investigation_approval',
+        title: `✍️ ${step.label} Needed`,
+        message: `Investigation ${investigationId} (${investigation.incident_location || 'unknown site'}) is awaiting your sign-off`,
+        reference_id: investigationId
+      });
+    } catch (error) {
+      console.error('❌ Failed to look up approvers:', error);
+    }
+    
+    await mmsDB.logAction('investigation_approval_requested', {
+      investigation_id: investigationId,
+      incident_id: investigation.incident_id,
+      location: investigation.incident_location,
+      step: step.key,
+      roles: step.roles,
+      approvers_notified: sent.sent || 0
+    }, { level: 1, category: 'incident' });
+    
+    if (sent.success && sent.sent > 0) {
+      window.showToast?.('Approval Requested', `${sent.sent} approver(s) notified for ${step.label}`, 'success');
+    } else {
+      window.showToast?.('Approval Requested', `No ${step.roles.join('/')} could be notified - let the approver know ${investigationId} is waiting`, 'warning');
+    }
+  }
+
+  async getPendingApprovals() {
+    try {
+      const role = window.mmsAuth?.userRole;
+      if (!role) return { success: true, data: [] };
+      
+      const snapshot = await getDocs(query(
+        collection(db, 'investigations'),
+        where('company', '==', 'mms_metal_management'),
+        where('approval_pending_roles', 'array-contains', role)
+      ));
+      
+      const pending = snapshot.docs
+        .map(item => ({ id: item.id, ...item.data() }))
+        .filter(investigation => mmsDB.canAccessLocation(investigation.incident_location))
+        .filter(investigation => !this.getApprovalBlocker(investigation));
+      
+      return { success: true, data: pending, count: pending.length };
+      
+    } catch (error) {
+      console.error('❌ Failed to load pending approvals:', error);
+      return { success: false, error: 'Failed to load pending approvals', data: [] };
+    }
+  }
+
+  // ==================== WITNESS STATEMENTS ====================
+  
+  // Statements live in the investigation's witness_statements array. Once the
+  // witness signs, the statement text and signature are sealed with a
+  // SHA-256 hash so later edits show up when the report is generated.
+  // Photos and voice recordings can still be attached after signing.
+  async getWitnessStatements(investigationId) {
+    const result = await this.getInvestigationById(investigationId);
+    if (!result.success) return { ...result, data: [] };
+    return { success: true, data: result.data.witness_statements || [], investigation: result.data };
+  }
+
+  async saveWitnessStatements(investigationId, update, timelineEvent) {
+    const investigationRef = doc(db, 'investigations', investigationId);
+    const investigationSnap = await getDoc(investigationRef);
+    
+    if (!investigationSnap.exists()) {
+      throw new Error('Investigation not found');
+    }
+    
+    const investigation = investigationSnap.data();
+    const statements = update(investigation.witness_statements || [], investigation);
+    
+    await updateDoc(investigationRef, {
+      witness_statements: statements,
+      last_updated: serverTimestamp(),
+      
+      timeline_events: [
+        ...(investigation.timeline_events || []),
+        {
+          event: timelineEvent,
+          timestamp: new Date().toISOString(),
+          by: window.mmsAuth?.currentUser?.email || 'unknown'
+        }
+      ]
+    });
+    
+    return { investigation, statements };
+  }
+
+  validateWitnessStatement(data) {
+    if (!data.name?.trim()) return 'Enter the witness\'s name';
+    if (!data.statement?.trim()) return 'Enter the witness\'s statement';
+    if (!data.statement_datetime || isNaN(new Date(data.statement_datetime))) return 'Enter when the statement was taken';
+    return null;
+  }
+
+  async addWitnessStatement(investigationId, data) {
+    try {
+      const error = this.validateWitnessStatement(data);
+      if (error) return { success: false, error };
+      
+      const witness = {
+        id: `WS-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+        name: data.name.trim(),
+        role: (data.role || '').trim(),
+        contact: (data.contact || '').trim(),
+        statement: data.statement.trim(),
+        statement_datetime: new Date(data.statement_datetime).toISOString(),
+        status: 'Draft',
+        signature: null,
+        statement_hash: null,
+        attachments: [],
+        recorded_by: window.mmsAuth?.currentUser?.email || 'unknown',
+        recorded_at: new Date().toISOString()
+      };
+      
+      await this.saveWitnessStatements(investigationId,
+        statements => [...statements, witness],
+        `Witness statement recorded: ${witness.name}`);
+      
+      return { success: true, witness_id: witness.id, data: witness };
+      
+    } catch (error) {
+      console.error('❌ Failed to add witness statement:', error);
+      return { success: false, error: 'Failed to add witness statement' };
+    }
+  }
+
+  async updateWitnessStatement(investigationId, witnessId, changes) {
+    try {
+      let problem = null;
+      
+      await this.saveWitnessStatements(investigationId, statements => statements.map(witness => {
+        if (witness.id !== witnessId) return witness;
+        if (witness.status === 'Signed') {
+          problem = 'A signed statement cannot be edited - record a new statement instead';
+          return witness;
+        }
+        
+        const updated = {
+          ...witness,
+          name: (changes.name ?? witness.name).trim(),
+          role: (changes.role ?? witness.role).trim(),
+          contact: (changes.contact ?? witness.contact).trim(),
+          statement: (changes.statement ?? witness.statement).trim(),
+          statement_datetime: changes.statement_datetime
+            ? new Date(changes.statement_datetime).toISOString()
+            : witness.statement_datetime
+        };
+        problem = this.validateWitnessStatement(updated);
+        return problem ? witness : updated;
+      }), `Witness statement edited: ${changes.name || witnessId}`);
+      
+      return problem ? { success: false, error: problem } : { success: true, witness_id: witnessId };
+      
+    } catch (error) {
+      console.error('❌ Failed to update witness statement:', error);
+      return { success: false, error: 'Failed to update witness statement' };
+    }
+  }
+
+  // Fields covered by the signature hash
+  getSignedStatementContent(witness) {
+    return {
+      id: witness.id,
+      name: witness.name,
+      role: witness.role,
+      contact: witness.contact,
+      statement: witness.statement,
+      statement_datetime: witness.statement_datetime,
+      signature_path: witness.signature?.path || null,
+      signed_at: witness.signature?.signed_at || null
+    };
+  }
+
+  // signatureBlob: PNG from the signature pad
+  async signWitnessStatement(investigationId, witnessId, signatureBlob) {
+    try {
+      const current = await this.getWitnessStatements(investigationId);
+      if (!current.success) return current;
+      
+      const witness = current.data.find(item => item.id === witnessId);
+      if (!witness) return { success: false, error: 'Witness statement not found' };
+      if (witness.status === 'Signed') return { success: false, error: 'This statement is already signed' };
+      
+      const file = new File([signatureBlob], `signature_${witnessId}.png`, { type: 'image/png' });
+      const upload = await safetyFileUpload.uploadIncidentDocument(file, current.investigation.incident_id, 'witness_signature');
+      if (!upload.success) return upload;
+      
+      const signed = {
+        ...witness,
+        status: 'Signed',
+        signature: {
+          path: upload.file.path,
+          url: upload.file.url,
+          signed_at: new Date().toISOString(),
+          witnessed_by: window.mmsAuth?.currentUser?.email || 'unknown'
+        }
       };
+      signed.statement_hash = (await mmsEncryption.generateDataFingerprint(this.getSignedStatementContent(signed))).fingerprint;
+      
+      await this.saveWitnessStatements(investigationId,
+        statements => statements.map(item => item.id === witnessId ? signed : item),
+        `Witness statement signed: ${witness.name}`);
+      
+      return { success: true, witness_id: witnessId, statement_hash: signed.statement_hash };
+      
+    } catch (error) {
+      console.error('❌ Failed to sign witness statement:', error);
+      return { success: false, error: 'Failed to sign witness statement' };
     }
   }
 
+  async addWitnessAttachment(investigationId, witnessId, file, onProgress = null) {
+    try {
+      const current = await this.getWitnessStatements(investigationId);
+      if (!current.success) return current;
+      
+      const witness = current.data.find(item => item.id === witnessId);
+      if (!witness) return { success: false, error: 'Witness statement not found' };
+      
+      const upload = await safetyFileUpload.uploadIncidentDocument(file, current.investigation.incident_id, 'witness_evidence', onProgress);
+      if (!upload.success) return upload;
+      
+      const attachment = {
+        id: upload.file.id,
+        kind: file.type.startsWith('audio/') ? 'audio' : 'photo',
+        name: upload.file.name,
+        url: upload.file.url,
+        path: upload.file.path,
+        type: upload.file.type,
+        size: upload.file.size,
+        uploaded_at: upload.file.uploaded_at,
+        uploaded_by: upload.file.uploaded_by
+      };
+      
+      await this.saveWitnessStatements(investigationId,
+        statements => statements.map(item => item.id === witnessId
+          ? { ...item, attachments: [...(item.attachments || []), attachment] }
+          : item),
+        `Evidence attached to statement of ${witness.name}: ${attachment.name}`);
+      
+      return { success: true, attachment };
+      
+    } catch (error) {
+      console.error('❌ Failed to attach witness evidence:', error);
+      return { success: false, error: 'Failed to attach evidence' };
+    }
+  }
+
+  // true / false for signed statements, null for drafts
+  async verifyWitnessStatement(witness) {
+    if (witness.status !== 'Signed' || !witness.statement_hash) return null;
+    const { fingerprint } = await mmsEncryption.generateDataFingerprint(this.getSignedStatementContent(witness));
+    return fingerprint === witness.statement_hash;
+  }
+
   // ==================== ANALYSIS TOOLS ====================
   
   perform5WhysAnalysis(problemStatement) {
@@ -622,14 +1193,7 @@ class IncidentInvestigator {
   }
 
   performFishboneDiagram(categories) {
-    const defaultCategories = [
-      'Manpower (People)',
-      'Methods (Process)',
-      'Machines (Equipment)',
-      'Materials',
-      'Measurements',
-      'Environment'
-    ];
+    const defaultCategories = this.fishboneCategorySets['6M'];
     
     return {
       method: 'Fishbone Diagram (Ishikawa)',
@@ -716,6 +1280,626 @@ class IncidentInvestigator {
     return colors[level] || '#6b7280';
   }
 
+  // ==================== ROOT CAUSE ANALYSIS ====================
+  
+  // Structured analysis saved on the investigation as root_cause_analysis:
+  //   fishbone.bones[].causes[]  { id, text, sub_causes[], is_root_cause, category }
+  //   five_whys.nodes[]          { id, parent_id, answer, evidence, is_root_cause, category }
+  // Why-nodes form a tree through parent_id (null for a first "why"), so an
+  // answer can branch into several contributing causes.
+  createRootCauseAnalysis(problemStatement = '', boneSet = 'MMS') {
+    const set = this.fishboneCategorySets[boneSet] ? boneSet : 'MMS';
+    const fishbone = this.performFishboneDiagram(this.fishboneCategorySets[set]);
+    
+    return {
+      problem_statement: problemStatement,
+      fishbone: {
+        bone_set: set,
+        bones: fishbone.structure.sub_bones.map(bone => ({ category: bone.category, causes: [] }))
+      },
+      five_whys: { nodes: [] }
+    };
+  }
+
+  newAnalysisNodeId(prefix) {
+    return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+  }
+
+  // The rootCauseCategories entry a confirmed cause counts under: its own
+  // choice if valid, otherwise the one its fishbone bone maps to
+  resolveRootCauseCategory(category, bone = null) {
+    if (this.rootCauseCategories.includes(category)) return category;
+    if (this.rootCauseCategories.includes(bone)) return bone;
+    return this.sixMCategoryMap[bone] || null;
+  }
+
+  // Trims text, fills in IDs and drops empty causes and why-nodes. Why-nodes
+  // are kept only if they hang off a first "why", so deleting a node also
+  // drops the branch below it.
+  normalizeRootCauseAnalysis(analysis = {}) {
+    const text = (value, max = 500) => String(value ?? '').trim().slice(0, max);
+    const boneSet = this.fishboneCategorySets[analysis.fishbone?.bone_set] ? analysis.fishbone.bone_set : 'MMS';
+    
+    const bones = this.fishboneCategorySets[boneSet].map(category => {
+      const saved = (analysis.fishbone?.bones || []).find(bone => bone.category === category);
+      
+      return {
+        category: category,
+        causes: (saved?.causes || [])
+          .filter(cause => text(cause.text))
+          .map(cause => ({
+            id: cause.id || this.newAnalysisNodeId('FB'),
+            text: text(cause.text),
+            sub_causes: (cause.sub_causes || []).map(sub => text(sub, 200)).filter(Boolean),
+            is_root_cause: !!cause.is_root_cause,
+            category: cause.is_root_cause ? this.resolveRootCauseCategory(cause.category, category) : null
+          }))
+      };
+    });
+    
+    const nodes = (analysis.five_whys?.nodes || []).filter(node => node?.id && text(node.answer));
+    const kept = [];
+    const seen = new Set();
+    let level = [null];
+    
+    while (level.length > 0) {
+      const children = nodes.filter(node => level.includes(node.parent_id ?? null) && !seen.has(node.id));
+      children.forEach(node => {
+        seen.add(node.id);
+        kept.push({
+          id: node.id,
+          parent_id: node.parent_id ?? null,
+          answer: text(node.answer),
+          evidence: text(node.evidence),
+          is_root_cause: !!node.is_root_cause,
+          category: node.is_root_cause ? this.resolveRootCauseCategory(node.category) : null
+        });
+      });
+      level = children.map(node => node.id);
+    }
+    
+    return {
+      problem_statement: text(analysis.problem_statement, 1000),
+      fishbone: { bone_set: boneSet, bones: bones },
+      five_whys: { nodes: kept }
+    };
+  }
+
+  getWhyChildren(analysis, parentId) {
+    return (analysis.five_whys?.nodes || []).filter(node => (node.parent_id ?? null) === parentId);
+  }
+
+  // Every cause marked as a root cause, with the category it counts under.
+  // 5-Whys causes carry the chain of answers leading down to them.
+  getConfirmedRootCauses(analysis) {
+    const confirmed = [];
+    
+    (analysis.fishbone?.bones || []).forEach(bone => {
+      bone.causes.filter(cause => cause.is_root_cause).forEach(cause => {
+        confirmed.push({
+          method: 'Fishbone',
+          category: cause.category,
+          bone: bone.category,
+          description: cause.text
+        });
+      });
+    });
+    
+    const byId = new Map((analysis.five_whys?.nodes || []).map(node => [node.id, node]));
+    (analysis.five_whys?.nodes || []).filter(node => node.is_root_cause).forEach(node => {
+      const chain = [];
+      for (let current = node; current; current = byId.get(current.parent_id)) {
+        chain.unshift(current.answer);
+      }
+      
+      confirmed.push({
+        method: '5 Whys',
+        category: node.category,
+        description: node.answer,
+        why_chain: chain
+      });
+    });
+    
+    return confirmed;
+  }
+
+  // Saves the fishbone and 5-Whys tree, and copies the categories of the
+  // confirmed root causes onto the investigation and its incident, where the
+  // reporting dashboard counts them
+  async saveRootCauseAnalysis(investigationId, analysis) {
+    try {
+      const investigationRef = doc(db, 'investigations', investigationId);
+      const investigationSnap = await getDoc(investigationRef);
+      
+      if (!investigationSnap.exists()) {
+        throw new Error('Investigation not found');
+      }
+      
+      const investigation = investigationSnap.data();
+      const normalized = this.normalizeRootCauseAnalysis(analysis);
+      const confirmed = this.getConfirmedRootCauses(normalized);
+      
+      if (confirmed.some(cause => !cause.category)) {
+        return { success: false, error: 'Choose a category for every confirmed root cause' };
+      }
+      
+      const categories = [...new Set([
+        ...confirmed.map(cause => cause.category),
+        ...(investigation.root_causes || []).map(cause => cause.category)
+      ])].filter(category => this.rootCauseCategories.includes(category));
+      
+      const user = window.mmsAuth?.currentUser?.email || 'unknown';
+      
+      await updateDoc(investigationRef, {
+        root_cause_analysis: {
+          ...normalized,
+          updated_by: user,
+          updated_at: new Date().toISOString()
+        },
+        confirmed_root_causes: confirmed,
+        root_cause_categories: categories,
+        last_updated: serverTimestamp(),
+        
+        timeline_events: [
+          ...(investigation.timeline_events || []),
+          {
+            event: `Root cause analysis updated: ${confirmed.length} root cause(s) confirmed`,
+            timestamp: new Date().toISOString(),
+            by: user
+          }
+        ]
+      });
+      
+      await updateDoc(doc(db, 'incidents', investigation.incident_id), {
+        root_cause_categories: categories,
+        updated_at: serverTimestamp(),
+        version: increment(1)
+      });
+      
+      console.log(`✅ Root cause analysis saved for investigation ${investigationId}`);
+      
+      return {
+        success: true,
+        investigation_id: investigationId,
+        confirmed_root_causes: confirmed.length,
+        root_cause_categories: categories
+      };
+      
+    } catch (error) {
+      console.error('❌ Failed to save root cause analysis:', error);
+      return {
+        success: false,
+        error: 'Failed to save root cause analysis'
+      };
+    }
+  }
+
+  escapeHtml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // Ishikawa diagram as inline SVG: bones alternate above and below the
+  // spine, the problem statement sits in the head, root causes are in red
+  renderFishboneSVG(analysis) {
+    const bones = analysis.fishbone?.bones || [];
+    const perSide = Math.max(1, Math.ceil(bones.length / 2));
+    const spineY = 210;
+    const spineStart = 150;
+    const spineEnd = 700;
+    const spacing = (spineEnd - spineStart) / perSide;
+    const maxCauses = 6;
+    const truncate = (value, length) => value.length > length ? `${value.slice(0, length - 1)}…` : value;
+    
+    const boneSvg = bones.map((bone, index) => {
+      const top = index % 2 === 0;
+      const slot = Math.floor(index / 2);
+      const endX = spineStart + spacing * (slot + 1) - 10;
+      const startX = endX - 90;
+      const startY = top ? 50 : 370;
+      const causes = bone.causes.slice(0, maxCauses);
+      
+      const causeSvg = causes.map((cause, causeIndex) => {
+        const t = (causeIndex + 1) / (causes.length + 1);
+        const x = startX + (endX - startX) * t;
+        const y = startY + (spineY - startY) * t;
+        const color = cause.is_root_cause ? '#dc2626' : '#334155';
+        
+        return `
+          <line x1="${x - 10}" y1="${y}" x2="${x}" y2="${y}" stroke="${color}" stroke-width="1.5"/>
+          <text x="${x - 13}" y="${y + 4}" text-anchor="end" font-size="10" fill="${color}" ${cause.is_root_cause ? 'font-weight="bold"' : ''}>
+            <title>${this.escapeHtml(cause.text)}</title>${this.escapeHtml(truncate(cause.text, 24))}
+          </text>
+        `;
+      }).join('');
+      
+      const more = bone.causes.length > maxCauses
+        ? `<text x="${endX - 20}" y="${top ? spineY - 8 : spineY + 16}" font-size="9" fill="#64748b" text-anchor="end">+${bone.causes.length - maxCauses} more</text>`
+        : '';
+      
+      return `
+        <line x1="${startX}" y1="${startY}" x2="${endX}" y2="${spineY}" stroke="#475569" stroke-width="2"/>
+        <text x="${startX}" y="${top ? startY - 10 : startY + 18}" text-anchor="middle" font-size="11" font-weight="bold" fill="#1e293b">
+          ${this.escapeHtml(truncate(bone.category, 26))}
+        </text>
+        ${causeSvg}
+        ${more}
+      `;
+    }).join('');
+    
+    // Wrap the problem statement into the head
+    const words = (analysis.problem_statement || 'Problem / effect').split(/\s+/);
+    const lines = [''];
+    words.forEach(word => {
+      if ((lines[lines.length - 1] + ' ' + word).trim().length > 26 && lines[lines.length - 1]) lines.push('');
+      lines[lines.length - 1] = `${lines[lines.length - 1]} ${word}`.trim();
+    });
+    const headLines = lines.slice(0, 5);
+    if (lines.length > 5) headLines[4] = truncate(`${headLines[4]} …`, 26);
+    
+    return `
+      <svg viewBox="0 0 900 420" xmlns="http://www.w3.org/2000/svg" style="width: 100%; height: auto; background: white; font-family: Arial, sans-serif;">
+        <line x1="20" y1="${spineY}" x2="${spineEnd + 5}" y2="${spineY}" stroke="#1e293b" stroke-width="3"/>
+        <rect x="${spineEnd + 5}" y="${spineY - 55}" width="185" height="110" rx="8" fill="#fee2e2" stroke="#dc2626" stroke-width="2"/>
+        <text x="${spineEnd + 97}" y="${spineY - 55 + (110 - headLines.length * 15) / 2 + 11}" text-anchor="middle" font-size="12" fill="#7f1d1d">
+          ${headLines.map((line, index) => `<tspan x="${spineEnd + 97}" dy="${index === 0 ? 0 : 15}">${this.escapeHtml(line)}</tspan>`).join('')}
+        </text>
+        ${boneSvg}
+      </svg>
+    `;
+  }
+
+  // 5-Whys tree as nested lists, each level numbered "Why 1", "Why 2", …
+  render5WhysHTML(analysis, parentId = null, depth = 1) {
+    const children = this.getWhyChildren(analysis, parentId);
+    if (children.length === 0) return '';
+    
+    return `
+      <ul style="list-style: none; padding-left: ${parentId ? '1.25rem' : '0'}; ${parentId ? 'border-left: 2px solid #e5e7eb;' : ''} margin: 0.25rem 0;">
+        ${children.map(node => `
+          <li style="margin: 0.4rem 0;">
+            <strong>Why ${depth}:</strong> ${this.escapeHtml(node.answer)}
+            ${node.evidence ? `<br><small style="color: #6b7280;">Evidence: ${this.escapeHtml(node.evidence)}</small>` : ''}
+            ${node.is_root_cause ? `<br><span style="color: #dc2626; font-weight: bold;">🎯 Root cause - ${this.escapeHtml(node.category || 'Uncategorised')}</span>` : ''}
+            ${this.render5WhysHTML(analysis, node.id, depth + 1)}
+          </li>
+        `).join('')}
+      </ul>
+    `;
+  }
+
+  // ==================== EVENT SEQUENCE ====================
+  
+  // The reconstructed sequence of events lives in the investigation's
+  // event_sequence array, in the order the investigator arranged it. This is
+  // separate from timeline_events, which is the audit trail of the
+  // investigation itself.
+  createSequenceEvent(data = {}) {
+    return {
+      id: data.id || this.newAnalysisNodeId('EV'),
+      occurred_at: data.occurred_at ? new Date(data.occurred_at).toISOString() : null,
+      time_approximate: Boolean(data.time_approximate),
+      actor: (data.actor || '').trim(),
+      action: (data.action || '').trim(),
+      evidence: data.evidence?.ref || data.evidence?.url
+        ? {
+            type: data.evidence.type || 'url',
+            ref: data.evidence.ref || null,
+            url: data.evidence.url || null,
+            label: data.evidence.label || ''
+          }
+        : null,
+      stage: this.investigationStages.includes(data.stage) ? data.stage : null,
+      notes: (data.notes || '').trim()
+    };
+  }
+
+  normalizeEventSequence(events) {
+    return (events || [])
+      .map(event => this.createSequenceEvent(event))
+      .filter(event => event.action);
+  }
+
+  // Flags holes in the reconstruction: events without a time, events whose
+  // time is earlier than the event placed before them, and unexplained
+  // stretches longer than sequenceGapMinutes between consecutive timed events
+  analyseEventSequence(events, gapMinutes = this.sequenceGapMinutes) {
+    const flags = {};
+    const gaps = [];
+    let previous = null;
+    
+    events.forEach(event => {
+      flags[event.id] = [];
+      
+      if (!event.occurred_at) {
+        flags[event.id].push('untimed');
+        return;
+      }
+      
+      if (previous) {
+        const minutes = Math.round((new Date(event.occurred_at) - new Date(previous.occurred_at)) / 60000);
+        
+        if (minutes < 0) {
+          flags[event.id].push('out_of_order');
+        } else if (minutes > gapMinutes) {
+          gaps.push({ after: previous.id, before: event.id, minutes });
+        }
+      }
+      
+      previous = event;
+    });
+    
+    const timed = events.filter(event => event.occurred_at).map(event => new Date(event.occurred_at));
+    
+    return {
+      flags,
+      gaps,
+      untimed: events.filter(event => flags[event.id].includes('untimed')).length,
+      out_of_order: events.filter(event => flags[event.id].includes('out_of_order')).length,
+      start: timed.length ? new Date(Math.min(...timed)) : null,
+      end: timed.length ? new Date(Math.max(...timed)) : null,
+      unlinked_stages: this.investigationStages.filter(stage => !events.some(event => event.stage === stage))
+    };
+  }
+
+  // Stable sort by time; untimed events keep their place relative to the
+  // event before them
+  sortEventSequence(events) {
+    const sorted = [];
+    let anchor = -Infinity;
+    
+    events.forEach((event, index) => {
+      const time = event.occurred_at ? new Date(event.occurred_at).getTime() : anchor;
+      anchor = time;
+      sorted.push({ event, time, index });
+    });
+    
+    return sorted
+      .sort((a, b) => a.time - b.time || a.index - b.index)
+      .map(item => item.event);
+  }
+
+  formatGap(minutes) {
+    if (minutes < 60) return `${minutes} min`;
+    const hours = Math.floor(minutes / 60);
+    return minutes % 60 ? `${hours} h ${minutes % 60} min` : `${hours} h`;
+  }
+
+  describeSequenceEvidence(evidence, investigation) {
+    if (!evidence) return '';
+    if (evidence.type === 'witness') {
+      const witness = investigation?.witness_statements?.find(item => item.id === evidence.ref);
+      return `Witness statement: ${witness?.name || evidence.label || evidence.ref}`;
+    }
+    return evidence.label || evidence.url || evidence.ref;
+  }
+
+  async saveEventSequence(investigationId, events) {
+    try {
+      const investigationRef = doc(db, 'investigations', investigationId);
+      const investigationSnap = await getDoc(investigationRef);
+      
+      if (!investigationSnap.exists()) {
+        throw new Error('Investigation not found');
+      }
+      
+      const investigation = investigationSnap.data();
+      const normalized = this.normalizeEventSequence(events);
+      const analysis = this.analyseEventSequence(normalized);
+      const user = window.mmsAuth?.currentUser?.email || 'unknown';
+      
+      await updateDoc(investigationRef, {
+        event_sequence: normalized,
+        event_sequence_updated: new Date().toISOString(),
+        event_sequence_gaps: analysis.gaps.length,
+        last_updated: serverTimestamp(),
+        
+        timeline_events: [
+          ...(investigation.timeline_events || []),
+          {
+            event: `Sequence of events updated: ${normalized.length} event(s), ${analysis.gaps.length} gap(s) flagged`,
+            timestamp: new Date().toISOString(),
+            by: user
+          }
+        ]
+      });
+      
+      console.log(`✅ Event sequence saved for investigation ${investigationId}`);
+      
+      return {
+        success: true,
+        investigation_id: investigationId,
+        events: normalized.length,
+        gaps: analysis.gaps.length,
+        untimed: analysis.untimed,
+        out_of_order: analysis.out_of_order
+      };
+      
+    } catch (error) {
+      console.error('❌ Failed to save event sequence:', error);
+      return {
+        success: false,
+        error: 'Failed to save sequence of events'
+      };
+    }
+  }
+
+  // Vertical chronological chart: one row per event, flagged gaps drawn as a
+  // dashed red stretch of the axis between the two events
+  renderEventSequenceSVG(events, investigation = null) {
+    if (events.length === 0) return '';
+    
+    const analysis = this.analyseEventSequence(events);
+    const gapBefore = new Map(analysis.gaps.map(gap => [gap.before, gap]));
+    const truncate = (value, length) => value.length > length ? `${value.slice(0, length - 1)}…` : value;
+    const rowHeight = 54;
+    const gapHeight = 30;
+    const axisX = 150;
+    let y = 30;
+    
+    const rows = events.map((event, index) => {
+      let svg = '';
+      const gap = gapBefore.get(event.id);
+      
+      if (gap) {
+        svg += `
+          <line x1="${axisX}" y1="${y - 18}" x2="${axisX}" y2="${y + gapHeight - 12}" stroke="#dc2626" stroke-width="3" stroke-dasharray="5 4"/>
+          <text x="${axisX + 16}" y="${y + 2}" font-size="11" fill="#dc2626" font-weight="bold">⚠ ${this.formatGap(gap.minutes)} unaccounted for</text>
+        `;
+        y += gapHeight;
+      }
+      
+      const flags = analysis.flags[event.id];
+      const color = flags.includes('out_of_order') ? '#f59e0b' : flags.includes('untimed') ? '#94a3b8' : '#1e293b';
+      const time = event.occurred_at
+        ? `${event.time_approximate ? '~' : ''}${new Date(event.occurred_at).toLocaleString([], { day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit' })}`
+        : 'Time unknown';
+      const meta = [
+        event.actor,
+        event.stage,
+        this.describeSequenceEvidence(event.evidence, investigation) && `📎 ${this.describeSequenceEvidence(event.evidence, investigation)}`
+      ].filter(Boolean).join(' · ');
+      
+      svg += `
+        ${index < events.length - 1 ? `<line x1="${axisX}" y1="${y}" x2="${axisX}" y2="${y + rowHeight}" stroke="#cbd5e1" stroke-width="3"/>` : ''}
+        <text x="${axisX - 16}" y="${y + 4}" text-anchor="end" font-size="11" fill="${color}">${this.escapeHtml(time)}</text>
+        <circle cx="${axisX}" cy="${y}" r="7" fill="${flags.length ? '#fff' : color}" stroke="${color}" stroke-width="2"/>
+        <text x="${axisX + 16}" y="${y + 4}" font-size="12" font-weight="bold" fill="#1e293b">
+          <title>${this.escapeHtml(event.action)}</title>${index + 1}. ${this.escapeHtml(truncate(event.action, 80))}
+        </text>
+        <text x="${axisX + 16}" y="${y + 20}" font-size="10" fill="#64748b">
+          ${this.escapeHtml(truncate(meta, 110))}${flags.includes('out_of_order') ? ' · ⚠ earlier than previous event' : ''}
+        </text>
+      `;
+      y += rowHeight;
+      
+      return svg;
+    }).join('');
+    
+    return `
+      <svg viewBox="0 0 900 ${y}" xmlns="http://www.w3.org/2000/svg" style="width: 100%; height: auto; background: white; font-family: Arial, sans-serif;">
+        ${rows}
+      </svg>
+    `;
+  }
+
+  // jsPDF export of the investigation summary and the chronological chart,
+  // drawn with jsPDF primitives so it doesn't depend on html2canvas
+  exportInvestigationPDF(report) {
+    if (!window.jspdf) {
+      return { success: false, error: 'PDF library not loaded' };
+    }
+    
+    const { jsPDF } = window.jspdf;
+    const pdf = new jsPDF('p', 'mm', 'a4');
+    const events = report.event_sequence.events;
+    const analysis = this.analyseEventSequence(events);
+    const gapBefore = new Map(analysis.gaps.map(gap => [gap.before, gap]));
+    let y = 20;
+    
+    const ensureSpace = (height) => {
+      if (y + height > 280) {
+        pdf.addPage();
+        y = 20;
+      }
+    };
+    
+    pdf.setFontSize(18);
+    pdf.text(report.header.title, 20, y);
+    y += 8;
+    pdf.setFontSize(10);
+    pdf.text(`${report.header.company} · ${report.header.report_id} · ${report.header.date}`, 20, y);
+    y += 10;
+    
+    [
+      ['Incident', `${report.incident_details.incident_id} - ${report.incident_details.type}`],
+      ['Location', report.incident_details.location],
+      ['Date', report.incident_details.date],
+      ['Investigator', report.investigation_details.investigator],
+      ['Status', `${report.investigation_details.status} (${report.findings.progress}% complete)`]
+    ].forEach(([label, value]) => {
+      pdf.setFont(undefined, 'bold');
+      pdf.text(`${label}:`, 20, y);
+      pdf.setFont(undefined, 'normal');
+      pdf.text(String(value ?? '-'), 50, y);
+      y += 6;
+    });
+    
+    y += 6;
+    pdf.setFontSize(14);
+    pdf.text('Sequence of Events', 20, y);
+    y += 6;
+    pdf.setFontSize(9);
+    pdf.text(`${events.length} event(s) · ${analysis.gaps.length} gap(s) over ${this.sequenceGapMinutes} min · ${analysis.untimed} untimed · ${analysis.out_of_order} out of order`, 20, y);
+    y += 10;
+    
+    const axisX = 55;
+    
+    events.forEach((event, index) => {
+      const gap = gapBefore.get(event.id);
+      const lines = pdf.splitTextToSize(`${index + 1}. ${event.action}`, 130);
+      const meta = [event.actor, event.stage, this.describeSequenceEvidence(event.evidence, { witness_statements: report.witness_statements.statements })].filter(Boolean).join(' · ');
+      ensureSpace(lines.length * 5 + (meta ? 5 : 0) + (gap ? 10 : 0) + 6);
+      
+      if (gap) {
+        pdf.setDrawColor(220, 38, 38);
+        pdf.setLineDashPattern([1.5, 1.5], 0);
+        pdf.line(axisX, y - 6, axisX, y + 3);
+        pdf.setLineDashPattern([], 0);
+        pdf.setTextColor(220, 38, 38);
+        pdf.text(`Gap: ${this.formatGap(gap.minutes)} unaccounted for`, axisX + 5, y);
+        pdf.setTextColor(0, 0, 0);
+        y += 9;
+      }
+      
+      const flags = analysis.flags[event.id];
+      const time = event.occurred_at
+        ? `${event.time_approximate ? '~' : ''}${new Date(event.occurred_at).toLocaleString([], { day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit' })}`
+        : 'Time unknown';
+      const rowHeight = lines.length * 5 + (meta ? 5 : 0) + 4;
+      
+      pdf.setDrawColor(203, 213, 225);
+      if (index < events.length - 1) pdf.line(axisX, y, axisX, y + rowHeight);
+      pdf.setDrawColor(30, 41, 59);
+      if (flags.length) {
+        pdf.setFillColor(255, 255, 255);
+      } else {
+        pdf.setFillColor(30, 41, 59);
+      }
+      pdf.circle(axisX, y - 1, 1.8, 'FD');
+      
+      pdf.text(time, axisX - 5, y, { align: 'right' });
+      pdf.setFont(undefined, 'bold');
+      pdf.text(lines, axisX + 5, y);
+      pdf.setFont(undefined, 'normal');
+      
+      if (meta || flags.includes('out_of_order')) {
+        pdf.setTextColor(100, 116, 139);
+        pdf.text(`${meta}${flags.includes('out_of_order') ? ' · earlier than previous event' : ''}`, axisX + 5, y + lines.length * 5);
+        pdf.setTextColor(0, 0, 0);
+      }
+      
+      y += rowHeight + 2;
+    });
+    
+    if (events.length === 0) {
+      pdf.text('No sequence of events recorded.', 20, y);
+    }
+    
+    ensureSpace(15);
+    y += 6;
+    pdf.setTextColor(107, 114, 128);
+    pdf.text(report.footer.confidential, 20, y);
+    pdf.setTextColor(0, 0, 0);
+    
+    pdf.save(`Investigation_${report.incident_details.incident_id}_${new Date().toISOString().split('T')[0]}.pdf`);
+    
+    return { success: true, format: 'pdf', message: 'Investigation PDF generated' };
+  }
+
   // ==================== REPORT GENERATION ====================
   
   generateInvestigationReport(investigationData) {
@@ -748,16 +1932,42 @@ class IncidentInvestigator {
         total_stages: investigationData.total_stages || 0,
         progress: investigationData.progress_percentage || 0,
         root_causes: investigationData.root_causes || [],
-        contributing_factors: investigationData.contributing_factors || []
+        contributing_factors: investigationData.contributing_factors || [],
+        root_cause_analysis: investigationData.root_cause_analysis
+          ? this.normalizeRootCauseAnalysis(investigationData.root_cause_analysis)
+          : null,
+        confirmed_root_causes: investigationData.confirmed_root_causes || [],
+        root_cause_categories: investigationData.root_cause_categories || []
       },
       
       corrective_actions: {
         total_actions: investigationData.corrective_actions?.length || 0,
-        pending: investigationData.corrective_actions?.filter(a => a.status === 'Pending').length || 0,
-        completed: investigationData.corrective_actions?.filter(a => a.status === 'Completed').length || 0,
+        pending: investigationData.corrective_actions?.filter(a => correctiveActions.OPEN_STATUSES.includes(a.status)).length || 0,
+        awaiting_verification: investigationData.corrective_actions?.filter(a => a.status === 'Awaiting Verification').length || 0,
+        completed: investigationData.corrective_actions?.filter(a => a.status === 'Closed').length || 0,
+        overdue: investigationData.corrective_actions?.filter(a => correctiveActions.isOverdue(a)).length || 0,
         actions: investigationData.corrective_actions || []
       },
       
+      event_sequence: {
+        events: this.normalizeEventSequence(investigationData.event_sequence),
+        analysis: this.analyseEventSequence(this.normalizeEventSequence(investigationData.event_sequence)),
+        gap_threshold_minutes: this.sequenceGapMinutes
+      },
+      
+      witness_statements: {
+        total: investigationData.witness_statements?.length || 0,
+        signed: investigationData.witness_statements?.filter(w => w.status === 'Signed').length || 0,
+        statements: investigationData.witness_statements || []
+      },
+      
+      approvals: {
+        chain: investigationData.approval?.chain || this.getApprovalChain(investigationData.incident_type),
+        round: investigationData.approval?.round || 0,
+        pending_step: this.getCurrentApprovalStep(investigationData)?.label || null,
+        signatures: investigationData.approval?.signatures || []
+      },
+      
       recommendations: investigationData.recommendations || [],
       lessons_learned: investigationData.lessons_learned || [],
       
@@ -799,7 +2009,7 @@ class IncidentInvestigator {
       const q = query(
         collection(db, 'investigations'),
         where('company', '==', 'mms_metal_management'),
-        where('status', 'in', ['In Progress', 'Assigned', 'Ready for Review']),
+        where('status', 'in', ['In Progress', 'Assigned', 'Ready for Review', 'Pending Approval']),
         orderBy('investigation_started', 'desc')
       );
       
@@ -884,11 +2094,51 @@ window.startInvestigation = async function(incidentId) {
   }
 };
 
-window.generateInvestigationReport = async function(investigationId) {
+// Loads everything the printable report and the PDF need
+async function loadInvestigationReport(investigationId) {
   const result = await incidentInvestigator.getInvestigationById(investigationId);
+  if (!result.success) return result;
+  
+  const actions = await correctiveActions.getActionsForInvestigation(investigationId);
+  result.data.corrective_actions = actions.data;
+  
+  // Re-hash signed statements so tampering shows in the appendix
+  result.data.witness_statements = await Promise.all((result.data.witness_statements || []).map(async witness => ({
+    ...witness,
+    integrity: await incidentInvestigator.verifyWitnessStatement(witness)
+  })));
+  
+  // Signatures from earlier rounds signed content that has since been reworked
+  if (result.data.approval) {
+    result.data.approval.signatures = await Promise.all((result.data.approval.signatures || []).map(async signature => ({
+      ...signature,
+      integrity: await incidentInvestigator.verifyApprovalSignature(signature,
+        signature.round === result.data.approval.round ? result.data : null)
+    })));
+  }
+  
+  return { success: true, report: incidentInvestigator.generateInvestigationReport(result.data) };
+}
+
+window.exportInvestigationPDF = async function(investigationId) {
+  const result = await loadInvestigationReport(investigationId);
+  
+  if (!result.success) {
+    alert(`Failed to export PDF: ${result.error}`);
+    return;
+  }
+  
+  const exported = incidentInvestigator.exportInvestigationPDF(result.report);
+  if (!exported.success) {
+    alert(`❌ ${exported.error}`);
+  }
+};
+
+window.generateInvestigationReport = async function(investigationId) {
+  const result = await loadInvestigationReport(investigationId);
   
   if (result.success) {
-    const report = incidentInvestigator.generateInvestigationReport(result.data);
+    const report = result.report;
     
     // Create printable report
     const reportWindow = window.open('', '_blank');
@@ -935,6 +2185,133 @@ window.generateInvestigationReport = async function(investigationId) {
             </table>
           </div>
           
+          <div class="section">
+            <h2 class="section-title">Sequence of Events</h2>
+            ${report.event_sequence.events.length ? `
+              <p>
+                ${report.event_sequence.events.length} event(s)
+                ${report.event_sequence.analysis.start ? ` from ${report.event_sequence.analysis.start.toLocaleString()} to ${report.event_sequence.analysis.end.toLocaleString()}` : ''}
+                · <strong style="color: ${report.event_sequence.analysis.gaps.length ? '#dc2626' : 'inherit'};">${report.event_sequence.analysis.gaps.length} gap(s) over ${report.event_sequence.gap_threshold_minutes} min</strong>
+                · ${report.event_sequence.analysis.untimed} untimed · ${report.event_sequence.analysis.out_of_order} out of order
+              </p>
+              ${incidentInvestigator.renderEventSequenceSVG(report.event_sequence.events, { witness_statements: report.witness_statements.statements })}
+              <table>
+                <tr><th>#</th><th>Time</th><th>Actor</th><th>Action</th><th>Evidence</th><th>Stage</th></tr>
+                ${report.event_sequence.events.map((event, index) => `
+                  <tr>
+                    <td>${index + 1}</td>
+                    <td>${event.occurred_at ? `${event.time_approximate ? '~' : ''}${new Date(event.occurred_at).toLocaleString()}` : 'Unknown'}</td>
+                    <td>${incidentInvestigator.escapeHtml(event.actor || '-')}</td>
+                    <td>${incidentInvestigator.escapeHtml(event.action)}${event.notes ? `<br><small>${incidentInvestigator.escapeHtml(event.notes)}</small>` : ''}</td>
+                    <td>${event.evidence?.url
+                      ? `<a href="${incidentInvestigator.escapeHtml(event.evidence.url)}">${incidentInvestigator.escapeHtml(incidentInvestigator.describeSequenceEvidence(event.evidence))}</a>`
+                      : incidentInvestigator.escapeHtml(incidentInvestigator.describeSequenceEvidence(event.evidence, { witness_statements: report.witness_statements.statements }) || '-')}</td>
+                    <td>${incidentInvestigator.escapeHtml(event.stage || '-')}</td>
+                  </tr>
+                `).join('')}
+              </table>
+            ` : '<p>No sequence of events recorded</p>'}
+          </div>
+          
+          ${report.findings.root_cause_analysis ? `
+          <div class="section">
+            <h2 class="section-title">Root Cause Analysis</h2>
+            <p><strong>Problem:</strong> ${incidentInvestigator.escapeHtml(report.findings.root_cause_analysis.problem_statement)}</p>
+            <h3>Fishbone Diagram</h3>
+            ${incidentInvestigator.renderFishboneSVG(report.findings.root_cause_analysis)}
+            ${report.findings.root_cause_analysis.five_whys.nodes.length ? `
+              <h3>5 Whys</h3>
+              ${incidentInvestigator.render5WhysHTML(report.findings.root_cause_analysis)}
+            ` : ''}
+            <h3>Confirmed Root Causes</h3>
+            <table>
+              <tr><th>Category</th><th>Root Cause</th><th>Method</th></tr>
+              ${report.findings.confirmed_root_causes.map(cause => `
+                <tr>
+                  <td>${incidentInvestigator.escapeHtml(cause.category)}</td>
+                  <td>
+                    ${incidentInvestigator.escapeHtml(cause.description)}
+                    ${cause.why_chain ? `<br><small>${cause.why_chain.map(step => incidentInvestigator.escapeHtml(step)).join(' → ')}</small>` : ''}
+                  </td>
+                  <td>${cause.method}${cause.bone ? ` (${incidentInvestigator.escapeHtml(cause.bone)})` : ''}</td>
+                </tr>
+              `).join('') || '<tr><td colspan="3">No root causes confirmed yet</td></tr>'}
+            </table>
+          </div>
+          ` : ''}
+          
+          <div class="section">
+            <h2 class="section-title">Corrective Actions</h2>
+            <p>${report.corrective_actions.completed} closed, ${report.corrective_actions.awaiting_verification} awaiting verification, ${report.corrective_actions.pending} open (${report.corrective_actions.overdue} overdue)</p>
+            <table>
+              <tr><th>ID</th><th>Action</th><th>Owner</th><th>Due</th><th>Status</th></tr>
+              ${report.corrective_actions.actions.map(action => `
+                <tr>
+                  <td>${action.id}</td>
+                  <td>${correctiveActions.escapeHtml(action.description)}</td>
+                  <td>${correctiveActions.escapeHtml(action.owner_name || action.owner_email)}</td>
+                  <td>${action.due ? action.due.toLocaleDateString() : '-'}</td>
+                  <td>${action.status}</td>
+                </tr>
+              `).join('')}
+            </table>
+          </div>
+          
+          <div class="section">
+            <h2 class="section-title">Witness Statements</h2>
+            <p>${report.witness_statements.total} statement(s) recorded, ${report.witness_statements.signed} signed</p>
+            <table>
+              <tr><th>Witness</th><th>Role</th><th>Taken</th><th>Status</th></tr>
+              ${report.witness_statements.statements.map(witness => `
+                <tr>
+                  <td>${incidentInvestigator.escapeHtml(witness.name)}</td>
+                  <td>${incidentInvestigator.escapeHtml(witness.role || '-')}</td>
+                  <td>${new Date(witness.statement_datetime).toLocaleString()}</td>
+                  <td>${witness.status === 'Signed' ? 'Signed (see appendix)' : 'Draft - not signed'}</td>
+                </tr>
+              `).join('') || '<tr><td colspan="4">No witness statements recorded</td></tr>'}
+            </table>
+          </div>
+          
+          ${report.witness_statements.signed ? `
+          <div class="section" style="page-break-before: always;">
+            <h2 class="section-title">Appendix: Signed Witness Statements</h2>
+            ${report.witness_statements.statements.filter(witness => witness.status === 'Signed').map(witness => `
+              <div style="margin-bottom: 30px; page-break-inside: avoid;">
+                <h3>${incidentInvestigator.escapeHtml(witness.name)}${witness.role ? ` - ${incidentInvestigator.escapeHtml(witness.role)}` : ''}</h3>
+                <p><strong>Contact:</strong> ${incidentInvestigator.escapeHtml(witness.contact || '-')} &nbsp; <strong>Statement taken:</strong> ${new Date(witness.statement_datetime).toLocaleString()}</p>
+                <p style="white-space: pre-wrap; border-left: 3px solid #e5e7eb; padding-left: 12px;">${incidentInvestigator.escapeHtml(witness.statement)}</p>
+                ${witness.attachments?.length ? `<p><strong>Evidence:</strong> ${witness.attachments.map(attachment => `${attachment.kind === 'audio' ? '🎙️' : '📷'} ${incidentInvestigator.escapeHtml(attachment.name)}`).join(', ')}</p>` : ''}
+                <img src="${incidentInvestigator.escapeHtml(witness.signature.url)}" alt="Signature" style="height: 80px; border-bottom: 1px solid #111;">
+                <p><small>Signed ${new Date(witness.signature.signed_at).toLocaleString()}, witnessed by ${incidentInvestigator.escapeHtml(witness.signature.witnessed_by)}</small></p>
+                <p><small>SHA-256: ${witness.statement_hash} - ${witness.integrity ? '✅ statement unchanged since signing' : '⚠️ STATEMENT DOES NOT MATCH SIGNED VERSION'}</small></p>
+              </div>
+            `).join('')}
+          </div>
+          ` : ''}
+          
+          <div class="section">
+            <h2 class="section-title">Approval &amp; Sign-off</h2>
+            <p>
+              ${report.approvals.chain.map(step => incidentInvestigator.escapeHtml(step.label)).join(' → ')}
+              ${report.approvals.pending_step ? ` · <strong>Awaiting ${incidentInvestigator.escapeHtml(report.approvals.pending_step)}</strong>` : ''}
+            </p>
+            <table>
+              <tr><th>Round</th><th>Step</th><th>Decision</th><th>Signed by</th><th>Date</th><th>Comments</th><th>Signature</th></tr>
+              ${report.approvals.signatures.map(signature => `
+                <tr>
+                  <td>${signature.round}</td>
+                  <td>${incidentInvestigator.escapeHtml(signature.step_label)}</td>
+                  <td>${signature.decision}${signature.reopened_stage ? `<br><small>Reopened stage ${signature.reopened_stage.step}: ${incidentInvestigator.escapeHtml(signature.reopened_stage.title)}</small>` : ''}</td>
+                  <td>${incidentInvestigator.escapeHtml(signature.signer_name)}<br><small>${incidentInvestigator.escapeHtml(signature.signer_email)} (${incidentInvestigator.escapeHtml(signature.signer_role)})</small></td>
+                  <td>${new Date(signature.signed_at).toLocaleString()}</td>
+                  <td>${incidentInvestigator.escapeHtml(signature.comments || '-')}</td>
+                  <td><small>${signature.integrity ? '✅ Valid' : '⚠️ Does not match'}${signature.round !== report.approvals.round ? ' (earlier round)' : ''}<br>${signature.signature_hash.slice(0, 16)}…</small></td>
+                </tr>
+              `).join('') || '<tr><td colspan="7">Not yet submitted for approval</td></tr>'}
+            </table>
+          </div>
+          
           <div class="footer">
             <p>${report.footer.confidential}</p>
             <p>Generated by: ${report.footer.generated_by} on ${new Date(report.footer.generated_date).toLocaleString()}</p>
@@ -952,4 +2329,6 @@ window.generateInvestigationReport = async function(investigationId) {
 // Make investigator globally available
 window.incidentInvestigator = incidentInvestigator;
 
+export { incidentInvestigator };
+
 console.log('✅ Incident Investigator Toolkit Ready');
@@ -0,0 +1,236 @@
+// Investigation Approval & Sign-off Workflow - MMS Safety
+import { incidentInvestigator } from './incident-investigator.js';
+import { mmsDB } from './database-service.js';
+
+class InvestigationApprovals {
+  constructor() {
+    this.monitorTimer = null;
+    this.lastPendingCount = 0;
+
+    console.log('✍️ Investigation Approvals Initialized');
+  }
+
+  // ==================== SUBMISSION ====================
+
+  async showSubmitForm(investigationId) {
+    const loaded = await incidentInvestigator.getInvestigationById(investigationId);
+    if (!loaded.success) {
+      alert(`❌ ${loaded.error}`);
+      return;
+    }
+
+    const investigation = loaded.data;
+    const esc = incidentInvestigator.escapeHtml;
+    const inputStyle = 'width: 100%; padding: 0.75rem; border: 1px solid #e2e8f0; border-radius: 8px;';
+    const chain = incidentInvestigator.getApprovalChain(investigation.incident_type);
+    const openStages = (investigation.investigation_steps || []).filter(step => !step.completed);
+
+    const result = await window.mmsMFA.openDialog({
+      title: '📤 Submit for Approval',
+      body: `
+        <p style="color: #64748b; margin-bottom: 1rem;">
+          Sign-off: ${chain.map(step => esc(step.label)).join(' → ')}
+        </p>
+        ${openStages.length ? `
+          <p style="background: #fef3c7; color: #92400e; padding: 0.75rem; border-radius: 8px; margin-bottom: 1rem; font-size: 0.9rem;">
+            ⚠️ ${openStages.length} stage(s) not marked complete: ${openStages.map(step => esc(step.title)).join(', ')}
+          </p>
+        ` : ''}
+        <label style="display: block; font-weight: 600; margin-bottom: 0.5rem;">Executive summary *</label>
+        <textarea data-field="executive_summary" rows="4" style="${inputStyle}">${esc(investigation.executive_summary || '')}</textarea>
+        <label style="display: block; font-weight: 600; margin: 1rem 0 0.5rem;">Lessons learned (one per line)</label>
+        <textarea data-field="lessons_learned" rows="3" style="${inputStyle}">${esc((investigation.lessons_learned || []).join('\n'))}</textarea>
+        <label style="display: block; font-weight: 600; margin: 1rem 0 0.5rem;">Recommendations (one per line)</label>
+        <textarea data-field="recommendations" rows="3" style="${inputStyle}">${esc((investigation.recommendations || []).join('\n'))}</textarea>
+      `,
+      submitLabel: 'Submit',
+      onSubmit: async (fields) => {
+        const lines = (value) => value.split('\n').map(line => line.trim()).filter(Boolean);
+        const outcome = await incidentInvestigator.submitForApproval(investigationId, {
+          executive_summary: fields.executive_summary,
+          lessons_learned: lines(fields.lessons_learned),
+          recommendations: lines(fields.recommendations)
+        });
+        return outcome.success ? { success: true, value: outcome } : outcome;
+      }
+    });
+
+    if (!result) return;
+    window.showToast?.('Investigation Submitted', `Awaiting ${result.next_step}`, 'success');
+    window.loadIncidentInvestigator?.();
+  }
+
+  // ==================== REVIEW & SIGN ====================
+
+  async review(investigationId) {
+    const loaded = await incidentInvestigator.getInvestigationById(investigationId);
+    if (!loaded.success) {
+      alert(`❌ ${loaded.error}`);
+      return;
+    }
+
+    const investigation = loaded.data;
+    const blocker = incidentInvestigator.getApprovalBlocker(investigation);
+    if (blocker) {
+      alert(`❌ ${blocker}`);
+      return;
+    }
+
+    // An approval is an electronic signature - re-verify who is signing
+    if (!await window.mmsMFA.requireStepUp('Sign investigation approval')) return;
+
+    const esc = incidentInvestigator.escapeHtml;
+    const step = incidentInvestigator.getCurrentApprovalStep(investigation);
+    const inputStyle = 'width: 100%; padding: 0.75rem; border: 1px solid #e2e8f0; border-radius: 8px;';
+
+    const result = await window.mmsMFA.openDialog({
+      title: `✍️ ${esc(step.label)}`,
+      body: `
+        <p style="color: #64748b; margin-bottom: 0.75rem;">
+          ${esc(investigationId)} · ${esc(investigation.incident_type)} · ${esc(investigation.incident_location)}<br>
+          Investigator: ${esc(investigation.investigator)}
+        </p>
+        ${this.renderApprovalChain(investigation)}
+        <p style="margin: 1rem 0; white-space: pre-wrap; font-size: 0.9rem;">${esc(investigation.executive_summary || '')}</p>
+        <button type="button" class="btn btn-outline" onclick="generateInvestigationReport('${esc(investigationId)}')">📄 Open full report</button>
+
+        <label style="display: block; font-weight: 600; margin: 1rem 0 0.5rem;">Decision</label>
+        <select data-field="decision" style="${inputStyle}">
+          <option value="approve">Approve</option>
+          <option value="reject">Reject - send back for more work</option>
+        </select>
+        <div data-reopen style="display: none;">
+          <label style="display: block; font-weight: 600; margin: 1rem 0 0.5rem;">Stage to reopen</label>
+          <select data-field="reopen_stage" style="${inputStyle}">
+            ${(investigation.investigation_steps || []).map(item => `
+              <option value="${item.step}">${item.step}. ${esc(item.title)}</option>
+            `).join('')}
+          </select>
+        </div>
+        <label style="display: block; font-weight: 600; margin: 1rem 0 0.5rem;">Comments</label>
+        <textarea data-field="comments" rows="3" style="${inputStyle}" placeholder="Required when rejecting"></textarea>
+        <label style="display: block; font-weight: 600; margin: 1rem 0 0.5rem;">Type your full name to sign</label>
+        <input type="text" data-field="signer_name" autocomplete="name" style="${inputStyle}">
+        <label style="display: flex; gap: 0.5rem; align-items: flex-start; margin-top: 1rem; font-size: 0.85rem; color: #475569;">
+          <input type="checkbox" data-field="consent">
+          I confirm this is my electronic signature and has the same effect as my handwritten signature.
+        </label>
+      `,
+      submitLabel: 'Sign',
+      onOpen: (overlay) => {
+        const decision = overlay.querySelector('[data-field="decision"]');
+        decision.addEventListener('change', () => {
+          overlay.querySelector('[data-reopen]').style.display = decision.value === 'reject' ? 'block' : 'none';
+        });
+      },
+      onSubmit: async (fields) => {
+        if (!fields.consent) {
+          return { success: false, error: 'Confirm that you are signing electronically' };
+        }
+
+        const outcome = await incidentInvestigator.recordApprovalDecision(investigationId, {
+          approved: fields.decision === 'approve',
+          signer_name: fields.signer_name,
+          comments: fields.comments,
+          reopen_stage: fields.reopen_stage
+        });
+        return outcome.success ? { success: true, value: outcome } : outcome;
+      }
+    });
+
+    if (!result) return;
+
+    window.showToast?.('Investigation ' + result.decision,
+      result.closed ? 'All approvals complete - investigation closed'
+        : result.next_step ? `Sent on for ${result.next_step}`
+        : 'Returned to the investigator', result.decision === 'Approved' ? 'success' : 'warning');
+    await this.checkPending();
+    window.loadIncidentInvestigator?.();
+  }
+
+  // ==================== RENDERING ====================
+
+  // Step-by-step status of the current approval round
+  renderApprovalChain(investigation) {
+    const esc = incidentInvestigator.escapeHtml;
+    const approval = investigation.approval;
+    const chain = approval?.chain || incidentInvestigator.getApprovalChain(investigation.incident_type);
+    const signatures = (approval?.signatures || []).filter(signature => signature.round === approval.round);
+    const lastRejection = (approval?.signatures || []).filter(signature => signature.decision === 'Rejected').pop();
+
+    const chips = chain.map((step, index) => {
+      const signature = signatures.find(item => item.step_key === step.key);
+      const current = investigation.status === 'Pending Approval' && approval?.current_step === index;
+      const [color, icon] = signature?.decision === 'Approved' ? ['#10b981', '✅']
+        : signature?.decision === 'Rejected' ? ['#ef4444', '↩️']
+        : current ? ['#f59e0b', '⏳']
+        : ['#94a3b8', '○'];
+
+      return `
+        <span title="${signature ? `${esc(signature.decision)} by ${esc(signature.signer_name)} (${esc(signature.signer_email)}) ${new Date(signature.signed_at).toLocaleString()}` : esc(step.roles.join(', '))}"
+              style="display: inline-block; padding: 0.2rem 0.6rem; border-radius: 999px; border: 1px solid ${color}; color: ${color}; font-size: 0.8rem; font-weight: 600;">
+          ${icon} ${esc(step.label)}
+        </span>
+      `;
+    }).join(' → ');
+
+    return `
+      <div style="margin-top: 0.5rem;">${chips}</div>
+      ${investigation.status === 'In Progress' && lastRejection ? `
+        <div style="margin-top: 0.5rem; font-size: 0.85rem; color: #b91c1c;">
+          ↩️ Rejected by ${esc(lastRejection.signer_name)}: "${esc(lastRejection.comments)}" - stage ${lastRejection.reopened_stage?.step} reopened
+        </div>
+      ` : ''}
+    `;
+  }
+
+  // ==================== NOTIFICATIONS ====================
+
+  async checkPending() {
+    const pending = await incidentInvestigator.getPendingApprovals();
+    if (!pending.success) return pending;
+
+    this.updateNavBadge(pending.count);
+
+    // Hand-offs addressed to this user by notifyNextApprover
+    const notifications = await mmsDB.getUnreadNotifications('investigation_approval');
+    notifications.data.forEach(notification => {
+      window.safetyNotifications?.sendSafetyAlert(notification.title, notification.message, {
+        tag: `investigation-approval-${notification.reference_id}`
+      });
+    });
+    await mmsDB.markNotificationsRead(notifications.data.map(notification => notification.id));
+
+    if (notifications.data.length === 0 && pending.count > this.lastPendingCount) {
+      window.safetyNotifications?.sendSafetyAlert('✍️ Investigations Awaiting Your Approval',
+        `${pending.count} investigation(s) need your sign-off`, { tag: 'investigation-approvals' });
+    }
+    this.lastPendingCount = pending.count;
+
+    return pending;
+  }
+
+  startApprovalMonitor() {
+    if (this.monitorTimer) return;
+
+    this.checkPending();
+    this.monitorTimer = setInterval(() => this.checkPending(), 15 * 60 * 1000);
+  }
+
+  updateNavBadge(count) {
+    const badge = document.getElementById('approvalsBadge');
+    if (!badge) return;
+    badge.textContent = count;
+    badge.style.display = count > 0 ? 'inline-block' : 'none';
+  }
+}
+
+// Create global instance
+const investigationApprovals = new InvestigationApprovals();
+
+// Make approvals globally available
+window.investigationApprovals = investigationApprovals;
+
+export { investigationApprovals };
+
+console.log('✅ Investigation Approvals Ready');
@@ -0,0 +1,413 @@
+// MMS Multi-Factor Authentication - TOTP second factor
+// Enrolment with QR code, the sign-in challenge and step-up
+// re-authentication for sensitive actions.
+//
+// Uses Identity Platform's native TOTP factor: Firebase Auth holds the
+// secret and checks the code before it issues a token, and the token then
+// carries firebase.sign_in_second_factor, which firebase-security-rules.txt
+// requires for the roles in mfaRequiredRoles. TOTP must be enabled for the
+// project once with the Admin SDK:
+//   admin.auth().projectConfigManager().updateProjectConfig({ multiFactorConfig: {
+//     providerConfigs: [{ state: 'ENABLED', totpProviderConfig: { adjacentIntervals: 1 } }] } })
+// A lost authenticator is reset the same way:
+//   admin.auth().updateUser(uid, { multiFactor: { enrolledFactors: null } })
+// Enrolments from the earlier in-app TOTP (mfa_enrollments) are not carried
+// over; those users set up their authenticator again.
+import { auth } from './firebase-config.js';
+import { mmsSecurity } from './security-policy.js';
+import {
+  EmailAuthProvider,
+  reauthenticateWithCredential,
+  multiFactor,
+  getMultiFactorResolver,
+  TotpMultiFactorGenerator
+} from "https://www.gstatic.com/firebasejs/9.22.0/firebase-auth.js";
+
+class MMSMultiFactorAuth {
+  constructor() {
+    this.SESSION_KEY = 'mms_mfa_session';
+    this.ISSUER = 'MMS Safety';
+    this.FACTOR_NAME = 'Authenticator app';
+
+    console.log('🔑 MMS Multi-Factor Auth Initialized');
+  }
+
+  // ==================== POLICY ====================
+
+  // policies.access.mfaRequired forces MFA for everyone;
+  // mfaRequiredRoles lists the roles that always need it
+  isRequiredForRole(role) {
+    const access = mmsSecurity.policies.access;
+    return access.mfaRequired === true || (access.mfaRequiredRoles || []).includes(role);
+  }
+
+  // ==================== FACTORS ====================
+
+  getEnrolledFactor(user) {
+    return multiFactor(user).enrolledFactors
+      .find(factor => factor.factorId === TotpMultiFactorGenerator.FACTOR_ID) || null;
+  }
+
+  // Finishes a sign-in or re-authentication that Firebase paused with
+  // auth/multi-factor-auth-required
+  async resolveWithCode(error, code) {
+    const resolver = getMultiFactorResolver(auth, error);
+    const hint = resolver.hints.find(factor => factor.factorId === TotpMultiFactorGenerator.FACTOR_ID);
+    if (!hint) {
+      throw Object.assign(new Error('No authenticator app is enrolled'), { code: 'mms/no-totp-factor' });
+    }
+
+    const assertion = TotpMultiFactorGenerator.assertionForSignIn(hint.uid, String(code).replace(/\s/g, ''));
+    return resolver.resolveSignIn(assertion);
+  }
+
+  // Re-authenticates with the password and, when the account has a factor
+  // enrolled, the authenticator code. Throws the Firebase error on failure.
+  async reauthenticate(user, password, code) {
+    try {
+      await reauthenticateWithCredential(user, EmailAuthProvider.credential(user.email, password));
+    } catch (error) {
+      if (error.code !== 'auth/multi-factor-auth-required') throw error;
+      await this.resolveWithCode(error, code);
+    }
+  }
+
+  describeError(error) {
+    const messages = {
+      'auth/wrong-password': 'Incorrect password',
+      'auth/invalid-credential': 'Incorrect password',
+      'auth/invalid-login-credentials': 'Incorrect password',
+      'auth/invalid-verification-code': 'Invalid verification code',
+      'auth/missing-code': 'Enter the code from your authenticator app',
+      'auth/too-many-requests': 'Too many attempts. Please wait a few minutes and try again.',
+      'auth/requires-recent-login': 'For security, sign out and sign in again first.',
+      'mms/no-totp-factor': 'No authenticator app is enrolled for this account'
+    };
+    return messages[error.code] || 'Verification failed. Please try again.';
+  }
+
+  // ==================== SESSION ====================
+
+  // Remembers a successful step-up so sensitive actions within the policy
+  // window don't prompt again. Access itself is decided by Firebase.
+  markVerified(uid) {
+    sessionStorage.setItem(this.SESSION_KEY, JSON.stringify({
+      uid: uid,
+      verified_at: Date.now()
+    }));
+  }
+
+  getSession(uid) {
+    try {
+      const session = JSON.parse(sessionStorage.getItem(this.SESSION_KEY) || 'null');
+      return session?.uid === uid ? session : null;
+    } catch {
+      return null;
+    }
+  }
+
+  clearSession() {
+    sessionStorage.removeItem(this.SESSION_KEY);
+  }
+
+  // ==================== SIGN-IN ====================
+
+  // Called from login() when the password was right and Firebase wants the
+  // second factor. Resolves the UserCredential, or null if not completed.
+  resolveSignIn(error) {
+    return this.openDialog({
+      title: '🔑 Two-Factor Verification',
+      body: `
+        <p style="color: #64748b; margin-bottom: 1rem;">
+          Enter the 6-digit code from your authenticator app.
+          Lost your device? Ask an administrator to reset your two-factor enrolment.
+        </p>
+        <input type="text" data-field="code" inputmode="numeric" autocomplete="one-time-code" placeholder="123456" style="${this.inputStyle()} font-size: 1.5rem; letter-spacing: 0.3rem; text-align: center;">
+      `,
+      submitLabel: 'Verify',
+      cancelLabel: 'Cancel',
+      maxAttempts: mmsSecurity.policies.password.maxAttempts,
+      onSubmit: async (fields) => {
+        try {
+          const credential = await this.resolveWithCode(error, fields.code);
+          this.markVerified(credential.user.uid);
+          return { success: true, value: credential };
+        } catch (resolveError) {
+          await mmsSecurity.logSecurityEvent('mfa_challenge_failed', { reason: resolveError.code });
+          return { success: false, error: this.describeError(resolveError) };
+        }
+      }
+    });
+  }
+
+  // Called once signed in. Resolves true when the user may enter the
+  // application: a factor is enrolled (Firebase already checked it), or
+  // MFA isn't required for their role.
+  async completeSignIn(user, role) {
+    if (this.getEnrolledFactor(user) || !this.isRequiredForRole(role)) {
+      return true;
+    }
+
+    console.log(`🔑 MFA required for ${role} - starting enrolment`);
+    return this.showEnrollmentDialog(user, { mandatory: true });
+  }
+
+  // ==================== STEP-UP ====================
+
+  // Re-verify identity before a sensitive action: password, plus the second
+  // factor if enrolled. Skipped if the user verified within the policy window.
+  async requireStepUp(actionLabel) {
+    const user = auth.currentUser;
+    if (!user) return false;
+
+    const sessionPolicy = mmsSecurity.policies.session;
+    if (!sessionPolicy.requireReauthForSensitive) return true;
+
+    const session = this.getSession(user.uid);
+    const windowMs = (sessionPolicy.reauthWindowMinutes || 5) * 60 * 1000;
+    if (session && Date.now() - session.verified_at < windowMs) {
+      return true;
+    }
+
+    const hasSecondFactor = !!this.getEnrolledFactor(user);
+
+    const verified = await this.openDialog({
+      title: '🔐 Confirm It\'s You',
+      body: `
+        <p style="color: #64748b; margin-bottom: 1rem;">
+          <strong>${this.escapeHtml(actionLabel)}</strong> is a sensitive action. Re-enter your password${hasSecondFactor ? ' and a verification code' : ''} to continue.
+        </p>
+        <label style="display: block; font-weight: 600; margin-bottom: 0.5rem;">Password</label>
+        <input type="password" data-field="password" autocomplete="current-password" style="${this.inputStyle()}">
+        ${this.codeField(hasSecondFactor)}
+      `,
+      submitLabel: 'Confirm',
+      onSubmit: async (fields) => {
+        try {
+          await this.reauthenticate(user, fields.password, fields.code);
+        } catch (error) {
+          return { success: false, error: this.describeError(error) };
+        }
+
+        return { success: true, value: true };
+      }
+    });
+
+    await mmsSecurity.logSecurityEvent(verified ? 'step_up_auth_success' : 'step_up_auth_failed', {
+      action: actionLabel,
+      second_factor: hasSecondFactor
+    });
+
+    if (verified) {
+      this.markVerified(user.uid);
+    }
+
+    return !!verified;
+  }
+
+  // Authenticator code input for password dialogs, when a factor is enrolled
+  codeField(show) {
+    return show ? `
+      <label style="display: block; font-weight: 600; margin: 1rem 0 0.5rem;">Authenticator code</label>
+      <input type="text" data-field="code" inputmode="numeric" autocomplete="one-time-code" style="${this.inputStyle()}">
+    ` : '';
+  }
+
+  // ==================== DIALOGS ====================
+
+  // mandatory: the role requires MFA, so cancelling signs the user out
+  async showEnrollmentDialog(user, { mandatory = false } = {}) {
+    let totpSecret;
+    try {
+      const session = await multiFactor(user).getSession();
+      totpSecret = await TotpMultiFactorGenerator.generateSecret(session);
+    } catch (error) {
+      console.error('❌ Could not start MFA enrolment:', error);
+      alert(`Could not start two-factor setup. ${this.describeError(error)}`);
+      return false;
+    }
+
+    const secret = totpSecret.secretKey;
+    const otpAuthUrl = totpSecret.generateQrCodeUrl(user.email, this.ISSUER);
+
+    const enrolled = await this.openDialog({
+      title: '🔑 Set Up Two-Factor Authentication',
+      body: `
+        <p style="color: #64748b; margin-bottom: 1rem;">
+          ${mandatory ? 'Your role requires two-factor authentication. ' : ''}
+          Scan this QR code with Google Authenticator, Microsoft Authenticator or a similar app, then enter the 6-digit code it shows.
+        </p>
+        <div data-qr style="display: flex; justify-content: center; margin-bottom: 1rem;"></div>
+        <p style="font-size: 0.85rem; color: #64748b; margin-bottom: 1rem; text-align: center;">
+          Can't scan? Enter this key manually:<br>
+          <code style="font-size: 0.95rem; word-break: break-all;">${secret.match(/.{1,4}/g).join(' ')}</code>
+        </p>
+        <input type="text" data-field="code" inputmode="numeric" autocomplete="one-time-code" placeholder="123456" style="${this.inputStyle()} font-size: 1.5rem; letter-spacing: 0.3rem; text-align: center;">
+      `,
+      submitLabel: 'Verify & Enable',
+      cancelLabel: mandatory ? 'Sign Out' : 'Cancel',
+      onOpen: (dialog) => this.renderQrCode(dialog.querySelector('[data-qr]'), otpAuthUrl),
+      onSubmit: async (fields) => {
+        try {
+          const assertion = TotpMultiFactorGenerator.assertionForEnrollment(totpSecret, fields.code.replace(/\s/g, ''));
+          await multiFactor(user).enroll(assertion, this.FACTOR_NAME);
+          return { success: true, value: true };
+        } catch (error) {
+          if (error.code === 'auth/invalid-verification-code') {
+            return { success: false, error: 'That code didn\'t match. Check the time on your device and try again.' };
+          }
+          return { success: false, error: this.describeError(error) };
+        }
+      }
+    });
+
+    if (!enrolled) {
+      return false;
+    }
+
+    await mmsSecurity.logSecurityEvent('mfa_enrolled', { method: 'totp' });
+    console.log(`✅ MFA enrolled for ${user.email}`);
+
+    // The rules only accept tokens that carry the second-factor claim; if
+    // this session's token doesn't, the user signs in again with the code
+    const token = await user.getIdTokenResult(true);
+    if (!token.claims.firebase?.sign_in_second_factor) {
+      alert('Two-factor authentication is set up. Please sign in again with your authenticator code.');
+      return false;
+    }
+
+    this.markVerified(user.uid);
+    return true;
+  }
+
+  renderQrCode(container, text) {
+    if (window.QRCode) {
+      new window.QRCode(container, { text: text, width: 180, height: 180 });
+    } else {
+      container.innerHTML = `<a href="${this.escapeHtml(text)}" style="word-break: break-all; font-size: 0.8rem;">${this.escapeHtml(text)}</a>`;
+    }
+  }
+
+  // Generic modal. onSubmit(fields) returns { success, value } to close with
+  // value, or { success: false, error } to show the error and stay open.
+  // Resolves null when cancelled or after maxAttempts failures.
+  openDialog({ title, body, submitLabel, cancelLabel = 'Cancel', maxAttempts = 0, onOpen, onSubmit }) {
+    return new Promise(resolve => {
+      document.getElementById('mfaDialog')?.remove();
+
+      const overlay = document.createElement('div');
+      overlay.id = 'mfaDialog';
+      overlay.style.cssText = `
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        background: rgba(15, 23, 42, 0.85);
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        z-index: 10001;
+      `;
+
+      overlay.innerHTML = `
+        <form style="background: white; padding: 2rem; border-radius: 15px; max-width: 440px; width: 90%; max-height: 90vh; overflow-y: auto;">
+          <h3 style="color: #1e293b; margin: 0 0 1rem;">${title}</h3>
+          ${body}
+          <div data-error style="display: none; background: #fee2e2; color: #991b1b; padding: 0.75rem; border-radius: 8px; margin-top: 1rem; font-size: 0.9rem;"></div>
+          <div style="display: flex; gap: 0.75rem; justify-content: flex-end; margin-top: 1.5rem;">
+            ${cancelLabel ? `<button type="button" data-action="cancel" class="btn btn-outline">${cancelLabel}</button>` : ''}
+            <button type="submit" class="btn btn-primary">${submitLabel}</button>
+          </div>
+        </form>
+      `;
+
+      const form = overlay.querySelector('form');
+      const errorDiv = overlay.querySelector('[data-error]');
+      const submitBtn = form.querySelector('button[type="submit"]');
+      let failures = 0;
+
+      const close = (value) => {
+        overlay.remove();
+        resolve(value);
+      };
+
+      overlay.querySelector('[data-action="cancel"]')?.addEventListener('click', () => close(null));
+
+      form.addEventListener('submit', async (event) => {
+        event.preventDefault();
+
+        const fields = {};
+        form.querySelectorAll('[data-field]').forEach(input => {
+          fields[input.dataset.field] = input.type === 'checkbox' ? input.checked
+            : input.type === 'password' ? input.value
+            : input.value.trim();
+        });
+
+        submitBtn.disabled = true;
+        const result = await onSubmit(fields);
+        submitBtn.disabled = false;
+
+        if (result.success) {
+          close(result.value);
+          return;
+        }
+
+        failures++;
+        if (maxAttempts && failures >= maxAttempts) {
+          alert('Too many failed attempts. Please sign in again.');
+          close(null);
+          return;
+        }
+
+        errorDiv.textContent = `⚠️ ${result.error}`;
+        errorDiv.style.display = 'block';
+        form.querySelector('[data-field="code"]')?.select();
+      });
+
+      document.body.appendChild(overlay);
+      onOpen?.(overlay);
+      form.querySelector('[data-field]')?.focus();
+    });
+  }
+
+  inputStyle() {
+    return 'width: 100%; padding: 0.75rem; border: 2px solid #e2e8f0; border-radius: 10px; font-size: 1rem; box-sizing: border-box;';
+  }
+
+  escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = String(value);
+    return div.innerHTML;
+  }
+}
+
+// Initialize and export
+const mmsMFA = new MMSMultiFactorAuth();
+
+// Voluntary enrolment from the header button
+window.setupMFA = async function() {
+  const user = auth.currentUser;
+  if (!user) {
+    alert('Please login first.');
+    return;
+  }
+
+  // An enrolment can only be replaced through an administrator reset, so a
+  // password-only session can't swap in its own authenticator
+  if (mmsMFA.getEnrolledFactor(user)) {
+    alert(
+      'Two-factor authentication is already enabled.\n\n' +
+      'To move to a new authenticator, ask an administrator to reset your two-factor enrolment, then sign in again.'
+    );
+    return;
+  }
+
+  await mmsMFA.showEnrollmentDialog(user);
+};
+
+window.mmsMFA = mmsMFA;
+
+export { mmsMFA };
+
+console.log('✅ MMS Multi-Factor Auth Ready');
@@ -0,0 +1,434 @@
+// Offline Queue Database - MMS Safety System
+// IndexedDB store for the background sync queue, shared by the page and sw.js
+// (plain script: load with <script> in the page or importScripts() in the worker)
+
+class MMSOfflineQueueDB {
+  constructor() {
+    this.DB_NAME = 'mms-safety-sync';
+    this.DB_VERSION = 3;
+
+    this.STORES = {
+      QUEUE: 'queue',
+      FILES: 'files',
+      DEAD_LETTER: 'dead_letter',
+      SYNC_STATE: 'sync_state'
+    };
+
+    // Lifecycle of a queued item. Items are deleted once synced.
+    // CONFLICT items wait for the user to merge them with newer server data.
+    this.STATUS = {
+      PENDING: 'pending',
+      SYNCING: 'syncing',
+      FAILED: 'failed',
+      CONFLICT: 'conflict'
+    };
+
+    // A 'syncing' claim older than this is assumed to belong to a closed tab
+    this.CLAIM_TIMEOUT = 2 * 60 * 1000;
+
+    // Retry delay after the nth failure: min(MAX, BASE * 2^(n-1)) with jitter
+    this.BACKOFF = {
+      BASE_DELAY: 5 * 1000,      // 5 seconds
+      MAX_DELAY: 60 * 60 * 1000  // 1 hour
+    };
+
+    this.LEGACY_QUEUE_KEY = 'mmsOfflineQueue';
+
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        const tx = request.transaction;
+
+        const queue = db.objectStoreNames.contains(this.STORES.QUEUE)
+          ? tx.objectStore(this.STORES.QUEUE)
+          : db.createObjectStore(this.STORES.QUEUE, { keyPath: 'id' });
+
+        if (!queue.indexNames.contains('type')) {
+          queue.createIndex('type', 'type', { unique: false });
+        }
+        if (!queue.indexNames.contains('status')) {
+          queue.createIndex('status', 'status', { unique: false });
+        }
+
+        if (!db.objectStoreNames.contains(this.STORES.FILES)) {
+          const files = db.createObjectStore(this.STORES.FILES, { keyPath: 'id' });
+          files.createIndex('queue_item_id', 'queue_item_id', { unique: false });
+        }
+
+        if (!db.objectStoreNames.contains(this.STORES.DEAD_LETTER)) {
+          const deadLetter = db.createObjectStore(this.STORES.DEAD_LETTER, { keyPath: 'id' });
+          deadLetter.createIndex('type', 'type', { unique: false });
+        }
+
+        if (!db.objectStoreNames.contains(this.STORES.SYNC_STATE)) {
+          db.createObjectStore(this.STORES.SYNC_STATE, { keyPath: 'tag' });
+        }
+      };
+
+      request.onsuccess = () => {
+        const db = request.result;
+        // Let a newer version (e.g. an updated service worker) upgrade the schema
+        db.onversionchange = () => {
+          db.close();
+          this.dbPromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => {
+        this.dbPromise = null;
+        reject(request.error);
+      };
+    });
+
+    return this.dbPromise;
+  }
+
+  // Run fn against the object store(s) inside a single transaction and
+  // resolve with its result once the transaction commits
+  async transaction(storeNames, mode, fn) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeNames, mode);
+      let result;
+
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+
+      const stores = Array.isArray(storeNames)
+        ? storeNames.map(name => tx.objectStore(name))
+        : tx.objectStore(storeNames);
+
+      Promise.resolve(fn(stores, tx))
+        .then(value => { result = value; })
+        .catch(error => {
+          try { tx.abort(); } catch (e) { /* already finished */ }
+          reject(error);
+        });
+    });
+  }
+
+  requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  generateId(prefix) {
+    return `${prefix}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  // ==================== QUEUE ====================
+
+  // Store a new queue item. Top-level Blob/File values in item.data are moved
+  // into the files store and replaced by their file IDs in item.files.
+  async add(item) {
+    const queueItem = {
+      status: this.STATUS.PENDING,
+      attempts: 0,
+      last_error: null,
+      files: {},
+      ...item,
+      data: { ...item.data }
+    };
+
+    const blobs = [];
+    Object.entries(queueItem.data).forEach(([key, value]) => {
+      if (typeof Blob !== 'undefined' && value instanceof Blob) {
+        const fileId = this.generateId('file');
+        blobs.push({
+          id: fileId,
+          queue_item_id: queueItem.id,
+          field: key,
+          blob: value,
+          name: value.name || key,
+          type: value.type,
+          size: value.size,
+          stored_at: new Date().toISOString()
+        });
+        queueItem.files[key] = fileId;
+        delete queueItem.data[key];
+      }
+    });
+
+    await this.transaction([this.STORES.QUEUE, this.STORES.FILES], 'readwrite', ([queue, files]) => {
+      queue.add(queueItem);
+      blobs.forEach(file => files.put(file));
+    });
+
+    return queueItem;
+  }
+
+  async get(id) {
+    const db = await this.open();
+    const tx = db.transaction(this.STORES.QUEUE, 'readonly');
+    return this.requestToPromise(tx.objectStore(this.STORES.QUEUE).get(id));
+  }
+
+  async getAll() {
+    const db = await this.open();
+    const tx = db.transaction(this.STORES.QUEUE, 'readonly');
+    return this.requestToPromise(tx.objectStore(this.STORES.QUEUE).getAll());
+  }
+
+  async getByTypes(types) {
+    const items = await this.getAll();
+    return items.filter(item => types.includes(item.type));
+  }
+
+  async getByStatus(status) {
+    const db = await this.open();
+    const tx = db.transaction(this.STORES.QUEUE, 'readonly');
+    const index = tx.objectStore(this.STORES.QUEUE).index('status');
+    return this.requestToPromise(index.getAll(status));
+  }
+
+  async count() {
+    const db = await this.open();
+    const tx = db.transaction(this.STORES.QUEUE, 'readonly');
+    return this.requestToPromise(tx.objectStore(this.STORES.QUEUE).count());
+  }
+
+  // Read-modify-write of one item inside a single transaction.
+  // `changes` may be an object or a function (item) => changes.
+  async update(id, changes) {
+    return this.transaction(this.STORES.QUEUE, 'readwrite', async store => {
+      const item = await this.requestToPromise(store.get(id));
+      if (!item) return null;
+
+      const patch = typeof changes === 'function' ? changes(item) : changes;
+      const updated = { ...item, ...patch, updated_at: new Date().toISOString() };
+      store.put(updated);
+      return updated;
+    });
+  }
+
+  // Atomically mark an item as syncing so two tabs (or a tab and the service
+  // worker replay) never send the same item twice. Resolves null if the item
+  // is gone or another context already holds a fresh claim.
+  async claim(id) {
+    return this.transaction(this.STORES.QUEUE, 'readwrite', async store => {
+      const item = await this.requestToPromise(store.get(id));
+      if (!item) return null;
+
+      const claimedAt = item.claimed_at ? new Date(item.claimed_at).getTime() : 0;
+      if (item.status === this.STATUS.SYNCING && Date.now() - claimedAt < this.CLAIM_TIMEOUT) {
+        return null;
+      }
+
+      const claimed = {
+        ...item,
+        status: this.STATUS.SYNCING,
+        claimed_at: new Date().toISOString()
+      };
+      store.put(claimed);
+      return claimed;
+    });
+  }
+
+  // Remove an item and any file blobs stored with it
+  async remove(id) {
+    return this.transaction([this.STORES.QUEUE, this.STORES.FILES], 'readwrite', async ([queue, files]) => {
+      queue.delete(id);
+      const fileKeys = await this.requestToPromise(files.index('queue_item_id').getAllKeys(id));
+      fileKeys.forEach(key => files.delete(key));
+    });
+  }
+
+  // Drops pending items only; blobs belonging to dead-letter items are kept
+  async clear() {
+    const items = await this.getAll();
+    await Promise.all(items.map(item => this.remove(item.id)));
+  }
+
+  // ==================== BACKOFF ====================
+
+  // Delay before the next attempt after `attempts` failures. "Equal jitter":
+  // half the exponential delay is fixed, the other half random, so a burst
+  // of failures on reconnect does not retry in lockstep.
+  getBackoffDelay(attempts) {
+    const exponential = Math.min(
+      this.BACKOFF.MAX_DELAY,
+      this.BACKOFF.BASE_DELAY * Math.pow(2, Math.max(0, attempts - 1))
+    );
+    return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+  }
+
+  isDue(item, now = Date.now()) {
+    return !item.next_attempt_at || new Date(item.next_attempt_at).getTime() <= now;
+  }
+
+  // Ready to be sent now: not waiting on backoff or on conflict resolution
+  isSyncable(item, now = Date.now()) {
+    return item.status !== this.STATUS.CONFLICT && this.isDue(item, now);
+  }
+
+  // Earliest next_attempt_at among items still backing off, or null
+  getNextRetryTime(items, now = Date.now()) {
+    const times = items
+      .filter(item => !this.isDue(item, now))
+      .map(item => new Date(item.next_attempt_at).getTime());
+    return times.length > 0 ? Math.min(...times) : null;
+  }
+
+  // ==================== DEAD LETTER ====================
+
+  // Move a permanently failed item out of the queue. Its file blobs stay in
+  // the files store so the item can still be retried or exported.
+  async moveToDeadLetter(id, error) {
+    return this.transaction([this.STORES.QUEUE, this.STORES.DEAD_LETTER], 'readwrite', async ([queue, deadLetter]) => {
+      const item = await this.requestToPromise(queue.get(id));
+      if (!item) return null;
+
+      const failed = {
+        ...item,
+        status: this.STATUS.FAILED,
+        last_error: error || item.last_error,
+        claimed_at: null,
+        next_attempt_at: null,
+        dead_lettered_at: new Date().toISOString()
+      };
+      deadLetter.put(failed);
+      queue.delete(id);
+      return failed;
+    });
+  }
+
+  async getDeadLetters() {
+    const db = await this.open();
+    const tx = db.transaction(this.STORES.DEAD_LETTER, 'readonly');
+    const items = await this.requestToPromise(tx.objectStore(this.STORES.DEAD_LETTER).getAll());
+    return items.sort((a, b) => new Date(b.dead_lettered_at) - new Date(a.dead_lettered_at));
+  }
+
+  async getDeadLetter(id) {
+    const db = await this.open();
+    const tx = db.transaction(this.STORES.DEAD_LETTER, 'readonly');
+    return this.requestToPromise(tx.objectStore(this.STORES.DEAD_LETTER).get(id));
+  }
+
+  async countDeadLetters() {
+    const db = await this.open();
+    const tx = db.transaction(this.STORES.DEAD_LETTER, 'readonly');
+    return this.requestToPromise(tx.objectStore(this.STORES.DEAD_LETTER).count());
+  }
+
+  // Put a dead-letter item back in the queue with a fresh attempt budget,
+  // optionally replacing its payload with an edited version
+  async requeueDeadLetter(id, editedData) {
+    return this.transaction([this.STORES.QUEUE, this.STORES.DEAD_LETTER], 'readwrite', async ([queue, deadLetter]) => {
+      const item = await this.requestToPromise(deadLetter.get(id));
+      if (!item) return null;
+
+      const { dead_lettered_at, ...rest } = item;
+      const requeued = {
+        ...rest,
+        data: editedData !== undefined ? editedData : item.data,
+        status: this.STATUS.PENDING,
+        attempts: 0,
+        next_attempt_at: null,
+        claimed_at: null,
+        requeued_at: new Date().toISOString(),
+        edited: editedData !== undefined || Boolean(item.edited)
+      };
+      queue.put(requeued);
+      deadLetter.delete(id);
+      return requeued;
+    });
+  }
+
+  async discardDeadLetter(id) {
+    return this.transaction([this.STORES.DEAD_LETTER, this.STORES.FILES], 'readwrite', async ([deadLetter, files]) => {
+      deadLetter.delete(id);
+      const fileKeys = await this.requestToPromise(files.index('queue_item_id').getAllKeys(id));
+      fileKeys.forEach(key => files.delete(key));
+    });
+  }
+
+  // ==================== FILES ====================
+
+  async getFile(fileId) {
+    const db = await this.open();
+    const tx = db.transaction(this.STORES.FILES, 'readonly');
+    return this.requestToPromise(tx.objectStore(this.STORES.FILES).get(fileId));
+  }
+
+  // Resolve item.data with its stored blobs put back in place
+  async hydrate(item) {
+    const data = { ...item.data };
+
+    for (const [field, fileId] of Object.entries(item.files || {})) {
+      const file = await this.getFile(fileId);
+      if (!file) {
+        throw new Error(`Stored file for "${field}" is missing from the offline queue`);
+      }
+      data[field] = file.blob;
+    }
+
+    return data;
+  }
+
+  // ==================== MIGRATION ====================
+
+  // One-time move of the old localStorage queue into IndexedDB (page only)
+  async migrateFromLocalStorage() {
+    if (typeof localStorage === 'undefined') return 0;
+
+    const saved = localStorage.getItem(this.LEGACY_QUEUE_KEY);
+    if (!saved) return 0;
+
+    let legacyItems;
+    try {
+      legacyItems = JSON.parse(saved);
+    } catch (error) {
+      console.error('❌ Legacy offline queue is corrupt, leaving it in place:', error);
+      return 0;
+    }
+
+    await this.transaction(this.STORES.QUEUE, 'readwrite', store => {
+      legacyItems.forEach(item => {
+        store.put({
+          status: this.STATUS.PENDING,
+          last_error: null,
+          files: {},
+          ...item,
+          migrated_from: 'localStorage'
+        });
+      });
+    });
+
+    // Only drop the old copy once the transaction has committed
+    localStorage.removeItem(this.LEGACY_QUEUE_KEY);
+    console.log(`📦 Migrated ${legacyItems.length} offline queue item(s) to IndexedDB`);
+
+    return legacyItems.length;
+  }
+
+  // ==================== SYNC STATE ====================
+
+  async getRetryCount(tag) {
+    const db = await this.open();
+    const tx = db.transaction(this.STORES.SYNC_STATE, 'readonly');
+    const state = await this.requestToPromise(tx.objectStore(this.STORES.SYNC_STATE).get(tag));
+    return state ? state.retryCount : 0;
+  }
+
+  async setRetryCount(tag, retryCount) {
+    return this.transaction(this.STORES.SYNC_STATE, 'readwrite', store => {
+      store.put({ tag: tag, retryCount: retryCount, updated_at: new Date().toISOString() });
+    });
+  }
+}
+
+// `self` is the window in pages and the global scope in the service worker
+self.mmsOfflineQueueDB = new MMSOfflineQueueDB();
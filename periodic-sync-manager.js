@@ -21,6 +21,9 @@ class PeriodicSyncManager {
       employees: 6 * 60 * 60 * 1000      // 6 hours
     };
     
+    // Must match PERIODIC_SYNC_TAGS in sw.js
+    this.periodicSyncTag = 'daily-sync';
+    
     this.lastSync = {
       standards: null,
       training: null,
@@ -422,9 +425,24 @@ class PeriodicSyncManager {
   }
 
   registerBackgroundSync() {
+    if ('serviceWorker' in navigator) {
+      // sw.js answers 'daily-sync' with SYNC_COMPLETED once the offline queue is flushed
+      navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data && event.data.type === 'SYNC_COMPLETED' && event.data.tag === this.periodicSyncTag) {
+          console.log('🔄 Background periodic sync finished, refreshing data...');
+          this.checkForUpdates();
+        }
+      });
+    }
+    
     if ('serviceWorker' in navigator && 'SyncManager' in window) {
       navigator.serviceWorker.ready.then(registration => {
-        registration.periodicSync.register('daily-sync', {
+        // Browsers without Periodic Background Sync get a one-off sync instead
+        if (!('periodicSync' in registration)) {
+          return registration.sync.register(this.periodicSyncTag);
+        }
+        
+        registration.periodicSync.register(this.periodicSyncTag, {
           minInterval: 24 * 60 * 60 * 1000 // 24 hours
         }).then(() => {
           console.log('✅ Registered for daily background sync');
@@ -231,7 +231,8 @@ class SafetyPushNotifications {
 
   async sendSafetyAlert(title, message, options = {}) {
     if (!this.isSupported || this.notificationPermission !== 'granted') {
-      return false;
+      // Monitors rely on this alert, so fall back to an in-app toast
+      return this.showInAppAlert(title, message);
     }
 
     try {
@@ -253,8 +254,19 @@ class SafetyPushNotifications {
       return true;
     } catch (error) {
       console.error('❌ Failed to send safety alert:', error);
+      return this.showInAppAlert(title, message);
+    }
+  }
+
+  showInAppAlert(title, message) {
+    if (typeof window.showToast !== 'function') {
+      console.warn(`⚠️ Safety alert not shown: ${title}`);
       return false;
     }
+
+    window.showToast(title, message, 'warning');
+    console.log(`🔔 Showed in-app safety alert: ${title}`);
+    return true;
   }
 
   setupNotificationClickHandler() {
@@ -11,10 +11,98 @@ if ('serviceWorker' in navigator) {
     try {
       const registration = await navigator.serviceWorker.register('sw.js');
       console.log('✅ Service Worker registered:', registration.scope);
+      watchForServiceWorkerUpdate(registration);
     } catch (error) {
       console.warn('⚠️ Service Worker failed:', error);
     }
   });
+
+  // Reload once the new worker takes control (after the user accepted the update)
+  let swRefreshing = false;
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (swRefreshing) return;
+    swRefreshing = true;
+    window.location.reload();
+  });
+}
+
+// 1b. UPDATE-AVAILABLE HANDSHAKE
+function watchForServiceWorkerUpdate(registration) {
+  // An update may already be waiting from a previous visit
+  if (registration.waiting && navigator.serviceWorker.controller) {
+    showUpdateAvailable(registration.waiting);
+  }
+
+  registration.addEventListener('updatefound', () => {
+    const newWorker = registration.installing;
+    if (!newWorker) return;
+
+    newWorker.addEventListener('statechange', () => {
+      // Only prompt when replacing an existing worker, not on first install
+      if (newWorker.state === 'installed' && navigator.serviceWorker.controller) {
+        console.log('🆕 New app version available');
+        showUpdateAvailable(newWorker);
+      }
+    });
+  });
+
+  // Check for a new version every hour while the app is open
+  setInterval(() => registration.update().catch(() => {}), 60 * 60 * 1000);
+}
+
+function showUpdateAvailable(worker) {
+  if (document.getElementById('swUpdateBanner')) return;
+
+  const banner = document.createElement('div');
+  banner.id = 'swUpdateBanner';
+  banner.innerHTML = `
+    <div style="
+      position: fixed;
+      top: 20px;
+      left: 50%;
+      transform: translateX(-50%);
+      background: #1e293b;
+      color: white;
+      padding: 12px 20px;
+      border-radius: 12px;
+      box-shadow: 0 10px 40px rgba(0,0,0,0.2);
+      z-index: 10001;
+      display: flex;
+      align-items: center;
+      gap: 12px;
+      max-width: 500px;
+      width: 90%;
+    ">
+      <div style="font-size: 1.5rem;">🆕</div>
+      <div style="flex: 1; font-size: 0.9rem;">A new version of MMS Safety is available</div>
+      <button id="swUpdateNowBtn" style="
+        padding: 8px 16px;
+        background: #dc2626;
+        color: white;
+        border: none;
+        border-radius: 8px;
+        font-weight: 600;
+        cursor: pointer;
+      ">Update</button>
+      <button id="swUpdateLaterBtn" style="
+        padding: 8px 12px;
+        background: transparent;
+        color: white;
+        border: none;
+        font-weight: 600;
+        cursor: pointer;
+      ">×</button>
+    </div>
+  `;
+
+  document.body.appendChild(banner);
+
+  document.getElementById('swUpdateNowBtn').onclick = () => {
+    worker.postMessage({ type: 'SKIP_WAITING' });
+    banner.remove();
+    showToast('Updating app...', 'info');
+  };
+  document.getElementById('swUpdateLaterBtn').onclick = () => banner.remove();
 }
 
 // 2. INSTALL PROMPT HANDLER
@@ -0,0 +1,779 @@
+// Statutory Incident Reporting (classification, forms, deadlines) - MMS Safety
+import { db } from './firebase-config.js';
+import { mmsDB } from './database-service.js';
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  where,
+  Timestamp,
+  serverTimestamp
+} from "https://www.gstatic.com/firebasejs/9.22.0/firebase-firestore.js";
+
+class RegulatoryReporting {
+  constructor() {
+    this.INJURY_TYPES = ['Medical Treatment', 'Lost Time Injury'];
+    this.HIGH_SEVERITIES = ['Serious', 'Critical'];
+    this.DUE_SOON_HOURS = 24;
+
+    // Statutory notifications by country. applies() gets the incident and its
+    // regulatory_details; deadlineHours() counts from the incident date/time.
+    // These follow the group HSE legal register - keep them in step with it.
+    this.STATUTORY_RULES = [
+      {
+        id: 'ZA_OHSA_S24',
+        country: 'South Africa',
+        authority: 'Department of Employment and Labour (Provincial Chief Inspector)',
+        form: 'Annexure 1 (GAR 8)',
+        title: 'Section 24 OHS Act Incident Report',
+        legislation: 'Occupational Health and Safety Act 85 of 1993, section 24; General Administrative Regulations, regulation 8',
+        applies: (incident, details) => this.isFatalOrMajor(details)
+          || details.days_off_expected >= 14
+          || (incident.type === 'Lost Time Injury' && this.HIGH_SEVERITIES.includes(incident.severity)),
+        deadlineHours: (incident, details) => details.fatality ? 24 : 7 * 24
+      },
+      {
+        id: 'ZA_COIDA_WCL2',
+        country: 'South Africa',
+        authority: 'Compensation Fund (COIDA)',
+        form: 'W.Cl.2',
+        title: 'Employer\'s Report of an Accident',
+        legislation: 'Compensation for Occupational Injuries and Diseases Act 130 of 1993, section 39',
+        applies: (incident, details) => this.isCompensable(incident, details),
+        deadlineHours: () => 7 * 24
+      },
+      {
+        id: 'ZA_NEMA_S30',
+        country: 'South Africa',
+        authority: 'Department of Forestry, Fisheries and the Environment / Provincial Environmental Authority',
+        form: 'Section 30 Emergency Incident Report',
+        title: 'NEMA Section 30 Emergency Incident Report',
+        legislation: 'National Environmental Management Act 107 of 1998, section 30',
+        applies: (incident) => this.isMajorEnvironmental(incident),
+        deadlineHours: () => 24
+      },
+      {
+        id: 'TZ_OSHA',
+        country: 'Tanzania',
+        authority: 'Occupational Safety and Health Authority (OSHA)',
+        form: 'Notification of Accident / Dangerous Occurrence',
+        title: 'OSHA Accident Notification',
+        legislation: 'Occupational Health and Safety Act, 2003',
+        applies: (incident, details) => this.isFatalOrMajor(details)
+          || details.days_off_expected > 3
+          || incident.type === 'Lost Time Injury',
+        deadlineHours: (incident, details) => details.fatality ? 24 : 7 * 24
+      },
+      {
+        id: 'TZ_WCF',
+        country: 'Tanzania',
+        authority: 'Workers Compensation Fund (WCF)',
+        form: 'Notification of Occupational Accident',
+        title: 'WCF Accident Notification',
+        legislation: 'Workers Compensation Act, 2008 (Cap. 263)',
+        applies: (incident, details) => this.isCompensable(incident, details),
+        deadlineHours: () => 7 * 24
+      },
+      {
+        id: 'TZ_NEMC',
+        country: 'Tanzania',
+        authority: 'National Environment Management Council (NEMC)',
+        form: 'Environmental Incident Notification',
+        title: 'NEMC Environmental Incident Notification',
+        legislation: 'Environmental Management Act, 2004',
+        applies: (incident) => this.isMajorEnvironmental(incident),
+        deadlineHours: () => 24
+      },
+      {
+        id: 'NA_LABOUR',
+        country: 'Namibia',
+        authority: 'Ministry of Labour, Industrial Relations and Employment Creation (Labour Inspectorate)',
+        form: 'Report of Accident / Dangerous Occurrence',
+        title: 'Labour Inspectorate Accident Report',
+        legislation: 'Labour Act 11 of 2007; Regulations relating to the Health and Safety of Employees at Work',
+        applies: (incident, details) => this.isFatalOrMajor(details)
+          || details.days_off_expected > 3
+          || incident.type === 'Lost Time Injury',
+        deadlineHours: (incident, details) => details.fatality ? 24 : 7 * 24
+      },
+      {
+        id: 'NA_SSC_ECF',
+        country: 'Namibia',
+        authority: 'Social Security Commission (Employees\' Compensation Fund)',
+        form: 'Employer\'s Report of Accident',
+        title: 'Employees\' Compensation Accident Report',
+        legislation: 'Employees\' Compensation Act 30 of 1941',
+        applies: (incident, details) => this.isCompensable(incident, details),
+        deadlineHours: () => 7 * 24
+      },
+      {
+        id: 'NA_MEFT',
+        country: 'Namibia',
+        authority: 'Ministry of Environment, Forestry and Tourism',
+        form: 'Environmental Incident Notification',
+        title: 'Environmental Incident Notification',
+        legislation: 'Environmental Management Act 7 of 2007',
+        applies: (incident) => this.isMajorEnvironmental(incident),
+        deadlineHours: () => 24
+      },
+      {
+        id: 'ZM_OHS',
+        country: 'Zambia',
+        authority: 'Occupational Safety and Health Institute / Labour Commissioner',
+        form: 'Notification of Accident / Dangerous Occurrence',
+        title: 'OHS Act Accident Notification',
+        legislation: 'Occupational Health and Safety Act No. 36 of 2010',
+        applies: (incident, details) => this.isFatalOrMajor(details)
+          || details.days_off_expected > 3
+          || incident.type === 'Lost Time Injury',
+        deadlineHours: (incident, details) => details.fatality ? 24 : 7 * 24
+      },
+      {
+        id: 'ZM_WCFCB',
+        country: 'Zambia',
+        authority: 'Workers\' Compensation Fund Control Board',
+        form: 'Employer\'s Report of Accident',
+        title: 'Workers\' Compensation Accident Report',
+        legislation: 'Workers\' Compensation Act No. 10 of 1999',
+        applies: (incident, details) => this.isCompensable(incident, details),
+        deadlineHours: () => 7 * 24
+      },
+      {
+        id: 'ZM_ZEMA',
+        country: 'Zambia',
+        authority: 'Zambia Environmental Management Agency (ZEMA)',
+        form: 'Environmental Incident Notification',
+        title: 'ZEMA Environmental Incident Notification',
+        legislation: 'Environmental Management Act No. 12 of 2011',
+        applies: (incident) => this.isMajorEnvironmental(incident),
+        deadlineHours: () => 24
+      }
+    ];
+
+    this.monitorTimer = null;
+
+    console.log('⚖️ Regulatory Reporting Initialized');
+  }
+
+  // ==================== CLASSIFICATION ====================
+
+  isFatalOrMajor(details) {
+    return Boolean(details.fatality || details.unconscious || details.amputation
+      || details.permanent_disability || details.dangerous_occurrence);
+  }
+
+  isCompensable(incident, details) {
+    return this.INJURY_TYPES.includes(incident.type) || Boolean(details.fatality) || details.days_off_expected > 0;
+  }
+
+  isMajorEnvironmental(incident) {
+    return incident.type === 'Environmental Incident' && this.HIGH_SEVERITIES.includes(incident.severity);
+  }
+
+  getCountry(location) {
+    return mmsDB.MMS_LOCATIONS.find(site => site.name === location)?.country || null;
+  }
+
+  toDate(value) {
+    if (!value) return null;
+    const date = value.toDate ? value.toDate() : new Date(value);
+    return isNaN(date) ? null : date;
+  }
+
+  normalizeDetails(details = {}) {
+    return {
+      fatality: Boolean(details.fatality),
+      unconscious: Boolean(details.unconscious),
+      amputation: Boolean(details.amputation),
+      permanent_disability: Boolean(details.permanent_disability),
+      hospitalised: Boolean(details.hospitalised),
+      dangerous_occurrence: Boolean(details.dangerous_occurrence),
+      days_off_expected: Math.max(0, Number(details.days_off_expected) || 0),
+      // Filled in once the person is back at work; used for severity rate
+      days_lost: details.days_lost === '' || details.days_lost === null || details.days_lost === undefined
+        ? null : Math.max(0, Number(details.days_lost) || 0),
+      injured_name: (details.injured_name || '').trim(),
+      injured_id_number: (details.injured_id_number || '').trim(),
+      injured_occupation: (details.injured_occupation || '').trim(),
+      nature_of_injury: (details.nature_of_injury || '').trim(),
+      medical_provider: (details.medical_provider || '').trim()
+    };
+  }
+
+  // Which authorities must be notified and by when
+  classifyIncident(incident) {
+    const country = this.getCountry(incident.location);
+    const details = this.normalizeDetails(incident.regulatory_details);
+    const occurred = this.toDate(incident.date_time) || this.toDate(incident.created_at) || new Date();
+
+    return this.STATUTORY_RULES
+      .filter(rule => rule.country === country && rule.applies(incident, details))
+      .map(rule => ({
+        rule_id: rule.id,
+        authority: rule.authority,
+        form: rule.form,
+        title: rule.title,
+        due_at: new Date(occurred.getTime() + rule.deadlineHours(incident, details) * 3600000).toISOString()
+      }));
+  }
+
+  // Fields to store on the incident. Submitted notifications are kept even if
+  // a reclassification no longer requires them.
+  buildClassificationFields(incident) {
+    const existing = incident.regulatory_notifications || [];
+    const required = this.classifyIncident(incident);
+
+    const notifications = [
+      ...existing.filter(item => item.status === 'Submitted'),
+      ...required
+        .filter(item => !existing.some(current => current.rule_id === item.rule_id && current.status === 'Submitted'))
+        .map(item => ({
+          ...item,
+          status: 'Pending',
+          submitted_at: null,
+          submitted_by: null,
+          reference: ''
+        }))
+    ];
+    const pending = notifications.filter(item => item.status === 'Pending');
+    const nextDue = pending.map(item => new Date(item.due_at)).sort((a, b) => a - b)[0] || null;
+
+    return {
+      regulatory_country: this.getCountry(incident.location),
+      regulatory_notifications: notifications,
+      regulatory_pending: pending.length > 0,
+      regulatory_next_due: nextDue ? Timestamp.fromDate(nextDue) : null,
+      regulatory_classified_at: new Date().toISOString()
+    };
+  }
+
+  async classifyAndSave(incidentId, details = null) {
+    try {
+      const incidentRef = doc(db, mmsDB.COLLECTIONS.INCIDENTS, incidentId);
+      const incidentSnap = await getDoc(incidentRef);
+
+      if (!incidentSnap.exists()) {
+        return { success: false, error: 'Incident not found' };
+      }
+
+      const incident = incidentSnap.data();
+      if (!mmsDB.canAccessLocation(incident.location)) {
+        return { success: false, error: 'You can only classify incidents at your assigned sites' };
+      }
+      if (details) {
+        incident.regulatory_details = this.normalizeDetails(details);
+      }
+
+      const fields = this.buildClassificationFields(incident);
+
+      // Written against the version read above so a concurrent edit isn't lost
+      const saved = await mmsDB.updateIfVersionMatches(incidentRef, {
+        ...fields,
+        ...(details ? { regulatory_details: incident.regulatory_details } : {}),
+        updated_at: serverTimestamp()
+      }, incident.version || 0);
+      if (!saved.success) {
+        return { success: false, conflict: saved.conflict, error: saved.conflict ? 'The incident was changed by someone else - please try again' : saved.error };
+      }
+
+      await mmsDB.logAction('incident_regulatory_classified', {
+        incident_id: incidentId,
+        country: fields.regulatory_country,
+        notifications: fields.regulatory_notifications.map(item => `${item.rule_id}:${item.status}`)
+      }, { level: 2, category: 'compliance' });
+
+      return { success: true, incident_id: incidentId, ...fields };
+
+    } catch (error) {
+      console.error('❌ Failed to classify incident:', error);
+      return { success: false, error: 'Failed to classify incident' };
+    }
+  }
+
+  async markSubmitted(incidentId, ruleId, { reference = '', submittedAt = null } = {}) {
+    try {
+      const incidentRef = doc(db, mmsDB.COLLECTIONS.INCIDENTS, incidentId);
+      const incidentSnap = await getDoc(incidentRef);
+
+      if (!incidentSnap.exists()) {
+        return { success: false, error: 'Incident not found' };
+      }
+
+      const incident = incidentSnap.data();
+      const notifications = (incident.regulatory_notifications || []).map(item => item.rule_id === ruleId
+        ? {
+            ...item,
+            status: 'Submitted',
+            submitted_at: submittedAt ? new Date(submittedAt).toISOString() : new Date().toISOString(),
+            submitted_by: window.mmsAuth?.currentUser?.email || 'unknown',
+            reference: reference.trim()
+          }
+        : item);
+
+      if (!notifications.some(item => item.rule_id === ruleId)) {
+        return { success: false, error: 'This notification is not required for the incident' };
+      }
+
+      const pending = notifications.filter(item => item.status === 'Pending');
+      const nextDue = pending.map(item => new Date(item.due_at)).sort((a, b) => a - b)[0] || null;
+
+      const saved = await mmsDB.updateIfVersionMatches(incidentRef, {
+        regulatory_notifications: notifications,
+        regulatory_pending: pending.length > 0,
+        regulatory_next_due: nextDue ? Timestamp.fromDate(nextDue) : null,
+        updated_at: serverTimestamp()
+      }, incident.version || 0);
+      if (!saved.success) {
+        return { success: false, conflict: saved.conflict, error: saved.conflict ? 'The incident was changed by someone else - please try again' : saved.error };
+      }
+
+      const submitted = notifications.find(item => item.rule_id === ruleId);
+      await mmsDB.logAction('regulatory_notification_submitted', {
+        incident_id: incidentId,
+        rule_id: ruleId,
+        reference: submitted.reference,
+        late: new Date(submitted.submitted_at) > new Date(submitted.due_at)
+      }, { level: 2, category: 'compliance' });
+
+      return { success: true, incident_id: incidentId, rule_id: ruleId };
+
+    } catch (error) {
+      console.error('❌ Failed to record submission:', error);
+      return { success: false, error: 'Failed to record submission' };
+    }
+  }
+
+  // ==================== DEADLINES ====================
+
+  getDeadlineState(notification, now = new Date()) {
+    if (notification.status === 'Submitted') {
+      return new Date(notification.submitted_at) > new Date(notification.due_at) ? 'submitted_late' : 'submitted';
+    }
+    const hoursLeft = (new Date(notification.due_at) - now) / 3600000;
+    if (hoursLeft < 0) return 'overdue';
+    if (hoursLeft <= this.DUE_SOON_HOURS) return 'due_soon';
+    return 'pending';
+  }
+
+  // Pending notifications across the user's sites, soonest first
+  async getDeadlines() {
+    try {
+      const docs = await mmsDB.getScopedDocs(query(
+        collection(db, mmsDB.COLLECTIONS.INCIDENTS),
+        where('company', '==', mmsDB.COMPANY_ID),
+        where('regulatory_pending', '==', true)
+      ));
+      if (!docs) return { success: true, data: [], overdue: 0, due_soon: 0 };
+
+      const deadlines = docs.flatMap(item => {
+        const incident = { id: item.id, ...item.data() };
+        return (incident.regulatory_notifications || [])
+          .filter(notification => notification.status === 'Pending')
+          .map(notification => ({
+            ...notification,
+            incident_id: incident.id,
+            incident_number: incident.incident_number || incident.id,
+            incident_type: incident.type,
+            location: incident.location,
+            state: this.getDeadlineState(notification)
+          }));
+      }).sort((a, b) => new Date(a.due_at) - new Date(b.due_at));
+
+      return {
+        success: true,
+        data: deadlines,
+        overdue: deadlines.filter(item => item.state === 'overdue').length,
+        due_soon: deadlines.filter(item => item.state === 'due_soon').length
+      };
+
+    } catch (error) {
+      console.error('❌ Failed to load statutory deadlines:', error);
+      return { success: false, error: 'Failed to load statutory deadlines', data: [], overdue: 0, due_soon: 0 };
+    }
+  }
+
+  // Recent incidents at the user's sites that haven't been classified yet
+  async getUnclassifiedIncidents(days = 30) {
+    try {
+      const since = Timestamp.fromDate(new Date(Date.now() - days * 86400000));
+      const docs = await mmsDB.getScopedDocs(query(
+        collection(db, mmsDB.COLLECTIONS.INCIDENTS),
+        where('company', '==', mmsDB.COMPANY_ID),
+        where('date_time', '>=', since)
+      ));
+      if (!docs) return { success: true, data: [] };
+
+      return {
+        success: true,
+        data: docs
+          .map(item => ({ id: item.id, ...item.data() }))
+          .filter(incident => !incident.regulatory_classified_at)
+      };
+
+    } catch (error) {
+      console.error('❌ Failed to load unclassified incidents:', error);
+      return { success: false, error: 'Failed to load incidents', data: [] };
+    }
+  }
+
+  async updateDashboardCard() {
+    const count = document.getElementById('regulatoryDueCount');
+    const detail = document.getElementById('regulatoryDueDetails');
+    if (!count) return null;
+
+    const deadlines = await this.getDeadlines();
+    if (!deadlines.success) return deadlines;
+
+    count.textContent = deadlines.data.length;
+    count.style.color = deadlines.overdue ? 'var(--error)' : deadlines.due_soon ? 'var(--warning)' : '';
+    if (detail) {
+      detail.textContent = deadlines.data.length
+        ? `${deadlines.overdue} overdue, ${deadlines.due_soon} due within ${this.DUE_SOON_HOURS}h`
+        : 'No statutory reports outstanding';
+    }
+    return deadlines;
+  }
+
+  startDeadlineMonitor() {
+    if (this.monitorTimer) return;
+
+    const check = async () => {
+      const deadlines = await this.updateDashboardCard();
+      if (deadlines?.overdue || deadlines?.due_soon) {
+        window.safetyNotifications?.sendSafetyAlert('⚖️ Statutory Reports Due',
+          `${deadlines.overdue} overdue, ${deadlines.due_soon} due within ${this.DUE_SOON_HOURS} hours`,
+          { tag: 'statutory-deadlines' });
+      }
+    };
+
+    check();
+    this.monitorTimer = setInterval(check, 60 * 60 * 1000);
+  }
+
+  // ==================== FORMS ====================
+
+  blank(value) {
+    return value || value === 0 ? this.escapeHtml(value) : '<span class="blank"></span>';
+  }
+
+  getFormSections(rule, incident) {
+    const details = this.normalizeDetails(incident.regulatory_details);
+    const occurred = this.toDate(incident.date_time);
+    const yesNo = (value) => value ? 'Yes' : 'No';
+    const site = mmsDB.MMS_LOCATIONS.find(item => item.name === incident.location);
+
+    const employer = {
+      title: 'Employer',
+      rows: [
+        ['Name of employer', mmsDB.COMPANY_NAME || 'Metal Management Solutions'],
+        ['Workplace / site', `${incident.location}${site ? ` (${site.code})` : ''}`],
+        ['Country', site?.country],
+        ['Department', incident.department],
+        [rule.id === 'ZA_COIDA_WCL2' ? 'Compensation Fund registration number' : 'Employer registration number', null]
+      ]
+    };
+    const injured = {
+      title: 'Injured / Affected Person',
+      rows: [
+        ['Full name', details.injured_name],
+        ['Identity / passport number', details.injured_id_number],
+        ['Occupation', details.injured_occupation],
+        ['Nature of injury', details.nature_of_injury],
+        ['Medical practitioner / hospital', details.medical_provider],
+        ['Fatal', yesNo(details.fatality)],
+        ['Admitted to hospital', yesNo(details.hospitalised)],
+        ['Expected days off work', details.days_off_expected || null],
+        ['Actual days lost', details.days_lost]
+      ]
+    };
+    const occurrence = {
+      title: rule.id === 'ZA_NEMA_S30' || rule.form.startsWith('Environmental') ? 'Incident' : 'Accident',
+      rows: [
+        ['Date', occurred?.toLocaleDateString()],
+        ['Time', occurred?.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })],
+        ['Incident type', incident.type],
+        ['Severity', incident.severity],
+        ['Description of what happened', incident.description],
+        ['Immediate actions taken', incident.immediate_actions]
+      ]
+    };
+
+    switch (rule.id) {
+      case 'ZA_OHSA_S24':
+        occurrence.rows.push(
+          ['Person died, became unconscious or lost a limb', yesNo(details.fatality || details.unconscious || details.amputation)],
+          ['Likely permanent disability', yesNo(details.permanent_disability)],
+          ['Unable to work for 14 days or more', yesNo(details.days_off_expected >= 14)],
+          ['Major incident / dangerous occurrence (section 24(1)(b)-(c))', yesNo(details.dangerous_occurrence)]
+        );
+        return [employer, injured, occurrence];
+
+      case 'ZA_NEMA_S30':
+      case 'TZ_NEMC':
+      case 'NA_MEFT':
+      case 'ZM_ZEMA':
+        occurrence.rows.push(
+          ['Substances involved and quantities', null],
+          ['Measures taken to contain and clean up', incident.immediate_actions],
+          ['Known or likely effects on the environment and people', null]
+        );
+        return [employer, occurrence];
+
+      default:
+        return [employer, injured, occurrence];
+    }
+  }
+
+  async printForm(incidentId, ruleId) {
+    const incidentSnap = await getDoc(doc(db, mmsDB.COLLECTIONS.INCIDENTS, incidentId));
+    const rule = this.STATUTORY_RULES.find(item => item.id === ruleId);
+
+    if (!incidentSnap.exists() || !rule) {
+      alert('❌ Incident or form not found');
+      return;
+    }
+
+    const incident = incidentSnap.data();
+    const notification = (incident.regulatory_notifications || []).find(item => item.rule_id === ruleId);
+    const sections = this.getFormSections(rule, incident);
+
+    const formWindow = window.open('', '_blank');
+    formWindow.document.write(`
+      <html>
+        <head>
+          <title>${this.escapeHtml(rule.form)} - ${this.escapeHtml(incident.incident_number || incidentId)}</title>
+          <style>
+            body { font-family: Arial, sans-serif; margin: 40px; font-size: 13px; }
+            .header { border-bottom: 3px solid #1e293b; padding-bottom: 12px; margin-bottom: 20px; }
+            .header h1 { font-size: 20px; margin: 0 0 4px; }
+            .legislation { color: #475569; font-size: 12px; }
+            h2 { font-size: 15px; background: #f1f5f9; padding: 6px 8px; margin: 24px 0 8px; }
+            table { width: 100%; border-collapse: collapse; }
+            th, td { border: 1px solid #cbd5e1; padding: 8px; text-align: left; vertical-align: top; }
+            th { width: 35%; background: #f8fafc; font-weight: 600; }
+            .blank { display: inline-block; min-width: 220px; border-bottom: 1px dotted #64748b; height: 14px; }
+            .signatures { display: grid; grid-template-columns: 1fr 1fr; gap: 40px; margin-top: 50px; }
+            .signatures div { border-top: 1px solid #111; padding-top: 6px; }
+            .footer { margin-top: 30px; color: #64748b; font-size: 11px; }
+            @media print { .no-print { display: none; } }
+          </style>
+        </head>
+        <body>
+          <button class="no-print" onclick="window.print()" style="float: right;">🖨️ Print</button>
+          <div class="header">
+            <h1>${this.escapeHtml(rule.form)} - ${this.escapeHtml(rule.title)}</h1>
+            <div>To: <strong>${this.escapeHtml(rule.authority)}</strong></div>
+            <div class="legislation">${this.escapeHtml(rule.legislation)}</div>
+            <div>Incident reference: ${this.escapeHtml(incident.incident_number || incidentId)}
+              ${notification ? ` · Submit by: <strong>${new Date(notification.due_at).toLocaleString()}</strong>` : ''}</div>
+          </div>
+          ${sections.map(section => `
+            <h2>${this.escapeHtml(section.title)}</h2>
+            <table>
+              ${section.rows.map(([label, value]) => `<tr><th>${this.escapeHtml(label)}</th><td>${this.blank(value)}</td></tr>`).join('')}
+            </table>
+          `).join('')}
+          <div class="signatures">
+            <div>Signature of employer / authorised person</div>
+            <div>Name, designation and date</div>
+          </div>
+          <div class="footer">
+            Pre-filled from the MMS Safety incident record on ${new Date().toLocaleString()}. Check every entry and complete the blank fields before submitting.
+          </div>
+        </body>
+      </html>
+    `);
+    formWindow.document.close();
+
+    await mmsDB.logAction('regulatory_form_generated', {
+      incident_id: incidentId,
+      rule_id: ruleId
+    }, { level: 1, category: 'compliance' });
+  }
+
+  // ==================== UI ====================
+
+  escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value ?? '';
+    return div.innerHTML;
+  }
+
+  getStateStyle(state) {
+    return {
+      overdue: ['#ef4444', 'Overdue'],
+      due_soon: ['#f59e0b', 'Due soon'],
+      pending: ['#3b82f6', 'Pending'],
+      submitted: ['#10b981', 'Submitted'],
+      submitted_late: ['#f59e0b', 'Submitted late']
+    }[state];
+  }
+
+  async renderDashboard(containerId = 'regulatoryContent') {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    container.innerHTML = '<p style="color: var(--text-light); padding: 1rem;">Loading statutory deadlines...</p>';
+
+    const canEdit = window.mmsAuth?.hasPermission('canEditIncidents');
+    const [deadlines, unclassified] = await Promise.all([
+      this.updateDashboardCard().then(result => result || this.getDeadlines()),
+      canEdit ? this.getUnclassifiedIncidents() : Promise.resolve({ data: [] })
+    ]);
+
+    if (!deadlines.success) {
+      container.innerHTML = `<p style="color: var(--error); padding: 1rem;">${this.escapeHtml(deadlines.error)}</p>`;
+      return;
+    }
+
+    container.innerHTML = `
+      ${canEdit ? `
+        <div style="display: flex; justify-content: flex-end; margin-bottom: 1rem;">
+          <button class="btn btn-outline" onclick="const id = prompt('Incident ID to classify:'); if (id) regulatoryReporting.showClassificationForm(id.trim());">⚖️ Classify Incident</button>
+        </div>
+      ` : ''}
+
+      <h3 style="margin-bottom: 0.75rem;">Outstanding Statutory Reports (${deadlines.data.length})</h3>
+      ${deadlines.data.length === 0 ? '<p style="color: var(--text-light);">Nothing outstanding.</p>' : `
+        <table class="data-table" style="width: 100%;">
+          <thead>
+            <tr><th>Due</th><th>Incident</th><th>Authority</th><th>Form</th><th></th></tr>
+          </thead>
+          <tbody>
+            ${deadlines.data.map(item => {
+              const [color, label] = this.getStateStyle(item.state);
+              return `
+                <tr>
+                  <td style="color: ${color}; font-weight: 600;">${new Date(item.due_at).toLocaleString()}<br><small>${label}</small></td>
+                  <td>${this.escapeHtml(item.incident_number)}<br><small>${this.escapeHtml(item.incident_type)} · ${this.escapeHtml(item.location)}</small></td>
+                  <td>${this.escapeHtml(item.authority)}</td>
+                  <td>${this.escapeHtml(item.form)}</td>
+                  <td style="white-space: nowrap;">
+                    <button class="btn btn-sm btn-outline" onclick="regulatoryReporting.printForm('${item.incident_id}', '${item.rule_id}')">🖨️ Form</button>
+                    ${canEdit ? `
+                      <button class="btn btn-sm btn-primary" onclick="regulatoryReporting.handleMarkSubmitted('${item.incident_id}', '${item.rule_id}')">✅ Submitted</button>
+                      <button class="btn btn-sm btn-outline" onclick="regulatoryReporting.showClassificationForm('${item.incident_id}')">✏️</button>
+                    ` : ''}
+                  </td>
+                </tr>
+              `;
+            }).join('')}
+          </tbody>
+        </table>
+      `}
+
+      ${unclassified.data.length ? `
+        <h3 style="margin: 2rem 0 0.75rem;">Recent Incidents Not Yet Classified (${unclassified.data.length})</h3>
+        ${unclassified.data.map(incident => `
+          <div style="display: flex; justify-content: space-between; align-items: center; gap: 1rem; border: 1px solid var(--border); border-radius: 8px; padding: 0.75rem; margin-bottom: 0.5rem;">
+            <div>
+              <strong>${this.escapeHtml(incident.incident_number || incident.id)}</strong> · ${this.escapeHtml(incident.type)} · ${this.escapeHtml(incident.severity)} · ${this.escapeHtml(incident.location)}
+              <div style="color: var(--text-light); font-size: 0.85rem;">${this.toDate(incident.date_time)?.toLocaleString() || ''}</div>
+            </div>
+            <button class="btn btn-sm btn-outline" onclick="regulatoryReporting.showClassificationForm('${incident.id}')">⚖️ Classify</button>
+          </div>
+        `).join('')}
+      ` : ''}
+    `;
+  }
+
+  async showClassificationForm(incidentId) {
+    const incidentSnap = await getDoc(doc(db, mmsDB.COLLECTIONS.INCIDENTS, incidentId));
+    if (!incidentSnap.exists()) {
+      alert('❌ Incident not found');
+      return;
+    }
+
+    const incident = incidentSnap.data();
+    const details = this.normalizeDetails(incident.regulatory_details);
+    const inputStyle = 'width: 100%; padding: 0.6rem; border: 1px solid #e2e8f0; border-radius: 8px;';
+    const checkbox = (field, label) => `
+      <label style="display: flex; gap: 0.5rem; align-items: center; margin-bottom: 0.4rem;">
+        <input type="checkbox" data-field="${field}" ${details[field] ? 'checked' : ''}> ${label}
+      </label>
+    `;
+    const text = (field, label) => `
+      <label style="display: block; font-weight: 600; margin: 0.75rem 0 0.25rem;">${label}</label>
+      <input type="text" data-field="${field}" value="${this.escapeHtml(details[field])}" style="${inputStyle}">
+    `;
+
+    const result = await window.mmsMFA.openDialog({
+      title: '⚖️ Statutory Classification',
+      body: `
+        <p style="color: #64748b; margin-bottom: 1rem;">
+          ${this.escapeHtml(incident.incident_number || incidentId)} · ${this.escapeHtml(incident.type)} · ${this.escapeHtml(incident.severity)} ·
+          ${this.escapeHtml(incident.location)} (${this.escapeHtml(this.getCountry(incident.location) || 'unknown country')})
+        </p>
+        ${checkbox('fatality', 'Fatality')}
+        ${checkbox('unconscious', 'Person became unconscious')}
+        ${checkbox('amputation', 'Loss of a limb or part of a limb')}
+        ${checkbox('permanent_disability', 'Likely permanent disability')}
+        ${checkbox('hospitalised', 'Admitted to hospital')}
+        ${checkbox('dangerous_occurrence', 'Major incident / dangerous occurrence (no injury required)')}
+        <label style="display: block; font-weight: 600; margin: 0.75rem 0 0.25rem;">Expected days off work</label>
+        <input type="number" min="0" data-field="days_off_expected" value="${details.days_off_expected}" style="${inputStyle}">
+        <label style="display: block; font-weight: 600; margin: 0.75rem 0 0.25rem;">Actual days lost (once back at work)</label>
+        <input type="number" min="0" data-field="days_lost" value="${details.days_lost ?? ''}" style="${inputStyle}">
+        ${text('injured_name', 'Injured person - full name')}
+        ${text('injured_id_number', 'Identity / passport number')}
+        ${text('injured_occupation', 'Occupation')}
+        ${text('nature_of_injury', 'Nature of injury')}
+        ${text('medical_provider', 'Medical practitioner / hospital')}
+      `,
+      submitLabel: 'Classify',
+      onSubmit: async (fields) => {
+        const outcome = await this.classifyAndSave(incidentId, fields);
+        return outcome.success ? { success: true, value: outcome } : outcome;
+      }
+    });
+
+    if (!result) return;
+
+    const pending = result.regulatory_notifications.filter(item => item.status === 'Pending');
+    window.showToast?.('Statutory Classification',
+      pending.length
+        ? `${pending.length} notification(s) required: ${pending.map(item => item.form).join(', ')}`
+        : 'No statutory notification required', pending.length ? 'warning' : 'success');
+    await this.renderDashboard();
+  }
+
+  async handleMarkSubmitted(incidentId, ruleId) {
+    const inputStyle = 'width: 100%; padding: 0.6rem; border: 1px solid #e2e8f0; border-radius: 8px;';
+    const now = new Date();
+    const local = new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+
+    const result = await window.mmsMFA.openDialog({
+      title: '✅ Record Submission',
+      body: `
+        <label style="display: block; font-weight: 600; margin-bottom: 0.25rem;">Submitted on</label>
+        <input type="datetime-local" data-field="submitted_at" value="${local}" style="${inputStyle}">
+        <label style="display: block; font-weight: 600; margin: 0.75rem 0 0.25rem;">Authority reference / case number</label>
+        <input type="text" data-field="reference" style="${inputStyle}">
+      `,
+      submitLabel: 'Save',
+      onSubmit: async (fields) => {
+        const outcome = await this.markSubmitted(incidentId, ruleId, {
+          reference: fields.reference,
+          submittedAt: fields.submitted_at || null
+        });
+        return outcome.success ? { success: true, value: outcome } : outcome;
+      }
+    });
+
+    if (!result) return;
+    window.showToast?.('Statutory Reporting', 'Submission recorded', 'success');
+    await this.renderDashboard();
+  }
+}
+
+// Create global instance
+const regulatoryReporting = new RegulatoryReporting();
+
+// Make regulatory reporting globally available
+window.regulatoryReporting = regulatoryReporting;
+
+export { regulatoryReporting };
+
+console.log('✅ Regulatory Reporting Ready');
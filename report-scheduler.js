@@ -0,0 +1,1222 @@
+// Scheduled Report Packs (schedules, history, email outbox) - MMS Safety
+import { db, storage } from './firebase-config.js';
+import { mmsDB } from './database-service.js';
+import { safetyReports } from './reporting-dashboard.js';
+import { safetyKPIs } from './safety-kpis.js';
+import {
+  collection,
+  doc,
+  getDocs,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  query,
+  where,
+  orderBy,
+  limit,
+  runTransaction,
+  writeBatch,
+  Timestamp,
+  serverTimestamp
+} from "https://www.gstatic.com/firebasejs/9.22.0/firebase-firestore.js";
+import {
+  ref,
+  uploadBytes,
+  getDownloadURL,
+  getBlob
+} from "https://www.gstatic.com/firebasejs/9.22.0/firebase-storage.js";
+
+class ReportScheduler {
+  constructor() {
+    this.PACKS = {
+      weekly_site: { label: 'Weekly Site Safety Pack', cadence: 'weekly', requiresSite: true },
+      monthly_executive: { label: 'Monthly Executive Summary', cadence: 'monthly', requiresSite: false }
+    };
+    this.FORMATS = ['pdf', 'html'];
+
+    // Packs are due from 06:00 on Mondays (weekly) or the 1st (monthly)
+    this.RUN_HOUR = 6;
+    this.CHECK_INTERVAL = 15 * 60 * 1000;
+    this.MAX_RECIPIENTS = 20;
+
+    // Must match REPORT_SCHEDULE_TAG in sw.js
+    this.periodicSyncTag = 'report-schedules';
+
+    // Outbox delivery through a local SMTP stand-in
+    this.MAX_DELIVERY_ATTEMPTS = 5;
+    // A message still Sending after its lease (the tab closed mid-send) is
+    // put back in the queue by the next delivery run
+    this.DELIVERY_LEASE_MS = 10 * 60 * 1000;
+    this.RELAY_URL_KEY = 'mms_smtp_relay_url';
+
+    this.monitorTimer = null;
+    this.running = false;
+
+    console.log('🗓️ Report Scheduler Initialized');
+  }
+
+  // ==================== PERIODS ====================
+
+  formatDate(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  }
+
+  // Last complete week (Monday-Sunday) or calendar month before `now`
+  getReportingPeriod(packType, now = new Date()) {
+    if (this.PACKS[packType].cadence === 'weekly') {
+      const monday = new Date(now.getFullYear(), now.getMonth(), now.getDate() - ((now.getDay() + 6) % 7));
+      return {
+        from: this.formatDate(new Date(monday.getFullYear(), monday.getMonth(), monday.getDate() - 7)),
+        to: this.formatDate(new Date(monday.getFullYear(), monday.getMonth(), monday.getDate() - 1))
+      };
+    }
+
+    return {
+      from: this.formatDate(new Date(now.getFullYear(), now.getMonth() - 1, 1)),
+      to: this.formatDate(new Date(now.getFullYear(), now.getMonth(), 0))
+    };
+  }
+
+  getNextRun(packType, after = new Date()) {
+    if (this.PACKS[packType].cadence === 'weekly') {
+      const run = new Date(after.getFullYear(), after.getMonth(), after.getDate() - ((after.getDay() + 6) % 7), this.RUN_HOUR);
+      while (run <= after) run.setDate(run.getDate() + 7);
+      return run;
+    }
+
+    const run = new Date(after.getFullYear(), after.getMonth(), 1, this.RUN_HOUR);
+    return run > after ? run : new Date(after.getFullYear(), after.getMonth() + 1, 1, this.RUN_HOUR);
+  }
+
+  // ==================== SCHEDULES ====================
+
+  canSchedule() {
+    return Boolean(window.mmsAuth?.currentUser && window.mmsAuth.hasPermission('canViewReports'));
+  }
+
+  parseRecipients(value) {
+    const list = Array.isArray(value) ? value : String(value || '').split(/[\s,;]+/);
+    return [...new Set(list.map(item => item.trim().toLowerCase()).filter(Boolean))];
+  }
+
+  validateSchedule(data) {
+    const pack = this.PACKS[data.pack];
+    if (!pack) return { error: 'Choose a report pack' };
+
+    const location = data.location || '';
+    if (pack.requiresSite && !location) return { error: `${pack.label} needs a site` };
+    if (location && !mmsDB.canAccessLocation(location)) return { error: `You do not have access to ${location}` };
+
+    const recipients = this.parseRecipients(data.recipients);
+    if (recipients.length === 0) return { error: 'Add at least one recipient' };
+    if (recipients.length > this.MAX_RECIPIENTS) return { error: `At most ${this.MAX_RECIPIENTS} recipients` };
+    const invalid = recipients.filter(email => !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email));
+    if (invalid.length) return { error: `Invalid email address: ${invalid.join(', ')}` };
+
+    const formats = this.FORMATS.filter(format => (data.formats || []).includes(format));
+    if (formats.length === 0) return { error: 'Choose PDF, HTML or both' };
+
+    return {
+      schedule: {
+        pack: data.pack,
+        name: (data.name || '').trim() || `${pack.label}${location ? ` - ${location}` : ''}`,
+        location,
+        recipients,
+        formats
+      }
+    };
+  }
+
+  async saveSchedule(data, scheduleId = null) {
+    if (!this.canSchedule()) return { success: false, error: 'You do not have permission to schedule reports' };
+
+    const { schedule, error } = this.validateSchedule(data);
+    if (error) return { success: false, error };
+
+    try {
+      const user = window.mmsAuth.currentUser;
+      const id = scheduleId || mmsDB.generateId('RPTSCH');
+      const nextRun = Timestamp.fromDate(this.getNextRun(schedule.pack));
+
+      if (scheduleId) {
+        await updateDoc(doc(db, mmsDB.COLLECTIONS.REPORT_SCHEDULES, id), {
+          ...schedule,
+          next_run_at: nextRun,
+          updated_at: serverTimestamp()
+        });
+      } else {
+        await setDoc(doc(db, mmsDB.COLLECTIONS.REPORT_SCHEDULES, id), {
+          id,
+          ...schedule,
+          enabled: true,
+          owner_uid: user.uid,
+          owner_email: user.email,
+          company: mmsDB.COMPANY_ID,
+          next_run_at: nextRun,
+          last_run_at: null,
+          last_status: null,
+          last_error: null,
+          last_history_id: null,
+          created_at: serverTimestamp(),
+          updated_at: serverTimestamp()
+        });
+      }
+
+      await mmsDB.logAction(scheduleId ? 'report_schedule_updated' : 'report_schedule_created', {
+        schedule_id: id,
+        pack: schedule.pack,
+        location: schedule.location || 'All',
+        recipients: schedule.recipients.length
+      }, { level: 1, category: 'data_modification' });
+
+      return { success: true, id, next_run_at: nextRun.toDate().toISOString() };
+
+    } catch (error) {
+      console.error('❌ Failed to save report schedule:', error);
+      return { success: false, error: 'Failed to save report schedule' };
+    }
+  }
+
+  async setScheduleEnabled(scheduleId, enabled, packType) {
+    try {
+      await updateDoc(doc(db, mmsDB.COLLECTIONS.REPORT_SCHEDULES, scheduleId), {
+        enabled,
+        // Resuming skips the periods missed while paused
+        ...(enabled ? { next_run_at: Timestamp.fromDate(this.getNextRun(packType)) } : {}),
+        updated_at: serverTimestamp()
+      });
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Failed to update report schedule:', error);
+      return { success: false, error: 'Failed to update report schedule' };
+    }
+  }
+
+  async deleteSchedule(scheduleId) {
+    try {
+      await deleteDoc(doc(db, mmsDB.COLLECTIONS.REPORT_SCHEDULES, scheduleId));
+      await mmsDB.logAction('report_schedule_deleted', { schedule_id: scheduleId }, { level: 1, category: 'data_modification' });
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Failed to delete report schedule:', error);
+      return { success: false, error: 'Failed to delete report schedule' };
+    }
+  }
+
+  async getSchedules() {
+    try {
+      const snapshot = await getDocs(query(
+        collection(db, mmsDB.COLLECTIONS.REPORT_SCHEDULES),
+        where('owner_uid', '==', window.mmsAuth.currentUser.uid)
+      ));
+      return { success: true, data: snapshot.docs.map(item => ({ id: item.id, ...item.data() })) };
+    } catch (error) {
+      console.error('❌ Failed to load report schedules:', error);
+      return { success: false, error: 'Failed to load report schedules', data: [] };
+    }
+  }
+
+  // ==================== JOB RUNNER ====================
+
+  // The same user may have the app open in several tabs or devices; the
+  // transaction moves next_run_at on so only one of them builds the pack
+  async claimSchedule(scheduleId) {
+    return runTransaction(db, async (transaction) => {
+      const scheduleRef = doc(db, mmsDB.COLLECTIONS.REPORT_SCHEDULES, scheduleId);
+      const snapshot = await transaction.get(scheduleRef);
+      if (!snapshot.exists()) return null;
+
+      const schedule = { id: snapshot.id, ...snapshot.data() };
+      if (!schedule.enabled || schedule.next_run_at.toMillis() > Date.now()) return null;
+
+      transaction.update(scheduleRef, {
+        next_run_at: Timestamp.fromDate(this.getNextRun(schedule.pack)),
+        last_run_at: serverTimestamp(),
+        last_status: 'Running'
+      });
+      return schedule;
+    });
+  }
+
+  async runDueSchedules() {
+    if (this.running || !navigator.onLine || !this.canSchedule()) return { success: true, ran: 0 };
+
+    this.running = true;
+    try {
+      const snapshot = await getDocs(query(
+        collection(db, mmsDB.COLLECTIONS.REPORT_SCHEDULES),
+        where('owner_uid', '==', window.mmsAuth.currentUser.uid),
+        where('enabled', '==', true),
+        where('next_run_at', '<=', Timestamp.now())
+      ));
+
+      let ran = 0;
+      for (const item of snapshot.docs) {
+        const schedule = await this.claimSchedule(item.id);
+        if (!schedule) continue;
+
+        const result = await this.generatePack(schedule);
+        await updateDoc(doc(db, mmsDB.COLLECTIONS.REPORT_SCHEDULES, schedule.id), {
+          last_status: result.success ? 'Generated' : 'Failed',
+          last_error: result.success ? null : result.error,
+          last_history_id: result.history_id || null
+        });
+        ran++;
+
+        if (result.success) {
+          window.showToast?.('Report Pack Ready', `${result.title} queued for ${schedule.recipients.length} recipient(s)`, 'success');
+        } else {
+          window.safetyNotifications?.sendSafetyAlert('⚠️ Scheduled Report Failed',
+            `${schedule.name}: ${result.error}`, { tag: 'report-schedules' });
+        }
+      }
+
+      return { success: true, ran };
+
+    } catch (error) {
+      console.error('❌ Failed to run report schedules:', error);
+      return { success: false, error: 'Failed to run report schedules' };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Local job runner, plus a periodic sync that wakes an open window when
+  // the browser supports it. Packs due while the app was closed are built
+  // the next time it is opened.
+  startScheduler() {
+    if (this.monitorTimer) return;
+
+    this.runDueSchedules();
+    this.monitorTimer = setInterval(() => this.runDueSchedules(), this.CHECK_INTERVAL);
+
+    document.addEventListener('visibilitychange', () => {
+      if (!document.hidden) this.runDueSchedules();
+    });
+
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data && event.data.type === 'RUN_REPORT_SCHEDULES') {
+          this.runDueSchedules();
+        }
+      });
+
+      navigator.serviceWorker.ready.then(registration => {
+        if (!('periodicSync' in registration)) return;
+        return registration.periodicSync.register(this.periodicSyncTag, {
+          minInterval: 60 * 60 * 1000 // 1 hour
+        });
+      }).catch(error => {
+        console.log('❌ Report schedule periodic sync registration failed:', error);
+      });
+    }
+  }
+
+  // ==================== PACK GENERATION ====================
+
+  inPeriod(value, period) {
+    if (!value) return false;
+    const date = new Date(value);
+    return date >= new Date(`${period.from}T00:00:00`) && date <= new Date(`${period.to}T23:59:59`);
+  }
+
+  getPackTitle(packType, period, location) {
+    if (this.PACKS[packType].cadence === 'weekly') {
+      return `Weekly Site Safety Pack - ${location} - ${period.from} to ${period.to}`;
+    }
+    const month = new Date(`${period.from}T00:00:00`).toLocaleString('default', { month: 'long', year: 'numeric' });
+    return `Monthly Executive Summary - ${month}${location ? ` - ${location}` : ''}`;
+  }
+
+  // Observations, checklists and equipment inspections are kept on the
+  // device by their modules, so these figures cover what this device recorded
+  async getObservationStats(period, location) {
+    const observations = window.safetyObservations;
+    if (!observations) return null;
+
+    const result = await observations.getObservations({
+      location: location || 'All',
+      startDate: `${period.from}T00:00:00`,
+      endDate: `${period.to}T23:59:59`
+    });
+    const data = result.data || [];
+
+    return {
+      total: data.length,
+      positive: data.filter(item => item.type === 'positive').length,
+      high_risk: data.filter(item => ['high', 'critical'].includes(item.risk_level)).length,
+      open: data.filter(item => item.status === 'open').length,
+      compliance_rate: observations.calculateComplianceRate(data),
+      top_issues: observations.getTopIssues(data, 3)
+    };
+  }
+
+  async getChecklistStats(period, location) {
+    const checklists = window.safetyChecklist;
+    if (!checklists) return null;
+
+    const days = Math.ceil((Date.now() - new Date(`${period.from}T00:00:00`)) / (24 * 60 * 60 * 1000)) + 1;
+    const result = await checklists.getChecklistHistory(days);
+    const sessions = (result.history || [])
+      .filter(session => this.inPeriod(session.completed_at, period) && (!location || session.location === location));
+
+    return {
+      completed: sessions.length,
+      average_score: sessions.length > 0
+        ? Math.round(sessions.reduce((sum, session) => sum + (session.score || 0), 0) / sessions.length)
+        : null,
+      critical_findings: sessions.reduce((sum, session) => sum + (session.critical_findings || 0), 0)
+    };
+  }
+
+  getInspectionStats(period, location) {
+    const inspections = window.equipmentInspections;
+    if (!inspections?.equipmentList) return null;
+
+    const equipment = location ? inspections.getEquipmentByLocation(location) : inspections.equipmentList;
+    const completed = equipment.flatMap(item => (item.inspectionHistory || [])
+      .filter(inspection => inspection.status === 'Completed' && this.inPeriod(inspection.completedDate, period)));
+    const overdueIds = inspections.getOverdueInspections().map(item => item.id);
+
+    return {
+      equipment: equipment.length,
+      completed: completed.length,
+      failed: completed.filter(inspection => inspection.results?.passed === false).length,
+      overdue: equipment.filter(item => overdueIds.includes(item.id)).length,
+      needs_repair: equipment.filter(item => item.status === 'Needs Repair').length
+    };
+  }
+
+  async buildPack(packType, period, location = '') {
+    const summary = await safetyReports.generateIncidentSummaryReport({
+      location: location || 'All',
+      startDate: period.from,
+      endDate: period.to
+    });
+    if (!summary.success) return summary;
+
+    // Rolling 12 months to the end of the period, by site for executives
+    const kpis = await safetyKPIs.getKPIs({ to: period.to.slice(0, 7), location: location || null });
+
+    return {
+      success: true,
+      pack: {
+        type: packType,
+        title: this.getPackTitle(packType, period, location),
+        period,
+        location: location || 'All',
+        generated_at: new Date().toISOString(),
+        report: summary.report,
+        rolling_kpis: kpis.success ? kpis : null,
+        observations: await this.getObservationStats(period, location),
+        checklists: await this.getChecklistStats(period, location),
+        inspections: this.getInspectionStats(period, location)
+      }
+    };
+  }
+
+  // ==================== RENDERING ====================
+
+  // Sections shared by the HTML and PDF output: rows are label/value pairs,
+  // tables have a head and body
+  getPackSections(pack) {
+    const rate = (value) => safetyKPIs.formatRate(value);
+    const hours = (value) => Math.round(value || 0).toLocaleString();
+    const sections = [];
+
+    const kpis = pack.rolling_kpis;
+    if (kpis) {
+      const row = (item) => [item.key, hours(item.man_hours), item.lost_time, rate(item.ltifr), rate(item.trifr), rate(item.aifr), item.days_lost, rate(item.severity_rate)];
+      sections.push({
+        title: `Rolling 12-Month Rates (${kpis.period.from} to ${kpis.period.to}, per ${kpis.per_hours.toLocaleString()} hours)`,
+        table: {
+          head: ['', 'Man-hours', 'LTIs', 'LTIFR', 'TRIFR', 'AIFR', 'Days lost', 'Severity rate'],
+          body: [
+            ...(pack.type === 'monthly_executive' ? kpis.by_site.map(row) : []),
+            row({ ...kpis.company, key: pack.location === 'All' ? 'Company' : pack.location })
+          ]
+        },
+        note: kpis.company.complete ? null : 'Man-hours are missing for some sites or months, so rates are overstated.'
+      });
+    }
+
+    if (pack.observations) {
+      sections.push({
+        title: 'Safety Observations',
+        rows: [
+          ['Observations recorded', pack.observations.total],
+          ['Positive observations', pack.observations.positive],
+          ['High / critical risk', pack.observations.high_risk],
+          ['Still open', pack.observations.open],
+          ['Compliance rate', `${pack.observations.compliance_rate}%`],
+          ['Top issues', pack.observations.top_issues.map(issue => `${issue.item} (${issue.count})`).join(', ') || '—']
+        ]
+      });
+    }
+
+    if (pack.checklists) {
+      sections.push({
+        title: 'Safety Checklists',
+        rows: [
+          ['Checklists completed', pack.checklists.completed],
+          ['Average score', pack.checklists.average_score === null ? '—' : `${pack.checklists.average_score}%`],
+          ['Critical findings', pack.checklists.critical_findings]
+        ]
+      });
+    }
+
+    if (pack.inspections) {
+      sections.push({
+        title: 'Equipment Inspections',
+        rows: [
+          ['Equipment items', pack.inspections.equipment],
+          ['Inspections completed', pack.inspections.completed],
+          ['Failed inspections', pack.inspections.failed],
+          ['Overdue inspections', pack.inspections.overdue],
+          ['Needs repair', pack.inspections.needs_repair]
+        ]
+      });
+    }
+
+    if (pack.observations || pack.checklists || pack.inspections) {
+      sections.push({ note: 'Observation, checklist and inspection figures are those recorded on the device that generated this pack.' });
+    }
+
+    return sections;
+  }
+
+  renderPackHTML(pack) {
+    const esc = (value) => this.escapeHtml(value);
+    const extra = this.getPackSections(pack).map(section => `
+        <div class="section">
+          ${section.title ? `<div class="section-title">${esc(section.title)}</div>` : ''}
+          ${section.rows ? `
+          <table class="table">
+            <tbody>
+              ${section.rows.map(([label, value]) => `<tr><th>${esc(label)}</th><td>${esc(value)}</td></tr>`).join('')}
+            </tbody>
+          </table>` : ''}
+          ${section.table ? `
+          <table class="table">
+            <thead><tr>${section.table.head.map(cell => `<th>${esc(cell)}</th>`).join('')}</tr></thead>
+            <tbody>
+              ${section.table.body.map(row => `<tr>${row.map(cell => `<td>${esc(cell)}</td>`).join('')}</tr>`).join('')}
+            </tbody>
+          </table>` : ''}
+          ${section.note ? `<p style="font-size: 12px; color: #64748b;">${esc(section.note)}</p>` : ''}
+        </div>
+    `).join('');
+
+    return safetyReports.generateReportHTML({ ...pack.report, title: pack.title }, extra);
+  }
+
+  renderPackPDF(pack) {
+    if (!window.jspdf) return null;
+
+    const { jsPDF } = window.jspdf;
+    const pdf = new jsPDF('p', 'mm', 'a4');
+    const report = pack.report;
+    let y = 20;
+
+    const write = (text, { size = 10, bold = false, x = 20, width = 170, gap = 5 } = {}) => {
+      pdf.setFontSize(size);
+      pdf.setFont('helvetica', bold ? 'bold' : 'normal');
+      pdf.splitTextToSize(String(text ?? '—'), width).forEach(part => {
+        if (y > 280) {
+          pdf.addPage();
+          y = 20;
+        }
+        pdf.text(part, x, y);
+        y += gap;
+      });
+    };
+    const heading = (text) => {
+      y += 4;
+      write(text, { size: 12, bold: true, gap: 7 });
+    };
+    const rows = (items) => items.forEach(([label, value]) => {
+      const top = y;
+      write(label, { width: 75 });
+      const after = y;
+      y = top;
+      write(value, { x: 100, width: 90 });
+      y = Math.max(y, after);
+    });
+
+    write('METAL MANAGEMENT SOLUTIONS', { bold: true, gap: 7 });
+    write(pack.title, { size: 15, bold: true, gap: 7 });
+    write(`Period: ${pack.period.from} to ${pack.period.to} | Generated ${new Date(pack.generated_at).toLocaleString()} by ${report.generated_by}`, { size: 9 });
+
+    heading('Executive Summary');
+    rows([
+      ['Total incidents', report.executive_summary.total_incidents],
+      ['Lost time injuries', report.executive_summary.lost_time_injuries],
+      ['Near misses', report.executive_summary.near_misses],
+      ['First aid cases', report.executive_summary.first_aid_cases],
+      ['Trend', report.executive_summary.trend],
+      ['Key recommendation', report.executive_summary.recommendation]
+    ]);
+
+    heading('Safety Performance Indicators (period)');
+    rows([
+      ['LTIFR / TRIFR / AIFR', [report.kpis.ltifr, report.kpis.trifr, report.kpis.aifr].map(value => safetyKPIs.formatRate(value)).join(' / ')],
+      ['Severity rate', safetyKPIs.formatRate(report.kpis.severity_rate)],
+      ['Days lost', report.kpis.days_lost],
+      ['Days since last LTI', report.kpis.days_since_last_lost_time_injury],
+      ['Corrective action completion', report.kpis.corrective_action_completion_rate === null ? '—' : `${Math.round(report.kpis.corrective_action_completion_rate * 100)}%`]
+    ]);
+
+    if (report.safety_hotspots.length > 0) {
+      heading('Safety Hotspots');
+      rows(report.safety_hotspots.map(hotspot => [hotspot.location, `${hotspot.incident_count} incident(s), ${hotspot.severity} - ${hotspot.recommendation}`]));
+    }
+
+    this.getPackSections(pack).forEach(section => {
+      if (section.title) heading(section.title);
+      if (section.rows) rows(section.rows);
+      if (section.table) {
+        rows(section.table.body.map(row => [row[0], section.table.head.slice(1).map((label, index) => `${label} ${row[index + 1]}`).join(' · ')]));
+      }
+      if (section.note) write(section.note, { size: 8 });
+    });
+
+    return pdf.output('blob');
+  }
+
+  // ==================== HISTORY & OUTBOX ====================
+
+  async storeFile(ownerUid, historyId, fileName, blob, contentType) {
+    const path = `mms_safety/report_packs/${ownerUid}/${historyId}/${fileName}`;
+    const uploaded = await uploadBytes(ref(storage, path), blob, { contentType });
+    return { path, url: await getDownloadURL(uploaded.ref), size: blob.size, content_type: contentType, filename: fileName };
+  }
+
+  // Builds the pack for the last complete period, stores it in history and
+  // queues one email for the schedule's recipients
+  async generatePack(schedule) {
+    const user = window.mmsAuth.currentUser;
+    const period = this.getReportingPeriod(schedule.pack);
+    const historyId = mmsDB.generateId('RPT');
+    const outboxId = mmsDB.generateId('MAIL');
+
+    try {
+      const built = await this.buildPack(schedule.pack, period, schedule.location);
+      if (!built.success) throw new Error(built.error);
+
+      const { pack } = built;
+      const baseName = pack.title.replace(/[^a-z0-9]+/gi, '_').replace(/^_|_$/g, '');
+      const files = [];
+
+      // The HTML is also the email body, so it is always stored
+      const html = this.renderPackHTML(pack);
+      const htmlFile = await this.storeFile(user.uid, historyId, `${baseName}.html`, new Blob([html], { type: 'text/html' }), 'text/html');
+      files.push({ format: 'html', ...htmlFile });
+
+      if (schedule.formats.includes('pdf')) {
+        const pdf = this.renderPackPDF(pack);
+        if (pdf) {
+          files.push({ format: 'pdf', ...await this.storeFile(user.uid, historyId, `${baseName}.pdf`, pdf, 'application/pdf') });
+        }
+      }
+
+      const summary = pack.report.executive_summary;
+      const batch = writeBatch(db);
+
+      batch.set(doc(db, mmsDB.COLLECTIONS.REPORT_HISTORY, historyId), {
+        id: historyId,
+        schedule_id: schedule.id || null,
+        pack: schedule.pack,
+        title: pack.title,
+        period,
+        location: pack.location,
+        status: 'Generated',
+        files,
+        summary: {
+          total_incidents: summary.total_incidents,
+          lost_time_injuries: summary.lost_time_injuries,
+          ltifr: pack.report.kpis.ltifr,
+          trifr: pack.report.kpis.trifr
+        },
+        outbox_id: outboxId,
+        owner_uid: user.uid,
+        owner_email: user.email,
+        company: mmsDB.COMPANY_ID,
+        generated_at: serverTimestamp()
+      });
+
+      batch.set(doc(db, mmsDB.COLLECTIONS.REPORT_OUTBOX, outboxId), {
+        id: outboxId,
+        history_id: historyId,
+        from: `MMS Safety Reports <${user.email}>`,
+        reply_to: user.email,
+        to: schedule.recipients,
+        subject: `[MMS Safety] ${pack.title}`,
+        text: [
+          pack.title,
+          `Period: ${period.from} to ${period.to}`,
+          `Incidents: ${summary.total_incidents} (lost time injuries: ${summary.lost_time_injuries})`,
+          `LTIFR: ${safetyKPIs.formatRate(pack.report.kpis.ltifr)}  TRIFR: ${safetyKPIs.formatRate(pack.report.kpis.trifr)}`,
+          '',
+          'The full pack is in the HTML body and attachments.'
+        ].join('\n'),
+        html_path: htmlFile.path,
+        // The HTML is always the body; it is attached as well only if chosen
+        attachments: files
+          .filter(file => file.format !== 'html' || schedule.formats.includes('html'))
+          .map(({ filename, path, url, size, content_type }) => ({ filename, path, url, size, content_type })),
+        status: 'Queued',
+        attempts: 0,
+        owner_uid: user.uid,
+        company: mmsDB.COMPANY_ID,
+        created_at: serverTimestamp()
+      });
+
+      await batch.commit();
+
+      await mmsDB.logAction('report_pack_generated', {
+        history_id: historyId,
+        schedule_id: schedule.id || null,
+        pack: schedule.pack,
+        period: `${period.from} to ${period.to}`,
+        recipients: schedule.recipients.length
+      }, { level: 1, category: 'data_access' });
+
+      return { success: true, history_id: historyId, outbox_id: outboxId, title: pack.title };
+
+    } catch (error) {
+      console.error('❌ Failed to generate report pack:', error);
+
+      // Failed runs are kept in history too, so a missing pack can be explained
+      try {
+        await setDoc(doc(db, mmsDB.COLLECTIONS.REPORT_HISTORY, historyId), {
+          id: historyId,
+          schedule_id: schedule.id || null,
+          pack: schedule.pack,
+          title: this.getPackTitle(schedule.pack, period, schedule.location),
+          period,
+          location: schedule.location || 'All',
+          status: 'Failed',
+          error: error.message,
+          files: [],
+          outbox_id: null,
+          owner_uid: user.uid,
+          owner_email: user.email,
+          company: mmsDB.COMPANY_ID,
+          generated_at: serverTimestamp()
+        });
+      } catch (historyError) {
+        console.error('❌ Failed to record report pack failure:', historyError);
+      }
+
+      return { success: false, history_id: historyId, error: error.message || 'Failed to generate report pack' };
+    }
+  }
+
+  async getHistory(count = 50) {
+    try {
+      const snapshot = await getDocs(query(
+        collection(db, mmsDB.COLLECTIONS.REPORT_HISTORY),
+        where('owner_uid', '==', window.mmsAuth.currentUser.uid),
+        orderBy('generated_at', 'desc'),
+        limit(count)
+      ));
+      return { success: true, data: snapshot.docs.map(item => ({ id: item.id, ...item.data() })) };
+    } catch (error) {
+      console.error('❌ Failed to load report history:', error);
+      return { success: false, error: 'Failed to load report history', data: [] };
+    }
+  }
+
+  // Admins see every message, since they run the relay; others see their own
+  async getOutbox(count = 50) {
+    try {
+      const constraints = window.mmsAuth.userRole === 'admin'
+        ? []
+        : [where('owner_uid', '==', window.mmsAuth.currentUser.uid)];
+      const snapshot = await getDocs(query(
+        collection(db, mmsDB.COLLECTIONS.REPORT_OUTBOX),
+        ...constraints,
+        orderBy('created_at', 'desc'),
+        limit(count)
+      ));
+      return { success: true, data: snapshot.docs.map(item => ({ id: item.id, ...item.data() })) };
+    } catch (error) {
+      console.error('❌ Failed to load outbox:', error);
+      return { success: false, error: 'Failed to load outbox', data: [] };
+    }
+  }
+
+  // ==================== DELIVERY ====================
+
+  bytesToBase64(bytes) {
+    let binary = '';
+    for (let index = 0; index < bytes.length; index += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(index, index + 0x8000));
+    }
+    return btoa(binary).replace(/.{1,76}/g, '$&\r\n');
+  }
+
+  encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value)
+      ? value
+      : `=?UTF-8?B?${this.bytesToBase64(new TextEncoder().encode(value)).replace(/\r\n/g, '')}?=`;
+  }
+
+  // RFC 5322 message with the pack HTML as the body and the stored files
+  // attached, ready for an SMTP relay or `sendmail -t`
+  async buildEML(message) {
+    const mixed = `mms-mixed-${message.id}`;
+    const alternative = `mms-alt-${message.id}`;
+    const text = (value) => this.bytesToBase64(new TextEncoder().encode(value));
+    const html = message.html_path ? await (await getBlob(ref(storage, message.html_path))).text() : null;
+
+    const parts = [
+      `From: ${message.from}`,
+      `Reply-To: ${message.reply_to}`,
+      `To: ${message.to.join(', ')}`,
+      `Subject: ${this.encodeHeader(message.subject)}`,
+      `Date: ${new Date().toUTCString()}`,
+      `Message-ID: <${message.id}@mms-safety>`,
+      'MIME-Version: 1.0',
+      `Content-Type: multipart/mixed; boundary="${mixed}"`,
+      '',
+      `--${mixed}`,
+      `Content-Type: multipart/alternative; boundary="${alternative}"`,
+      '',
+      `--${alternative}`,
+      'Content-Type: text/plain; charset=UTF-8',
+      'Content-Transfer-Encoding: base64',
+      '',
+      text(message.text)
+    ];
+
+    if (html) {
+      parts.push(`--${alternative}`, 'Content-Type: text/html; charset=UTF-8', 'Content-Transfer-Encoding: base64', '', text(html));
+    }
+    parts.push(`--${alternative}--`, '');
+
+    for (const attachment of message.attachments || []) {
+      const blob = await getBlob(ref(storage, attachment.path));
+      parts.push(
+        `--${mixed}`,
+        `Content-Type: ${attachment.content_type}; name="${attachment.filename}"`,
+        'Content-Transfer-Encoding: base64',
+        `Content-Disposition: attachment; filename="${attachment.filename}"`,
+        '',
+        this.bytesToBase64(new Uint8Array(await blob.arrayBuffer()))
+      );
+    }
+    parts.push(`--${mixed}--`, '');
+
+    return parts.join('\r\n');
+  }
+
+  async downloadEML(messageId) {
+    const outbox = await this.getOutbox(200);
+    const message = outbox.data.find(item => item.id === messageId);
+    if (!message) return { success: false, error: 'Message not found' };
+
+    try {
+      const eml = await this.buildEML(message);
+      const url = URL.createObjectURL(new Blob([eml], { type: 'message/rfc822' }));
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${message.id}.eml`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Failed to build email:', error);
+      return { success: false, error: 'Failed to build email' };
+    }
+  }
+
+  getRelayURL() {
+    return localStorage.getItem(this.RELAY_URL_KEY) || '';
+  }
+
+  setRelayURL(url) {
+    if (url) {
+      localStorage.setItem(this.RELAY_URL_KEY, url.trim());
+    } else {
+      localStorage.removeItem(this.RELAY_URL_KEY);
+    }
+  }
+
+  // Default transport: POST the raw message to a local SMTP stand-in that
+  // answers 2xx once it has accepted it, optionally with { message_id }
+  relayTransport(url) {
+    return async (eml) => {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'message/rfc822' },
+        body: eml
+      });
+      if (!response.ok) throw new Error(`Relay responded ${response.status}`);
+      const body = await response.json().catch(() => ({}));
+      return { message_id: body.message_id || null };
+    };
+  }
+
+  async claimOutboxMessage(messageId) {
+    return runTransaction(db, async (transaction) => {
+      const messageRef = doc(db, mmsDB.COLLECTIONS.REPORT_OUTBOX, messageId);
+      const snapshot = await transaction.get(messageRef);
+      if (!snapshot.exists() || snapshot.data().status !== 'Queued') return null;
+
+      transaction.update(messageRef, {
+        status: 'Sending',
+        claimed_by: window.mmsAuth.currentUser.email,
+        claimed_at: serverTimestamp(),
+        lease_expires_at: Timestamp.fromMillis(Date.now() + this.DELIVERY_LEASE_MS)
+      });
+      return { id: snapshot.id, ...snapshot.data() };
+    });
+  }
+
+  // The interrupted attempt counts, so a message that keeps stalling ends up Failed
+  async requeueExpiredLeases() {
+    const snapshot = await getDocs(query(
+      collection(db, mmsDB.COLLECTIONS.REPORT_OUTBOX),
+      where('status', '==', 'Sending'),
+      limit(20)
+    ));
+
+    let requeued = 0;
+    for (const item of snapshot.docs) {
+      const expired = await runTransaction(db, async (transaction) => {
+        const current = await transaction.get(item.ref);
+        const message = current.data();
+        const leaseEnd = message?.lease_expires_at?.toMillis()
+          ?? (message?.claimed_at?.toMillis() || 0) + this.DELIVERY_LEASE_MS;
+        if (message?.status !== 'Sending' || leaseEnd > Date.now()) return false;
+
+        const attempts = (message.attempts || 0) + 1;
+        transaction.update(item.ref, {
+          status: attempts >= this.MAX_DELIVERY_ATTEMPTS ? 'Failed' : 'Queued',
+          attempts,
+          lease_expires_at: null,
+          error: `Delivery by ${message.claimed_by || 'unknown'} did not finish`
+        });
+        return true;
+      });
+      if (expired) requeued++;
+    }
+
+    if (requeued > 0) console.warn(`⚠️ Requeued ${requeued} outbox message(s) with expired delivery leases`);
+    return requeued;
+  }
+
+  // Sends queued messages through `transport(eml, message)`. Failures (and
+  // expired leases) go back to the queue until MAX_DELIVERY_ATTEMPTS, then
+  // stay Failed.
+  async deliverOutbox(transport = null) {
+    const relayURL = this.getRelayURL();
+    if (!transport && !relayURL) return { success: false, error: 'Set the SMTP relay URL first' };
+    transport = transport || this.relayTransport(relayURL);
+
+    try {
+      const requeued = await this.requeueExpiredLeases();
+      const snapshot = await getDocs(query(
+        collection(db, mmsDB.COLLECTIONS.REPORT_OUTBOX),
+        where('status', '==', 'Queued'),
+        limit(20)
+      ));
+
+      const results = { sent: 0, failed: 0, requeued };
+      for (const item of snapshot.docs) {
+        const message = await this.claimOutboxMessage(item.id);
+        if (!message) continue;
+
+        const messageRef = doc(db, mmsDB.COLLECTIONS.REPORT_OUTBOX, message.id);
+        try {
+          const sent = await transport(await this.buildEML(message), message);
+          await updateDoc(messageRef, {
+            status: 'Sent',
+            attempts: (message.attempts || 0) + 1,
+            lease_expires_at: null,
+            sent_at: serverTimestamp(),
+            message_id: sent?.message_id || null,
+            error: null
+          });
+          results.sent++;
+        } catch (error) {
+          const attempts = (message.attempts || 0) + 1;
+          await updateDoc(messageRef, {
+            status: attempts >= this.MAX_DELIVERY_ATTEMPTS ? 'Failed' : 'Queued',
+            attempts,
+            lease_expires_at: null,
+            error: error.message
+          });
+          results.failed++;
+        }
+      }
+
+      await mmsDB.logAction('report_outbox_delivered', results, { level: 1, category: 'system' });
+      return { success: true, ...results };
+
+    } catch (error) {
+      console.error('❌ Outbox delivery failed:', error);
+      return { success: false, error: 'Outbox delivery failed' };
+    }
+  }
+
+  // ==================== UI ====================
+
+  escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value ?? '';
+    return div.innerHTML;
+  }
+
+  formatTimestamp(value) {
+    const date = value?.toDate?.() || (value ? new Date(value) : null);
+    return date ? date.toLocaleString() : '—';
+  }
+
+  async showManager(tab = 'schedules') {
+    if (!this.canSchedule()) {
+      alert('❌ You do not have permission to schedule reports');
+      return;
+    }
+
+    document.getElementById('reportPacksModal')?.remove();
+
+    const modal = document.createElement('div');
+    modal.id = 'reportPacksModal';
+    modal.className = 'modal';
+    modal.innerHTML = `
+      <div class="modal-content" style="max-width: 1000px;">
+        <button class="close-modal" onclick="document.getElementById('reportPacksModal').remove()">×</button>
+        <div class="modal-header">
+          <h2>Scheduled Report Packs</h2>
+          <p>Weekly site packs and monthly executive summaries, built automatically and queued for email</p>
+        </div>
+        <div style="display: flex; gap: 0.5rem; margin-bottom: 1rem;">
+          ${[['schedules', '🗓️ Schedules'], ['history', '📚 History'], ['outbox', '📤 Outbox']].map(([key, label]) => `
+            <button class="btn ${key === tab ? 'btn-primary' : 'btn-outline'}" data-tab="${key}">${label}</button>
+          `).join('')}
+        </div>
+        <div id="reportPacksContent"><p style="color: var(--text-light);">Loading...</p></div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+    modal.style.display = 'block';
+    modal.querySelectorAll('[data-tab]').forEach(button => {
+      button.addEventListener('click', () => this.showManager(button.dataset.tab));
+    });
+
+    const content = modal.querySelector('#reportPacksContent');
+    if (tab === 'history') {
+      await this.renderHistory(content);
+    } else if (tab === 'outbox') {
+      await this.renderOutbox(content);
+    } else {
+      await this.renderSchedules(content);
+    }
+  }
+
+  async renderSchedules(container) {
+    const schedules = await this.getSchedules();
+    const sites = mmsDB.MMS_LOCATIONS.filter(site => mmsDB.canAccessLocation(site.name));
+    const inputStyle = 'width: 100%; padding: 0.5rem; border: 1px solid var(--border); border-radius: 6px;';
+    const esc = (value) => this.escapeHtml(value);
+
+    container.innerHTML = `
+      <table class="data-table" style="width: 100%;">
+        <thead><tr><th>Schedule</th><th>Recipients</th><th>Next run</th><th>Last run</th><th></th></tr></thead>
+        <tbody>
+          ${schedules.data.length === 0 ? '<tr><td colspan="5" style="text-align: center; color: var(--text-light);">No schedules yet</td></tr>' : schedules.data.map(schedule => `
+            <tr>
+              <td>
+                <strong>${esc(schedule.name)}</strong><br>
+                <small style="color: var(--text-light);">${esc(this.PACKS[schedule.pack]?.label)} · ${esc(schedule.location || 'All my sites')} · ${schedule.formats.map(format => format.toUpperCase()).join(' + ')}</small>
+              </td>
+              <td style="font-size: 0.85rem;">${schedule.recipients.map(esc).join('<br>')}</td>
+              <td>${schedule.enabled ? this.formatTimestamp(schedule.next_run_at) : '<span style="color: var(--text-light);">Paused</span>'}</td>
+              <td>
+                ${this.formatTimestamp(schedule.last_run_at)}
+                ${schedule.last_status ? `<br><small style="color: ${schedule.last_status === 'Failed' ? 'var(--error)' : 'var(--text-light)'};" title="${esc(schedule.last_error || '')}">${esc(schedule.last_status)}</small>` : ''}
+              </td>
+              <td style="white-space: nowrap;">
+                <button class="btn btn-outline" data-run="${esc(schedule.id)}" title="Build the pack for the last complete period now">▶️ Run now</button>
+                <button class="btn btn-outline" data-toggle="${esc(schedule.id)}">${schedule.enabled ? '⏸️' : '▶️'}</button>
+                <button class="btn btn-outline" data-delete="${esc(schedule.id)}">🗑️</button>
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+
+      <h3 style="margin: 1.5rem 0 0.75rem;">New schedule</h3>
+      <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(220px, 1fr)); gap: 0.75rem;">
+        <label>Pack
+          <select data-field="pack" style="${inputStyle}">
+            ${Object.entries(this.PACKS).map(([key, pack]) => `<option value="${key}">${esc(pack.label)}</option>`).join('')}
+          </select>
+        </label>
+        <label>Site
+          <select data-field="location" style="${inputStyle}">
+            <option value="">All my sites (executive summary only)</option>
+            ${sites.map(site => `<option value="${esc(site.name)}">${esc(site.name)}</option>`).join('')}
+          </select>
+        </label>
+        <label>Name (optional)
+          <input type="text" data-field="name" style="${inputStyle}">
+        </label>
+      </div>
+      <label style="display: block; margin-top: 0.75rem;">Recipients (comma or one per line)
+        <textarea data-field="recipients" rows="2" style="${inputStyle}">${esc(window.mmsAuth.currentUser.email)}</textarea>
+      </label>
+      <div style="display: flex; gap: 1rem; margin-top: 0.75rem; align-items: center;">
+        <label><input type="checkbox" data-format="pdf" checked> PDF</label>
+        <label><input type="checkbox" data-format="html" checked> HTML attachment</label>
+        <span style="flex: 1;"></span>
+        <button class="btn btn-primary" data-create>💾 Save schedule</button>
+      </div>
+      <p style="color: var(--text-light); font-size: 0.8rem;">
+        Weekly packs cover Monday to Sunday and are built from ${this.RUN_HOUR}:00 on Monday; monthly summaries cover the previous month and are built on the 1st.
+        Packs are built while the app is open on one of your devices.
+      </p>
+    `;
+
+    container.querySelector('[data-create]').addEventListener('click', async () => {
+      const field = (name) => container.querySelector(`[data-field="${name}"]`).value;
+      const result = await this.saveSchedule({
+        pack: field('pack'),
+        location: field('location'),
+        name: field('name'),
+        recipients: field('recipients'),
+        formats: [...container.querySelectorAll('[data-format]:checked')].map(input => input.dataset.format)
+      });
+
+      if (!result.success) {
+        alert(`❌ ${result.error}`);
+        return;
+      }
+      window.showToast?.('Schedule Saved', `First pack due ${new Date(result.next_run_at).toLocaleString()}`, 'success');
+      this.showManager('schedules');
+    });
+
+    container.querySelectorAll('[data-run]').forEach(button => {
+      button.addEventListener('click', async () => {
+        const schedule = schedules.data.find(item => item.id === button.dataset.run);
+        button.disabled = true;
+        button.textContent = '⏳';
+        const result = await this.generatePack(schedule);
+        if (!result.success) {
+          alert(`❌ ${result.error}`);
+        } else {
+          window.showToast?.('Report Pack Ready', `${result.title} queued in the outbox`, 'success');
+        }
+        this.showManager(result.success ? 'history' : 'schedules');
+      });
+    });
+
+    container.querySelectorAll('[data-toggle]').forEach(button => {
+      button.addEventListener('click', async () => {
+        const schedule = schedules.data.find(item => item.id === button.dataset.toggle);
+        const result = await this.setScheduleEnabled(schedule.id, !schedule.enabled, schedule.pack);
+        if (!result.success) alert(`❌ ${result.error}`);
+        this.showManager('schedules');
+      });
+    });
+
+    container.querySelectorAll('[data-delete]').forEach(button => {
+      button.addEventListener('click', async () => {
+        if (!confirm('Delete this schedule? Its history and sent emails are kept.')) return;
+        const result = await this.deleteSchedule(button.dataset.delete);
+        if (!result.success) alert(`❌ ${result.error}`);
+        this.showManager('schedules');
+      });
+    });
+  }
+
+  async renderHistory(container) {
+    const history = await this.getHistory();
+    const esc = (value) => this.escapeHtml(value);
+
+    container.innerHTML = `
+      <table class="data-table" style="width: 100%;">
+        <thead><tr><th>Generated</th><th>Pack</th><th>Incidents</th><th>Files</th><th>Status</th></tr></thead>
+        <tbody>
+          ${history.data.length === 0 ? '<tr><td colspan="5" style="text-align: center; color: var(--text-light);">No packs generated yet</td></tr>' : history.data.map(entry => `
+            <tr>
+              <td>${this.formatTimestamp(entry.generated_at)}</td>
+              <td><strong>${esc(entry.title)}</strong><br><small style="color: var(--text-light);">${esc(entry.period.from)} to ${esc(entry.period.to)}</small></td>
+              <td>${entry.summary ? `${entry.summary.total_incidents} (${entry.summary.lost_time_injuries} LTI)` : '—'}</td>
+              <td>${entry.files.map(file => `<a href="${esc(file.url)}" target="_blank" rel="noopener">${file.format.toUpperCase()}</a>`).join(' · ') || '—'}</td>
+              <td style="color: ${entry.status === 'Failed' ? 'var(--error)' : 'inherit'};" title="${esc(entry.error || '')}">${esc(entry.status)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  async renderOutbox(container) {
+    const outbox = await this.getOutbox();
+    const isAdmin = window.mmsAuth.userRole === 'admin';
+    const esc = (value) => this.escapeHtml(value);
+    const statusColor = { Queued: 'var(--warning)', Sending: 'var(--secondary)', Sent: 'var(--success)', Failed: 'var(--error)' };
+
+    container.innerHTML = `
+      ${isAdmin ? `
+        <div style="display: flex; gap: 0.5rem; align-items: center; margin-bottom: 1rem;">
+          <input type="url" id="smtpRelayURL" value="${esc(this.getRelayURL())}" placeholder="Local SMTP relay URL, e.g. http://localhost:8025/send"
+                 style="flex: 1; padding: 0.5rem; border: 1px solid var(--border); border-radius: 6px;">
+          <button class="btn btn-primary" data-deliver>📨 Deliver queued</button>
+        </div>
+      ` : ''}
+      <table class="data-table" style="width: 100%;">
+        <thead><tr><th>Queued</th><th>Subject</th><th>To</th><th>Status</th><th></th></tr></thead>
+        <tbody>
+          ${outbox.data.length === 0 ? '<tr><td colspan="5" style="text-align: center; color: var(--text-light);">Outbox is empty</td></tr>' : outbox.data.map(message => `
+            <tr>
+              <td>${this.formatTimestamp(message.created_at)}</td>
+              <td>${esc(message.subject)}<br><small style="color: var(--text-light);">${(message.attachments || []).map(file => esc(file.filename)).join(', ')}</small></td>
+              <td style="font-size: 0.85rem;">${message.to.map(esc).join('<br>')}</td>
+              <td>
+                <span style="color: ${statusColor[message.status] || 'inherit'}; font-weight: 600;">${esc(message.status)}</span>
+                ${message.sent_at ? `<br><small>${this.formatTimestamp(message.sent_at)}</small>` : ''}
+                ${message.error ? `<br><small style="color: var(--error);">${esc(message.error)} (attempt ${message.attempts})</small>` : ''}
+              </td>
+              <td><button class="btn btn-outline" data-eml="${esc(message.id)}" title="Download as an .eml file">⬇️ .eml</button></td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+
+    container.querySelectorAll('[data-eml]').forEach(button => {
+      button.addEventListener('click', async () => {
+        const result = await this.downloadEML(button.dataset.eml);
+        if (!result.success) alert(`❌ ${result.error}`);
+      });
+    });
+
+    container.querySelector('[data-deliver]')?.addEventListener('click', async () => {
+      this.setRelayURL(container.querySelector('#smtpRelayURL').value);
+      const result = await this.deliverOutbox();
+      if (!result.success) {
+        alert(`❌ ${result.error}`);
+        return;
+      }
+      window.showToast?.('Outbox', `${result.sent} sent, ${result.failed} failed${result.requeued ? `, ${result.requeued} stalled retried` : ''}`, result.failed ? 'warning' : 'success');
+      this.showManager('outbox');
+    });
+  }
+}
+
+// Create global instance
+const reportScheduler = new ReportScheduler();
+
+// Make scheduler globally available
+window.reportScheduler = reportScheduler;
+
+export { reportScheduler };
+
+console.log('✅ Report Scheduler Ready');
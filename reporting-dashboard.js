@@ -1,5 +1,7 @@
 // MMS Safety - Management Reporting Dashboard
 import { mmsDB } from './database-service.js';
+import { correctiveActions } from './corrective-actions.js';
+import { safetyKPIs } from './safety-kpis.js';
 
 class SafetyReportingDashboard {
   constructor() {
@@ -14,6 +16,29 @@ class SafetyReportingDashboard {
       RISK_ASSESSMENT: 'risk_assessment'
     };
     
+    this.incidentTypes = ['Near Miss', 'First Aid', 'Medical Treatment', 'Lost Time Injury', 'Property Damage', 'Environmental Incident'];
+    this.severityLevels = ['Minor', 'Moderate', 'Serious', 'Critical'];
+    this.severityColors = { Minor: '#10b981', Moderate: '#f59e0b', Serious: '#f97316', Critical: '#ef4444' };
+    this.timeOfDayOrder = ['Morning (6am-12pm)', 'Lunch (12pm-2pm)', 'Afternoon (2pm-6pm)', 'Evening (6pm-10pm)', 'Night (10pm-6am)'];
+    
+    // Dashboard filters kept in the query string so a view can be bookmarked
+    // or shared: ?report=incidents&from=&to=&country=&site=&type=&drill=
+    this.URL_PARAMS = ['from', 'to', 'country', 'site', 'type', 'drill'];
+    
+    // Chart dimensions a bar click drills into. keys() returns every bucket an
+    // incident belongs to - an incident can have several root causes.
+    this.drillDimensions = {
+      month: { label: 'Month', keys: incident => [this.getMonthKey(incident.date_time)] },
+      severity: { label: 'Severity', keys: incident => [incident.severity || 'Unknown'] },
+      location: { label: 'Site', keys: incident => [incident.location || 'Unknown'] },
+      time: { label: 'Time of day', keys: incident => [this.getTimeOfDay(new Date(incident.date_time).getHours())] },
+      cause: { label: 'Root cause', keys: incident => incident.root_cause_categories || [] }
+    };
+    
+    this.analyticsCharts = {};
+    this.analyticsIncidents = [];
+    this.analyticsContainerId = null;
+    
     this.init();
   }
 
@@ -22,6 +47,14 @@ class SafetyReportingDashboard {
     
     // Make available globally
     window.safetyReports = this;
+    
+    // Back/forward steps through drill-downs while the dashboard is open
+    window.addEventListener('popstate', () => {
+      const container = document.getElementById(this.analyticsContainerId);
+      if (container?.offsetParent && new URLSearchParams(window.location.search).get('report') === 'incidents') {
+        this.renderInteractiveDashboard(this.analyticsContainerId);
+      }
+    });
   }
 
   // ==================== REPORT GENERATION ====================
@@ -38,8 +71,13 @@ class SafetyReportingDashboard {
         severity: options.severity || 'All'
       };
       
-      // Get incident data
-      const incidentsResult = await mmsDB.getIncidents(filters);
+      // Get incident data; date-only bounds cover the whole end day
+      const dayBound = (value, time) => /^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T${time}` : value;
+      const incidentsResult = await mmsDB.getIncidents({
+        ...filters,
+        startDate: dayBound(filters.startDate, '00:00:00'),
+        endDate: dayBound(filters.endDate, '23:59:59')
+      });
       
       if (!incidentsResult.success) {
         throw new Error('Failed to fetch incident data');
@@ -52,6 +90,17 @@ class SafetyReportingDashboard {
       const trends = this.analyzeIncidentTrends(incidents);
       const hotspots = this.identifySafetyHotspots(incidents);
       const rootCauses = this.analyzeRootCauses(incidents);
+      const actionStats = await correctiveActions.getCompletionStats(filters);
+      
+      // Man-hours are recorded per month, so whole months the period touches count
+      const months = safetyKPIs.monthRange(filters.startDate.slice(0, 7), filters.endDate.slice(0, 7));
+      const manHoursResult = await safetyKPIs.getManHours({
+        from: months[0],
+        to: months[months.length - 1],
+        location: filters.location === 'All' ? null : filters.location
+      });
+      const rates = safetyKPIs.aggregate(incidents, manHoursResult.data, 'company', months)[0]
+        || safetyKPIs.withRates(safetyKPIs.emptyTotals('Company'), months.length);
       
       // Generate report structure
       const report = {
@@ -102,16 +151,39 @@ class SafetyReportingDashboard {
           examples: cause.examples,
           corrective_actions: cause.actions
         })),
+        root_cause_coverage: {
+          analysed: incidents.filter(incident => (incident.root_cause_categories || []).length > 0).length,
+          total: incidents.length
+        },
         
         // Key Performance Indicators
         kpis: {
-          incident_rate_per_100_employees: this.calculateIncidentRate(stats.total),
+          // Per 200,000 hours (100 full-time employees for a year); null without man-hours
+          incident_rate_per_200k_hours: this.calculateIncidentRate(stats.total, rates.man_hours),
+          // Per 1,000,000 man-hours; null without man-hours
+          ltifr: rates.ltifr,
+          trifr: rates.trifr,
+          aifr: rates.aifr,
+          severity_rate: rates.severity_rate,
+          days_lost: rates.days_lost,
+          man_hours: rates.man_hours,
+          man_hours_complete: rates.complete,
           days_since_last_lost_time_injury: this.calculateDaysSinceLastLTI(incidents),
           severity_index: this.calculateSeverityIndex(incidents),
-          corrective_action_completion_rate: 0.85, // Would come from database
+          // Actions due in the period that are completed; null when none were due
+          corrective_action_completion_rate: actionStats.success ? actionStats.rate : null,
           safety_training_completion_rate: 0.92
         },
         
+        // Corrective & preventive actions due in the period
+        corrective_actions: {
+          total_due: actionStats.total || 0,
+          completed: actionStats.completed || 0,
+          verified_effective: actionStats.verified || 0,
+          overdue: actionStats.overdue || 0,
+          on_time_rate: actionStats.on_time_rate ?? null
+        },
+        
         // Recommendations
         recommendations: [
           {
@@ -302,51 +374,27 @@ class SafetyReportingDashboard {
       .slice(0, 5); // Top 5 hotspots
   }
 
+  // Counts the root cause categories confirmed in investigations, which
+  // IncidentInvestigator copies onto each incident as root_cause_categories.
+  // An incident can have several, so percentages are of analysed incidents
+  // and may add up to more than 100.
   analyzeRootCauses(incidents) {
-    // Analyze incident descriptions for root causes
-    const causes = {
-      'Human Error': { count: 0, examples: [] },
-      'Equipment Failure': { count: 0, examples: [] },
-      'Procedural Violation': { count: 0, examples: [] },
-      'Environmental Factors': { count: 0, examples: [] },
-      'Training Deficiency': { count: 0, examples: [] },
-      'Supervision Issue': { count: 0, examples: [] },
-      'Communication Breakdown': { count: 0, examples: [] }
-    };
+    const causes = {};
+    const analysed = incidents.filter(incident => (incident.root_cause_categories || []).length > 0);
     
-    const keywords = {
-      'Human Error': ['forgot', 'mistake', 'error', 'careless', 'distracted', 'negligent'],
-      'Equipment Failure': ['broken', 'malfunction', 'failure', 'defect', 'faulty'],
-      'Procedural Violation': ['procedure', 'protocol', 'violation', 'not followed', 'skip'],
-      'Environmental Factors': ['weather', 'slippery', 'dark', 'noisy', 'congested'],
-      'Training Deficiency': ['untrained', 'no training', 'lack of knowledge', 'unfamiliar'],
-      'Supervision Issue': ['unsupervised', 'no supervisor', 'leadership', 'management'],
-      'Communication Breakdown': ['miscommunication', 'not informed', 'no warning', 'signal']
-    };
-    
-    incidents.forEach(incident => {
-      const desc = (incident.description || '').toLowerCase();
-      let found = false;
-      
-      for (const [cause, words] of Object.entries(keywords)) {
-        if (words.some(word => desc.includes(word))) {
-          causes[cause].count++;
-          causes[cause].examples.push(incident.description?.substring(0, 100) + '...');
-          found = true;
-          break;
+    analysed.forEach(incident => {
+      incident.root_cause_categories.forEach(category => {
+        if (!causes[category]) {
+          causes[category] = { count: 0, examples: [] };
         }
-      }
-      
-      if (!found) {
-        causes['Human Error'].count++; // Default
-        causes['Human Error'].examples.push(incident.description?.substring(0, 100) + '...');
-      }
+        causes[category].count++;
+        causes[category].examples.push(incident.description?.substring(0, 100) + '...');
+      });
     });
     
-    const total = incidents.length;
+    const total = analysed.length;
     
     return Object.entries(causes)
-      .filter(([_, data]) => data.count > 0)
       .map(([cause, data]) => ({
         category: cause,
         frequency: data.count,
@@ -357,6 +405,366 @@ class SafetyReportingDashboard {
       .sort((a, b) => b.frequency - a.frequency);
   }
 
+  // ==================== INTERACTIVE DASHBOARD ====================
+  
+  readURLState() {
+    const params = new URLSearchParams(window.location.search);
+    const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+    const today = new Date();
+    const yearAgo = new Date(today.getFullYear(), today.getMonth() - 11, 1);
+    
+    const country = params.get('country');
+    const site = params.get('site');
+    const type = params.get('type');
+    const [dimension, ...rest] = (params.get('drill') || '').split(':');
+    
+    return {
+      from: isDate(params.get('from')) ? params.get('from') : this.formatDateInput(yearAgo),
+      to: isDate(params.get('to')) ? params.get('to') : this.formatDateInput(today),
+      country: mmsDB.MMS_LOCATIONS.some(location => location.country === country) ? country : '',
+      site: mmsDB.MMS_LOCATIONS.some(location => location.name === site) ? site : '',
+      type: this.incidentTypes.includes(type) ? type : '',
+      drill: this.drillDimensions[dimension] && rest.length ? { dimension, value: rest.join(':') } : null
+    };
+  }
+  
+  writeURLState(state, mode = 'replace') {
+    const params = new URLSearchParams(window.location.search);
+    params.set('report', 'incidents');
+    
+    this.URL_PARAMS.forEach(key => {
+      const value = key === 'drill' ? (state.drill ? `${state.drill.dimension}:${state.drill.value}` : '') : state[key];
+      if (value) {
+        params.set(key, value);
+      } else {
+        params.delete(key);
+      }
+    });
+    
+    const url = `${window.location.pathname}?${params}${window.location.hash}`;
+    if (mode === 'push') {
+      history.pushState(null, '', url);
+    } else {
+      history.replaceState(null, '', url);
+    }
+  }
+  
+  clearURLState() {
+    const params = new URLSearchParams(window.location.search);
+    if (!params.has('report')) return;
+    
+    ['report', ...this.URL_PARAMS].forEach(key => params.delete(key));
+    const query = params.toString();
+    history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+  }
+  
+  // Opens the reports modal when the page was loaded from a shared dashboard link
+  restoreFromURL() {
+    if (new URLSearchParams(window.location.search).get('report') === 'incidents') {
+      window.openModal?.('reportsModal');
+    }
+  }
+  
+  async getAnalyticsIncidents(state) {
+    const result = await mmsDB.getIncidents({
+      startDate: `${state.from}T00:00:00`,
+      endDate: `${state.to}T23:59:59`,
+      location: state.site || 'All',
+      type: state.type || 'All'
+    });
+    
+    if (!result.success) return result;
+    
+    // Firestore can't combine a country lookup with the site scope, so filter here
+    const sites = state.country
+      ? mmsDB.MMS_LOCATIONS.filter(location => location.country === state.country).map(location => location.name)
+      : null;
+    
+    return {
+      success: true,
+      data: sites ? result.data.filter(incident => sites.includes(incident.location)) : result.data
+    };
+  }
+  
+  countBy(incidents, dimension) {
+    const counts = {};
+    incidents.forEach(incident => {
+      this.drillDimensions[dimension].keys(incident).forEach(key => {
+        counts[key] = (counts[key] || 0) + 1;
+      });
+    });
+    return counts;
+  }
+  
+  matchesDrill(incident, drill) {
+    return !drill || this.drillDimensions[drill.dimension].keys(incident).includes(drill.value);
+  }
+  
+  async renderInteractiveDashboard(containerId = 'reportsAnalytics') {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    
+    this.analyticsContainerId = containerId;
+    const state = this.readURLState();
+    this.writeURLState(state);
+    
+    const sites = mmsDB.MMS_LOCATIONS.filter(location => mmsDB.canAccessLocation(location.name));
+    const countries = [...new Set(sites.map(location => location.country))];
+    const inputStyle = 'padding: 0.5rem; border: 1px solid var(--border); border-radius: 6px;';
+    const option = (value, label, selected) => `<option value="${this.escapeHtml(value)}" ${selected ? 'selected' : ''}>${this.escapeHtml(label)}</option>`;
+    const chartCard = (id, title) => `
+      <div class="chart-card" style="display: flex; flex-direction: column;">
+        <div style="font-weight: 600; margin-bottom: 0.5rem;">${title}</div>
+        <div style="flex: 1; min-height: 0; position: relative;"><canvas id="${id}"></canvas></div>
+      </div>
+    `;
+    
+    container.innerHTML = `
+      <div style="display: flex; flex-wrap: wrap; gap: 0.5rem; align-items: flex-end; margin-bottom: 1rem;">
+        <label style="font-size: 0.85rem;">From<br><input type="date" data-filter="from" value="${state.from}" style="${inputStyle}"></label>
+        <label style="font-size: 0.85rem;">To<br><input type="date" data-filter="to" value="${state.to}" style="${inputStyle}"></label>
+        <label style="font-size: 0.85rem;">Country<br>
+          <select data-filter="country" style="${inputStyle}">
+            ${option('', 'All countries', !state.country)}
+            ${countries.map(country => option(country, country, country === state.country)).join('')}
+          </select>
+        </label>
+        <label style="font-size: 0.85rem;">Site<br>
+          <select data-filter="site" style="${inputStyle}">
+            ${option('', 'All sites', !state.site)}
+            ${sites.filter(location => !state.country || location.country === state.country)
+              .map(location => option(location.name, location.name, location.name === state.site)).join('')}
+          </select>
+        </label>
+        <label style="font-size: 0.85rem;">Incident type<br>
+          <select data-filter="type" style="${inputStyle}">
+            ${option('', 'All types', !state.type)}
+            ${this.incidentTypes.map(type => option(type, type, type === state.type)).join('')}
+          </select>
+        </label>
+        <button class="btn btn-outline" data-copy-link>🔗 Copy link</button>
+      </div>
+      <div id="analyticsSummary" style="color: var(--text-light); font-size: 0.9rem;">Loading incidents...</div>
+      <div class="chart-grid">
+        ${chartCard('analyticsMonthlyChart', 'Incidents by Month')}
+        ${chartCard('analyticsSeverityChart', 'Severity Mix')}
+        ${chartCard('analyticsLocationChart', 'Location Hotspots')}
+        ${chartCard('analyticsTimeChart', 'Time of Day')}
+        ${chartCard('analyticsCauseChart', 'Root Cause Pareto')}
+      </div>
+      <div id="analyticsDrillDown"></div>
+    `;
+    
+    container.querySelectorAll('[data-filter]').forEach(input => {
+      input.addEventListener('change', () => {
+        const next = { ...this.readURLState(), [input.dataset.filter]: input.value, drill: null };
+        
+        // A site outside the chosen country would return nothing
+        if (input.dataset.filter === 'country' && next.site && mmsDB.MMS_LOCATIONS.find(location => location.name === next.site)?.country !== next.country) {
+          next.site = '';
+        }
+        
+        this.writeURLState(next);
+        this.renderInteractiveDashboard(containerId);
+      });
+    });
+    
+    container.querySelector('[data-copy-link]').addEventListener('click', async () => {
+      try {
+        await navigator.clipboard.writeText(window.location.href);
+        window.showToast?.('Link Copied', 'This dashboard view can now be shared', 'success');
+      } catch (error) {
+        prompt('Copy this link:', window.location.href);
+      }
+    });
+    
+    const result = await this.getAnalyticsIncidents(state);
+    const summary = document.getElementById('analyticsSummary');
+    if (!result.success) {
+      summary.innerHTML = `<span style="color: var(--error);">❌ ${this.escapeHtml(result.error || 'Failed to load incidents')}</span>`;
+      return;
+    }
+    
+    this.analyticsIncidents = result.data;
+    const analysed = result.data.filter(incident => (incident.root_cause_categories || []).length > 0).length;
+    summary.textContent = `${result.data.length} incident(s) · ${analysed} with a confirmed root cause · click a bar to list its incidents`;
+    
+    this.renderAnalyticsCharts(state);
+    this.renderDrillDown(state.drill);
+  }
+  
+  renderAnalyticsCharts(state) {
+    if (typeof Chart === 'undefined') return;
+    
+    Object.values(this.analyticsCharts).forEach(chart => chart.destroy());
+    this.analyticsCharts = {};
+    
+    const incidents = this.analyticsIncidents;
+    
+    // Every month in the range, including those without incidents
+    const months = [];
+    const cursor = new Date(`${state.from}T00:00:00`);
+    cursor.setDate(1);
+    while (cursor <= new Date(`${state.to}T00:00:00`)) {
+      months.push(this.getMonthKey(cursor));
+      cursor.setMonth(cursor.getMonth() + 1);
+    }
+    const byMonth = this.countBy(incidents, 'month');
+    
+    const bySeverity = this.countBy(incidents, 'severity');
+    const severities = [...this.severityLevels, ...Object.keys(bySeverity).filter(key => !this.severityLevels.includes(key))]
+      .filter(key => bySeverity[key]);
+    
+    const byLocation = this.countBy(incidents, 'location');
+    const locations = Object.keys(byLocation).sort((a, b) => byLocation[b] - byLocation[a]);
+    
+    const byTime = this.countBy(incidents, 'time');
+    
+    const byCause = this.countBy(incidents, 'cause');
+    const causes = Object.keys(byCause).sort((a, b) => byCause[b] - byCause[a]);
+    const causeTotal = causes.reduce((sum, cause) => sum + byCause[cause], 0);
+    let running = 0;
+    const cumulative = causes.map(cause => {
+      running += byCause[cause];
+      return Math.round((running / causeTotal) * 100);
+    });
+    
+    this.analyticsCharts.month = this.createDrillChart('analyticsMonthlyChart', 'month', months, {
+      type: 'bar',
+      data: {
+        labels: months.map(month => new Date(`${month}-01T00:00:00`).toLocaleString('default', { month: 'short', year: '2-digit' })),
+        datasets: [{ label: 'Incidents', data: months.map(month => byMonth[month] || 0), backgroundColor: '#3b82f6' }]
+      },
+      options: { plugins: { legend: { display: false } }, scales: { y: { beginAtZero: true, ticks: { precision: 0 } } } }
+    });
+    
+    this.analyticsCharts.severity = this.createDrillChart('analyticsSeverityChart', 'severity', severities, {
+      type: 'doughnut',
+      data: {
+        labels: severities,
+        datasets: [{ data: severities.map(key => bySeverity[key]), backgroundColor: severities.map(key => this.severityColors[key] || '#94a3b8') }]
+      },
+      options: { plugins: { legend: { position: 'bottom' } } }
+    });
+    
+    this.analyticsCharts.location = this.createDrillChart('analyticsLocationChart', 'location', locations, {
+      type: 'bar',
+      data: {
+        labels: locations,
+        datasets: [{ label: 'Incidents', data: locations.map(key => byLocation[key]), backgroundColor: '#ef4444' }]
+      },
+      options: { indexAxis: 'y', plugins: { legend: { display: false } }, scales: { x: { beginAtZero: true, ticks: { precision: 0 } } } }
+    });
+    
+    this.analyticsCharts.time = this.createDrillChart('analyticsTimeChart', 'time', this.timeOfDayOrder, {
+      type: 'bar',
+      data: {
+        labels: this.timeOfDayOrder,
+        datasets: [{ label: 'Incidents', data: this.timeOfDayOrder.map(key => byTime[key] || 0), backgroundColor: '#8b5cf6' }]
+      },
+      options: { plugins: { legend: { display: false } }, scales: { y: { beginAtZero: true, ticks: { precision: 0 } } } }
+    });
+    
+    this.analyticsCharts.cause = this.createDrillChart('analyticsCauseChart', 'cause', causes, {
+      type: 'bar',
+      data: {
+        labels: causes,
+        datasets: [
+          { type: 'bar', label: 'Incidents', data: causes.map(key => byCause[key]), backgroundColor: '#f59e0b', order: 2 },
+          { type: 'line', label: 'Cumulative %', data: cumulative, borderColor: '#dc2626', yAxisID: 'percent', order: 1 }
+        ]
+      },
+      options: {
+        plugins: { legend: { position: 'bottom' } },
+        scales: {
+          y: { beginAtZero: true, ticks: { precision: 0 } },
+          percent: { position: 'right', min: 0, max: 100, grid: { drawOnChartArea: false }, ticks: { callback: value => `${value}%` } }
+        }
+      }
+    });
+  }
+  
+  // Chart whose bars drill into the incident list; keys[i] is the bucket
+  // behind label i (labels may be formatted, e.g. months)
+  createDrillChart(canvasId, dimension, keys, config) {
+    const canvas = document.getElementById(canvasId);
+    if (!canvas) return null;
+    
+    return new Chart(canvas, {
+      ...config,
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        ...config.options,
+        onClick: (event, elements) => {
+          if (elements.length > 0) this.drillDown(dimension, keys[elements[0].index]);
+        },
+        onHover: (event, elements) => {
+          event.native.target.style.cursor = elements.length > 0 ? 'pointer' : 'default';
+        }
+      }
+    });
+  }
+  
+  drillDown(dimension, value) {
+    const drill = value === undefined ? null : { dimension, value };
+    this.writeURLState({ ...this.readURLState(), drill }, 'push');
+    this.renderDrillDown(drill);
+  }
+  
+  renderDrillDown(drill) {
+    const container = document.getElementById('analyticsDrillDown');
+    if (!container) return;
+    
+    if (!drill) {
+      container.innerHTML = '';
+      return;
+    }
+    
+    const incidents = this.analyticsIncidents
+      .filter(incident => this.matchesDrill(incident, drill))
+      .sort((a, b) => new Date(b.date_time) - new Date(a.date_time));
+    const value = drill.dimension === 'month'
+      ? new Date(`${drill.value}-01T00:00:00`).toLocaleString('default', { month: 'long', year: 'numeric' })
+      : drill.value;
+    
+    container.innerHTML = `
+      <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 0.75rem;">
+        <div style="font-weight: 600;">
+          ${this.escapeHtml(this.drillDimensions[drill.dimension].label)}: ${this.escapeHtml(value)}
+          <span style="color: var(--text-light); font-weight: normal;">(${incidents.length} incident(s))</span>
+        </div>
+        <button class="btn btn-outline" data-clear-drill>✕ Clear</button>
+      </div>
+      <div style="overflow-x: auto; background: white; border: 1px solid var(--border); border-radius: 8px;">
+        <table class="data-table" style="width: 100%;">
+          <thead>
+            <tr><th>Date</th><th>Incident</th><th>Type</th><th>Site</th><th>Severity</th><th>Status</th><th>Root cause</th></tr>
+          </thead>
+          <tbody>
+            ${incidents.length === 0 ? '<tr><td colspan="7" style="text-align: center; color: var(--text-light);">No incidents</td></tr>' : incidents.map(incident => `
+              <tr>
+                <td>${new Date(incident.date_time).toLocaleString()}</td>
+                <td>
+                  <strong>${this.escapeHtml(incident.incident_number || incident.id)}</strong><br>
+                  <small style="color: var(--text-light);">${this.escapeHtml((incident.description || '').substring(0, 80))}</small>
+                </td>
+                <td>${this.escapeHtml(incident.type)}</td>
+                <td>${this.escapeHtml(incident.location)}</td>
+                <td><span style="color: ${this.severityColors[incident.severity] || 'inherit'}; font-weight: 600;">${this.escapeHtml(incident.severity)}</span></td>
+                <td>${this.escapeHtml(incident.status)}</td>
+                <td>${this.escapeHtml((incident.root_cause_categories || []).join(', ') || '—')}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+    
+    container.querySelector('[data-clear-drill]').addEventListener('click', () => this.drillDown());
+    container.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  }
+
   // ==================== REPORT EXPORT ====================
   
   async exportReportToPDF(reportData, format = 'pdf') {
@@ -388,7 +796,8 @@ class SafetyReportingDashboard {
     }
   }
 
-  generateReportHTML(report) {
+  // extraSections: HTML sections added before the footer (see ReportScheduler)
+  generateReportHTML(report, extraSections = '') {
     return `
       <!DOCTYPE html>
       <html>
@@ -485,6 +894,7 @@ class SafetyReportingDashboard {
         ${report.root_causes.length > 0 ? `
         <div class="section">
           <div class="section-title">Root Cause Analysis</div>
+          <p>Confirmed root causes from ${report.root_cause_coverage.analysed} of ${report.root_cause_coverage.total} incidents with a completed root cause analysis.</p>
           <table class="table">
             <thead>
               <tr>
@@ -540,8 +950,24 @@ class SafetyReportingDashboard {
           <div class="section-title">Safety Performance Indicators</div>
           <div class="kpi-grid">
             <div class="kpi-card">
-              <div class="kpi-value">${report.kpis.incident_rate_per_100_employees.toFixed(2)}</div>
-              <div class="kpi-label">Incident Rate (per 100 employees)</div>
+              <div class="kpi-value">${safetyKPIs.formatRate(report.kpis.incident_rate_per_200k_hours)}</div>
+              <div class="kpi-label">Incident Rate (per 200,000 hours)</div>
+            </div>
+            <div class="kpi-card">
+              <div class="kpi-value">${safetyKPIs.formatRate(report.kpis.ltifr)}</div>
+              <div class="kpi-label">LTIFR (per 1,000,000 hours)</div>
+            </div>
+            <div class="kpi-card">
+              <div class="kpi-value">${safetyKPIs.formatRate(report.kpis.trifr)}</div>
+              <div class="kpi-label">TRIFR (per 1,000,000 hours)</div>
+            </div>
+            <div class="kpi-card">
+              <div class="kpi-value">${safetyKPIs.formatRate(report.kpis.aifr)}</div>
+              <div class="kpi-label">AIFR (per 1,000,000 hours)</div>
+            </div>
+            <div class="kpi-card">
+              <div class="kpi-value">${safetyKPIs.formatRate(report.kpis.severity_rate)}</div>
+              <div class="kpi-label">Severity Rate (${report.kpis.days_lost} days lost)</div>
             </div>
             <div class="kpi-card">
               <div class="kpi-value">${report.kpis.days_since_last_lost_time_injury}</div>
@@ -552,12 +978,17 @@ class SafetyReportingDashboard {
               <div class="kpi-label">Severity Index</div>
             </div>
             <div class="kpi-card">
-              <div class="kpi-value">${(report.kpis.corrective_action_completion_rate * 100).toFixed(0)}%</div>
-              <div class="kpi-label">Corrective Action Completion</div>
+              <div class="kpi-value">${report.kpis.corrective_action_completion_rate === null ? '—' : `${(report.kpis.corrective_action_completion_rate * 100).toFixed(0)}%`}</div>
+              <div class="kpi-label">Corrective Action Completion (${report.corrective_actions.completed}/${report.corrective_actions.total_due}, ${report.corrective_actions.overdue} overdue)</div>
             </div>
           </div>
+          <p style="font-size: 12px; color: #64748b;">
+            Rates use ${Math.round(report.kpis.man_hours).toLocaleString()} man-hours${report.kpis.man_hours_complete ? '' : ' - man-hours are missing for some sites or months, so rates are overstated'}.
+          </p>
         </div>
         
+        ${extraSections}
+        
         <div class="footer">
           <p>Confidential - For Internal Use Only</p>
           <p>Metal Management Solutions Safety Department | ${new Date().getFullYear()}</p>
@@ -576,6 +1007,21 @@ class SafetyReportingDashboard {
     return date.toISOString().split('T')[0];
   }
 
+  getMonthKey(date) {
+    const value = new Date(date);
+    return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}`;
+  }
+  
+  formatDateInput(date) {
+    return `${this.getMonthKey(date)}-${String(date.getDate()).padStart(2, '0')}`;
+  }
+  
+  escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value ?? '';
+    return div.innerHTML;
+  }
+  
   getTimeOfDay(hour) {
     if (hour >= 6 && hour < 12) return 'Morning (6am-12pm)';
     if (hour >= 12 && hour < 14) return 'Lunch (12pm-2pm)';
@@ -585,7 +1031,9 @@ class SafetyReportingDashboard {
   }
 
   getMaxKey(obj) {
-    return Object.entries(obj).reduce((a, b) => a[1] > b[1] ? a : b)[0];
+    const entries = Object.entries(obj);
+    // A period without incidents has nothing to rank
+    return entries.length > 0 ? entries.reduce((a, b) => a[1] > b[1] ? a : b)[0] : '';
   }
 
   calculateAverageSeverity(severities) {
@@ -628,12 +1076,12 @@ class SafetyReportingDashboard {
 
   generateRootCauseActions(cause) {
     const actions = {
-      'Human Error': 'Implement additional safety training and job aids',
+      'Human Factors': 'Implement additional safety training and job aids',
       'Equipment Failure': 'Schedule preventive maintenance and equipment checks',
-      'Procedural Violation': 'Review and simplify safety procedures',
-      'Environmental Factors': 'Improve workplace design and environmental controls',
-      'Training Deficiency': 'Develop targeted safety training programs',
-      'Supervision Issue': 'Enhance supervisor training and oversight',
+      'Procedural Issues': 'Review and simplify safety procedures',
+      'Environmental Conditions': 'Improve workplace design and environmental controls',
+      'Management Systems': 'Strengthen supervision, planning and safety management controls',
+      'Training Deficiencies': 'Develop targeted safety training programs',
       'Communication Breakdown': 'Improve safety communication systems'
     };
     return actions[cause] || 'Review and address underlying factors';
@@ -650,9 +1098,9 @@ class SafetyReportingDashboard {
     return 'Continue current safety programs with regular monitoring and review.';
   }
 
-  calculateIncidentRate(totalIncidents) {
-    // Assuming 100 employees for calculation
-    return (totalIncidents / 100) * 100;
+  calculateIncidentRate(totalIncidents, manHours) {
+    // 200,000 hours = 100 full-time employees working a year
+    return manHours > 0 ? (totalIncidents * 200000) / manHours : null;
   }
 
   calculateDaysSinceLastLTI(incidents) {
@@ -673,15 +1121,16 @@ class SafetyReportingDashboard {
   }
 
   calculateSeverityIndex(incidents) {
-    const severityWeights = { critical: 10, high: 5, medium: 2, low: 1 };
+    // Incident form severities, plus the older high/medium/low scale
+    const severityWeights = { critical: 10, serious: 5, moderate: 2, minor: 1, high: 5, medium: 2, low: 1 };
     let totalWeight = 0;
     
     incidents.forEach(incident => {
-      const severity = incident.severity?.toLowerCase() || 'medium';
+      const severity = incident.severity?.toLowerCase() || 'moderate';
       totalWeight += severityWeights[severity] || 2;
     });
     
-    return totalIncidents > 0 ? totalWeight / incidents.length : 0;
+    return incidents.length > 0 ? totalWeight / incidents.length : 0;
   }
 
   getDateInFuture(days) {
@@ -822,4 +1271,6 @@ class SafetyReportingDashboard {
 const safetyReports = new SafetyReportingDashboard();
 window.safetyReports = safetyReports;
 
+export { safetyReports };
+
 console.log('✅ Safety Reporting Dashboard Ready');
@@ -0,0 +1,327 @@
+// Root Cause Analysis Editor (Fishbone + 5 Whys) - MMS Safety
+import { incidentInvestigator } from './incident-investigator.js';
+
+class RootCauseEditor {
+  constructor() {
+    this.investigationId = null;
+    this.analysis = null;
+    this.dirty = false;
+
+    console.log('🐟 Root Cause Editor Initialized');
+  }
+
+  // ==================== OPEN / SAVE ====================
+
+  async open(investigationId) {
+    const result = await incidentInvestigator.getInvestigationById(investigationId);
+
+    if (!result.success) {
+      alert(`❌ ${result.error}`);
+      return;
+    }
+
+    const investigation = result.data;
+    this.investigationId = investigationId;
+    this.analysis = investigation.root_cause_analysis
+      ? incidentInvestigator.normalizeRootCauseAnalysis(investigation.root_cause_analysis)
+      : incidentInvestigator.createRootCauseAnalysis(investigation.incident_description || '');
+    this.dirty = false;
+
+    this.renderModal(investigation);
+  }
+
+  async save() {
+    const result = await incidentInvestigator.saveRootCauseAnalysis(this.investigationId, this.analysis);
+
+    if (!result.success) {
+      alert(`❌ ${result.error}`);
+      return;
+    }
+
+    this.dirty = false;
+    this.close(true);
+    window.showToast?.('Root Cause Analysis',
+      `Saved - ${result.confirmed_root_causes} root cause(s) confirmed`, 'success');
+  }
+
+  close(force = false) {
+    if (!force && this.dirty && !confirm('Discard unsaved changes to the root cause analysis?')) {
+      return;
+    }
+    document.getElementById('rootCauseEditorModal')?.remove();
+    this.analysis = null;
+    this.investigationId = null;
+  }
+
+  // ==================== RENDERING ====================
+
+  renderModal(investigation) {
+    document.getElementById('rootCauseEditorModal')?.remove();
+
+    const modal = document.createElement('div');
+    modal.id = 'rootCauseEditorModal';
+    modal.className = 'modal';
+    modal.innerHTML = `
+      <div class="modal-content" style="max-width: 1100px;">
+        <button class="close-modal" onclick="rootCauseEditor.close()">×</button>
+        <div class="modal-header">
+          <h2>Root Cause Analysis</h2>
+          <p>${incidentInvestigator.escapeHtml(investigation.id)} · ${incidentInvestigator.escapeHtml(investigation.incident_type || '')} · ${incidentInvestigator.escapeHtml(investigation.incident_location || '')}</p>
+        </div>
+        <div id="rootCauseEditorBody"></div>
+        <div class="action-buttons">
+          <button class="btn btn-outline" onclick="rootCauseEditor.close()">Cancel</button>
+          <button class="btn btn-primary" onclick="rootCauseEditor.save()">💾 Save Analysis</button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+    modal.style.display = 'block';
+
+    const body = modal.querySelector('#rootCauseEditorBody');
+    body.addEventListener('input', (event) => this.handleInput(event));
+    body.addEventListener('change', (event) => this.handleInput(event));
+    body.addEventListener('click', (event) => this.handleClick(event));
+
+    this.renderBody();
+  }
+
+  renderBody() {
+    const body = document.getElementById('rootCauseEditorBody');
+    if (!body) return;
+
+    const fieldStyle = 'width: 100%; padding: 0.5rem; border: 1px solid var(--border); border-radius: 6px;';
+    const hasCauses = this.analysis.fishbone.bones.some(bone => bone.causes.length > 0);
+
+    body.innerHTML = `
+      <div style="display: grid; grid-template-columns: 1fr 220px; gap: 1rem; margin-bottom: 1.5rem;">
+        <label>Problem statement (the effect being analysed)
+          <textarea data-field="problem_statement" rows="2" style="${fieldStyle}">${incidentInvestigator.escapeHtml(this.analysis.problem_statement)}</textarea>
+        </label>
+        <label>Fishbone categories
+          <select data-field="bone_set" style="${fieldStyle}" ${hasCauses ? 'disabled title="Remove all causes to switch category set"' : ''}>
+            <option value="MMS" ${this.analysis.fishbone.bone_set === 'MMS' ? 'selected' : ''}>MMS root cause categories</option>
+            <option value="6M" ${this.analysis.fishbone.bone_set === '6M' ? 'selected' : ''}>6M (Ishikawa)</option>
+          </select>
+        </label>
+      </div>
+
+      <h3 style="margin-bottom: 0.75rem;">🐟 Fishbone Diagram</h3>
+      <div id="rootCauseFishbone" style="border: 1px solid var(--border); border-radius: 8px; margin-bottom: 1rem; overflow: hidden;">
+        ${incidentInvestigator.renderFishboneSVG(this.analysis)}
+      </div>
+      <div style="display: grid; grid-template-columns: repeat(auto-fill, minmax(300px, 1fr)); gap: 1rem; margin-bottom: 2rem;">
+        ${this.analysis.fishbone.bones.map((bone, boneIndex) => this.renderBone(bone, boneIndex)).join('')}
+      </div>
+
+      <h3 style="margin-bottom: 0.25rem;">❓ 5 Whys</h3>
+      <p style="color: var(--text-light); font-size: 0.9rem; margin-bottom: 0.75rem;">
+        Ask "why?" of each answer until you reach a cause you can act on. Branch when an answer has more than one cause.
+      </p>
+      <div style="margin-bottom: 1rem;">
+        ${this.renderWhyNodes(null, 1) || '<p style="color: var(--text-light);">No whys yet.</p>'}
+      </div>
+      <button class="btn btn-outline" data-action="add-why">➕ Add first "why"</button>
+    `;
+  }
+
+  renderBone(bone, boneIndex) {
+    return `
+      <div style="border: 1px solid var(--border); border-radius: 8px; padding: 0.75rem; background: var(--background);">
+        <div style="font-weight: 600; margin-bottom: 0.5rem;">${incidentInvestigator.escapeHtml(bone.category)}</div>
+        ${bone.causes.map(cause => `
+          <div style="background: white; border: 1px solid var(--border); border-radius: 6px; padding: 0.5rem; margin-bottom: 0.5rem;">
+            <div style="display: flex; gap: 0.5rem;">
+              <input data-bone="${boneIndex}" data-cause="${cause.id}" data-field="text" value="${incidentInvestigator.escapeHtml(cause.text)}"
+                style="flex: 1; padding: 0.4rem; border: 1px solid var(--border); border-radius: 4px;">
+              <button class="btn btn-outline" style="padding: 0.2rem 0.5rem;" data-action="remove-cause" data-bone="${boneIndex}" data-cause="${cause.id}" title="Remove">✕</button>
+            </div>
+            <input data-bone="${boneIndex}" data-cause="${cause.id}" data-field="sub_causes" placeholder="Sub-causes, separated by ;"
+              value="${incidentInvestigator.escapeHtml(cause.sub_causes.join('; '))}"
+              style="width: 100%; margin-top: 0.4rem; padding: 0.3rem; font-size: 0.85rem; border: 1px solid var(--border); border-radius: 4px;">
+            ${this.renderRootCauseToggle(`data-bone="${boneIndex}" data-cause="${cause.id}"`, cause,
+              incidentInvestigator.resolveRootCauseCategory(cause.category, bone.category))}
+          </div>
+        `).join('')}
+        <button class="btn btn-outline" style="width: 100%; padding: 0.3rem;" data-action="add-cause" data-bone="${boneIndex}">➕ Add cause</button>
+      </div>
+    `;
+  }
+
+  renderWhyNodes(parentId, depth) {
+    const children = incidentInvestigator.getWhyChildren(this.analysis, parentId);
+    if (children.length === 0) return '';
+
+    return `
+      <div style="${parentId ? 'margin-left: 1.5rem; border-left: 2px solid var(--border); padding-left: 0.75rem;' : ''}">
+        ${children.map(node => `
+          <div style="margin: 0.5rem 0;">
+            <div style="background: white; border: 1px solid ${node.is_root_cause ? '#dc2626' : 'var(--border)'}; border-radius: 6px; padding: 0.5rem;">
+              <div style="display: flex; gap: 0.5rem; align-items: center;">
+                <strong style="white-space: nowrap;">Why ${depth}?</strong>
+                <input data-node="${node.id}" data-field="answer" value="${incidentInvestigator.escapeHtml(node.answer)}" placeholder="Because…"
+                  style="flex: 1; padding: 0.4rem; border: 1px solid var(--border); border-radius: 4px;">
+                <button class="btn btn-outline" style="padding: 0.2rem 0.5rem;" data-action="add-why" data-node="${node.id}" title="Ask why of this answer">↳ Why?</button>
+                <button class="btn btn-outline" style="padding: 0.2rem 0.5rem;" data-action="add-branch" data-node="${node.id}" title="Another answer to the same question">⑂ Branch</button>
+                <button class="btn btn-outline" style="padding: 0.2rem 0.5rem;" data-action="remove-why" data-node="${node.id}" title="Remove this answer and everything below it">✕</button>
+              </div>
+              <input data-node="${node.id}" data-field="evidence" value="${incidentInvestigator.escapeHtml(node.evidence || '')}" placeholder="Evidence (optional)"
+                style="width: 100%; margin-top: 0.4rem; padding: 0.3rem; font-size: 0.85rem; border: 1px solid var(--border); border-radius: 4px;">
+              ${this.renderRootCauseToggle(`data-node="${node.id}"`, node, node.category)}
+            </div>
+            ${this.renderWhyNodes(node.id, depth + 1)}
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  renderRootCauseToggle(attributes, item, category) {
+    return `
+      <div style="display: flex; gap: 0.5rem; align-items: center; margin-top: 0.4rem; font-size: 0.85rem;">
+        <label style="display: flex; gap: 0.3rem; align-items: center; white-space: nowrap;">
+          <input type="checkbox" ${attributes} data-field="is_root_cause" ${item.is_root_cause ? 'checked' : ''}> Root cause
+        </label>
+        ${item.is_root_cause ? `
+          <select ${attributes} data-field="category" style="flex: 1; padding: 0.2rem; border: 1px solid var(--border); border-radius: 4px;">
+            <option value="">Category…</option>
+            ${incidentInvestigator.rootCauseCategories.map(option =>
+              `<option ${option === category ? 'selected' : ''}>${option}</option>`).join('')}
+          </select>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  refreshFishbone() {
+    const container = document.getElementById('rootCauseFishbone');
+    if (container) container.innerHTML = incidentInvestigator.renderFishboneSVG(this.analysis);
+  }
+
+  // ==================== EDITING ====================
+
+  findCause(element) {
+    const bone = this.analysis.fishbone.bones[Number(element.dataset.bone)];
+    return { bone, cause: bone?.causes.find(cause => cause.id === element.dataset.cause) };
+  }
+
+  findNode(element) {
+    return this.analysis.five_whys.nodes.find(node => node.id === element.dataset.node);
+  }
+
+  handleInput(event) {
+    const element = event.target;
+    const field = element.dataset.field;
+    if (!field) return;
+
+    const value = element.type === 'checkbox' ? element.checked : element.value;
+    this.dirty = true;
+
+    if (field === 'problem_statement') {
+      this.analysis.problem_statement = value;
+      this.refreshFishbone();
+      return;
+    }
+
+    if (field === 'bone_set') {
+      // Only offered while the fishbone is empty; the 5 Whys are kept
+      const fiveWhys = this.analysis.five_whys;
+      this.analysis = incidentInvestigator.createRootCauseAnalysis(this.analysis.problem_statement, value);
+      this.analysis.five_whys = fiveWhys;
+      this.renderBody();
+      return;
+    }
+
+    const target = element.dataset.cause ? this.findCause(element).cause : this.findNode(element);
+    if (!target) return;
+
+    if (field === 'sub_causes') {
+      target.sub_causes = value.split(';').map(sub => sub.trim()).filter(Boolean);
+    } else {
+      target[field] = value;
+    }
+
+    if (field === 'is_root_cause') {
+      // Default a fishbone cause's category from its bone
+      if (value && element.dataset.cause) {
+        target.category = incidentInvestigator.resolveRootCauseCategory(target.category, this.findCause(element).bone.category);
+      }
+      this.renderBody();
+    } else if (element.dataset.cause && event.type === 'input') {
+      this.refreshFishbone();
+    }
+  }
+
+  handleClick(event) {
+    const button = event.target.closest('[data-action]');
+    if (!button) return;
+
+    event.preventDefault();
+    const nodes = this.analysis.five_whys.nodes;
+
+    switch (button.dataset.action) {
+      case 'add-cause': {
+        const text = prompt(`Cause under "${this.analysis.fishbone.bones[Number(button.dataset.bone)].category}":`);
+        if (!text?.trim()) return;
+        this.analysis.fishbone.bones[Number(button.dataset.bone)].causes.push({
+          id: incidentInvestigator.newAnalysisNodeId('FB'),
+          text: text.trim(),
+          sub_causes: [],
+          is_root_cause: false,
+          category: null
+        });
+        break;
+      }
+
+      case 'remove-cause': {
+        const { bone, cause } = this.findCause(button);
+        bone.causes = bone.causes.filter(item => item !== cause);
+        break;
+      }
+
+      case 'add-why':
+      case 'add-branch': {
+        const parentId = button.dataset.action === 'add-why'
+          ? button.dataset.node || null
+          : this.findNode(button)?.parent_id ?? null;
+        const answer = prompt(parentId
+          ? `Why? "${nodes.find(node => node.id === parentId)?.answer}"`
+          : `Why did "${this.analysis.problem_statement || 'the incident'}" happen?`);
+        if (!answer?.trim()) return;
+        nodes.push({
+          id: incidentInvestigator.newAnalysisNodeId('WHY'),
+          parent_id: parentId,
+          answer: answer.trim(),
+          evidence: '',
+          is_root_cause: false,
+          category: null
+        });
+        break;
+      }
+
+      case 'remove-why': {
+        // Drop the node; normalizing drops everything that hung off it
+        this.analysis.five_whys.nodes = nodes.filter(node => node.id !== button.dataset.node);
+        this.analysis = incidentInvestigator.normalizeRootCauseAnalysis(this.analysis);
+        break;
+      }
+
+      default:
+        return;
+    }
+
+    this.dirty = true;
+    this.renderBody();
+  }
+}
+
+// Create global instance
+const rootCauseEditor = new RootCauseEditor();
+
+// Make editor globally available
+window.rootCauseEditor = rootCauseEditor;
+
+export { rootCauseEditor };
+
+console.log('✅ Root Cause Editor Ready');
@@ -0,0 +1,627 @@
+// Safety KPIs (LTIFR, TRIFR, AIFR, severity rate) from man-hours - MMS Safety
+import { db } from './firebase-config.js';
+import { mmsDB } from './database-service.js';
+import {
+  collection,
+  doc,
+  getDocs,
+  query,
+  where,
+  writeBatch,
+  serverTimestamp
+} from "https://www.gstatic.com/firebasejs/9.22.0/firebase-firestore.js";
+
+class SafetyKPIService {
+  constructor() {
+    this.COLLECTION = mmsDB.COLLECTIONS.MAN_HOURS;
+
+    // Frequency and severity rates are per million man-hours
+    this.BASE_HOURS = 1000000;
+    this.TREND_MONTHS = 12;
+
+    this.trendChart = null;
+    this.scope = { type: 'company', value: null };
+
+    console.log('📐 Safety KPI Service Initialized');
+  }
+
+  // ==================== MAN-HOURS ====================
+
+  monthKey(date) {
+    const value = new Date(date);
+    return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}`;
+  }
+
+  // 'YYYY-MM' shifted by a number of months
+  shiftMonth(month, offset) {
+    const [year, monthIndex] = month.split('-').map(Number);
+    return this.monthKey(new Date(year, monthIndex - 1 + offset, 1));
+  }
+
+  monthRange(from, to) {
+    const months = [];
+    for (let month = from; month <= to; month = this.shiftMonth(month, 1)) {
+      months.push(month);
+    }
+    return months;
+  }
+
+  findSite(value) {
+    const needle = String(value || '').trim().toLowerCase();
+    return mmsDB.MMS_LOCATIONS.find(site => site.code.toLowerCase() === needle || site.name.toLowerCase() === needle) || null;
+  }
+
+  validateEntry(entry) {
+    const site = this.findSite(entry.location);
+    if (!site) return { error: `Unknown site "${entry.location}"` };
+    if (!mmsDB.canAccessLocation(site.name)) return { error: `You cannot enter man-hours for ${site.name}` };
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(entry.month || '')) return { error: `Month must be YYYY-MM, got "${entry.month}"` };
+    if (entry.month > this.monthKey(new Date())) return { error: `${entry.month} is in the future` };
+
+    const manHours = Number(entry.man_hours);
+    if (!Number.isFinite(manHours) || manHours < 0) return { error: `Man-hours for ${site.name} ${entry.month} must be a positive number` };
+
+    const headcount = entry.headcount === '' || entry.headcount === undefined || entry.headcount === null ? null : Number(entry.headcount);
+    if (headcount !== null && (!Number.isInteger(headcount) || headcount < 0)) {
+      return { error: `Headcount for ${site.name} ${entry.month} must be a whole number` };
+    }
+
+    return {
+      record: {
+        location: site.name,
+        site_code: site.code,
+        country: site.country,
+        month: entry.month,
+        man_hours: manHours,
+        headcount
+      }
+    };
+  }
+
+  // One document per site and month, so re-entering or re-importing a month
+  // replaces it
+  async saveManHours(entries, source = 'manual') {
+    const records = [];
+    const errors = [];
+
+    entries.forEach((entry, index) => {
+      const { record, error } = this.validateEntry(entry);
+      if (error) {
+        errors.push(entries.length > 1 ? `Row ${entry.line || index + 1}: ${error}` : error);
+      } else {
+        records.push(record);
+      }
+    });
+
+    if (errors.length) return { success: false, error: errors.join('\n'), errors };
+    if (records.length === 0) return { success: false, error: 'Nothing to save' };
+
+    try {
+      const user = window.mmsAuth?.currentUser?.email || 'unknown';
+
+      for (let start = 0; start < records.length; start += 400) {
+        const batch = writeBatch(db);
+        records.slice(start, start + 400).forEach(record => {
+          batch.set(doc(db, this.COLLECTION, `${record.site_code}_${record.month}`), {
+            ...record,
+            source,
+            company: mmsDB.COMPANY_ID,
+            updated_by: user,
+            updated_at: serverTimestamp()
+          });
+        });
+        await batch.commit();
+      }
+
+      await mmsDB.logAction('man_hours_saved', {
+        source,
+        records: records.length,
+        months: [...new Set(records.map(record => record.month))].sort(),
+        sites: [...new Set(records.map(record => record.site_code))]
+      }, { level: 1, category: 'data_modification' });
+
+      return { success: true, saved: records.length };
+
+    } catch (error) {
+      console.error('❌ Failed to save man-hours:', error);
+      return { success: false, error: 'Failed to save man-hours' };
+    }
+  }
+
+  // CSV with a header row: site (code or name), month (YYYY-MM), man_hours,
+  // and optionally headcount
+  parseManHoursCSV(text) {
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    if (lines.length < 2) return { success: false, error: 'The file needs a header row and at least one data row' };
+
+    const header = lines[0].toLowerCase().split(',').map(cell => cell.trim().replace(/^"|"$/g, ''));
+    const column = (...names) => header.findIndex(cell => names.includes(cell));
+    const siteCol = column('site', 'site_code', 'location');
+    const monthCol = column('month', 'period');
+    const hoursCol = column('man_hours', 'manhours', 'hours');
+    const headcountCol = column('headcount', 'employees');
+
+    if (siteCol < 0 || monthCol < 0 || hoursCol < 0) {
+      return { success: false, error: 'Header must include site, month and man_hours columns' };
+    }
+
+    return {
+      success: true,
+      entries: lines.slice(1).map((line, index) => {
+        const cells = line.split(',').map(cell => cell.trim().replace(/^"|"$/g, ''));
+        return {
+          line: index + 2,
+          location: cells[siteCol],
+          month: cells[monthCol],
+          man_hours: cells[hoursCol].replace(/\s/g, ''),
+          headcount: headcountCol >= 0 ? cells[headcountCol] : null
+        };
+      })
+    };
+  }
+
+  async importManHoursCSV(text) {
+    const parsed = this.parseManHoursCSV(text);
+    if (!parsed.success) return parsed;
+    return this.saveManHours(parsed.entries, 'import');
+  }
+
+  async getManHours({ from, to, location = null } = {}) {
+    try {
+      const docs = await mmsDB.getScopedDocs(query(
+        collection(db, this.COLLECTION),
+        where('company', '==', mmsDB.COMPANY_ID),
+        where('month', '>=', from),
+        where('month', '<=', to)
+      ), location);
+      if (!docs) return { success: true, data: [] };
+
+      return { success: true, data: docs.map(item => ({ id: item.id, ...item.data() })) };
+
+    } catch (error) {
+      console.error('❌ Failed to load man-hours:', error);
+      return { success: false, error: 'Failed to load man-hours', data: [] };
+    }
+  }
+
+  // ==================== KPI CALCULATION ====================
+
+  isLostTime(incident) {
+    return incident.type === 'Lost Time Injury' || Boolean(incident.regulatory_details?.fatality);
+  }
+
+  // Lost time, medical treatment and fatal cases
+  isRecordable(incident) {
+    return this.isLostTime(incident) || incident.type === 'Medical Treatment';
+  }
+
+  // Every injury, including first aid cases
+  isInjury(incident) {
+    return this.isRecordable(incident) || incident.type === 'First Aid';
+  }
+
+  // Actual days lost once known, otherwise the expected days off recorded
+  // during statutory classification
+  getDaysLost(incident) {
+    if (!this.isLostTime(incident)) return 0;
+    const details = incident.regulatory_details || {};
+    return Number(details.days_lost ?? details.days_off_expected ?? 0) || 0;
+  }
+
+  rate(count, manHours) {
+    return manHours > 0 ? Math.round((count * this.BASE_HOURS / manHours) * 100) / 100 : null;
+  }
+
+  emptyTotals(key) {
+    return { key, man_hours: 0, headcount: 0, incidents: 0, lost_time: 0, recordable: 0, injuries: 0, days_lost: 0, months: new Set() };
+  }
+
+  withRates(totals, expectedMonths) {
+    const { months, ...rest } = totals;
+    return {
+      ...rest,
+      months_with_hours: months.size,
+      // Rates over a period with missing man-hours are overstated
+      complete: expectedMonths ? months.size >= expectedMonths : true,
+      ltifr: this.rate(totals.lost_time, totals.man_hours),
+      trifr: this.rate(totals.recordable, totals.man_hours),
+      aifr: this.rate(totals.injuries, totals.man_hours),
+      severity_rate: this.rate(totals.days_lost, totals.man_hours)
+    };
+  }
+
+  groupKey(location, groupBy) {
+    if (groupBy === 'company') return 'Company';
+    const site = mmsDB.MMS_LOCATIONS.find(item => item.name === location);
+    if (groupBy === 'country') return site?.country || 'Unknown';
+    return location || 'Unknown';
+  }
+
+  aggregate(incidents, manHours, groupBy, months = []) {
+    const groups = new Map();
+    const group = (location) => {
+      const key = this.groupKey(location, groupBy);
+      if (!groups.has(key)) groups.set(key, this.emptyTotals(key));
+      return groups.get(key);
+    };
+
+    manHours.forEach(record => {
+      const totals = group(record.location);
+      totals.man_hours += record.man_hours || 0;
+      totals.months.add(groupBy === 'site' ? record.month : `${record.site_code}_${record.month}`);
+      // Headcount of the latest month only
+      if (record.month === months[months.length - 1]) totals.headcount += record.headcount || 0;
+    });
+
+    incidents.forEach(incident => {
+      const totals = group(incident.location);
+      totals.incidents++;
+      if (this.isLostTime(incident)) totals.lost_time++;
+      if (this.isRecordable(incident)) totals.recordable++;
+      if (this.isInjury(incident)) totals.injuries++;
+      totals.days_lost += this.getDaysLost(incident);
+    });
+
+    // Completeness: one man-hours record per site per month
+    return [...groups.values()].map(totals => {
+      const sites = groupBy === 'site' ? 1
+        : mmsDB.MMS_LOCATIONS.filter(site => groupBy === 'company' || site.country === totals.key)
+          .filter(site => mmsDB.canAccessLocation(site.name)).length;
+      return this.withRates(totals, months.length * sites);
+    }).sort((a, b) => a.key.localeCompare(b.key));
+  }
+
+  matchesScope(location, { location: site = null, country = null } = {}) {
+    if (site && location !== site) return false;
+    if (country && this.findSite(location)?.country !== country) return false;
+    return true;
+  }
+
+  async loadPeriod(from, to, scope = {}) {
+    const end = new Date(Number(to.slice(0, 4)), Number(to.slice(5, 7)), 0, 23, 59, 59);
+    const [incidents, manHours] = await Promise.all([
+      mmsDB.getIncidents({ startDate: `${from}-01T00:00:00`, endDate: end.toISOString(), location: scope.location || undefined }),
+      this.getManHours({ from, to, location: scope.location || null })
+    ]);
+
+    if (!incidents.success || !manHours.success) {
+      return { success: false, error: 'Failed to load incidents or man-hours' };
+    }
+
+    return {
+      success: true,
+      incidents: incidents.data.filter(incident => this.matchesScope(incident.location, scope)),
+      manHours: manHours.data.filter(record => this.matchesScope(record.location, scope))
+    };
+  }
+
+  // KPIs for a period, per site, per country and company-wide.
+  // options: { from: 'YYYY-MM', to: 'YYYY-MM', location, country }
+  async getKPIs(options = {}) {
+    try {
+      const to = options.to || this.monthKey(new Date());
+      const from = options.from || this.shiftMonth(to, -(this.TREND_MONTHS - 1));
+      const scope = { location: options.location || null, country: options.country || null };
+      const months = this.monthRange(from, to);
+
+      const data = await this.loadPeriod(from, to, scope);
+      if (!data.success) return data;
+
+      return {
+        success: true,
+        period: { from, to, months: months.length },
+        per_hours: this.BASE_HOURS,
+        scope,
+        company: this.aggregate(data.incidents, data.manHours, 'company', months)[0] || this.withRates(this.emptyTotals('Company'), months.length),
+        by_country: this.aggregate(data.incidents, data.manHours, 'country', months),
+        by_site: this.aggregate(data.incidents, data.manHours, 'site', months)
+      };
+
+    } catch (error) {
+      console.error('❌ Failed to calculate KPIs:', error);
+      return { success: false, error: 'Failed to calculate KPIs' };
+    }
+  }
+
+  // Rolling 12-month rates for each of the last `months` months
+  async getRollingTrend(options = {}) {
+    try {
+      const months = options.months || this.TREND_MONTHS;
+      const to = options.to || this.monthKey(new Date());
+      const firstPoint = this.shiftMonth(to, -(months - 1));
+      const from = this.shiftMonth(firstPoint, -(this.TREND_MONTHS - 1));
+      const scope = { location: options.location || null, country: options.country || null };
+
+      const data = await this.loadPeriod(from, to, scope);
+      if (!data.success) return data;
+
+      const points = this.monthRange(firstPoint, to).map(month => {
+        const windowStart = this.shiftMonth(month, -(this.TREND_MONTHS - 1));
+        const inWindow = (value) => value >= windowStart && value <= month;
+        const windowMonths = this.monthRange(windowStart, month);
+        const totals = this.aggregate(
+          data.incidents.filter(incident => inWindow(this.monthKey(incident.date_time))),
+          data.manHours.filter(record => inWindow(record.month)),
+          'company',
+          windowMonths
+        )[0] || this.withRates(this.emptyTotals('Company'), windowMonths.length);
+
+        return { month, ...totals };
+      });
+
+      return {
+        success: true,
+        per_hours: this.BASE_HOURS,
+        window_months: this.TREND_MONTHS,
+        scope,
+        points
+      };
+
+    } catch (error) {
+      console.error('❌ Failed to calculate KPI trend:', error);
+      return { success: false, error: 'Failed to calculate KPI trend' };
+    }
+  }
+
+  // ==================== DASHBOARD ====================
+
+  escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value ?? '';
+    return div.innerHTML;
+  }
+
+  formatRate(value) {
+    return value === null || value === undefined ? '—' : value.toFixed(2);
+  }
+
+  getScopeOptions() {
+    const sites = mmsDB.MMS_LOCATIONS.filter(site => mmsDB.canAccessLocation(site.name));
+    const countries = [...new Set(sites.map(site => site.country))];
+
+    return [
+      { value: 'company:', label: 'All my sites' },
+      ...countries.map(country => ({ value: `country:${country}`, label: country })),
+      ...sites.map(site => ({ value: `site:${site.name}`, label: `— ${site.name}` }))
+    ];
+  }
+
+  scopeFilter() {
+    return {
+      location: this.scope.type === 'site' ? this.scope.value : null,
+      country: this.scope.type === 'country' ? this.scope.value : null
+    };
+  }
+
+  async renderDashboardPanel(containerId = 'kpiDashboard') {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    const current = `${this.scope.type}:${this.scope.value || ''}`;
+    const canEnter = window.mmsAuth?.hasPermission('canEditIncidents');
+
+    container.innerHTML = `
+      <div class="chart-header">
+        <div>
+          <div class="chart-title">Safety Performance (rolling ${this.TREND_MONTHS} months)</div>
+          <div class="chart-subtitle">Frequency and severity rates per ${this.BASE_HOURS.toLocaleString()} man-hours</div>
+        </div>
+        <div style="display: flex; gap: 0.5rem;">
+          <select id="kpiScope" style="padding: 0.5rem; border: 1px solid var(--border); border-radius: 6px;">
+            ${this.getScopeOptions().map(option => `
+              <option value="${this.escapeHtml(option.value)}" ${option.value === current ? 'selected' : ''}>${this.escapeHtml(option.label)}</option>
+            `).join('')}
+          </select>
+          ${canEnter ? '<button class="btn btn-outline" onclick="safetyKPIs.showManHoursManager()">⏱️ Man-hours</button>' : ''}
+        </div>
+      </div>
+      <div id="kpiTiles" style="display: grid; grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); gap: 1rem; margin: 1rem 0;">
+        <p style="color: var(--text-light);">Calculating...</p>
+      </div>
+      <div style="height: 280px;"><canvas id="kpiTrendChart"></canvas></div>
+      <div id="kpiBySite" style="margin-top: 1rem; overflow-x: auto;"></div>
+    `;
+
+    container.querySelector('#kpiScope').addEventListener('change', (event) => {
+      const [type, ...rest] = event.target.value.split(':');
+      this.scope = { type, value: rest.join(':') || null };
+      this.renderDashboardPanel(containerId);
+    });
+
+    const [trend, kpis] = await Promise.all([
+      this.getRollingTrend(this.scopeFilter()),
+      this.getKPIs(this.scopeFilter())
+    ]);
+
+    const tiles = document.getElementById('kpiTiles');
+    if (!trend.success || !kpis.success) {
+      tiles.innerHTML = `<p style="color: var(--error);">${this.escapeHtml(trend.error || kpis.error)}</p>`;
+      return;
+    }
+
+    const latest = trend.points[trend.points.length - 1];
+    const tile = (label, value, hint) => `
+      <div style="background: white; border: 1px solid var(--border); border-radius: 8px; padding: 1rem; text-align: center;">
+        <div style="font-size: 1.5rem; font-weight: 600; color: var(--primary);">${value}</div>
+        <div style="font-size: 0.85rem; font-weight: 600;">${label}</div>
+        <div style="font-size: 0.75rem; color: var(--text-light);">${hint}</div>
+      </div>
+    `;
+
+    tiles.innerHTML = `
+      ${tile('LTIFR', this.formatRate(latest.ltifr), `${latest.lost_time} lost time injuries`)}
+      ${tile('TRIFR', this.formatRate(latest.trifr), `${latest.recordable} recordable injuries`)}
+      ${tile('AIFR', this.formatRate(latest.aifr), `${latest.injuries} injuries incl. first aid`)}
+      ${tile('Severity Rate', this.formatRate(latest.severity_rate), 'days lost per million hours')}
+      ${tile('Days Lost', latest.days_lost, `${Math.round(latest.man_hours).toLocaleString()} man-hours`)}
+      ${latest.complete ? '' : `
+        <div style="grid-column: 1 / -1; background: #fef3c7; color: #92400e; padding: 0.5rem 0.75rem; border-radius: 8px; font-size: 0.85rem;">
+          ⚠️ Man-hours are missing for some sites or months in this period, so the rates are overstated.
+        </div>
+      `}
+    `;
+
+    this.renderTrendChart(trend.points);
+    this.renderSiteTable(kpis.by_site);
+  }
+
+  renderTrendChart(points) {
+    const canvas = document.getElementById('kpiTrendChart');
+    if (!canvas || !window.Chart) return;
+
+    this.trendChart?.destroy();
+    this.trendChart = new Chart(canvas, {
+      type: 'line',
+      data: {
+        labels: points.map(point => new Date(`${point.month}-01T00:00:00`).toLocaleString('default', { month: 'short', year: '2-digit' })),
+        datasets: [
+          { label: 'LTIFR', data: points.map(point => point.ltifr), borderColor: '#ef4444', tension: 0.3 },
+          { label: 'TRIFR', data: points.map(point => point.trifr), borderColor: '#f59e0b', tension: 0.3 },
+          { label: 'AIFR', data: points.map(point => point.aifr), borderColor: '#3b82f6', tension: 0.3 },
+          { label: 'Severity Rate', data: points.map(point => point.severity_rate), borderColor: '#8b5cf6', tension: 0.3, yAxisID: 'severity' }
+        ]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        spanGaps: true,
+        scales: {
+          y: { beginAtZero: true, title: { display: true, text: 'Frequency rate' } },
+          severity: { beginAtZero: true, position: 'right', grid: { drawOnChartArea: false }, title: { display: true, text: 'Severity rate' } }
+        }
+      }
+    });
+  }
+
+  renderSiteTable(rows) {
+    const container = document.getElementById('kpiBySite');
+    if (!container) return;
+
+    container.innerHTML = rows.length === 0 ? '' : `
+      <table class="data-table" style="width: 100%;">
+        <thead>
+          <tr><th>Site</th><th>Man-hours</th><th>LTIs</th><th>LTIFR</th><th>TRIFR</th><th>AIFR</th><th>Days lost</th><th>Severity rate</th></tr>
+        </thead>
+        <tbody>
+          ${rows.map(row => `
+            <tr>
+              <td>${this.escapeHtml(row.key)}${row.complete ? '' : ' <span title="Man-hours missing for some months">⚠️</span>'}</td>
+              <td>${Math.round(row.man_hours).toLocaleString()}</td>
+              <td>${row.lost_time}</td>
+              <td>${this.formatRate(row.ltifr)}</td>
+              <td>${this.formatRate(row.trifr)}</td>
+              <td>${this.formatRate(row.aifr)}</td>
+              <td>${row.days_lost}</td>
+              <td>${this.formatRate(row.severity_rate)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  // ==================== MAN-HOURS ENTRY ====================
+
+  async showManHoursManager(month = this.shiftMonth(this.monthKey(new Date()), -1)) {
+    document.getElementById('manHoursModal')?.remove();
+
+    const sites = mmsDB.MMS_LOCATIONS.filter(site => mmsDB.canAccessLocation(site.name));
+    const existing = await this.getManHours({ from: month, to: month });
+    const byCode = new Map(existing.data.map(record => [record.site_code, record]));
+    const inputStyle = 'width: 100%; padding: 0.4rem; border: 1px solid var(--border); border-radius: 6px;';
+
+    const modal = document.createElement('div');
+    modal.id = 'manHoursModal';
+    modal.className = 'modal';
+    modal.innerHTML = `
+      <div class="modal-content" style="max-width: 800px;">
+        <button class="close-modal" onclick="document.getElementById('manHoursModal').remove()">×</button>
+        <div class="modal-header">
+          <h2>Man-hours</h2>
+          <p>Hours worked by employees and contractors per site and month</p>
+        </div>
+        <label style="font-weight: 600;">Month
+          <input type="month" id="manHoursMonth" value="${month}" max="${this.monthKey(new Date())}" style="${inputStyle} width: auto; margin-left: 0.5rem;">
+        </label>
+        <table class="data-table" style="width: 100%; margin-top: 1rem;">
+          <thead><tr><th>Site</th><th>Man-hours</th><th>Headcount</th><th>Last updated</th></tr></thead>
+          <tbody>
+            ${sites.map(site => {
+              const record = byCode.get(site.code);
+              return `
+                <tr>
+                  <td>${this.escapeHtml(site.name)} <small style="color: var(--text-light);">${site.country}</small></td>
+                  <td><input type="number" min="0" step="0.5" data-site="${site.code}" data-field="man_hours" value="${record?.man_hours ?? ''}" style="${inputStyle}"></td>
+                  <td><input type="number" min="0" step="1" data-site="${site.code}" data-field="headcount" value="${record?.headcount ?? ''}" style="${inputStyle}"></td>
+                  <td style="font-size: 0.8rem; color: var(--text-light);">${record ? `${this.escapeHtml(record.updated_by)} (${record.source})` : '—'}</td>
+                </tr>
+              `;
+            }).join('')}
+          </tbody>
+        </table>
+        <div class="action-buttons">
+          <label class="btn btn-outline" style="cursor: pointer;">
+            📥 Import CSV
+            <input type="file" id="manHoursCSV" accept=".csv,text/csv" style="display: none;">
+          </label>
+          <button class="btn btn-primary" id="manHoursSave">💾 Save ${month}</button>
+        </div>
+        <p style="color: var(--text-light); font-size: 0.8rem;">CSV columns: site (code or name), month (YYYY-MM), man_hours, headcount (optional).</p>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+    modal.style.display = 'block';
+
+    modal.querySelector('#manHoursMonth').addEventListener('change', (event) => {
+      if (event.target.value) this.showManHoursManager(event.target.value);
+    });
+
+    modal.querySelector('#manHoursSave').addEventListener('click', async () => {
+      const entries = sites
+        .map(site => ({
+          location: site.code,
+          month,
+          man_hours: modal.querySelector(`[data-site="${site.code}"][data-field="man_hours"]`).value,
+          headcount: modal.querySelector(`[data-site="${site.code}"][data-field="headcount"]`).value
+        }))
+        .filter(entry => entry.man_hours !== '');
+
+      const result = await this.saveManHours(entries);
+      if (!result.success) {
+        alert(`❌ ${result.error}`);
+        return;
+      }
+
+      window.showToast?.('Man-hours', `Saved ${result.saved} site(s) for ${month}`, 'success');
+      modal.remove();
+      this.renderDashboardPanel();
+    });
+
+    modal.querySelector('#manHoursCSV').addEventListener('change', async (event) => {
+      const file = event.target.files?.[0];
+      if (!file) return;
+
+      const result = await this.importManHoursCSV(await file.text());
+      if (!result.success) {
+        alert(`❌ Import failed:\n${result.error}`);
+        event.target.value = '';
+        return;
+      }
+
+      window.showToast?.('Man-hours', `Imported ${result.saved} record(s)`, 'success');
+      this.showManHoursManager(month);
+      this.renderDashboardPanel();
+    });
+  }
+}
+
+// Create global instance
+const safetyKPIs = new SafetyKPIService();
+
+// Make KPI service globally available
+window.safetyKPIs = safetyKPIs;
+
+export { safetyKPIs };
+
+console.log('✅ Safety KPI Service Ready');
@@ -95,6 +95,13 @@ class SafetyObservations {
   // Record new observation
   async recordObservation(observationData) {
     try {
+      if (!mmsDB.canAccessLocation(observationData.location)) {
+        return {
+          success: false,
+          error: 'You can only record observations for your assigned sites'
+        };
+      }
+      
       const observationId = `OBS-${Date.now()}-${Math.random().toString(36).substr(2, 4).toUpperCase()}`;
       const user = window.mmsAuth?.currentUser;
       
@@ -200,10 +207,16 @@ class SafetyObservations {
     return { success: true };
   }
 
+  // Observations at the sites the current user can access
+  loadObservations() {
+    const observations = JSON.parse(localStorage.getItem('mms_safety_observations') || '[]');
+    return observations.filter(o => mmsDB.canAccessLocation(o.location));
+  }
+
   // Get observations with filters
   async getObservations(filters = {}) {
     try {
-      const observations = JSON.parse(localStorage.getItem('mms_safety_observations') || '[]');
+      const observations = this.loadObservations();
       
       // Apply filters
       let filtered = observations;
@@ -259,7 +272,7 @@ class SafetyObservations {
       const observations = JSON.parse(localStorage.getItem('mms_safety_observations') || '[]');
       const index = observations.findIndex(o => o.id === observationId);
       
-      if (index === -1) {
+      if (index === -1 || !mmsDB.canAccessLocation(observations[index].location)) {
         throw new Error('Observation not found');
       }
       
@@ -305,7 +318,7 @@ class SafetyObservations {
       const observations = JSON.parse(localStorage.getItem('mms_safety_observations') || '[]');
       const index = observations.findIndex(o => o.id === observationId);
       
-      if (index === -1) {
+      if (index === -1 || !mmsDB.canAccessLocation(observations[index].location)) {
         throw new Error('Observation not found');
       }
       
@@ -363,7 +376,7 @@ class SafetyObservations {
   // Get observation statistics
   async getObservationStats(timeframe = 'month') {
     try {
-      const observations = JSON.parse(localStorage.getItem('mms_safety_observations') || '[]');
+      const observations = this.loadObservations();
       
       // Filter by timeframe
       const now = new Date();
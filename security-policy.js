@@ -5,9 +5,14 @@ import {
   doc,
   setDoc,
   getDoc,
+  addDoc,
   query,
   where,
+  orderBy,
+  limit,
   getDocs,
+  deleteDoc,
+  runTransaction,
   serverTimestamp 
 } from "https://www.gstatic.com/firebasejs/9.22.0/firebase-firestore.js";
 
@@ -23,12 +28,14 @@ class MMSSecurityPolicy {
         expiryDays: 90,
         historySize: 5,
         maxAttempts: 5,
-        lockoutMinutes: 15
+        lockoutMinutes: 15,
+        kdfIterations: 600000   // PBKDF2-SHA256 for password history hashes
       },
       session: {
         timeoutMinutes: 30,
         maxSessions: 3,
-        requireReauthForSensitive: true
+        requireReauthForSensitive: true,
+        reauthWindowMinutes: 5        // Step-up verification stays valid this long
       },
       data: {
         encryptionRequired: true,
@@ -48,11 +55,13 @@ class MMSSecurityPolicy {
         },
         allowedCountries: ['ZA', 'TZ', 'ZM', 'NA'],
         ipWhitelist: [],
-        mfaRequired: false
+        mfaRequired: false,                             // Require TOTP for every role
+        mfaRequiredRoles: ['admin', 'safety_officer']   // Roles that always require TOTP (mirrored in firebase-security-rules.txt)
       }
     };
     
     this.securityEvents = [];
+    this.LOGIN_ATTEMPTS_COLLECTION = 'login_attempts';
     this.init();
   }
 
@@ -134,22 +143,188 @@ class MMSSecurityPolicy {
     return Math.min(Math.max(score, 0), 100);
   }
 
+  // unused: true if the password is not one of the user's last historySize
+  // passwords. Fails closed - if the history can't be read the change is refused.
   async checkPasswordHistory(userId, newPassword) {
     try {
-      const historyRef = collection(db, 'password_history');
-      const q = query(historyRef, where('userId', '==', userId), where('passwordHash', '==', this.hashPassword(newPassword)));
-      const snapshot = await getDocs(q);
+      const history = await this.getPasswordHistory(userId);
       
-      return snapshot.empty; // True if password not in history
+      for (const entry of history) {
+        if (!entry.salt) continue; // legacy entry without a KDF hash
+        const { hash } = await this.hashPassword(newPassword, entry.salt, entry.iterations);
+        if (hash === entry.passwordHash) {
+          return { unused: false };
+        }
+      }
+      
+      return { unused: true };
     } catch (error) {
       console.error('Password history check failed:', error);
-      return true; // Allow on error
+      return { unused: false, error: 'Your password history could not be checked. Try again when you are online.' };
     }
   }
 
-  hashPassword(password) {
-    // Simple hash for demo - in production use proper hashing
-    return btoa(password).split('').reverse().join('');
+  // Needs the composite index password_history: userId ASC, created_at DESC
+  async getPasswordHistory(userId) {
+    const q = query(
+      collection(db, 'password_history'),
+      where('userId', '==', userId),
+      orderBy('created_at', 'desc'),
+      limit(this.policies.password.historySize)
+    );
+    const snapshot = await getDocs(q);
+    return snapshot.docs.map(entry => entry.data());
+  }
+
+  async addPasswordHistory(userId, password) {
+    const { hash, salt, iterations, algorithm } = await this.hashPassword(password);
+    
+    await addDoc(collection(db, 'password_history'), {
+      userId: userId,
+      passwordHash: hash,
+      salt: salt,
+      iterations: iterations,
+      algorithm: algorithm,
+      created_at: serverTimestamp()
+    });
+  }
+
+  // PBKDF2-SHA256 with a random 16-byte salt. Pass salt/iterations from a
+  // stored entry to re-derive for comparison.
+  async hashPassword(password, salt = null, iterations = this.policies.password.kdfIterations) {
+    const saltBytes = salt
+      ? Uint8Array.from(atob(salt), char => char.charCodeAt(0))
+      : crypto.getRandomValues(new Uint8Array(16));
+    
+    const keyMaterial = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(password),
+      'PBKDF2',
+      false,
+      ['deriveBits']
+    );
+    
+    const bits = await crypto.subtle.deriveBits(
+      { name: 'PBKDF2', salt: saltBytes, iterations: iterations, hash: 'SHA-256' },
+      keyMaterial,
+      256
+    );
+    
+    const toBase64 = bytes => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+    
+    return {
+      hash: toBase64(bits),
+      salt: toBase64(saltBytes),
+      iterations: iterations,
+      algorithm: 'PBKDF2-SHA256'
+    };
+  }
+
+  // Expiry runs from the latest password_history entry, or account
+  // creation if the password has never been changed in the app
+  async getPasswordExpiry(user) {
+    const expiryDays = this.policies.password.expiryDays;
+    if (!expiryDays) return { expired: false };
+    
+    let changedAt = null;
+    try {
+      const [latest] = await this.getPasswordHistory(user.uid);
+      changedAt = latest?.created_at?.toDate?.() || null;
+    } catch (error) {
+      console.warn('⚠️ Could not read password history:', error);
+      return { expired: false };
+    }
+    
+    if (!changedAt && user.metadata?.creationTime) {
+      changedAt = new Date(user.metadata.creationTime);
+    }
+    if (!changedAt) return { expired: false };
+    
+    const expiresAt = new Date(changedAt.getTime() + expiryDays * 24 * 60 * 60 * 1000);
+    return {
+      expired: expiresAt <= new Date(),
+      changedAt: changedAt.toISOString(),
+      expiresAt: expiresAt.toISOString(),
+      daysRemaining: Math.ceil((expiresAt - new Date()) / (24 * 60 * 60 * 1000))
+    };
+  }
+
+  // ==================== LOGIN LOCKOUT ====================
+  // Failed attempts are counted per email in login_attempts, so the lockout
+  // holds across devices. The document id is the SHA-256 of the lowercased
+  // email; the rules only let a write add one failure (and lock at
+  // maxAttempts), and only the signed-in owner can clear it.
+  async getLoginAttemptsRef(email) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(email.trim().toLowerCase()));
+    const id = Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    return doc(db, this.LOGIN_ATTEMPTS_COLLECTION, id);
+  }
+
+  // A lock lasts lockoutMinutes from locked_at; after that the count restarts
+  describeLockout(record) {
+    const { maxAttempts, lockoutMinutes } = this.policies.password;
+    const lockedAt = record?.locked_at?.toDate?.() || null;
+    const lockedUntil = lockedAt ? new Date(lockedAt.getTime() + lockoutMinutes * 60 * 1000) : null;
+    
+    if (lockedUntil && lockedUntil > new Date()) {
+      return {
+        locked: true,
+        lockedUntil: lockedUntil.toISOString(),
+        minutesRemaining: Math.ceil((lockedUntil - new Date()) / 60000)
+      };
+    }
+    
+    const count = lockedUntil ? 0 : (record?.count || 0);
+    return { locked: false, attempts: count, remaining: maxAttempts - count };
+  }
+
+  async getLockoutStatus(email) {
+    try {
+      const snapshot = await getDoc(await this.getLoginAttemptsRef(email));
+      return this.describeLockout(snapshot.exists() ? snapshot.data() : null);
+    } catch (error) {
+      // Firebase Auth still throttles repeated failures on its side
+      console.warn('⚠️ Could not read login lockout status:', error);
+      return this.describeLockout(null);
+    }
+  }
+
+  async recordFailedAttempt(email) {
+    try {
+      const attemptsRef = await this.getLoginAttemptsRef(email);
+      const { maxAttempts, lockoutMinutes } = this.policies.password;
+      
+      const count = await runTransaction(db, async (transaction) => {
+        const snapshot = await transaction.get(attemptsRef);
+        const previous = this.describeLockout(snapshot.exists() ? snapshot.data() : null);
+        if (previous.locked) return maxAttempts;
+        
+        const next = previous.attempts + 1;
+        transaction.set(attemptsRef, {
+          count: next,
+          last_failed_at: serverTimestamp(),
+          locked_at: next >= maxAttempts ? serverTimestamp() : null
+        });
+        return next;
+      });
+      
+      if (count >= maxAttempts) {
+        this.logSecurityEvent('login_failed_multiple', { email: email.toLowerCase(), attempts: count, lockout_minutes: lockoutMinutes });
+      }
+    } catch (error) {
+      console.error('❌ Could not record failed login attempt:', error);
+    }
+    
+    return this.getLockoutStatus(email);
+  }
+
+  // Called after a successful sign-in, when the owner is authenticated
+  async clearFailedAttempts(email) {
+    try {
+      await deleteDoc(await this.getLoginAttemptsRef(email));
+    } catch (error) {
+      console.warn('⚠️ Could not clear failed login attempts:', error);
+    }
   }
 
   // ==================== SESSION SECURITY ====================
@@ -161,6 +336,9 @@ class MMSSecurityPolicy {
     const resetTimer = () => {
       clearTimeout(timeout);
       timeout = setTimeout(() => {
+        // The session manager owns inactivity logout when it's loaded
+        if (window.sessionManager) return;
+        
         if (window.mmsAuth?.currentUser) {
           this.logSecurityEvent('session_timeout', {
             user: window.mmsAuth.currentUser.email,
@@ -373,12 +551,15 @@ class MMSSecurityPolicy {
       'access_from_restricted_country': 'high',
       'sensitive_data_access': 'high',
       'password_change': 'high',
+      'mfa_challenge_failed': 'high',
+      'step_up_auth_failed': 'high',
       
       // Medium severity
       'session_timeout': 'medium',
       'access_outside_hours': 'medium',
       'data_copied': 'medium',
       'user_role_change': 'medium',
+      'mfa_enrolled': 'medium',
       
       // Low severity
       'login_success': 'low',
@@ -525,4 +706,6 @@ window.performSecurityAudit = async function() {
 // Make globally available
 window.mmsSecurity = mmsSecurity;
 
+export { mmsSecurity };
+
 console.log('✅ MMS Security Policy Module Ready');
@@ -1,21 +1,400 @@
 // Service Worker - MMS Safety
-const CACHE = 'mms-safety-v1';
+// Offline-first caching: versioned precache + runtime strategies
+
+// Bump CACHE_VERSION whenever a file in PRECACHE_URLS changes so that
+// clients pick up the new build and old caches are cleaned on activate.
+const CACHE_VERSION = 'v40';
+const CACHE_PREFIX = 'mms-safety-';
+const PRECACHE = `${CACHE_PREFIX}precache-${CACHE_VERSION}`;
+const RUNTIME = `${CACHE_PREFIX}runtime-${CACHE_VERSION}`;
+const OFFLINE_URL = './offline.html';
+
+importScripts('./offline-queue-db.js');
+
+// Build-free precache manifest - every file the app needs to boot offline
+const PRECACHE_URLS = [
+  './',
+  './index.html',
+  OFFLINE_URL,
+  './manifest.json',
+
+  // Core services
+  './firebase-config.js',
+  './pwa-init.js',
+  './auth-system.js',
+  './database-service.js',
+  './session-manager.js',
+  './audit-logger.js',
+  './encryption-service.js',
+  './security-policy.js',
+  './mfa-service.js',
+  './user-management.js',
+  './backup-service.js',
+  './security-scanner.js',
+  './compliance-manager.js',
+  './file-upload-service.js',
+  './offline-queue-db.js',
+  './sync-conflict-resolver.js',
+  './background-sync.js',
+  './periodic-sync-manager.js',
+  './push-notifications.js',
+  './install-promotion.js',
+  './performance-monitor.js',
+  './lighthouse-audit.js',
+  './cross-browser-tester.js',
+
+  // Safety modules
+  './admin-panel.js',
+  './emergency-wizard.js',
+  './safety-checklist.js',
+  './risk-calculator.js',
+  './equipment-inspections.js',
+  './chemical-register.js',
+  './corrective-actions.js',
+  './incident-investigator.js',
+  './root-cause-editor.js',
+  './witness-statements.js',
+  './event-sequence-builder.js',
+  './investigation-approvals.js',
+  './regulatory-reporting.js',
+  './safety-kpis.js',
+  './safety-observations.js',
+  './reporting-dashboard.js',
+  './report-scheduler.js',
+
+  // Icons
+  './icon-72x72.png',
+  './icon-96x96.png',
+  './icon-128x128.png',
+  './icon-144x144.png',
+  './icon-152x152.png',
+  './icon-192.png',
+  './icon-192x192.png',
+  './icon-384x384.png',
+  './icon-512.png',
+  './icon-512x512.png'
+];
+
+// Third-party script/style hosts that are safe to serve stale
+const STATIC_CDN_HOSTS = [
+  'www.gstatic.com',
+  'cdn.jsdelivr.net',
+  'cdnjs.cloudflare.com',
+  'fonts.googleapis.com',
+  'fonts.gstatic.com'
+];
+
+const STATIC_DESTINATIONS = ['script', 'style', 'image', 'font', 'manifest'];
+
+// ==================== LIFECYCLE ====================
 
 self.addEventListener('install', function(event) {
   event.waitUntil(
-    caches.open(CACHE).then(function(cache) {
-      return cache.addAll([
-        'index.html',
-        'manifest.json'
-      ]);
+    caches.open(PRECACHE).then(function(cache) {
+      // cache: 'reload' bypasses the HTTP cache so a new version never
+      // precaches a stale copy of a module
+      return cache.addAll(PRECACHE_URLS.map(function(url) {
+        return new Request(url, { cache: 'reload' });
+      }));
     })
   );
+  // Do not skipWaiting() here - the page decides when to activate an update
 });
 
-self.addEventListener('fetch', function(event) {
-  event.respondWith(
-    fetch(event.request).catch(function() {
-      return caches.match(event.request);
+self.addEventListener('activate', function(event) {
+  event.waitUntil(
+    caches.keys().then(function(keys) {
+      return Promise.all(
+        keys
+          .filter(function(key) {
+            return key.startsWith(CACHE_PREFIX) && key !== PRECACHE && key !== RUNTIME;
+          })
+          .map(function(key) {
+            console.log('🗑️ Removing old cache:', key);
+            return caches.delete(key);
+          })
+      );
+    }).then(function() {
+      return self.clients.claim();
     })
   );
 });
+
+self.addEventListener('message', function(event) {
+  if (!event.data) return;
+
+  switch (event.data.type) {
+    case 'SKIP_WAITING':
+      self.skipWaiting();
+      break;
+
+    case 'GET_VERSION':
+      if (event.source) {
+        event.source.postMessage({ type: 'SW_VERSION', version: CACHE_VERSION });
+      }
+      break;
+  }
+});
+
+// ==================== FETCH ====================
+
+self.addEventListener('fetch', function(event) {
+  const request = event.request;
+
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+    return;
+  }
+
+  if (isStaticAsset(request, url)) {
+    event.respondWith(staleWhileRevalidate(request, event));
+    return;
+  }
+
+  // API calls (Firestore, Storage, analytics) go straight to the network;
+  // offline writes are handled by the background sync queue instead
+  if (url.origin !== self.location.origin) return;
+
+  event.respondWith(networkFirst(request));
+});
+
+function isStaticAsset(request, url) {
+  if (url.origin === self.location.origin) {
+    return STATIC_DESTINATIONS.includes(request.destination) ||
+      /\.(js|css|png|jpg|jpeg|svg|gif|webp|ico|woff2?|json)$/.test(url.pathname);
+  }
+  return STATIC_CDN_HOSTS.includes(url.hostname);
+}
+
+// Network-first for page loads so users get fresh HTML when online,
+// falling back to the cached shell and finally offline.html
+async function handleNavigation(request) {
+  try {
+    const response = await fetch(request);
+    if (response && response.ok) {
+      const cache = await caches.open(RUNTIME);
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+
+    const shell = await caches.match('./index.html');
+    if (shell && new URL(request.url).pathname.endsWith('/')) return shell;
+
+    return caches.match(OFFLINE_URL);
+  }
+}
+
+async function staleWhileRevalidate(request, event) {
+  // Revalidated copies land in RUNTIME, so look there before the precache -
+  // otherwise the install-time precache entry would be served until the
+  // next CACHE_VERSION bump
+  const cache = await caches.open(RUNTIME);
+  const cached = await cache.match(request) || await caches.match(request);
+
+  const networkFetch = fetch(request).then(function(response) {
+    // Opaque (cross-origin no-cors) responses have status 0 but are still usable
+    if (response && (response.ok || response.type === 'opaque')) {
+      cache.put(request, response.clone());
+    }
+    return response;
+  }).catch(function() {
+    return cached;
+  });
+
+  if (cached) {
+    event.waitUntil(networkFetch);
+    return cached;
+  }
+
+  const response = await networkFetch;
+  return response || Response.error();
+}
+
+async function networkFirst(request) {
+  try {
+    const response = await fetch(request);
+    if (response && response.ok) {
+      const cache = await caches.open(RUNTIME);
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await caches.match(request);
+    return cached || Response.error();
+  }
+}
+
+// ==================== BACKGROUND SYNC ====================
+
+// Sync tags registered by BackgroundSyncManager and the queue item types
+// each one replays
+const SYNC_TAG_TYPES = {
+  'sync-incidents': ['incident_report'],
+  'sync-training': ['training_record'],
+  'sync-employees': ['employee_update'],
+  'sync-audits': ['audit_record'],
+  'sync-ppe': ['ppe_issuance'],
+  'sync-files': ['file_upload']
+};
+
+// Tags registered by PeriodicSyncManager
+const PERIODIC_SYNC_TAGS = ['daily-sync'];
+
+// Registered by ReportScheduler; packs need the page's Firebase SDK, so the
+// worker only wakes an open window to run due schedules
+const REPORT_SCHEDULE_TAG = 'report-schedules';
+
+// How long to wait for an open window to replay a batch of items
+const REPLAY_TIMEOUT = 60 * 1000;
+
+self.addEventListener('sync', function(event) {
+  if (SYNC_TAG_TYPES[event.tag]) {
+    event.waitUntil(processSyncTag(event.tag, event.lastChance));
+  } else if (PERIODIC_SYNC_TAGS.includes(event.tag)) {
+    // One-off fallback for browsers without Periodic Background Sync
+    event.waitUntil(processPeriodicSync(event.tag));
+  }
+});
+
+self.addEventListener('periodicsync', function(event) {
+  if (PERIODIC_SYNC_TAGS.includes(event.tag)) {
+    event.waitUntil(processPeriodicSync(event.tag));
+  } else if (event.tag === REPORT_SCHEDULE_TAG) {
+    event.waitUntil(notifyClients({ type: 'RUN_REPORT_SCHEDULES', timestamp: new Date().toISOString() }));
+  }
+});
+
+// Replay every queued item for a tag and report the outcome to all windows
+// as SYNC_COMPLETED / SYNC_FAILED. Rejecting lets the browser reschedule the
+// sync unless this was its last attempt.
+async function processSyncTag(tag, lastChance) {
+  let retryCount = 0;
+
+  try {
+    retryCount = await self.mmsOfflineQueueDB.getRetryCount(tag);
+
+    // Items still backing off are retried by the page's own timer, and
+    // conflicted items wait for the user to resolve them
+    const items = (await self.mmsOfflineQueueDB.getByTypes(SYNC_TAG_TYPES[tag]))
+      .filter(function(item) { return self.mmsOfflineQueueDB.isSyncable(item); });
+    let result = { succeeded: [], failed: [] };
+
+    if (items.length > 0) {
+      console.log(`🔄 Background sync ${tag}: replaying ${items.length} item(s)`);
+      result = await replayThroughClient(tag, items.map(function(item) { return item.id; }));
+    }
+
+    if (result.failed.length > 0) {
+      throw new Error(`${result.failed.length} item(s) failed to sync: ${result.failed[0].error}`);
+    }
+
+    await self.mmsOfflineQueueDB.setRetryCount(tag, 0);
+    await notifyClients({
+      type: 'SYNC_COMPLETED',
+      tag: tag,
+      processed: result.succeeded.length,
+      timestamp: new Date().toISOString()
+    });
+    return result;
+
+  } catch (error) {
+    console.error(`❌ Background sync ${tag} failed:`, error);
+
+    // IndexedDB itself may be what failed; still report and reschedule
+    try {
+      await self.mmsOfflineQueueDB.setRetryCount(tag, retryCount + 1);
+    } catch (countError) {
+      console.error(`❌ Could not record retry for ${tag}:`, countError);
+    }
+    await notifyClients({
+      type: 'SYNC_FAILED',
+      tag: tag,
+      error: error.message,
+      retryCount: retryCount,
+      timestamp: new Date().toISOString()
+    });
+
+    if (!lastChance) throw error;
+  }
+}
+
+async function processPeriodicSync(tag) {
+  const tags = Object.keys(SYNC_TAG_TYPES);
+  const results = [];
+
+  // Flush anything still queued before the page refreshes reference data
+  for (const syncTag of tags) {
+    results.push(await processSyncTag(syncTag, true));
+  }
+
+  const failedTags = tags.filter(function(syncTag, index) { return !results[index]; });
+
+  if (failedTags.length > 0) {
+    await notifyClients({
+      type: 'SYNC_FAILED',
+      tag: tag,
+      error: `Queued items could not be replayed for: ${failedTags.join(', ')}`,
+      retryCount: 0,
+      timestamp: new Date().toISOString()
+    });
+    return;
+  }
+
+  await notifyClients({
+    type: 'SYNC_COMPLETED',
+    tag: tag,
+    processed: results.reduce(function(sum, result) { return sum + result.succeeded.length; }, 0),
+    timestamp: new Date().toISOString()
+  });
+}
+
+// Firestore writes need the page's Firebase SDK and signed-in user, so the
+// worker hands the queued item IDs to an open window and waits for its report.
+async function replayThroughClient(tag, itemIds) {
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+
+  if (windows.length === 0) {
+    throw new Error('No open app window available to replay queued items');
+  }
+
+  // Prefer the window the user is looking at
+  const client = windows.find(function(w) { return w.focused; }) ||
+    windows.find(function(w) { return w.visibilityState === 'visible'; }) ||
+    windows[0];
+
+  return new Promise(function(resolve, reject) {
+    const channel = new MessageChannel();
+    const timer = setTimeout(function() {
+      reject(new Error('Timed out waiting for queued items to replay'));
+    }, REPLAY_TIMEOUT);
+
+    channel.port1.onmessage = function(event) {
+      clearTimeout(timer);
+      if (event.data && event.data.error) {
+        reject(new Error(event.data.error));
+      } else {
+        resolve({
+          succeeded: (event.data && event.data.succeeded) || [],
+          failed: (event.data && event.data.failed) || []
+        });
+      }
+    };
+
+    client.postMessage({ type: 'REPLAY_SYNC_ITEMS', tag: tag, itemIds: itemIds }, [channel.port2]);
+  });
+}
+
+async function notifyClients(message) {
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  windows.forEach(function(client) {
+    client.postMessage(message);
+  });
+}
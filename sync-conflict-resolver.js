@@ -0,0 +1,188 @@
+// Sync Conflict Resolver - MMS Safety System
+// Three-way merge of offline edits against newer server data
+
+class MMSSyncConflictResolver {
+  constructor() {
+    // Bookkeeping fields that never count as user edits
+    this.IGNORED_FIELDS = [
+      'id', 'version', 'created_at', 'updated_at', 'updated_by', 'updated_by_id',
+      'created_by', 'company', 'company_name'
+    ];
+
+    console.log('🔀 MMS Sync Conflict Resolver Initialized');
+  }
+
+  // Compare the offline edit (local) with the record as it was when the edit
+  // was made (base) and as it is now (server). Only fields present in local
+  // are considered - those are the ones the user changed.
+  //
+  // Returns { merged, conflicts, keptServer }:
+  //  - merged:     fields safe to write (changed locally, untouched on server)
+  //  - conflicts:  fields changed on both sides to different values
+  //  - keptServer: fields only the server changed since the edit
+  analyze(base = {}, local = {}, server = {}) {
+    const merged = {};
+    const conflicts = [];
+    const keptServer = [];
+
+    Object.keys(local)
+      .filter(field => !this.IGNORED_FIELDS.includes(field))
+      .forEach(field => {
+        const localChanged = !this.valuesEqual(local[field], base[field]);
+        const serverChanged = !this.valuesEqual(server[field], base[field]);
+
+        if (!serverChanged) {
+          if (localChanged) merged[field] = local[field];
+        } else if (!localChanged) {
+          keptServer.push(field);
+        } else if (this.valuesEqual(local[field], server[field])) {
+          // Both sides made the same change
+        } else {
+          conflicts.push({
+            field: field,
+            base: base[field],
+            local: local[field],
+            server: server[field]
+          });
+        }
+      });
+
+    return { merged, conflicts, keptServer };
+  }
+
+  // Apply the user's per-field choices ('local' | 'server') to an analysis
+  applyResolution(analysis, choices) {
+    const resolved = { ...analysis.merged };
+
+    analysis.conflicts.forEach(conflict => {
+      if (choices[conflict.field] === 'local') {
+        resolved[conflict.field] = conflict.local;
+      }
+    });
+
+    return resolved;
+  }
+
+  valuesEqual(a, b) {
+    return JSON.stringify(this.normalize(a)) === JSON.stringify(this.normalize(b));
+  }
+
+  // Firestore Timestamps, Dates and ISO strings compare by instant;
+  // empty values compare equal to each other
+  normalize(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (value && typeof value.toDate === 'function') return value.toDate().toISOString();
+    if (value instanceof Date) return value.toISOString();
+    if (Array.isArray(value)) return value.map(item => this.normalize(item));
+    if (typeof value === 'object') {
+      return Object.keys(value).sort().reduce((acc, key) => {
+        acc[key] = this.normalize(value[key]);
+        return acc;
+      }, {});
+    }
+    return value;
+  }
+
+  formatValue(value) {
+    const normalized = this.normalize(value);
+    if (normalized === null) return '(empty)';
+    return typeof normalized === 'object' ? JSON.stringify(normalized, null, 2) : String(normalized);
+  }
+
+  formatFieldName(field) {
+    return field.replace(/_/g, ' ').replace(/\b\w/g, letter => letter.toUpperCase());
+  }
+
+  escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = String(value);
+    return div.innerHTML;
+  }
+
+  // ==================== RESOLUTION DIALOG ====================
+
+  // Resolves with { field: 'local' | 'server' } or null if the user cancels
+  showResolutionDialog({ title, description, conflicts, serverUpdatedBy }) {
+    return new Promise(resolve => {
+      document.getElementById('syncConflictModal')?.remove();
+
+      const modal = document.createElement('div');
+      modal.id = 'syncConflictModal';
+      modal.className = 'modal';
+      modal.innerHTML = `
+        <div class="modal-content" style="max-width: 900px;">
+          <button class="close-modal" data-action="cancel">×</button>
+          <div class="modal-header">
+            <h2>${this.escapeHtml(title || 'Resolve Sync Conflict')}</h2>
+            <p>${this.escapeHtml(description || 'This record was changed by someone else while you were offline.')}
+              ${serverUpdatedBy ? `Latest server change by <strong>${this.escapeHtml(serverUpdatedBy)}</strong>.` : ''}</p>
+          </div>
+
+          <table style="width: 100%; border-collapse: collapse; margin-bottom: 1.5rem;">
+            <thead>
+              <tr style="background: var(--background);">
+                <th style="padding: 0.75rem; text-align: left; border-bottom: 2px solid var(--border);">Field</th>
+                <th style="padding: 0.75rem; text-align: left; border-bottom: 2px solid var(--border);">Your offline change</th>
+                <th style="padding: 0.75rem; text-align: left; border-bottom: 2px solid var(--border);">Current server value</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${conflicts.map(conflict => `
+                <tr>
+                  <td style="padding: 0.75rem; border-bottom: 1px solid var(--border); font-weight: 600; vertical-align: top;">
+                    ${this.escapeHtml(this.formatFieldName(conflict.field))}
+                  </td>
+                  <td style="padding: 0.75rem; border-bottom: 1px solid var(--border); vertical-align: top;">
+                    <label style="display: flex; gap: 0.5rem; cursor: pointer;">
+                      <input type="radio" name="conflict-${this.escapeHtml(conflict.field)}" value="local" checked>
+                      <pre style="margin: 0; white-space: pre-wrap; font-family: inherit;">${this.escapeHtml(this.formatValue(conflict.local))}</pre>
+                    </label>
+                  </td>
+                  <td style="padding: 0.75rem; border-bottom: 1px solid var(--border); vertical-align: top;">
+                    <label style="display: flex; gap: 0.5rem; cursor: pointer;">
+                      <input type="radio" name="conflict-${this.escapeHtml(conflict.field)}" value="server">
+                      <pre style="margin: 0; white-space: pre-wrap; font-family: inherit;">${this.escapeHtml(this.formatValue(conflict.server))}</pre>
+                    </label>
+                  </td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+
+          <div class="action-buttons">
+            <button class="btn btn-outline" data-action="cancel">Decide Later</button>
+            <button class="btn btn-outline" data-action="all-server">Keep All Server Values</button>
+            <button class="btn btn-primary" data-action="apply">Apply Selection</button>
+          </div>
+        </div>
+      `;
+
+      const close = result => {
+        modal.remove();
+        resolve(result);
+      };
+
+      const collectChoices = forceServer => conflicts.reduce((choices, conflict) => {
+        const selected = modal.querySelector(`input[name="conflict-${CSS.escape(conflict.field)}"]:checked`);
+        choices[conflict.field] = forceServer ? 'server' : (selected ? selected.value : 'local');
+        return choices;
+      }, {});
+
+      modal.addEventListener('click', event => {
+        const action = event.target.dataset?.action;
+        if (action === 'cancel') close(null);
+        if (action === 'all-server') close(collectChoices(true));
+        if (action === 'apply') close(collectChoices(false));
+      });
+
+      document.body.appendChild(modal);
+      modal.style.display = 'block';
+    });
+  }
+}
+
+// Initialize and export
+const mmsConflictResolver = new MMSSyncConflictResolver();
+window.mmsConflictResolver = mmsConflictResolver;
+
+console.log('✅ MMS Sync Conflict Resolver Ready');
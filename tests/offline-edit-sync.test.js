@@ -0,0 +1,287 @@
+// Offline edit → concurrent server change → sync
+// Run with: node --test tests/
+//
+// Loads offline-queue-db.js, sync-conflict-resolver.js and background-sync.js
+// as the page does (plain scripts sharing `window`) on top of a small
+// in-memory IndexedDB, with mmsDB replaced by a versioned in-memory store and
+// mmsEncryption by a reversible stand-in that marks sealed health fields.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// ==================== IN-MEMORY INDEXEDDB ====================
+
+// Just enough of IndexedDB for MMSOfflineQueueDB: requests succeed on the
+// next microtask and a transaction completes once its work has drained
+function request(result) {
+  const req = { result: result, error: null, onsuccess: null, onerror: null };
+  queueMicrotask(() => req.onsuccess && req.onsuccess());
+  return req;
+}
+
+function createStore(keyPath) {
+  const records = new Map();
+  const indexes = {};
+  const clone = value => (value === undefined ? undefined : structuredClone(value));
+
+  return {
+    keyPath: keyPath,
+    indexNames: { contains: name => name in indexes },
+    createIndex(name, field) { indexes[name] = field; },
+    index(name) {
+      const field = indexes[name];
+      const matching = value => [...records.values()].filter(record => record[field] === value);
+      return {
+        getAll: value => request(matching(value).map(clone)),
+        getAllKeys: value => request(matching(value).map(record => record[keyPath]))
+      };
+    },
+    get: key => request(clone(records.get(key))),
+    getAll: () => request([...records.values()].map(clone)),
+    count: () => request(records.size),
+    add(value) { records.set(value[keyPath], clone(value)); return request(value[keyPath]); },
+    put(value) { records.set(value[keyPath], clone(value)); return request(value[keyPath]); },
+    delete(key) { records.delete(key); return request(undefined); },
+    clear() { records.clear(); return request(undefined); }
+  };
+}
+
+function createIndexedDB() {
+  const stores = {};
+  const db = {
+    objectStoreNames: { contains: name => name in stores },
+    createObjectStore(name, options) {
+      stores[name] = createStore(options.keyPath);
+      return stores[name];
+    },
+    transaction() {
+      const tx = { objectStore: name => stores[name], abort() {}, oncomplete: null, onerror: null, onabort: null };
+      setTimeout(() => tx.oncomplete && tx.oncomplete(), 0);
+      return tx;
+    },
+    close() {}
+  };
+
+  return {
+    open() {
+      const req = { result: db, transaction: { objectStore: name => stores[name] } };
+      setTimeout(() => {
+        req.onupgradeneeded && req.onupgradeneeded();
+        req.onsuccess && req.onsuccess();
+      }, 0);
+      return req;
+    }
+  };
+}
+
+// ==================== HARNESS ====================
+
+// Server copy of incidents and employees with the same optimistic version
+// check as mmsDB.updateIfVersionMatches()
+function createServer(records) {
+  const server = { records: structuredClone(records) };
+
+  server.change = (id, changes) => {
+    const record = server.records[id];
+    Object.assign(record, changes, { version: record.version + 1 });
+  };
+
+  server.update = async (id, changes, options = {}) => {
+    const record = server.records[id];
+    if (options.expectedVersion !== undefined && record.version !== options.expectedVersion) {
+      return {
+        success: false,
+        conflict: true,
+        error: 'Record was changed by someone else',
+        current: { id: id, ...structuredClone(record) }
+      };
+    }
+    server.change(id, changes);
+    return { success: true, version: record.version };
+  };
+
+  return server;
+}
+
+// Stands in for mmsEncryption's field-level encryption of health data
+const HEALTH_FIELDS = ['blood_group', 'allergies', 'medical_conditions'];
+
+function createEncryption() {
+  const transform = (values, change) => {
+    const result = { ...values };
+    HEALTH_FIELDS.forEach(field => {
+      if (result[field] !== undefined && result[field] !== null) result[field] = change(result[field]);
+    });
+    return result;
+  };
+
+  return {
+    seal: async values => transform(values, value =>
+      (typeof value === 'string' ? { sealed: Buffer.from(value).toString('base64') } : value)),
+    autoDecryptSensitiveFields: async values => transform(values, value =>
+      (value.sealed ? Buffer.from(value.sealed, 'base64').toString() : value))
+  };
+}
+
+async function loadSyncManager(server) {
+  const quiet = { log() {}, warn() {}, error() {}, info() {} };
+  const context = vm.createContext({
+    console: quiet,
+    navigator: { onLine: false },
+    indexedDB: createIndexedDB(),
+    localStorage: { getItem: () => null, setItem() {}, removeItem() {} },
+    document: { getElementById: () => null },
+    setTimeout, clearTimeout, queueMicrotask, structuredClone, Promise, Date, Math, JSON
+  });
+  context.window = context;
+  context.self = context;
+  context.addEventListener = () => {};
+  context.showToast = () => {};
+  const encryption = createEncryption();
+  context.mmsEncryption = encryption;
+  context.mmsDB = {
+    updateIncident: server.update,
+    updateEmployee: server.update,
+    protectEmployeeFields: encryption.seal
+  };
+
+  ['offline-queue-db.js', 'sync-conflict-resolver.js', 'background-sync.js'].forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+  });
+
+  const sync = context.backgroundSync;
+  await sync.ready;
+  return { context, sync };
+}
+
+function goOnline(context, sync) {
+  context.navigator.onLine = true;
+  sync.isOnline = true;
+}
+
+const LOADED_INCIDENT = {
+  id: 'INC-100',
+  type: 'Slip',
+  description: 'Slipped on wet floor',
+  severity: 'Low',
+  status: 'Open',
+  version: 4
+};
+
+// ==================== TESTS ====================
+
+test('offline edit merges with a server change to a different field', async () => {
+  const server = createServer({ 'INC-100': LOADED_INCIDENT });
+  const { context, sync } = await loadSyncManager(server);
+
+  const itemId = await sync.queueRecordUpdate('incident_report', LOADED_INCIDENT, {
+    description: 'Slipped on wet floor near conveyor 3'
+  });
+
+  // Someone else escalates the incident while this device is offline
+  server.change('INC-100', { severity: 'High' });
+
+  goOnline(context, sync);
+  const result = await sync.replayQueueItems([itemId]);
+
+  assert.deepStrictEqual([...result.succeeded], [itemId]);
+  assert.strictEqual(server.records['INC-100'].description, 'Slipped on wet floor near conveyor 3');
+  assert.strictEqual(server.records['INC-100'].severity, 'High');
+  assert.strictEqual(server.records['INC-100'].version, 6);
+  assert.strictEqual(await sync.queueDB.get(itemId), undefined);
+});
+
+test('offline edit of a field the server also changed is parked as a conflict', async () => {
+  const server = createServer({ 'INC-100': LOADED_INCIDENT });
+  const { context, sync } = await loadSyncManager(server);
+
+  const itemId = await sync.queueRecordUpdate('incident_report', LOADED_INCIDENT, { severity: 'Medium' });
+  server.change('INC-100', { severity: 'High' });
+
+  goOnline(context, sync);
+  const result = await sync.replayQueueItems([itemId]);
+
+  assert.strictEqual(result.failed.length, 1);
+  assert.strictEqual(server.records['INC-100'].severity, 'High', 'server value must not be overwritten');
+
+  const parked = await sync.queueDB.get(itemId);
+  assert.strictEqual(parked.status, sync.queueDB.STATUS.CONFLICT);
+  assert.deepStrictEqual(parked.conflict.conflicts.map(c => [c.field, c.local, c.server]), [['severity', 'Medium', 'High']]);
+});
+
+test('keeping the local value of a conflict writes it against the newer version', async () => {
+  const server = createServer({ 'INC-100': LOADED_INCIDENT });
+  const { context, sync } = await loadSyncManager(server);
+
+  const itemId = await sync.queueRecordUpdate('incident_report', LOADED_INCIDENT, { severity: 'Medium' });
+  server.change('INC-100', { severity: 'High' });
+
+  goOnline(context, sync);
+  await sync.replayQueueItems([itemId]);
+
+  context.mmsConflictResolver.showResolutionDialog = async () => ({ severity: 'local' });
+  assert.strictEqual(await sync.resolveConflict(itemId), true);
+
+  assert.strictEqual(server.records['INC-100'].severity, 'Medium');
+  assert.strictEqual(server.records['INC-100'].version, 6);
+  assert.strictEqual(await sync.queueDB.get(itemId), undefined);
+});
+
+const LOADED_EMPLOYEE = {
+  id: 'EMP-7',
+  employee_id: 'EMP-7',
+  name: 'T. Mokoena',
+  department: 'Plant',
+  allergies: 'None',
+  version: 2
+};
+
+test('offline employee edit keeps health fields encrypted while queued', async () => {
+  const server = createServer({ 'EMP-7': LOADED_EMPLOYEE });
+  const { context, sync } = await loadSyncManager(server);
+
+  const itemId = await sync.queueRecordUpdate('employee_update', LOADED_EMPLOYEE, { allergies: 'Penicillin' });
+
+  const stored = JSON.stringify(await sync.queueDB.get(itemId));
+  assert.ok(!stored.includes('Penicillin'), 'queued change must not be readable');
+  assert.ok(!stored.includes('"None"'), 'base snapshot must not be readable');
+
+  server.change('EMP-7', { department: 'Workshop' });
+
+  goOnline(context, sync);
+  const result = await sync.replayQueueItems([itemId]);
+
+  assert.deepStrictEqual([...result.succeeded], [itemId]);
+  assert.strictEqual(server.records['EMP-7'].allergies, 'Penicillin');
+  assert.strictEqual(server.records['EMP-7'].department, 'Workshop');
+});
+
+test('parked employee conflict stays encrypted until it is resolved', async () => {
+  const server = createServer({ 'EMP-7': LOADED_EMPLOYEE });
+  const { context, sync } = await loadSyncManager(server);
+
+  const itemId = await sync.queueRecordUpdate('employee_update', LOADED_EMPLOYEE, { allergies: 'Penicillin' });
+  server.change('EMP-7', { allergies: 'Latex' });
+
+  goOnline(context, sync);
+  await sync.replayQueueItems([itemId]);
+
+  const parked = JSON.stringify(await sync.queueDB.get(itemId));
+  assert.ok(!parked.includes('Penicillin') && !parked.includes('Latex'), 'conflict values must not be readable');
+
+  let shown;
+  context.mmsConflictResolver.showResolutionDialog = async ({ conflicts }) => {
+    shown = conflicts.map(c => [c.field, c.local, c.server]);
+    return { allergies: 'local' };
+  };
+  assert.strictEqual(await sync.resolveConflict(itemId), true);
+
+  assert.deepStrictEqual(shown, [['allergies', 'Penicillin', 'Latex']]);
+  assert.strictEqual(server.records['EMP-7'].allergies, 'Penicillin');
+  assert.strictEqual(await sync.queueDB.get(itemId), undefined);
+});
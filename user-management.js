@@ -0,0 +1,512 @@
+// MMS User Management - users/{uid} profiles backed by Firestore
+// Profiles carry role, sites, country, department, status and the linked
+// employee record. auth-system.js and the security rules read them whenever
+// the ID token has no custom claims, so changes here take effect at the
+// user's next sign-in (claims set with the Admin SDK still win).
+import { db, firebaseConfig } from './firebase-config.js';
+import { mmsDB } from './database-service.js';
+import { initializeApp, getApps } from "https://www.gstatic.com/firebasejs/9.22.0/firebase-app.js";
+import {
+  initializeAuth,
+  inMemoryPersistence,
+  createUserWithEmailAndPassword,
+  sendPasswordResetEmail,
+  signOut
+} from "https://www.gstatic.com/firebasejs/9.22.0/firebase-auth.js";
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  setDoc,
+  updateDoc,
+  query,
+  where,
+  serverTimestamp
+} from "https://www.gstatic.com/firebasejs/9.22.0/firebase-firestore.js";
+
+class MMSUserManagement {
+  constructor() {
+    this.USERS_COLLECTION = 'users';
+    this.EMPLOYEES_COLLECTION = 'employees';
+    this.PROVISIONING_APP = 'mms-user-provisioning';
+    this.STATUSES = ['active', 'deactivated'];
+    this.EDITABLE_FIELDS = ['name', 'role', 'sites', 'country', 'department', 'employee_id', 'status'];
+    this.CSV_COLUMNS = ['name', 'email', 'role', 'sites', 'country', 'department', 'employee_id', 'status'];
+
+    this.provisioningAuth = null;
+
+    console.log('👥 MMS User Management Initialized');
+  }
+
+  // ==================== ACCESS ====================
+
+  requireAdmin() {
+    if (!window.mmsAuth?.hasPermission('canManageUsers')) {
+      throw new Error('Only administrators can manage users');
+    }
+  }
+
+  // Creating an account with the main auth instance would sign the admin
+  // out and the new user in, so accounts are created on a second app
+  // instance that keeps its session in memory only
+  getProvisioningAuth() {
+    if (!this.provisioningAuth) {
+      const app = getApps().find(existing => existing.name === this.PROVISIONING_APP)
+        || initializeApp(firebaseConfig, this.PROVISIONING_APP);
+      this.provisioningAuth = initializeAuth(app, { persistence: inMemoryPersistence });
+    }
+    return this.provisioningAuth;
+  }
+
+  // ==================== VALIDATION ====================
+
+  getAssignableRoles() {
+    return Object.keys(window.mmsAuth?.ROLES || {}).filter(role => role !== 'guest');
+  }
+
+  getLocations() {
+    return window.mmsDB?.MMS_LOCATIONS || [];
+  }
+
+  // Normalises profile fields and returns { data, errors }. Only the fields
+  // present in input are checked, so it serves creates and partial updates.
+  validateProfile(input, options = {}) {
+    const data = {};
+    const errors = [];
+    const locations = this.getLocations();
+
+    if (options.requireAll || 'name' in input) {
+      data.name = String(input.name || '').trim();
+      if (!data.name) errors.push('Name is required');
+    }
+
+    if (options.requireAll || 'email' in input) {
+      data.email = String(input.email || '').trim().toLowerCase();
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(data.email)) errors.push('A valid email address is required');
+    }
+
+    if (options.requireAll || 'role' in input) {
+      data.role = String(input.role || 'employee').trim();
+      if (!this.getAssignableRoles().includes(data.role)) errors.push(`Unknown role "${data.role}"`);
+    }
+
+    if (options.requireAll || 'sites' in input) {
+      const sites = Array.isArray(input.sites)
+        ? input.sites
+        : String(input.sites || '').split(/[;|]/);
+      data.sites = [...new Set(sites.map(site => String(site).trim().toUpperCase()).filter(Boolean))];
+
+      const unknown = data.sites.filter(code => !locations.some(site => site.code === code));
+      if (unknown.length > 0) errors.push(`Unknown site code(s): ${unknown.join(', ')}`);
+    }
+
+    if (options.requireAll || 'country' in input) {
+      data.country = String(input.country || '').trim();
+      if (data.country && !locations.some(site => site.country === data.country)) {
+        errors.push(`Unknown country "${data.country}"`);
+      }
+    }
+
+    if (options.requireAll || 'department' in input) {
+      data.department = String(input.department || '').trim();
+    }
+
+    if (options.requireAll || 'employee_id' in input) {
+      data.employee_id = String(input.employee_id || '').trim() || null;
+    }
+
+    if (options.requireAll || 'status' in input) {
+      data.status = String(input.status || 'active').trim().toLowerCase();
+      if (!this.STATUSES.includes(data.status)) errors.push(`Unknown status "${data.status}"`);
+    }
+
+    const role = data.role ?? options.current?.role;
+    const country = data.country ?? options.current?.country;
+    if (role === 'regional_manager' && !country) {
+      errors.push('Regional managers need a country');
+    }
+
+    return { data, errors };
+  }
+
+  async employeeExists(employeeId) {
+    const snapshot = await getDoc(doc(db, this.EMPLOYEES_COLLECTION, employeeId));
+    return snapshot.exists();
+  }
+
+  // ==================== QUERIES ====================
+
+  async listUsers() {
+    try {
+      this.requireAdmin();
+
+      // Sorted here: orderBy('name') would drop older profiles without a name
+      const snapshot = await getDocs(collection(db, this.USERS_COLLECTION));
+      const users = snapshot.docs
+        .map(userDoc => ({ id: userDoc.id, ...userDoc.data() }))
+        .sort((a, b) => (a.name || a.email || '').localeCompare(b.name || b.email || ''));
+
+      return { success: true, data: users };
+    } catch (error) {
+      console.error('❌ Failed to load users:', error);
+      return { success: false, error: error.message, data: [] };
+    }
+  }
+
+  async getUser(uid) {
+    try {
+      this.requireAdmin();
+
+      const snapshot = await getDoc(doc(db, this.USERS_COLLECTION, uid));
+      if (!snapshot.exists()) {
+        return { success: false, error: 'User not found' };
+      }
+      return { success: true, data: { id: snapshot.id, ...snapshot.data() } };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Names only, from the non-sensitive directory projection
+  async listEmployeeOptions() {
+    try {
+      const docs = await mmsDB.getScopedDocs(query(
+        collection(db, mmsDB.COLLECTIONS.EMPLOYEE_DIRECTORY),
+        where('company', '==', mmsDB.COMPANY_ID)
+      ));
+      return (docs || [])
+        .map(employeeDoc => ({
+          id: employeeDoc.id,
+          name: employeeDoc.data().name || employeeDoc.id,
+          location: employeeDoc.data().location || ''
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+    } catch (error) {
+      console.warn('⚠️ Could not load employees for linking:', error);
+      return [];
+    }
+  }
+
+  // ==================== CHANGES ====================
+
+  // Creates the sign-in account and profile, then emails the user a link to
+  // set their own password. The temporary password is never shown to anyone.
+  // If the profile can't be saved the new account is deleted again, so a
+  // retry doesn't fail on an email that is already in use.
+  async createUser(input, options = {}) {
+    let account = null;
+
+    try {
+      this.requireAdmin();
+
+      const { data, errors } = this.validateProfile(input, { requireAll: true });
+      if (errors.length > 0) {
+        return { success: false, error: errors.join('. ') };
+      }
+
+      if (data.employee_id && !await this.employeeExists(data.employee_id)) {
+        return { success: false, error: `Employee ${data.employee_id} does not exist` };
+      }
+
+      const provisioningAuth = this.getProvisioningAuth();
+      const temporaryPassword = btoa(String.fromCharCode(...crypto.getRandomValues(new Uint8Array(24))));
+      const credential = await createUserWithEmailAndPassword(provisioningAuth, data.email, temporaryPassword);
+      account = credential.user;
+      const uid = account.uid;
+
+      const admin = window.mmsAuth?.currentUser;
+      await setDoc(doc(db, this.USERS_COLLECTION, uid), {
+        ...data,
+        invited_at: null,
+        created_at: serverTimestamp(),
+        created_by: admin?.email || 'unknown',
+        updated_at: serverTimestamp(),
+        updated_by: admin?.email || 'unknown'
+      });
+      account = null;
+
+      // The profile exists from here on, so later failures are reported as
+      // warnings instead of undoing the account
+      const warnings = [];
+      try {
+        await window.mmsDB?.syncDirectoryEntry(uid, data);
+      } catch (error) {
+        console.warn('⚠️ Directory entry not updated:', error);
+        warnings.push('The user was not added to the directory - save the profile again to retry');
+      }
+
+      if (options.invite !== false) {
+        try {
+          await sendPasswordResetEmail(provisioningAuth, data.email);
+          await updateDoc(doc(db, this.USERS_COLLECTION, uid), { invited_at: serverTimestamp() });
+        } catch (error) {
+          console.warn('⚠️ Invitation not sent:', error);
+          warnings.push('The invitation email was not sent - use Resend invite');
+        }
+      }
+      await signOut(provisioningAuth).catch(() => {});
+
+      await window.mmsAuditLogger?.logDataModification(this.USERS_COLLECTION, uid, 'create', data);
+      console.log(`✅ User created: ${data.email} (${data.role})`);
+
+      return {
+        success: true,
+        id: uid,
+        data: { id: uid, ...data },
+        warning: warnings.length > 0 ? warnings.join('. ') : undefined
+      };
+
+    } catch (error) {
+      console.error('❌ Failed to create user:', error);
+      if (account) {
+        await this.discardAccount(account);
+      }
+      const messages = {
+        'auth/email-already-in-use': 'An account with this email already exists',
+        'auth/invalid-email': 'Invalid email address'
+      };
+      return { success: false, error: messages[error.code] || error.message };
+    }
+  }
+
+  // The provisioning instance is still signed in as the new account, which
+  // lets it delete itself
+  async discardAccount(account) {
+    try {
+      await account.delete();
+      console.log(`🧹 Removed incomplete account ${account.email}`);
+    } catch (error) {
+      console.error(`❌ Could not remove incomplete account ${account.email} - delete it in the Firebase console:`, error);
+    } finally {
+      await signOut(this.getProvisioningAuth()).catch(() => {});
+    }
+  }
+
+  async resendInvite(uid) {
+    try {
+      this.requireAdmin();
+
+      const user = await this.getUser(uid);
+      if (!user.success) return user;
+
+      await sendPasswordResetEmail(this.getProvisioningAuth(), user.data.email);
+      await updateDoc(doc(db, this.USERS_COLLECTION, uid), { invited_at: serverTimestamp() });
+
+      await window.mmsAuditLogger?.logDataModification(this.USERS_COLLECTION, uid, 'invite', { email: user.data.email });
+      return { success: true, message: `Invitation sent to ${user.data.email}` };
+
+    } catch (error) {
+      console.error('❌ Failed to resend invitation:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Email is the sign-in identity and can't be changed here
+  async updateUser(uid, changes) {
+    try {
+      this.requireAdmin();
+
+      const current = await this.getUser(uid);
+      if (!current.success) return current;
+
+      const editable = Object.fromEntries(
+        Object.entries(changes).filter(([field]) => this.EDITABLE_FIELDS.includes(field))
+      );
+      const { data, errors } = this.validateProfile(editable, { current: current.data });
+      if (errors.length > 0) {
+        return { success: false, error: errors.join('. ') };
+      }
+
+      if (uid === window.mmsAuth?.currentUser?.uid
+          && ((data.role && data.role !== 'admin') || data.status === 'deactivated')) {
+        return { success: false, error: 'You cannot remove your own administrator access' };
+      }
+
+      if (data.employee_id && data.employee_id !== current.data.employee_id
+          && !await this.employeeExists(data.employee_id)) {
+        return { success: false, error: `Employee ${data.employee_id} does not exist` };
+      }
+
+      const changed = {};
+      Object.entries(data).forEach(([field, value]) => {
+        if (JSON.stringify(value) !== JSON.stringify(current.data[field] ?? null)) {
+          changed[field] = { from: current.data[field] ?? null, to: value };
+        }
+      });
+
+      if (Object.keys(changed).length === 0) {
+        return { success: true, message: 'No changes' };
+      }
+
+      const updates = Object.fromEntries(Object.entries(changed).map(([field, change]) => [field, change.to]));
+      await updateDoc(doc(db, this.USERS_COLLECTION, uid), {
+        ...updates,
+        updated_at: serverTimestamp(),
+        updated_by: window.mmsAuth?.currentUser?.email || 'unknown'
+      });
+
+      if (changed.role || changed.sites || changed.country || changed.status) {
+        await window.mmsDB?.syncDirectoryEntry(uid, { ...current.data, ...updates });
+      }
+
+      const action = changed.status
+        ? (updates.status === 'deactivated' ? 'deactivate' : 'reactivate')
+        : 'update';
+      await window.mmsAuditLogger?.logDataModification(this.USERS_COLLECTION, uid, action, changed);
+
+      return { success: true, changed: Object.keys(changed), message: 'User updated' };
+
+    } catch (error) {
+      console.error('❌ Failed to update user:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Accounts are never deleted - deactivation blocks sign-in (auth-system)
+  // and all data access (isActive() in the security rules) while keeping
+  // the user's history attributable
+  async deactivateUser(uid) {
+    return this.updateUser(uid, { status: 'deactivated' });
+  }
+
+  async reactivateUser(uid) {
+    return this.updateUser(uid, { status: 'active' });
+  }
+
+  // ==================== CSV IMPORT / EXPORT ====================
+
+  // RFC 4180: quoted fields may contain commas, quotes ("") and newlines
+  parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+  }
+
+  // Header row names the columns (any order): name, email, role, sites
+  // (codes separated by ; or |), country, department, employee_id, status.
+  // Every row is validated before any account is created.
+  async importUsersFromCsv(text, options = {}) {
+    try {
+      this.requireAdmin();
+
+      const [header, ...rows] = this.parseCsv(text.replace(/^\uFEFF/, ''));
+      if (!header) {
+        return { success: false, error: 'The file is empty' };
+      }
+
+      const columns = header.map(column => column.trim().toLowerCase());
+      const missing = ['name', 'email'].filter(column => !columns.includes(column));
+      if (missing.length > 0) {
+        return { success: false, error: `Missing column(s): ${missing.join(', ')}` };
+      }
+
+      const records = rows.map((cells, index) => {
+        const input = {};
+        columns.forEach((column, i) => {
+          if (this.CSV_COLUMNS.includes(column)) input[column] = cells[i] ?? '';
+        });
+        return { line: index + 2, input, ...this.validateProfile(input, { requireAll: true }) };
+      });
+
+      const invalid = records.filter(record => record.errors.length > 0);
+      const duplicates = records.filter((record, index) =>
+        records.findIndex(other => other.data.email === record.data.email) !== index);
+
+      if (invalid.length > 0 || duplicates.length > 0) {
+        return {
+          success: false,
+          error: 'The file has errors - nothing was imported',
+          failed: [
+            ...invalid.map(record => ({ line: record.line, email: record.data.email, error: record.errors.join('. ') })),
+            ...duplicates.map(record => ({ line: record.line, email: record.data.email, error: 'Duplicate email in file' }))
+          ]
+        };
+      }
+
+      const created = [];
+      const failed = [];
+      const warnings = [];
+
+      for (const record of records) {
+        const result = await this.createUser(record.data, options);
+        if (result.success) {
+          created.push(record.data.email);
+          if (result.warning) warnings.push({ line: record.line, email: record.data.email, warning: result.warning });
+        } else {
+          failed.push({ line: record.line, email: record.data.email, error: result.error });
+        }
+      }
+
+      await window.mmsAuditLogger?.logDataModification(this.USERS_COLLECTION, 'bulk_import', 'import', {
+        rows: records.length,
+        created: created.length,
+        failed: failed.length
+      });
+
+      return {
+        success: failed.length === 0,
+        created,
+        failed,
+        warnings,
+        error: failed.length > 0 ? `${failed.length} of ${records.length} user(s) could not be created` : undefined
+      };
+
+    } catch (error) {
+      console.error('❌ User import failed:', error);
+      return { success: false, error: error.message, created: [], failed: [] };
+    }
+  }
+
+  // Formula-like cells are neutralised the same way as in audit exports
+  toCsv(users) {
+    const cell = value => mmsDB.toCsvValue(Array.isArray(value) ? value.join(';') : value);
+
+    return [
+      this.CSV_COLUMNS.join(','),
+      ...users.map(user => this.CSV_COLUMNS.map(column => cell(user[column])).join(','))
+    ].join('\n') + '\n';
+  }
+}
+
+// Initialize and export
+const mmsUsers = new MMSUserManagement();
+window.mmsUsers = mmsUsers;
+
+export { mmsUsers };
@@ -0,0 +1,389 @@
+// Witness Statement Capture (statements, signatures, photo/audio evidence) - MMS Safety
+import { incidentInvestigator } from './incident-investigator.js';
+
+class WitnessStatementCapture {
+  constructor() {
+    this.investigationId = null;
+    this.investigation = null;
+    this.statements = [];
+    this.signingId = null;
+    this.hasInk = false;
+
+    console.log('🗣️ Witness Statement Capture Initialized');
+  }
+
+  // ==================== OPEN / LOAD ====================
+
+  async open(investigationId) {
+    const result = await incidentInvestigator.getWitnessStatements(investigationId);
+
+    if (!result.success) {
+      alert(`❌ ${result.error}`);
+      return;
+    }
+
+    this.investigationId = investigationId;
+    this.investigation = result.investigation;
+    this.statements = result.data;
+    this.signingId = null;
+
+    this.renderModal();
+  }
+
+  async reload() {
+    const result = await incidentInvestigator.getWitnessStatements(this.investigationId);
+    if (!result.success) return;
+
+    this.investigation = result.investigation;
+    this.statements = result.data;
+    this.renderBody();
+  }
+
+  close() {
+    if (this.signingId && this.hasInk && !confirm('Discard the unsaved signature?')) {
+      return;
+    }
+    document.getElementById('witnessStatementsModal')?.remove();
+    this.investigationId = null;
+    this.investigation = null;
+    this.statements = [];
+    this.signingId = null;
+  }
+
+  // ==================== RENDERING ====================
+
+  renderModal() {
+    document.getElementById('witnessStatementsModal')?.remove();
+
+    const esc = incidentInvestigator.escapeHtml;
+    const modal = document.createElement('div');
+    modal.id = 'witnessStatementsModal';
+    modal.className = 'modal';
+    modal.innerHTML = `
+      <div class="modal-content" style="max-width: 900px;">
+        <button class="close-modal" onclick="witnessStatements.close()">×</button>
+        <div class="modal-header">
+          <h2>Witness Statements</h2>
+          <p>${esc(this.investigation.id)} · ${esc(this.investigation.incident_type || '')} · ${esc(this.investigation.incident_location || '')}</p>
+        </div>
+        <div id="witnessStatementsBody"></div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+    modal.style.display = 'block';
+
+    const body = modal.querySelector('#witnessStatementsBody');
+    body.addEventListener('click', (event) => this.handleClick(event));
+    body.addEventListener('change', (event) => this.handleFileChange(event));
+
+    this.renderBody();
+  }
+
+  renderBody() {
+    const body = document.getElementById('witnessStatementsBody');
+    if (!body) return;
+
+    body.innerHTML = `
+      ${this.statements.length === 0
+        ? '<p style="color: var(--text-light); margin-bottom: 1rem;">No witness statements recorded yet.</p>'
+        : this.statements.map(witness => this.renderStatement(witness)).join('')}
+      <div id="witnessForm" style="margin-top: 1.5rem;">
+        <button class="btn btn-primary" data-action="new">➕ Record Statement</button>
+      </div>
+    `;
+
+    if (this.signingId) {
+      this.mountSignaturePad(body.querySelector('#witnessSignaturePad'));
+    }
+  }
+
+  renderStatement(witness) {
+    const esc = incidentInvestigator.escapeHtml;
+    const signed = witness.status === 'Signed';
+
+    return `
+      <div style="border: 1px solid var(--border); border-left: 4px solid ${signed ? 'var(--success)' : 'var(--warning)'}; border-radius: 8px; padding: 1rem; margin-bottom: 1rem;">
+        <div style="display: flex; justify-content: space-between; gap: 1rem; flex-wrap: wrap;">
+          <div>
+            <strong>${esc(witness.name)}</strong>${witness.role ? ` · ${esc(witness.role)}` : ''}
+            ${witness.contact ? `<div style="color: var(--text-light); font-size: 0.85rem;">${esc(witness.contact)}</div>` : ''}
+          </div>
+          <div style="text-align: right; font-size: 0.85rem;">
+            <span style="font-weight: 600; color: ${signed ? 'var(--success)' : 'var(--warning)'};">${signed ? '✍️ Signed' : '📝 Draft'}</span>
+            <div style="color: var(--text-light);">Taken ${new Date(witness.statement_datetime).toLocaleString()}</div>
+          </div>
+        </div>
+        <p style="white-space: pre-wrap; margin: 0.75rem 0;">${esc(witness.statement)}</p>
+        ${signed ? `
+          <div style="display: flex; align-items: center; gap: 1rem; margin-bottom: 0.75rem;">
+            <img src="${esc(witness.signature.url)}" alt="Signature of ${esc(witness.name)}" style="height: 60px; border-bottom: 1px solid var(--border);">
+            <span style="color: var(--text-light); font-size: 0.85rem;">Signed ${new Date(witness.signature.signed_at).toLocaleString()} · witnessed by ${esc(witness.signature.witnessed_by)}</span>
+          </div>
+        ` : ''}
+        ${this.renderAttachments(witness)}
+        ${this.signingId === witness.id ? this.renderSignaturePad(witness) : `
+          <div class="action-buttons" style="justify-content: flex-start;">
+            ${signed ? '' : `
+              <button class="btn btn-outline" data-action="edit" data-witness="${esc(witness.id)}">✏️ Edit</button>
+              <button class="btn btn-primary" data-action="sign" data-witness="${esc(witness.id)}">✍️ Capture Signature</button>
+            `}
+            <label class="btn btn-outline" style="cursor: pointer;">
+              📎 Add Photo / Audio
+              <input type="file" accept="image/*,audio/*" data-witness="${esc(witness.id)}" style="display: none;">
+            </label>
+          </div>
+        `}
+      </div>
+    `;
+  }
+
+  renderAttachments(witness) {
+    const esc = incidentInvestigator.escapeHtml;
+    const attachments = witness.attachments || [];
+    if (attachments.length === 0) return '';
+
+    return `
+      <div style="display: flex; flex-wrap: wrap; gap: 0.75rem; margin-bottom: 0.75rem;">
+        ${attachments.map(attachment => attachment.kind === 'audio' ? `
+          <div style="font-size: 0.85rem;">
+            🎙️ ${esc(attachment.name)}<br>
+            <audio controls preload="none" src="${esc(attachment.url)}" style="max-width: 260px;"></audio>
+          </div>
+        ` : `
+          <a href="${esc(attachment.url)}" target="_blank" rel="noopener" title="${esc(attachment.name)}">
+            <img src="${esc(attachment.url)}" alt="${esc(attachment.name)}" style="width: 90px; height: 90px; object-fit: cover; border-radius: 6px;">
+          </a>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  renderSignaturePad(witness) {
+    const esc = incidentInvestigator.escapeHtml;
+
+    return `
+      <div style="margin-top: 0.5rem;">
+        <p style="font-size: 0.9rem; margin-bottom: 0.5rem;">
+          Ask <strong>${esc(witness.name)}</strong> to read the statement above and sign below to confirm it is accurate.
+        </p>
+        <canvas id="witnessSignaturePad" style="width: 100%; height: 180px; border: 2px dashed var(--border); border-radius: 8px; background: #fff; touch-action: none; cursor: crosshair;"></canvas>
+        <div class="action-buttons" style="justify-content: flex-start;">
+          <button class="btn btn-outline" data-action="cancel-sign">Cancel</button>
+          <button class="btn btn-outline" data-action="clear-sign">🧽 Clear</button>
+          <button class="btn btn-primary" data-action="save-sign" data-witness="${esc(witness.id)}">💾 Save Signature</button>
+        </div>
+      </div>
+    `;
+  }
+
+  renderForm(witness = null) {
+    const esc = incidentInvestigator.escapeHtml;
+    const fieldStyle = 'width: 100%; padding: 0.5rem; border: 1px solid var(--border); border-radius: 6px;';
+    // datetime-local wants local time without a zone
+    const taken = witness ? new Date(witness.statement_datetime) : new Date();
+    const takenLocal = new Date(taken.getTime() - taken.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+
+    document.getElementById('witnessForm').innerHTML = `
+      <h3 style="margin-bottom: 0.75rem;">${witness ? 'Edit Statement' : 'Record Statement'}</h3>
+      <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 1rem; margin-bottom: 1rem;">
+        <label>Witness name *
+          <input type="text" data-field="name" value="${esc(witness?.name || '')}" style="${fieldStyle}">
+        </label>
+        <label>Role / relationship
+          <input type="text" data-field="role" value="${esc(witness?.role || '')}" placeholder="e.g. Forklift operator, contractor" style="${fieldStyle}">
+        </label>
+        <label>Contact
+          <input type="text" data-field="contact" value="${esc(witness?.contact || '')}" placeholder="Phone or email" style="${fieldStyle}">
+        </label>
+        <label>Statement taken *
+          <input type="datetime-local" data-field="statement_datetime" value="${takenLocal}" style="${fieldStyle}">
+        </label>
+      </div>
+      <label>Statement * <span style="color: var(--text-light); font-size: 0.85rem;">(in the witness's own words)</span>
+        <textarea data-field="statement" rows="6" style="${fieldStyle}">${esc(witness?.statement || '')}</textarea>
+      </label>
+      <div class="action-buttons">
+        <button class="btn btn-outline" data-action="cancel-form">Cancel</button>
+        <button class="btn btn-primary" data-action="save-form" ${witness ? `data-witness="${esc(witness.id)}"` : ''}>💾 Save Statement</button>
+      </div>
+    `;
+  }
+
+  // ==================== SIGNATURE PAD ====================
+
+  mountSignaturePad(canvas) {
+    if (!canvas) return;
+
+    // Scale the backing store for high-DPI screens so strokes stay sharp
+    const ratio = window.devicePixelRatio || 1;
+    const rect = canvas.getBoundingClientRect();
+    canvas.width = rect.width * ratio;
+    canvas.height = rect.height * ratio;
+
+    const context = canvas.getContext('2d');
+    context.scale(ratio, ratio);
+    context.lineWidth = 2.5;
+    context.lineCap = 'round';
+    context.lineJoin = 'round';
+    context.strokeStyle = '#1a1a2e';
+
+    this.hasInk = false;
+    let drawing = false;
+
+    const point = (event) => {
+      const bounds = canvas.getBoundingClientRect();
+      return { x: event.clientX - bounds.left, y: event.clientY - bounds.top };
+    };
+
+    canvas.addEventListener('pointerdown', (event) => {
+      drawing = true;
+      canvas.setPointerCapture(event.pointerId);
+      const { x, y } = point(event);
+      context.beginPath();
+      context.moveTo(x, y);
+    });
+
+    canvas.addEventListener('pointermove', (event) => {
+      if (!drawing) return;
+      const { x, y } = point(event);
+      context.lineTo(x, y);
+      context.stroke();
+      this.hasInk = true;
+    });
+
+    const stop = () => { drawing = false; };
+    canvas.addEventListener('pointerup', stop);
+    canvas.addEventListener('pointercancel', stop);
+  }
+
+  clearSignaturePad() {
+    const canvas = document.getElementById('witnessSignaturePad');
+    if (!canvas) return;
+
+    canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+    this.hasInk = false;
+  }
+
+  getSignatureBlob() {
+    const canvas = document.getElementById('witnessSignaturePad');
+    return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+  }
+
+  // ==================== ACTIONS ====================
+
+  readForm() {
+    const data = {};
+    document.querySelectorAll('#witnessForm [data-field]').forEach(field => {
+      data[field.dataset.field] = field.value;
+    });
+    return data;
+  }
+
+  async handleClick(event) {
+    const button = event.target.closest('[data-action]');
+    if (!button) return;
+
+    event.preventDefault();
+    const witnessId = button.dataset.witness;
+
+    switch (button.dataset.action) {
+      case 'new':
+        this.renderForm();
+        break;
+
+      case 'edit':
+        this.renderForm(this.statements.find(witness => witness.id === witnessId));
+        break;
+
+      case 'cancel-form':
+        this.renderBody();
+        break;
+
+      case 'save-form': {
+        button.disabled = true;
+        const data = this.readForm();
+        const result = witnessId
+          ? await incidentInvestigator.updateWitnessStatement(this.investigationId, witnessId, data)
+          : await incidentInvestigator.addWitnessStatement(this.investigationId, data);
+
+        if (!result.success) {
+          button.disabled = false;
+          alert(`❌ ${result.error}`);
+          return;
+        }
+
+        window.showToast?.('Witness Statement', `Statement from ${data.name.trim()} saved`, 'success');
+        await this.reload();
+        break;
+      }
+
+      case 'sign':
+        this.signingId = witnessId;
+        this.renderBody();
+        break;
+
+      case 'cancel-sign':
+        this.signingId = null;
+        this.renderBody();
+        break;
+
+      case 'clear-sign':
+        this.clearSignaturePad();
+        break;
+
+      case 'save-sign': {
+        if (!this.hasInk) {
+          alert('❌ The witness has not signed yet');
+          return;
+        }
+
+        button.disabled = true;
+        const blob = await this.getSignatureBlob();
+        const result = await incidentInvestigator.signWitnessStatement(this.investigationId, witnessId, blob);
+
+        if (!result.success) {
+          button.disabled = false;
+          alert(`❌ ${result.error}`);
+          return;
+        }
+
+        this.signingId = null;
+        window.showToast?.('Witness Statement', 'Signature captured - statement sealed', 'success');
+        await this.reload();
+        break;
+      }
+    }
+  }
+
+  async handleFileChange(event) {
+    const input = event.target;
+    if (input.type !== 'file' || !input.files?.length) return;
+
+    const file = input.files[0];
+    const label = input.closest('label');
+    if (label) label.firstChild.textContent = '⏳ Uploading... ';
+
+    const result = await incidentInvestigator.addWitnessAttachment(this.investigationId, input.dataset.witness, file,
+      ({ progress }) => { if (label) label.firstChild.textContent = `⏳ Uploading ${progress}% `; });
+
+    if (!result.success) {
+      alert(`❌ ${result.error}`);
+      this.renderBody();
+      return;
+    }
+
+    window.showToast?.('Witness Evidence', `${file.name} attached`, 'success');
+    await this.reload();
+  }
+}
+
+// Create global instance
+const witnessStatements = new WitnessStatementCapture();
+
+// Make capture globally available
+window.witnessStatements = witnessStatements;
+
+export { witnessStatements };
+
+console.log('✅ Witness Statement Capture Ready');